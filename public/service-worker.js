@@ -0,0 +1,196 @@
+// public/service-worker.js
+
+/**
+ * ConnectHub Intranet - Service Worker
+ *
+ * Keeps the intranet usable on flaky connections (registered by modules/serviceWorker.js).
+ * Lives at the site root so that its scope covers the whole site.
+ *
+ * Strategies:
+ * - App shell (index.html, the stylesheet and every script, views and locales included):
+ *   precached on install, so the page opens even when the first request fails.
+ * - Page navigations: network first, falling back to the cached index.html.
+ * - Data requests (anything asking for JSON: the files under ./data and the REST API,
+ *   see modules/dataSources.js): network first, falling back to the last good response.
+ * - Other same-origin files (ES modules, images, fonts): served from cache when present
+ *   and refreshed in the background (stale-while-revalidate).
+ *
+ * Bump CACHE_VERSION whenever SHELL_FILES or the caching rules change: activating the
+ * new worker deletes every ConnectHub cache from older versions.
+ */
+
+const CACHE_VERSION = 'v2';
+const CACHE_PREFIX = 'connecthub-';
+const SHELL_CACHE = `${CACHE_PREFIX}shell-${CACHE_VERSION}`;
+const DATA_CACHE = `${CACHE_PREFIX}data-${CACHE_VERSION}`;
+const ASSET_CACHE = `${CACHE_PREFIX}assets-${CACHE_VERSION}`;
+
+// Relative to this file, i.e. to the site root. Every script the page can load, including
+// the views the router imports on demand, so that the page starts offline. Keep it in step
+// with src/js: a file missing here only loads online, and one that no longer exists makes
+// the install fail. (realtimeMock.js is left out: it is only loaded in development.)
+const SHELL_FILES = [
+  './',
+  './index.html',
+  './css/style.css',
+  './js/components/carousel.js',
+  './js/components/tabs.js',
+  './js/main.js',
+  './js/pages/homePage.js',
+  './js/modules/approvals.js',
+  './js/modules/audience.js',
+  './js/modules/briefingProviders.js',
+  './js/modules/celebrations.js',
+  './js/modules/contentSchemas.js',
+  './js/modules/dataService.js',
+  './js/modules/dataSources.js',
+  './js/modules/employeeDirectory.js',
+  './js/modules/errors.js',
+  './js/modules/eventCalendar.js',
+  './js/modules/eventTime.js',
+  './js/modules/formDrafts.js',
+  './js/modules/formSchema.js',
+  './js/modules/globalSearch.js',
+  './js/modules/i18n.js',
+  './js/modules/icalendar.js',
+  './js/modules/logger.js',
+  './js/modules/markdown.js',
+  './js/modules/meetingReminders.js',
+  './js/modules/newsTracker.js',
+  './js/modules/normalizers.js',
+  './js/modules/offlineQueue.js',
+  './js/modules/preferences.js',
+  './js/modules/publishing.js',
+  './js/modules/realtime.js',
+  './js/modules/reporter.js',
+  './js/modules/requestCache.js',
+  './js/modules/requestForms.js',
+  './js/modules/requestPolicy.js',
+  './js/modules/router.js',
+  './js/modules/searchIndex.js',
+  './js/modules/serviceWorker.js',
+  './js/modules/session.js',
+  './js/modules/spotlightRotation.js',
+  './js/modules/theme.js',
+  './js/modules/weather.js',
+  './js/modules/weatherProviders.js',
+  './js/widgets/celebrations.js',
+  './js/widgets/composer.js',
+  './js/widgets/dashboardCustomizer.js',
+  './js/widgets/dashboardLayout.js',
+  './js/widgets/employeeSpotlight.js',
+  './js/widgets/eventsCalendar.js',
+  './js/widgets/featuredNews.js',
+  './js/widgets/newPostsPill.js',
+  './js/widgets/newsFeed.js',
+  './js/widgets/offlineBanner.js',
+  './js/widgets/personalBriefing.js',
+  './js/widgets/quickLinks.js',
+  './js/widgets/requestStatus.js',
+  './js/widgets/richText.js',
+  './js/widgets/schemaForm.js',
+  './js/widgets/searchBox.js',
+  './js/widgets/teamUpdates.js',
+  './js/widgets/themeSwitcher.js',
+  './js/widgets/weather.js',
+  './js/widgets/widgetUtils.js',
+  './js/views/adminContentView.js',
+  './js/views/comingSoonView.js',
+  './js/views/dashboardView.js',
+  './js/views/departmentsView.js',
+  './js/views/employeeDirectoryView.js',
+  './js/views/eventDetailView.js',
+  './js/views/eventsView.js',
+  './js/views/newsArticleView.js',
+  './js/views/notFoundView.js',
+  './js/views/peopleView.js',
+  './js/views/requestFormView.js',
+  './js/views/requestsView.js',
+  './js/views/resourcesView.js',
+  './js/views/savedNewsView.js',
+  './js/views/searchResultsView.js',
+  './js/locales/ar.js',
+  './js/locales/en.js',
+  './js/locales/es.js',
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting()) // Take over without waiting for every tab to close
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  const current = [SHELL_CACHE, DATA_CACHE, ASSET_CACHE];
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names
+        .filter(name => name.startsWith(CACHE_PREFIX) && !current.includes(name))
+        .map(name => caches.delete(name))))
+      .then(() => self.clients.claim())
+  );
+});
+
+function isDataRequest(request) {
+  const accept = request.headers.get('Accept') || '';
+  return accept.includes('application/json') || new URL(request.url).pathname.endsWith('.json');
+}
+
+/**
+ * Stores a copy of a successful response. Failures to cache (e.g. quota) never
+ * affect the response the page gets.
+ */
+function putInCache(cacheName, request, response) {
+  if (!response || !response.ok || response.type === 'opaque') return Promise.resolve();
+  const copy = response.clone();
+  return caches.open(cacheName)
+    .then(cache => cache.put(request, copy))
+    .catch(error => console.warn('ServiceWorker: Could not cache', request.url, error));
+}
+
+async function networkFirst(event, cacheName, fallbackUrl) {
+  const { request } = event;
+  try {
+    const response = await fetch(request);
+    event.waitUntil(putInCache(cacheName, request, response));
+    return response;
+  } catch (error) {
+    const cached = await caches.match(request, { ignoreVary: true })
+      || (fallbackUrl && await caches.match(fallbackUrl));
+    if (cached) return cached;
+    throw error; // Nothing saved: the page sees the same failure it would without us
+  }
+}
+
+async function staleWhileRevalidate(event) {
+  const { request } = event;
+  const cached = await caches.match(request);
+  const refresh = fetch(request).then((response) => {
+    event.waitUntil(putInCache(ASSET_CACHE, request, response));
+    return response;
+  });
+
+  if (cached) {
+    event.waitUntil(refresh.catch(() => { /* Offline: keep the cached copy */ }));
+    return cached;
+  }
+  return refresh;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return; // Posts etc. go straight to the network (see modules/offlineQueue.js)
+  const url = new URL(request.url);
+  if (!url.protocol.startsWith('http')) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(event, SHELL_CACHE, new URL('./index.html', self.registration.scope).href));
+  } else if (isDataRequest(request)) {
+    event.respondWith(networkFirst(event, DATA_CACHE));
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(staleWhileRevalidate(event));
+  }
+  // Cross-origin files (icon fonts, CDN stylesheets) are left to the browser's HTTP cache.
+});
@@ -6,211 +6,863 @@
  * Handles the interactive behavior of the image/content carousel.
  * Features:
  * - Slide navigation via next/previous buttons.
- * - Slide navigation via pagination dots.
- * - Dynamic update of active slide/dot classes.
+ * - Slide navigation via pagination dots (focusable tab buttons).
+ * - Swipe with mouse, pen or touch (pointer events). A swipe counts when it is long
+ *   enough or fast enough (SWIPE_DISTANCE_RATIO / SWIPE_VELOCITY).
+ * - Keyboard: Left/Right arrows, Home and End while focus is inside the carousel.
+ * - Seamless infinite looping: the slides at each end are cloned onto the other end
+ *   of the track, and after moving onto a clone the track jumps (without a
+ *   transition) to the real slide it copies.
+ * - Several slides per view, with responsive breakpoints, or variable-width slides
+ *   (slidesPerView: 'auto'). Positions are measured from the DOM, not assumed equal.
  * - Smooth transition using CSS transform.
- * - Auto-play functionality (optional).
+ * - Auto-play functionality (optional), with a visible pause/play button.
+ *
+ * Accessibility follows the WAI-ARIA carousel pattern (tabbed variant):
+ * - The carousel is a region with aria-roledescription="carousel"; slides are
+ *   tabpanels labelled "n of total", and the dots are the tabs that control them.
+ * - Slides that aren't in view are inert, so their links can't be tabbed to. Loop
+ *   clones are always hidden from assistive technology.
+ * - Slide changes made by the user are announced through a polite live region;
+ *   automatic rotation is not announced.
+ * - Autoplay stops while the carousel is hovered or has focus, while the tab is
+ *   hidden, and entirely when the user prefers reduced motion.
+ *
+ * Public API (look instances up with Carousel.get(element), or create them with
+ * `new Carousel(element, options)`):
+ * - setSlides(elements, { index }), addSlide(element, index), removeSlide(index)
+ * - goToSlide(index), goToNextSlide(), goToPrevSlide(), destroy()
+ *
+ * Events, dispatched on the carousel element:
+ * - 'slidechange'   detail: { index, previousIndex, slide, source: 'user'|'autoplay'|'api' }
+ * - 'autoplaystart' detail: { interval }
+ * - 'autoplaystop'  detail: { reason: 'user'|'hover'|'focus'|'hidden'|'reduced-motion'|'drag'|'destroy'|'api' }
+ *
+ * Options can also be given as JSON in a data-carousel-options attribute. Carousels
+ * marked data-carousel="manual" are left for a script to create.
+ *
+ * The carousel's own labels ("Slide 2 of 3", the autoplay button) come from the
+ * site's message catalogs when modules/i18n.js is loaded, and follow language
+ * changes; the `label` option is used as given.
+ *
+ * The script keeps to its own scope: window.Carousel is the only global it adds.
  *
  * Dependencies:
  * - Corresponding CSS in src/scss/components/_carousel.scss
  * - DOM elements with specific classes defined in index.html
  */
 
-class Carousel {
-  constructor(carouselElement) {
-    if (!carouselElement) {
-      console.warn("Carousel: No carousel element provided. Skipping initialization.");
-      return;
+(function () {
+  const SWIPE_DISTANCE_RATIO = 0.2; // Fraction of the slide width that always counts as a swipe
+  const SWIPE_VELOCITY = 0.3; // px/ms; a quick flick counts even if short...
+  const SWIPE_MIN_DISTANCE = 30; // ...as long as it moves at least this far (px)
+  const DRAG_CLICK_THRESHOLD = 5; // px; a drag longer than this doesn't click the link under it
+  const TRANSITION_MS = 500;
+  const FOCUSABLE = 'a[href], button, input, select, textarea, [tabindex]';
+
+  const DEFAULT_OPTIONS = Object.freeze({
+    loop: true,
+    slidesPerView: 1, // A number, or 'auto' to let each slide keep its own CSS width
+    breakpoints: {}, // { [minViewportWidth]: { slidesPerView } }, e.g. { 768: { slidesPerView: 2 } }
+    autoplay: true,
+    autoplayInterval: 5000, // 5 seconds
+    label: 'Announcements', // Used when the element has no aria-label or aria-labelledby
+  });
+
+  const instances = new WeakMap();
+  let carouselCount = 0;
+
+  // Logs through the intranet logger (window.ConnectHubLogger), or the console without it.
+  function log(level, message, ...details) {
+    const loggers = window.ConnectHubLogger;
+    if (loggers) {
+      loggers.get('Carousel')[level](message, ...details);
+    } else {
+      console[level](`[Carousel] ${message}`, ...details);
     }
+  }
+
+  // A label from the message catalogs (window.ConnectHubI18n), or the English fallback without them.
+  function translate(key, fallback, params) {
+    const i18n = window.ConnectHubI18n;
+    return i18n ? i18n.t(key, params) : fallback;
+  }
 
-    this.carousel = carouselElement;
-    this.track = this.carousel.querySelector('.carousel-track');
-    this.slides = Array.from(this.track.children);
-    this.prevBtn = this.carousel.querySelector('.carousel-nav-arrow.prev');
-    this.nextBtn = this.carousel.querySelector('.carousel-nav-arrow.next');
-    this.paginationDotsContainer = this.carousel.querySelector('.carousel-pagination');
-    this.paginationDots = []; // Will be populated dynamically
+  class Carousel {
+    /**
+     * @param {HTMLElement} carouselElement - The .carousel element.
+     * @param {object} [options] - See DEFAULT_OPTIONS.
+     */
+    constructor(carouselElement, options = {}) {
+      if (!carouselElement) {
+        log('warn', "No carousel element provided. Skipping initialization.");
+        return;
+      }
 
-    this.currentIndex = 0;
-    this.slideWidth = this.slides[0] ? this.slides[0].getBoundingClientRect().width : 0;
-    this.slideCount = this.slides.length;
-    this.isAnimating = false; // To prevent rapid clicks during transition
+      this.carousel = carouselElement;
+      this.track = this.carousel.querySelector('.carousel-track');
+      if (!this.track) {
+        log('warn', "Missing track. Carousel cannot be initialized.", this.carousel);
+        // Hide carousel if it can't function
+        this.carousel.style.display = 'none';
+        return;
+      }
 
-    this.autoplayInterval = 5000; // 5 seconds
-    this.autoplayTimer = null;
-    this.isAutoplayActive = true; // Set to false to disable autoplay
+      this.options = { ...DEFAULT_OPTIONS, ...Carousel.readOptions(this.carousel), ...options };
+      this.slides = Array.from(this.track.children);
+      this.clones = [];
+      this.cloneCount = 0; // Clones on each side of the real slides
+      this.prevBtn = this.carousel.querySelector('.carousel-nav-arrow.prev');
+      this.nextBtn = this.carousel.querySelector('.carousel-nav-arrow.next');
+      this.paginationDotsContainer = this.carousel.querySelector('.carousel-pagination');
+      this.paginationDots = []; // Will be populated dynamically
+      this.id = this.carousel.id || `carousel-${++carouselCount}`;
 
-    // Initialize the carousel if essential elements exist
-    if (this.track && this.slideCount > 0) {
+      this.currentIndex = 0; // Index into this.slides
+      this.position = 0; // Index into the track's children, clones included
+      this.slidesPerView = 1;
+      this.layout = { offsets: [], widths: [], viewportWidth: 0, maxOffset: 0 };
+      this.isAnimating = false; // To prevent rapid clicks during transition
+      this.animationTimer = null;
+      this.drag = null; // Pointer state while swiping
+      this.suppressClick = false;
+
+      this.autoplayTimer = null;
+      this.isStoppedByUser = false; // The pause button was used
+      this.isHovered = false;
+      this.hasFocus = false;
+      this.reducedMotionQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+      this.listeners = new AbortController(); // Aborted by destroy()
+
+      instances.set(this.carousel, this);
       this.init();
-    } else {
-      console.warn("Carousel: Missing track or slides. Carousel cannot be initialized.", this.carousel);
-      // Hide carousel if it can't function
-      this.carousel.style.display = 'none';
     }
-  }
 
-  /**
-   * Initializes the carousel: sets up event listeners, creates dots,
-   * displays the first slide, and starts autoplay.
-   */
-  init() {
-    this.createPaginationDots();
-    this.addEventListeners();
-    this.updateCarousel(); // Display the first slide initially
-    this.startAutoplay();
-
-    // Recalculate slide width on window resize
-    window.addEventListener('resize', () => {
-      this.slideWidth = this.slides[0].getBoundingClientRect().width;
-      this.updateCarousel(false); // Update position without transition on resize
-    });
+    /**
+     * @param {HTMLElement} element
+     * @returns {Carousel|undefined} The carousel created for the element, if any.
+     */
+    static get(element) {
+      return instances.get(element);
+    }
 
-    // Pause autoplay on mouse enter, resume on mouse leave
-    this.carousel.addEventListener('mouseenter', () => this.pauseAutoplay());
-    this.carousel.addEventListener('mouseleave', () => this.startAutoplay());
-  }
+    static readOptions(element) {
+      const json = element.dataset.carouselOptions;
+      if (!json) return {};
+      try {
+        return JSON.parse(json);
+      } catch (error) {
+        log('warn', 'Ignoring invalid data-carousel-options.', element, error);
+        return {};
+      }
+    }
+
+    get slideCount() {
+      return this.slides.length;
+    }
+
+    get prefersReducedMotion() {
+      return Boolean(this.reducedMotionQuery && this.reducedMotionQuery.matches);
+    }
+
+    get isLooping() {
+      return Boolean(this.options.loop) && this.slideCount > 1;
+    }
+
+    /**
+     * Initializes the carousel: sets up ARIA and event listeners, builds the track and
+     * dots, displays the first slide, and starts autoplay.
+     */
+    init() {
+      const { signal } = this.listeners;
+
+      this.setupAccessibility();
+      this.createAutoplayToggle();
+      this.addEventListeners();
+      this.addSwipeListeners();
+      this.render();
+      this.startAutoplay();
+
+      // Re-measure on window resize; crossing a breakpoint rebuilds the clones too
+      window.addEventListener('resize', () => {
+        if (this.resolveSlidesPerView() !== this.slidesPerView) {
+          this.render();
+        } else {
+          this.measure();
+          this.updateCarousel(false); // Update position without transition on resize
+        }
+      }, { signal });
+
+      // Pause autoplay on mouse enter, resume on mouse leave
+      this.carousel.addEventListener('mouseenter', () => {
+        this.isHovered = true;
+        this.pauseAutoplay('hover');
+      }, { signal });
+      this.carousel.addEventListener('mouseleave', () => {
+        this.isHovered = false;
+        this.startAutoplay();
+      }, { signal });
 
-  /**
-   * Adds event listeners for navigation arrows and pagination dots.
-   */
-  addEventListeners() {
-    if (this.prevBtn) {
-      this.prevBtn.addEventListener('click', () => this.goToPrevSlide());
+      // Keyboard and screen reader users need the slide to hold still while they read it
+      this.carousel.addEventListener('focusin', () => {
+        this.hasFocus = true;
+        this.pauseAutoplay('focus');
+      }, { signal });
+      this.carousel.addEventListener('focusout', (e) => {
+        if (this.carousel.contains(e.relatedTarget)) return;
+        this.hasFocus = false;
+        this.startAutoplay();
+      }, { signal });
+
+      document.addEventListener('localechange', () => this.updateLabels(), { signal });
+
+      // No rotation while the tab is in the background
+      document.addEventListener('visibilitychange', () => {
+        if (document.hidden) {
+          this.pauseAutoplay('hidden');
+        } else {
+          this.startAutoplay();
+        }
+      }, { signal });
+
+      if (this.reducedMotionQuery && this.reducedMotionQuery.addEventListener) {
+        this.reducedMotionQuery.addEventListener('change', () => {
+          this.updateAutoplayToggle();
+          if (this.prefersReducedMotion) {
+            this.pauseAutoplay('reduced-motion');
+          } else {
+            this.startAutoplay();
+          }
+        }, { signal });
+      }
     }
-    if (this.nextBtn) {
-      this.nextBtn.addEventListener('click', () => this.goToNextSlide());
+
+    /**
+     * Adds the carousel and live region semantics. Slide semantics are added by render().
+     */
+    setupAccessibility() {
+      this.carousel.setAttribute('role', 'region');
+      this.carousel.setAttribute('aria-roledescription', translate('carousel.roleDescription', 'carousel'));
+      if (!this.carousel.hasAttribute('aria-label') && !this.carousel.hasAttribute('aria-labelledby')) {
+        this.carousel.setAttribute('aria-label', this.options.label);
+      }
+
+      // Announces slide changes made by the user (see announceSlide)
+      this.liveRegion = document.createElement('div');
+      this.liveRegion.className = 'carousel-status';
+      this.liveRegion.setAttribute('aria-live', 'polite');
+      this.liveRegion.setAttribute('aria-atomic', 'true');
+      this.carousel.appendChild(this.liveRegion);
     }
 
-    if (this.paginationDotsContainer) {
-      this.paginationDotsContainer.addEventListener('click', (e) => {
-        if (e.target.classList.contains('pagination-dot')) {
-          const dotIndex = Array.from(this.paginationDots).indexOf(e.target);
+    /**
+     * Adds event listeners for navigation arrows, pagination dots and the keyboard.
+     */
+    addEventListeners() {
+      const { signal } = this.listeners;
+
+      if (this.prevBtn) {
+        this.prevBtn.addEventListener('click', () => this.goToPrevSlide({ source: 'user' }), { signal });
+      }
+      if (this.nextBtn) {
+        this.nextBtn.addEventListener('click', () => this.goToNextSlide({ source: 'user' }), { signal });
+      }
+
+      if (this.paginationDotsContainer) {
+        this.paginationDotsContainer.addEventListener('click', (e) => {
+          const dot = e.target.closest('.pagination-dot');
+          if (!dot) return;
+          const dotIndex = this.paginationDots.indexOf(dot);
           if (dotIndex !== -1 && dotIndex !== this.currentIndex) {
-            this.goToSlide(dotIndex);
+            this.goToSlide(dotIndex, { source: 'user' });
           }
+        }, { signal });
+      }
+
+      this.carousel.addEventListener('keydown', (e) => this.handleKeydown(e), { signal });
+
+      // Listen for CSS transition end to reset isAnimating flag
+      this.track.addEventListener('transitionend', (e) => {
+        if (e.target === this.track) this.endAnimation();
+      }, { signal });
+    }
+
+    /**
+     * Arrow keys change slides; on a pagination dot, focus follows the active dot.
+     * @param {KeyboardEvent} e
+     */
+    handleKeydown(e) {
+      const target = e.target;
+      if (this.slideCount <= 1 || target.closest('input, textarea, select, [contenteditable="true"]')) return;
+
+      const options = { source: 'user', force: true };
+      const moves = {
+        ArrowLeft: () => this.goToPrevSlide(options),
+        ArrowRight: () => this.goToNextSlide(options),
+        Home: () => this.goToSlide(0, options),
+        End: () => this.goToSlide(this.pageCount() - 1, options),
+      };
+      if (!moves[e.key]) return;
+      e.preventDefault();
+
+      moves[e.key]();
+      if (target.classList.contains('pagination-dot') && this.paginationDots[this.currentIndex]) {
+        this.paginationDots[this.currentIndex].focus();
+      }
+    }
+
+    /**
+     * Swipe support with pointer events. The track follows the pointer while dragging;
+     * on release the carousel moves on if the drag was long or fast enough, otherwise
+     * it snaps back.
+     */
+    addSwipeListeners() {
+      const { signal } = this.listeners;
+
+      this.track.addEventListener('pointerdown', (e) => {
+        if (this.slideCount <= 1 || (e.pointerType === 'mouse' && e.button !== 0)) return;
+        this.drag = { pointerId: e.pointerId, startX: e.clientX, startY: e.clientY, startTime: e.timeStamp, deltaX: 0, active: false };
+      }, { signal });
+
+      this.track.addEventListener('pointermove', (e) => {
+        const drag = this.drag;
+        if (!drag || drag.pointerId !== e.pointerId) return;
+        drag.deltaX = e.clientX - drag.startX;
+
+        if (!drag.active) {
+          // Let vertical scrolling win until the gesture is clearly horizontal
+          if (Math.abs(drag.deltaX) < DRAG_CLICK_THRESHOLD || Math.abs(drag.deltaX) < Math.abs(e.clientY - drag.startY)) return;
+          drag.active = true;
+          if (this.isAnimating) this.endAnimation(); // Settle onto a real slide before dragging from it
+          this.track.setPointerCapture(e.pointerId);
+          this.track.classList.add('is-dragging');
+          this.pauseAutoplay('drag');
+        }
+        this.track.style.transition = 'none';
+        this.track.style.transform = `translateX(${-this.offsetFor(this.position) + drag.deltaX}px)`;
+      }, { signal });
+
+      const endDrag = (e) => {
+        const drag = this.drag;
+        if (!drag || drag.pointerId !== e.pointerId) return;
+        this.drag = null;
+        if (!drag.active) return;
+
+        this.track.classList.remove('is-dragging');
+        this.suppressClick = true; // The click that ends a drag must not follow a link
+
+        const distance = Math.abs(drag.deltaX);
+        const velocity = distance / Math.max(e.timeStamp - drag.startTime, 1);
+        const slideWidth = this.layout.widths[this.position] || this.layout.viewportWidth;
+        const isSwipe = e.type === 'pointerup'
+          && (distance > slideWidth * SWIPE_DISTANCE_RATIO || (velocity > SWIPE_VELOCITY && distance > SWIPE_MIN_DISTANCE));
+
+        if (isSwipe && drag.deltaX < 0) {
+          this.goToNextSlide({ source: 'user', force: true });
+        } else if (isSwipe) {
+          this.goToPrevSlide({ source: 'user', force: true });
+        } else {
+          this.updateCarousel(); // Snap back
+        }
+        this.startAutoplay();
+      };
+      this.track.addEventListener('pointerup', endDrag, { signal });
+      this.track.addEventListener('pointercancel', endDrag, { signal });
+
+      this.track.addEventListener('click', (e) => {
+        if (!this.suppressClick) return;
+        this.suppressClick = false;
+        e.preventDefault();
+        e.stopPropagation();
+      }, { capture: true, signal });
+      // Stop the browser's native image/link dragging from hijacking the swipe
+      this.track.addEventListener('dragstart', (e) => e.preventDefault(), { signal });
+    }
+
+    /**
+     * Picks slidesPerView for the current viewport width from the breakpoints.
+     * @returns {number|'auto'}
+     */
+    resolveSlidesPerView() {
+      let slidesPerView = this.options.slidesPerView;
+      const breakpoints = this.options.breakpoints || {};
+      Object.keys(breakpoints)
+        .map(Number)
+        .filter(minWidth => window.innerWidth >= minWidth)
+        .sort((a, b) => a - b)
+        .forEach(minWidth => {
+          const settings = breakpoints[minWidth];
+          if (settings && settings.slidesPerView !== undefined) slidesPerView = settings.slidesPerView;
+        });
+      return slidesPerView === 'auto' ? 'auto' : Math.max(1, Number(slidesPerView) || 1);
+    }
+
+    /**
+     * Rebuilds everything that depends on the slides or the layout: slide semantics,
+     * loop clones, dots and measurements. Runs on setup and whenever the slides change.
+     */
+    render() {
+      this.slidesPerView = this.resolveSlidesPerView();
+      const isVariableWidth = this.slidesPerView === 'auto';
+      this.carousel.classList.toggle('is-variable-width', isVariableWidth);
+      if (isVariableWidth) {
+        this.carousel.style.removeProperty('--slides-per-view');
+      } else {
+        this.carousel.style.setProperty('--slides-per-view', String(this.slidesPerView));
+      }
+
+      // No slides (yet): stay hidden until setSlides() or addSlide() provides some
+      this.carousel.style.display = this.slideCount ? '' : 'none';
+      [this.prevBtn, this.nextBtn, this.paginationDotsContainer, this.autoplayToggle].forEach(control => {
+        if (control) control.hidden = this.slideCount <= 1;
+      });
+
+      this.slides.forEach((slide, index) => {
+        slide.classList.add('carousel-slide');
+        slide.id = slide.id || `${this.id}-slide-${index + 1}`;
+        slide.setAttribute('role', 'tabpanel');
+      });
+      this.labelSlides();
+
+      this.buildClones();
+      this.measure();
+      this.createPaginationDots();
+      this.currentIndex = Math.min(this.currentIndex, Math.max(this.pageCount() - 1, 0));
+      this.position = this.cloneCount + this.currentIndex;
+      this.updateCarousel(false);
+    }
+
+    /**
+     * Surrounds the real slides with copies of the slides from the other end, so moving
+     * past either end shows the next slide instead of rewinding.
+     */
+    buildClones() {
+      this.clones.forEach(clone => clone.remove());
+      this.clones = [];
+      this.cloneCount = 0;
+      if (!this.isLooping) return;
+
+      // Enough copies to fill the view on both sides; variable widths can't be predicted, so copy all
+      this.cloneCount = this.slidesPerView === 'auto'
+        ? this.slideCount
+        : Math.min(this.slideCount, Math.ceil(this.slidesPerView));
+
+      const makeClone = (slide) => {
+        const clone = slide.cloneNode(true);
+        clone.classList.add('is-clone');
+        clone.classList.remove('active');
+        [clone, ...clone.querySelectorAll('[id]')].forEach(element => element.removeAttribute('id'));
+        ['role', 'aria-roledescription', 'aria-label', 'inert'].forEach(name => clone.removeAttribute(name));
+        // Not inert: a clone can be in view (and clicked) while the track settles
+        clone.setAttribute('aria-hidden', 'true');
+        clone.querySelectorAll(FOCUSABLE).forEach(element => element.setAttribute('tabindex', '-1'));
+        this.clones.push(clone);
+        return clone;
+      };
+
+      this.track.prepend(...this.slides.slice(-this.cloneCount).map(makeClone));
+      this.track.append(...this.slides.slice(0, this.cloneCount).map(makeClone));
+    }
+
+    /**
+     * Measures where each track item starts, so slides of different widths line up.
+     */
+    measure() {
+      const items = Array.from(this.track.children);
+      const gap = parseFloat(window.getComputedStyle(this.track).columnGap) || 0;
+      const widths = items.map(item => item.getBoundingClientRect().width);
+      const offsets = [];
+      const totalWidth = widths.reduce((offset, width, index) => {
+        offsets[index] = offset;
+        return offset + width + gap;
+      }, 0) - (items.length ? gap : 0);
+
+      const viewportWidth = this.carousel.getBoundingClientRect().width;
+      this.layout = { offsets, widths, viewportWidth, maxOffset: Math.max(totalWidth - viewportWidth, 0) };
+    }
+
+    /**
+     * @param {number} position - Index into the track's children.
+     * @returns {number} How far (px) the track moves left to show that item first.
+     */
+    offsetFor(position) {
+      const offset = this.layout.offsets[position] || 0;
+      // Without looping, stop once the last slide is fully in view rather than leave a gap
+      return this.isLooping ? offset : Math.min(offset, this.layout.maxOffset);
+    }
+
+    /**
+     * @returns {number} How many distinct positions (and dots) there are. Without
+     *   looping, the last slides of a multi-slide view share the final position.
+     */
+    pageCount() {
+      if (this.isLooping || this.slideCount <= 1 || !this.layout.viewportWidth) return this.slideCount;
+      const lastPage = this.slides.findIndex((slide, index) => this.layout.offsets[index] >= this.layout.maxOffset);
+      return lastPage === -1 ? this.slideCount : lastPage + 1;
+    }
+
+    /**
+     * Creates pagination dots dynamically, one per position.
+     */
+    createPaginationDots() {
+      if (!this.paginationDotsContainer) return;
+
+      this.paginationDotsContainer.innerHTML = ''; // Clear any existing dots
+      this.paginationDots = [];
+      this.paginationDotsContainer.setAttribute('role', 'tablist');
+      this.paginationDotsContainer.setAttribute('aria-label', translate('carousel.slides', 'Slides'));
+      for (let i = 0; i < this.pageCount(); i++) {
+        const dot = document.createElement('button');
+        dot.type = 'button';
+        dot.classList.add('pagination-dot');
+        dot.dataset.index = i; // Store index for easy lookup
+        dot.id = `${this.id}-tab-${i + 1}`;
+        dot.setAttribute('role', 'tab');
+        dot.setAttribute('aria-controls', this.slides[i].id);
+        dot.setAttribute('aria-label', translate('carousel.slide', `Slide ${i + 1}`, { number: i + 1 }));
+        this.paginationDotsContainer.appendChild(dot);
+        this.paginationDots.push(dot);
+      }
+    }
+
+    /**
+     * Creates the pause/play button. It comes first in the carousel so keyboard users
+     * reach it before the rotating content.
+     */
+    createAutoplayToggle() {
+      if (!this.options.autoplay) return;
+
+      this.autoplayToggle = document.createElement('button');
+      this.autoplayToggle.type = 'button';
+      this.autoplayToggle.className = 'carousel-autoplay-toggle';
+      this.autoplayToggle.appendChild(document.createElement('i')).setAttribute('aria-hidden', 'true');
+      this.autoplayToggle.addEventListener('click', () => {
+        this.isStoppedByUser = !this.isStoppedByUser;
+        this.updateAutoplayToggle();
+        if (this.isStoppedByUser) {
+          this.pauseAutoplay('user');
+        } else {
+          // The button itself has focus, which would otherwise hold the carousel still
+          this.startAutoplay({ ignoreFocus: true });
         }
+      }, { signal: this.listeners.signal });
+      this.carousel.prepend(this.autoplayToggle);
+      this.updateAutoplayToggle();
+    }
+
+    updateAutoplayToggle() {
+      if (!this.autoplayToggle) return;
+      const playing = !this.isStoppedByUser && !this.prefersReducedMotion;
+      this.autoplayToggle.setAttribute('aria-label', playing
+        ? translate('carousel.stopAutoplay', 'Stop automatic slide show')
+        : translate('carousel.startAutoplay', 'Start automatic slide show'));
+      this.autoplayToggle.title = this.autoplayToggle.getAttribute('aria-label');
+      this.autoplayToggle.querySelector('i').className = playing ? 'fas fa-pause' : 'fas fa-play';
+    }
+
+    /**
+     * Updates the carousel's display to show the current slide.
+     * Applies transform to the track and updates active classes.
+     * @param {boolean} [useTransition=true] - Whether to use CSS transition for the slide.
+     */
+    updateCarousel(useTransition = true) {
+      if (this.slideCount === 0) return;
+
+      const animate = useTransition && !this.prefersReducedMotion;
+      const offset = this.offsetFor(this.position);
+      this.isAnimating = animate; // Set flag if transition is intended
+      this.track.style.transition = animate ? `transform ${TRANSITION_MS / 1000}s ease-in-out` : 'none';
+      this.track.style.transform = `translateX(-${offset}px)`;
+      if (animate) {
+        // transitionend doesn't fire if the position didn't actually change
+        clearTimeout(this.animationTimer);
+        this.animationTimer = setTimeout(() => this.endAnimation(), TRANSITION_MS + 100);
+      } else {
+        void this.track.offsetWidth; // Apply the jump now, before any transition that follows
+      }
+
+      // Update active classes for slides; slides out of view leave the tab order
+      const { offsets, widths, viewportWidth } = this.layout;
+      const visibleCount = this.slidesPerView === 'auto' ? 1 : Math.ceil(this.slidesPerView);
+      this.slides.forEach((slide, index) => {
+        const position = this.cloneCount + index;
+        const start = offsets[position] - offset;
+        const inView = viewportWidth
+          ? start > -1 && start + widths[position] <= viewportWidth + 1
+          : index >= this.currentIndex && index < this.currentIndex + visibleCount; // Not laid out (yet)
+        slide.classList.toggle('active', index === this.currentIndex);
+        slide.toggleAttribute('inert', !inView);
+        slide.setAttribute('aria-hidden', String(!inView));
+      });
+
+      // Update active classes for pagination dots (roving tabindex)
+      this.paginationDots.forEach((dot, index) => {
+        const isActive = index === this.currentIndex;
+        dot.classList.toggle('active', isActive);
+        dot.setAttribute('aria-selected', String(isActive));
+        dot.tabIndex = isActive ? 0 : -1;
       });
     }
 
-    // Listen for CSS transition end to reset isAnimating flag
-    this.track.addEventListener('transitionend', () => {
+    /**
+     * Called when a slide transition finishes. If it ended on a loop clone, jumps to
+     * the real slide that clone copies; they look identical, so the jump is invisible.
+     */
+    endAnimation() {
+      clearTimeout(this.animationTimer);
       this.isAnimating = false;
-    });
-  }
+      const realPosition = this.cloneCount + this.currentIndex;
+      if (this.position !== realPosition) {
+        this.position = realPosition;
+        this.updateCarousel(false);
+      }
+    }
 
-  /**
-   * Creates pagination dots dynamically based on the number of slides.
-   */
-  createPaginationDots() {
-    if (!this.paginationDotsContainer) return;
+    /**
+     * Reads out the current slide, e.g. "Slide 2 of 3: New HR Policies Released".
+     */
+    announceSlide() {
+      const slide = this.slides[this.currentIndex];
+      const heading = slide.querySelector('h2, h3');
+      const number = this.currentIndex + 1;
+      const title = heading ? heading.textContent.trim() : '';
+      const params = { number, count: this.slideCount, title };
+      this.liveRegion.textContent = title
+        ? translate('carousel.announceTitled', `Slide ${number} of ${this.slideCount}: ${title}`, params)
+        : translate('carousel.announce', `Slide ${number} of ${this.slideCount}`, params);
+    }
 
-    this.paginationDotsContainer.innerHTML = ''; // Clear any existing dots
-    for (let i = 0; i < this.slideCount; i++) {
-      const dot = document.createElement('div');
-      dot.classList.add('pagination-dot');
-      dot.dataset.index = i; // Store index for easy lookup
-      this.paginationDotsContainer.appendChild(dot);
-      this.paginationDots.push(dot);
+    /**
+     * Labels the slides "n of total" (tabpanels in the WAI-ARIA pattern).
+     */
+    labelSlides() {
+      this.slides.forEach((slide, index) => {
+        slide.setAttribute('aria-roledescription', translate('carousel.slideRoleDescription', 'slide'));
+        slide.setAttribute('aria-label', translate('carousel.position', `${index + 1} of ${this.slideCount}`, { number: index + 1, count: this.slideCount }));
+      });
     }
-  }
 
-  /**
-   * Updates the carousel's display to show the current slide.
-   * Applies transform to the track and updates active classes.
-   * @param {boolean} [useTransition=true] - Whether to use CSS transition for the slide.
-   */
-  updateCarousel(useTransition = true) {
-    if (this.slideCount === 0) return;
-
-    this.isAnimating = useTransition; // Set flag if transition is intended
-    this.track.style.transition = useTransition ? 'transform 0.5s ease-in-out' : 'none';
-    this.track.style.transform = `translateX(-${this.currentIndex * this.slideWidth}px)`;
-
-    // Update active classes for slides
-    this.slides.forEach((slide, index) => {
-      slide.classList.toggle('active', index === this.currentIndex);
-    });
+    /**
+     * Translates the labels again after the page language changes.
+     */
+    updateLabels() {
+      this.carousel.setAttribute('aria-roledescription', translate('carousel.roleDescription', 'carousel'));
+      this.labelSlides();
+      if (this.paginationDotsContainer) {
+        this.paginationDotsContainer.setAttribute('aria-label', translate('carousel.slides', 'Slides'));
+        this.paginationDots.forEach((dot, i) => dot.setAttribute('aria-label', translate('carousel.slide', `Slide ${i + 1}`, { number: i + 1 })));
+      }
+      this.updateAutoplayToggle();
+    }
 
-    // Update active classes for pagination dots
-    this.paginationDots.forEach((dot, index) => {
-      dot.classList.toggle('active', index === this.currentIndex);
-    });
-  }
+    emit(type, detail) {
+      this.carousel.dispatchEvent(new CustomEvent(type, { detail }));
+    }
 
-  /**
-   * Navigates to a specific slide by index.
-   * @param {number} index - The index of the slide to go to.
-   */
-  goToSlide(index) {
-    if (this.isAnimating || index < 0 || index >= this.slideCount) {
-      return;
-    }
-    this.currentIndex = index;
-    this.updateCarousel();
-    this.resetAutoplay();
-  }
+    /**
+     * Moves the track to `position` (which may be a loop clone) and makes `index` the
+     * current slide.
+     */
+    moveTo(position, index, { source = 'api', force = false } = {}) {
+      if (this.isAnimating && !force) return;
 
-  /**
-   * Navigates to the next slide. Wraps around to the first slide if at the end.
-   */
-  goToNextSlide() {
-    if (this.isAnimating) return;
-    const nextIndex = (this.currentIndex + 1) % this.slideCount;
-    this.goToSlide(nextIndex);
-  }
+      const previousIndex = this.currentIndex;
+      const moved = position !== this.position;
+      this.currentIndex = index;
+      this.position = position;
+      this.updateCarousel(moved);
+      if (!this.isAnimating) this.endAnimation(); // No transition to wait for (e.g. reduced motion)
 
-  /**
-   * Navigates to the previous slide. Wraps around to the last slide if at the beginning.
-   */
-  goToPrevSlide() {
-    if (this.isAnimating) return;
-    const prevIndex = (this.currentIndex - 1 + this.slideCount) % this.slideCount;
-    this.goToSlide(prevIndex);
-  }
+      if (index !== previousIndex) {
+        if (source === 'user') this.announceSlide();
+        this.emit('slidechange', { index, previousIndex, slide: this.slides[index], source });
+      }
+      if (source !== 'autoplay') this.resetAutoplay();
+    }
 
-  /**
-   * Starts the autoplay timer.
-   */
-  startAutoplay() {
-    if (!this.isAutoplayActive || this.slideCount <= 1) return; // No autoplay if only one slide
+    /**
+     * Navigates to a specific slide by index.
+     * @param {number} index - The index of the slide to go to.
+     * @param {object} [options]
+     * @param {'user'|'autoplay'|'api'} [options.source='api'] - Who asked; user changes are announced.
+     * @param {boolean} [options.force=false] - Navigate even during a transition (keys, swipes).
+     */
+    goToSlide(index, options = {}) {
+      if (index < 0 || index >= this.pageCount()) {
+        return;
+      }
+      if (this.isAnimating && options.force) this.endAnimation(); // Settle, so the offset is from a real slide
+      this.moveTo(this.cloneCount + index, index, options);
+    }
 
-    this.pauseAutoplay(); // Clear any existing timer
-    this.autoplayTimer = setInterval(() => {
-      this.goToNextSlide();
-    }, this.autoplayInterval);
-  }
+    /**
+     * Moves one slide forwards (1) or backwards (-1). When looping, the track moves
+     * onto the clone beyond the end; otherwise it rewinds to the other end.
+     */
+    step(direction, options = {}) {
+      if (this.slideCount <= 1 || (this.isAnimating && !options.force)) return;
+      const pages = this.pageCount();
+      const index = (this.currentIndex + direction + pages) % pages;
+      if (!this.isLooping) {
+        this.goToSlide(index, options);
+        return;
+      }
+      if (this.isAnimating) this.endAnimation();
+      this.moveTo(this.position + direction, index, options);
+    }
+
+    /**
+     * Navigates to the next slide; after the last one comes the first.
+     * @param {object} [options] - See goToSlide.
+     */
+    goToNextSlide(options) {
+      this.step(1, options);
+    }
+
+    /**
+     * Navigates to the previous slide; before the first one comes the last.
+     * @param {object} [options] - See goToSlide.
+     */
+    goToPrevSlide(options) {
+      this.step(-1, options);
+    }
+
+    /**
+     * Replaces all slides.
+     * @param {HTMLElement[]} slides - Slide elements; the carousel-slide class is added if missing.
+     * @param {object} [options]
+     * @param {number} [options.index=0] - Slide to show.
+     */
+    setSlides(slides, { index = 0 } = {}) {
+      this.endAnimation();
+      this.clones.forEach(clone => clone.remove());
+      this.clones = [];
+      this.slides.forEach(slide => slide.remove());
+      this.slides = Array.from(slides);
+      this.track.append(...this.slides);
+      this.currentIndex = Math.max(0, Math.min(index, this.slideCount - 1));
+      this.render();
+      this.resetAutoplay();
+    }
+
+    /**
+     * Inserts a slide. The slide currently shown stays in view.
+     * @param {HTMLElement} slide
+     * @param {number} [index=slideCount] - Where to insert it; defaults to the end.
+     */
+    addSlide(slide, index = this.slideCount) {
+      const at = Math.max(0, Math.min(index, this.slideCount));
+      this.endAnimation();
+      if (this.slides[at]) {
+        this.slides[at].before(slide);
+      } else if (this.slideCount) {
+        this.slides[this.slideCount - 1].after(slide);
+      } else {
+        this.track.prepend(slide);
+      }
+      this.slides.splice(at, 0, slide);
+      if (at <= this.currentIndex && this.slideCount > 1) this.currentIndex++;
+      this.render();
+      this.resetAutoplay();
+    }
 
-  /**
-   * Pauses the autoplay timer.
-   */
-  pauseAutoplay() {
-    if (this.autoplayTimer) {
+    /**
+     * Removes a slide. If it was the one shown, the next one (or the new last one) is shown.
+     * @param {number} index
+     * @returns {HTMLElement|null} The removed slide.
+     */
+    removeSlide(index) {
+      if (index < 0 || index >= this.slideCount) return null;
+      this.endAnimation();
+      const [slide] = this.slides.splice(index, 1);
+      slide.remove();
+      if (index < this.currentIndex) this.currentIndex--;
+      this.render(); // Clamps currentIndex if the last slide was removed
+      if (!this.slideCount) this.pauseAutoplay();
+      return slide;
+    }
+
+    /**
+     * Stops the carousel and removes everything it added, leaving the slides in place.
+     */
+    destroy() {
+      this.pauseAutoplay('destroy');
+      clearTimeout(this.animationTimer);
+      this.listeners.abort();
+      this.clones.forEach(clone => clone.remove());
+      this.clones = [];
+      [this.autoplayToggle, this.liveRegion].forEach(element => element && element.remove());
+      if (this.paginationDotsContainer) this.paginationDotsContainer.innerHTML = '';
+      this.slides.forEach(slide => {
+        ['role', 'aria-roledescription', 'aria-label', 'aria-hidden', 'inert'].forEach(name => slide.removeAttribute(name));
+        slide.classList.remove('active');
+      });
+      this.track.style.transition = '';
+      this.track.style.transform = '';
+      this.carousel.style.removeProperty('--slides-per-view');
+      this.carousel.classList.remove('is-variable-width');
+      ['role', 'aria-roledescription'].forEach(name => this.carousel.removeAttribute(name));
+      instances.delete(this.carousel);
+    }
+
+    /**
+     * Starts the autoplay timer, unless something is holding the carousel still.
+     * @param {object} [options]
+     * @param {boolean} [options.ignoreFocus=false] - Start even though the carousel has focus.
+     */
+    startAutoplay({ ignoreFocus = false } = {}) {
+      if (!this.options.autoplay || this.slideCount <= 1 || this.autoplayTimer) return;
+      if (this.isStoppedByUser || this.prefersReducedMotion || document.hidden) return;
+      if (this.isHovered || this.drag || (this.hasFocus && !ignoreFocus)) return;
+
+      this.scheduleAutoplay();
+      this.emit('autoplaystart', { interval: this.options.autoplayInterval });
+    }
+
+    scheduleAutoplay() {
       clearInterval(this.autoplayTimer);
-      this.autoplayTimer = null;
+      this.autoplayTimer = setInterval(() => {
+        this.goToNextSlide({ source: 'autoplay' });
+      }, this.options.autoplayInterval);
     }
-  }
 
-  /**
-   * Resets the autoplay timer (pauses and then restarts).
-   * Useful after manual navigation.
-   */
-  resetAutoplay() {
-    if (this.isAutoplayActive) {
-      this.pauseAutoplay();
-      this.startAutoplay();
+    /**
+     * Pauses the autoplay timer.
+     * @param {string} [reason] - Reported in the autoplaystop event.
+     */
+    pauseAutoplay(reason = 'api') {
+      if (this.autoplayTimer) {
+        clearInterval(this.autoplayTimer);
+        this.autoplayTimer = null;
+        this.emit('autoplaystop', { reason });
+      }
+    }
+
+    /**
+     * Restarts the autoplay countdown so a full interval passes after manual navigation.
+     */
+    resetAutoplay() {
+      if (this.autoplayTimer) {
+        this.scheduleAutoplay();
+      } else {
+        this.startAutoplay();
+      }
     }
   }
-}
 
-// Auto-initialize all carousels on the page when the DOM is ready
-document.addEventListener('DOMContentLoaded', () => {
-  const carousels = document.querySelectorAll('.carousel');
-  carousels.forEach(carouselElement => {
-    new Carousel(carouselElement);
-  });
+  // Scripts (e.g. the featured news widget) create and look up carousels through this
+  window.Carousel = Carousel;
+
+  // Auto-initialize all carousels on the page when the DOM is ready
+  document.addEventListener('DOMContentLoaded', () => {
+    const carousels = document.querySelectorAll('.carousel');
+    carousels.forEach(carouselElement => {
+      if (Carousel.get(carouselElement) || carouselElement.dataset.carousel === 'manual') return;
+      new Carousel(carouselElement);
+    });
 
-  // Small note for the user: For the weather display and upcoming meetings in personalized briefing,
-  // these would require separate JavaScript logic to fetch and display dynamic data.
-  // The JS here is solely for the carousel component.
-});
+    // Small note for the user: For the weather display and upcoming meetings in personalized briefing,
+    // these would require separate JavaScript logic to fetch and display dynamic data.
+    // The JS here is solely for the carousel component.
+  });
+})();
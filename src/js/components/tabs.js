@@ -8,150 +8,655 @@
  * - Switches content panels when a tab header is clicked.
  * - Manages 'active' classes for both headers and panels.
  * - Implements WAI-ARIA best practices for accessibility (roles, states, properties).
- * - Supports keyboard navigation (Left/Right arrows for tab headers).
+ * - Keyboard navigation: Left/Right arrows (Up/Down when vertical), Home and End.
+ *   In 'automatic' activation mode (the default) moving focus selects the tab; in
+ *   'manual' mode it only moves focus, and Enter/Space selects.
+ * - Deep links: the selected tab can be kept in the URL (a query parameter, or the
+ *   hash on pages without the hash router) and is restored on load and on back/forward.
+ * - Lazy panels: content is loaded the first time a panel is shown, either from a
+ *   same-origin HTML fragment (data-src) or by a loader function, with loading and
+ *   error (retry) states.
+ * - Closable tabs (Delete key or the × icon) and addable tabs (a + button).
+ * - Events other modules can listen to on the container: 'tabchange', 'tabadd' and
+ *   'tabclose' (cancelable).
  * - Can initialize multiple tab sets on a single page.
  *
  * Assumed HTML Structure:
- * <div class="tabs-container">
+ * <div class="tabs-container" data-tabs-sync="query" data-tabs-param="section">
  * <div class="tab-headers" role="tablist">
  * <button class="tab-header" role="tab" id="tab-1-header" aria-controls="tab-1-panel" aria-selected="false" tabindex="-1">Tab 1</button>
- * <button class="tab-header" role="tab" id="tab-2-header" aria-controls="tab-2-panel" aria-selected="false" tabindex="-1">Tab 2</button>
+ * <button class="tab-header" role="tab" id="tab-2-header" aria-controls="tab-2-panel" aria-selected="false" tabindex="-1" data-closable>Tab 2</button>
  * </div>
  * <div class="tab-content">
  * <div class="tab-panel" role="tabpanel" id="tab-1-panel" aria-labelledby="tab-1-header" hidden>Content 1</div>
- * <div class="tab-panel" role="tabpanel" id="tab-2-panel" aria-labelledby="tab-2-header" hidden>Content 2</div>
+ * <div class="tab-panel" role="tabpanel" id="tab-2-panel" aria-labelledby="tab-2-header" data-src="fragments/tab-2.html" hidden></div>
  * </div>
  * </div>
+ *
+ * Options (constructor argument, or data-* attributes on the container):
+ * - sync: 'query' | 'hash' | false (data-tabs-sync). Off by default.
+ * - param: query parameter name (data-tabs-param), default 'tab'.
+ * - orientation: 'horizontal' | 'vertical' (data-orientation).
+ * - activation: 'automatic' | 'manual' (data-activation).
+ * - closable: true to make every tab closable (or data-closable per tab).
+ * - loaders: { [panelId]: async (panel, { signal }) => Node | string } for lazy panels.
+ *   Returned strings are shown as text, never parsed as HTML.
+ * - onAdd: function returning (or resolving to) a tab definition for addTab();
+ *   when given, a + button is shown after the tabs.
+ *
+ * A tab's key in the URL and in events is its data-tab attribute, or else its panel's id.
+ *
+ * Public API (look instances up with Tabs.get(element)):
+ * - select(keyOrIndex, { focus }), addTab({ key, label, content, src, loader, closable, select }),
+ *   removeTab(keyOrIndex), reloadPanel(keyOrIndex), destroy()
+ * window.Tabs is the only global the script adds.
+ *
+ * The component's own text (loading and error states, the close and add buttons) is
+ * taken from the site's message catalogs when modules/i18n.js is loaded, and marked
+ * with data-i18n so it is translated again when the language changes.
  */
 
-class Tabs {
-  constructor(containerElement) {
-    if (!containerElement) {
-      console.warn("Tabs: No container element provided. Skipping initialization.");
-      return;
+(function () {
+  const DEFAULT_TABS_OPTIONS = Object.freeze({
+    sync: false,
+    param: 'tab',
+    orientation: 'horizontal',
+    activation: 'automatic',
+    closable: false,
+    loaders: {},
+    onAdd: null,
+  });
+
+  const tabsInstances = new WeakMap();
+  let tabsCount = 0;
+
+  // Logs through the intranet logger (window.ConnectHubLogger), or the console without it.
+  function log(level, message, ...details) {
+    const loggers = window.ConnectHubLogger;
+    if (loggers) {
+      loggers.get('Tabs')[level](message, ...details);
+    } else {
+      console[level](`[Tabs] ${message}`, ...details);
     }
+  }
+
+  // A message from the catalogs (window.ConnectHubI18n), or the English fallback without them.
+  function translate(key, fallback) {
+    const i18n = window.ConnectHubI18n;
+    return i18n ? i18n.t(key) : fallback;
+  }
+
+  function setText(element, key, fallback) {
+    element.textContent = translate(key, fallback);
+    element.setAttribute('data-i18n', key);
+  }
+
+  // attributes: { name: [key, fallback] }
+  function setAttributes(element, attributes) {
+    const keys = {};
+    Object.entries(attributes).forEach(([name, [key, fallback]]) => {
+      element.setAttribute(name, translate(key, fallback));
+      keys[name] = key;
+    });
+    element.setAttribute('data-i18n-attrs', JSON.stringify(keys));
+  }
+
+  class Tabs {
+    /**
+     * @param {HTMLElement} containerElement - The .tabs-container element.
+     * @param {object} [options] - See the options above.
+     */
+    constructor(containerElement, options = {}) {
+      if (!containerElement) {
+        log('warn', "No container element provided. Skipping initialization.");
+        return;
+      }
+
+      this.container = containerElement;
+      this.tabHeadersContainer = this.container.querySelector('.tab-headers');
+      this.tabContentContainer = this.container.querySelector('.tab-content');
 
-    this.container = containerElement;
-    this.tabHeadersContainer = this.container.querySelector('.tab-headers');
-    this.tabContentContainer = this.container.querySelector('.tab-content');
+      if (!this.tabHeadersContainer || !this.tabContentContainer) {
+        log('warn', "Missing .tab-headers or .tab-content container. Skipping initialization.", this.container);
+        return;
+      }
 
-    if (!this.tabHeadersContainer || !this.tabContentContainer) {
-      console.warn("Tabs: Missing .tab-headers or .tab-content container. Skipping initialization.", this.container);
-      return;
+      const data = this.container.dataset;
+      this.options = {
+        ...DEFAULT_TABS_OPTIONS,
+        ...(data.tabsSync && { sync: data.tabsSync }),
+        ...(data.tabsParam && { param: data.tabsParam }),
+        ...(data.orientation && { orientation: data.orientation }),
+        ...(data.activation && { activation: data.activation }),
+        ...options,
+      };
+      this.id = this.container.id || `tabs-${++tabsCount}`;
+      this.loads = new Map(); // panel id -> AbortController of a load in progress
+      this.listeners = new AbortController(); // Aborted by destroy()
+
+      if (this.tabHeaders.length === 0) {
+        log('warn', "No tabs found. Skipping initialization.", this.container);
+        return;
+      }
+      const missing = this.tabHeaders.find(header => !this.panelFor(header));
+      if (missing) {
+        log('warn', "A tab header has no matching panel. Skipping initialization.", missing);
+        return;
+      }
+
+      tabsInstances.set(this.container, this);
+      this.init();
     }
 
-    this.tabHeaders = Array.from(this.tabHeadersContainer.querySelectorAll('.tab-header'));
-    this.tabPanels = Array.from(this.tabContentContainer.querySelectorAll('.tab-panel'));
+    /**
+     * @param {HTMLElement} element
+     * @returns {Tabs|undefined} The Tabs instance created for the container, if any.
+     */
+    static get(element) {
+      return tabsInstances.get(element);
+    }
 
-    if (this.tabHeaders.length === 0 || this.tabPanels.length === 0 || this.tabHeaders.length !== this.tabPanels.length) {
-      console.warn("Tabs: Mismatch in number of tab headers and panels, or no tabs found. Skipping initialization.", this.container);
-      return;
+    /** Current tab headers, in order (read live, so added/removed tabs are included). */
+    get tabHeaders() {
+      return Array.from(this.tabHeadersContainer.querySelectorAll('.tab-header'));
     }
 
-    this.init();
-  }
+    /** Current panels, in the order of their tabs. */
+    get tabPanels() {
+      return this.tabHeaders.map(header => this.panelFor(header));
+    }
 
-  /**
-   * Initializes the tabs component by setting up ARIA attributes,
-   * event listeners, and activating the default tab.
-   */
-  init() {
-    this.tabHeaders.forEach((header, index) => {
-      // Set initial ARIA attributes for non-active tabs
+    get isVertical() {
+      return this.options.orientation === 'vertical';
+    }
+
+    /**
+     * @param {HTMLElement} header
+     * @returns {HTMLElement|null}
+     */
+    panelFor(header) {
+      const panelId = header.getAttribute('aria-controls');
+      return panelId ? this.tabContentContainer.querySelector(`[id="${panelId}"]`) : null;
+    }
+
+    /**
+     * @param {HTMLElement} header
+     * @returns {string} The tab's key, used in the URL and in events.
+     */
+    keyOf(header) {
+      return header.dataset.tab || header.getAttribute('aria-controls');
+    }
+
+    /**
+     * @param {string|number} keyOrIndex
+     * @returns {HTMLElement|undefined}
+     */
+    findTab(keyOrIndex) {
+      const headers = this.tabHeaders;
+      return typeof keyOrIndex === 'number' ? headers[keyOrIndex] : headers.find(header => this.keyOf(header) === keyOrIndex);
+    }
+
+    get activeTab() {
+      return this.tabHeaders.find(header => header.getAttribute('aria-selected') === 'true') || null;
+    }
+
+    /**
+     * Initializes the tabs component by setting up ARIA attributes,
+     * event listeners, and selecting the initial tab. Focus is left alone:
+     * tabs must not pull the page's focus on load.
+     */
+    init() {
+      const { signal } = this.listeners;
+
+      this.container.classList.toggle('tabs-vertical', this.isVertical);
+      this.tabHeadersContainer.setAttribute('role', 'tablist');
+      this.tabHeadersContainer.setAttribute('aria-orientation', this.isVertical ? 'vertical' : 'horizontal');
+      this.tabHeaders.forEach(header => this.setupTab(header));
+
+      this.tabHeadersContainer.addEventListener('click', (e) => {
+        const header = e.target.closest('.tab-header');
+        if (!header) return;
+        if (e.target.closest('.tab-close')) {
+          this.removeTab(this.keyOf(header), { source: 'user' });
+        } else {
+          this.select(this.keyOf(header), { source: 'user' });
+        }
+      }, { signal });
+      this.tabHeadersContainer.addEventListener('keydown', (e) => {
+        const header = e.target.closest('.tab-header');
+        if (header) this.handleKeydown(e, header);
+      }, { signal });
+
+      if (typeof this.options.onAdd === 'function') this.createAddButton();
+
+      // Restore the tab from the URL, else the one marked selected in the markup, else the first
+      const initial = this.findTab(this.readUrlState())
+        || this.tabHeaders.find(header => header.getAttribute('aria-selected') === 'true' || header.classList.contains('active'))
+        || this.tabHeaders[0];
+      this.tabHeaders.forEach(header => header.setAttribute('aria-selected', 'false'));
+      this.select(this.keyOf(initial), { source: 'init', updateUrl: false });
+
+      if (this.options.sync) {
+        const restore = () => {
+          const tab = this.findTab(this.readUrlState());
+          if (tab) this.select(this.keyOf(tab), { source: 'url', updateUrl: false });
+        };
+        window.addEventListener('popstate', restore, { signal });
+        window.addEventListener('hashchange', restore, { signal });
+      }
+    }
+
+    /**
+     * Sets up ARIA and the close icon for one tab header and its panel.
+     * @param {HTMLElement} header
+     */
+    setupTab(header) {
+      const panel = this.panelFor(header);
+      if (!header.id) header.id = `${panel.id}-tab`;
       header.setAttribute('role', 'tab');
-      header.setAttribute('aria-controls', this.tabPanels[index].id);
-      header.setAttribute('tabindex', '-1'); // Not keyboard focusable by default
-      header.setAttribute('aria-selected', 'false');
-
-      // Set ARIA for panels
-      this.tabPanels[index].setAttribute('role', 'tabpanel');
-      this.tabPanels[index].setAttribute('aria-labelledby', header.id);
-      this.tabPanels[index].setAttribute('hidden', 'true'); // Hide all panels by default
-
-      // Add click listener
-      header.addEventListener('click', () => this.activateTab(header));
-      // Add keyboard listener for arrow navigation
-      header.addEventListener('keydown', (e) => this.handleKeydown(e, index));
-    });
+      header.setAttribute('tabindex', '-1'); // Only the selected tab is in the Tab order
+      header.setAttribute('aria-selected', header.getAttribute('aria-selected') === 'true' ? 'true' : 'false');
+      if (header.tagName === 'BUTTON') header.type = 'button';
 
-    // Activate the first tab by default
-    this.activateTab(this.tabHeaders[0]);
-  }
+      panel.setAttribute('role', 'tabpanel');
+      panel.setAttribute('aria-labelledby', header.id);
+      panel.setAttribute('tabindex', '0'); // Lets keyboard users reach panels without focusable content
+      panel.hidden = true; // Hide all panels until one is selected
 
-  /**
-   * Activates a specific tab, updates active classes and ARIA attributes.
-   * @param {HTMLElement} activeTabHeader - The tab header to activate.
-   */
-  activateTab(activeTabHeader) {
-    // Prevent activating if the tab is already active
-    if (activeTabHeader.classList.contains('active')) {
-      return;
-    }
-
-    // Deactivate current active tab and panel
-    this.tabHeaders.forEach(header => {
-      header.classList.remove('active');
-      header.setAttribute('aria-selected', 'false');
-      header.setAttribute('tabindex', '-1'); // Make non-active tabs unfocusable via Tab key
-    });
+      const closable = this.options.closable || header.hasAttribute('data-closable');
+      if (closable && !header.querySelector('.tab-close')) {
+        const icon = document.createElement('span');
+        icon.className = 'tab-close';
+        icon.setAttribute('aria-hidden', 'true'); // Keyboard users press Delete instead
+        icon.textContent = '×';
+        setAttributes(icon, { title: ['tabs.close', 'Close tab'] });
+        header.appendChild(icon);
+        header.setAttribute('aria-keyshortcuts', 'Delete');
+        header.dataset.closable = '';
+      }
+    }
 
-    this.tabPanels.forEach(panel => {
-      panel.classList.remove('active');
-      panel.setAttribute('hidden', 'true'); // Hide content
-    });
+    createAddButton() {
+      this.addButton = document.createElement('button');
+      this.addButton.type = 'button';
+      this.addButton.className = 'tab-add';
+      setAttributes(this.addButton, { 'aria-label': ['tabs.add', 'Add tab'], title: ['tabs.add', 'Add tab'] });
+      this.addButton.textContent = '+';
+      this.addButton.addEventListener('click', async () => {
+        try {
+          const definition = await this.options.onAdd();
+          if (definition) this.addTab({ select: true, ...definition }, { source: 'user' });
+        } catch (error) {
+          log('error', 'Could not add a tab.', error);
+        }
+      }, { signal: this.listeners.signal });
+      this.tabHeadersContainer.after(this.addButton); // Outside the tablist, which may only hold tabs
+    }
+
+    /**
+     * Selects a tab, updates active classes and ARIA attributes, loads a lazy panel
+     * and (when syncing) records the tab in the URL.
+     * @param {string|number} keyOrIndex
+     * @param {object} [options]
+     * @param {boolean} [options.focus=false] - Move focus to the tab.
+     * @param {boolean} [options.updateUrl=true]
+     * @param {string} [options.source='api'] - Reported in the tabchange event ('user', 'url', 'init', 'api').
+     * @returns {boolean} Whether the tab exists.
+     */
+    select(keyOrIndex, { focus = false, updateUrl = true, source = 'api' } = {}) {
+      const activeTabHeader = this.findTab(keyOrIndex);
+      if (!activeTabHeader) return false;
+      if (focus) activeTabHeader.focus();
+
+      const previous = this.activeTab;
+      // Prevent re-activating the tab that is already active
+      if (previous === activeTabHeader) return true;
 
-    // Activate the new tab header
-    activeTabHeader.classList.add('active');
-    activeTabHeader.setAttribute('aria-selected', 'true');
-    activeTabHeader.setAttribute('tabindex', '0'); // Make active tab focusable via Tab key
-    activeTabHeader.focus(); // Focus the activated tab (important for keyboard users)
+      // Deactivate current active tab and panel
+      this.tabHeaders.forEach(header => {
+        header.classList.remove('active');
+        header.setAttribute('aria-selected', 'false');
+        header.setAttribute('tabindex', '-1'); // Make non-active tabs unfocusable via Tab key
+        const panel = this.panelFor(header);
+        panel.classList.remove('active');
+        panel.hidden = true; // Hide content
+      });
 
-    // Activate the corresponding content panel
-    const targetPanelId = activeTabHeader.getAttribute('aria-controls');
-    const targetPanel = document.getElementById(targetPanelId);
-    if (targetPanel) {
+      // Activate the new tab header and its content panel
+      activeTabHeader.classList.add('active');
+      activeTabHeader.setAttribute('aria-selected', 'true');
+      activeTabHeader.setAttribute('tabindex', '0'); // Make active tab focusable via Tab key
+      const targetPanel = this.panelFor(activeTabHeader);
       targetPanel.classList.add('active');
-      targetPanel.removeAttribute('hidden'); // Show content
+      targetPanel.hidden = false; // Show content
+
+      if (this.needsLoad(targetPanel)) this.loadPanel(activeTabHeader);
+      if (updateUrl) this.writeUrlState(this.keyOf(activeTabHeader));
+
+      this.emit('tabchange', {
+        key: this.keyOf(activeTabHeader),
+        index: this.tabHeaders.indexOf(activeTabHeader),
+        tab: activeTabHeader,
+        panel: targetPanel,
+        previousKey: previous ? this.keyOf(previous) : null,
+        source,
+      });
+      return true;
     }
-  }
 
-  /**
-   * Handles keyboard navigation for tabs (Left/Right arrow keys).
-   * @param {KeyboardEvent} e - The keyboard event.
-   * @param {number} currentIndex - The index of the currently focused tab.
-   */
-  handleKeydown(e, currentIndex) {
-    let newIndex = -1;
-
-    switch (e.key) {
-      case 'ArrowLeft':
-        newIndex = (currentIndex - 1 + this.tabHeaders.length) % this.tabHeaders.length;
-        e.preventDefault(); // Prevent default browser scroll
-        break;
-      case 'ArrowRight':
-        newIndex = (currentIndex + 1) % this.tabHeaders.length;
-        e.preventDefault(); // Prevent default browser scroll
-        break;
-      case 'Home': // Go to first tab
-        newIndex = 0;
-        e.preventDefault();
-        break;
-      case 'End': // Go to last tab
-        newIndex = this.tabHeaders.length - 1;
-        e.preventDefault();
-        break;
-    }
-
-    if (newIndex !== -1 && newIndex !== currentIndex) {
-      this.activateTab(this.tabHeaders[newIndex]);
+    /**
+     * Handles keyboard navigation for tabs.
+     * @param {KeyboardEvent} e - The keyboard event.
+     * @param {HTMLElement} header - The focused tab.
+     */
+    handleKeydown(e, header) {
+      const headers = this.tabHeaders;
+      const currentIndex = headers.indexOf(header);
+      const rtl = getComputedStyle(this.container).direction === 'rtl'; // Tabs run the other way in right-to-left languages
+      const [prevKey, nextKey] = this.isVertical ? ['ArrowUp', 'ArrowDown'] : rtl ? ['ArrowRight', 'ArrowLeft'] : ['ArrowLeft', 'ArrowRight'];
+      let newIndex = -1;
+
+      switch (e.key) {
+        case prevKey:
+          newIndex = (currentIndex - 1 + headers.length) % headers.length;
+          break;
+        case nextKey:
+          newIndex = (currentIndex + 1) % headers.length;
+          break;
+        case 'Home': // Go to first tab
+          newIndex = 0;
+          break;
+        case 'End': // Go to last tab
+          newIndex = headers.length - 1;
+          break;
+        case 'Delete':
+          if (header.hasAttribute('data-closable')) {
+            e.preventDefault();
+            this.removeTab(this.keyOf(header), { source: 'user' });
+          }
+          return;
+        default:
+          return; // Enter and Space click the button, which selects it
+      }
+      e.preventDefault(); // Prevent default browser scroll
+
+      const target = headers[newIndex];
+      if (this.options.activation === 'manual') {
+        // Roving focus without selecting: the focused tab must be reachable by Tab too
+        headers.forEach(item => item.setAttribute('tabindex', item === target || item === this.activeTab ? '0' : '-1'));
+        target.focus();
+      } else {
+        this.select(this.keyOf(target), { focus: true, source: 'user' });
+      }
+    }
+
+    needsLoad(panel) {
+      const hasSource = panel.hasAttribute('data-src') || typeof this.options.loaders[panel.id] === 'function';
+      return hasSource && panel.dataset.loadState !== 'loaded' && !this.loads.has(panel.id);
+    }
+
+    /**
+     * Loads a lazy panel's content, showing a loading message and, on failure, an
+     * error with a retry button.
+     * @param {HTMLElement} header
+     * @returns {Promise<void>}
+     */
+    async loadPanel(header) {
+      const panel = this.panelFor(header);
+      const controller = new AbortController();
+      this.loads.set(panel.id, controller);
+      panel.dataset.loadState = 'loading';
+      panel.setAttribute('aria-busy', 'true');
+      this.renderPanelStatus(panel, ['common.loading', 'Loading...']);
+
+      try {
+        const loader = this.options.loaders[panel.id];
+        const content = typeof loader === 'function'
+          ? await loader(panel, { signal: controller.signal })
+          : await this.fetchFragment(panel.dataset.src, controller.signal);
+        if (controller.signal.aborted) return;
+
+        if (content instanceof Node) {
+          panel.replaceChildren(content);
+        } else if (content !== undefined && content !== null) {
+          panel.textContent = String(content);
+        } else if (panel.querySelector('.tab-status')) {
+          panel.replaceChildren(); // The loader filled the panel itself, or had nothing to show
+        }
+        panel.dataset.loadState = 'loaded';
+      } catch (error) {
+        if (controller.signal.aborted) return;
+        log('error', `Could not load panel "${panel.id}".`, error);
+        panel.dataset.loadState = 'error';
+        this.renderPanelStatus(panel, ['tabs.loadFailed', 'This section could not be loaded.'], { isError: true, retry: () => this.reloadPanel(this.keyOf(header)) });
+      } finally {
+        if (this.loads.get(panel.id) === controller) {
+          this.loads.delete(panel.id);
+          panel.removeAttribute('aria-busy');
+        }
+      }
+    }
+
+    /**
+     * Fetches an HTML fragment for a data-src panel. Only same-origin URLs are allowed:
+     * fragments are site content, like the page itself, and are not sanitized.
+     */
+    async fetchFragment(src, signal) {
+      const url = new URL(src, document.baseURI);
+      if (url.origin !== window.location.origin) {
+        throw new Error(`Panel content must come from this site, not ${url.origin}.`);
+      }
+      const response = await fetch(url, { signal });
+      if (!response.ok) throw new Error(`HTTP ${response.status} for ${url.pathname}`);
+      const template = document.createElement('template');
+      template.innerHTML = await response.text();
+      template.content.querySelectorAll('script').forEach(script => script.remove());
+      return template.content;
+    }
+
+    /**
+     * @param {HTMLElement} panel
+     * @param {string[]} message - [message key, English fallback]
+     * @param {object} [options]
+     */
+    renderPanelStatus(panel, [key, fallback], { isError = false, retry = null } = {}) {
+      const status = document.createElement('div');
+      status.className = 'tab-status';
+      const text = document.createElement('p');
+      text.className = isError ? 'status-message error-message' : 'status-message loading-message';
+      text.setAttribute('role', isError ? 'alert' : 'status');
+      setText(text, key, fallback);
+      status.appendChild(text);
+      if (retry) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn btn-secondary';
+        setText(button, 'tabs.retry', 'Try again');
+        button.addEventListener('click', retry);
+        status.appendChild(button);
+      }
+      panel.replaceChildren(status);
+    }
+
+    /**
+     * Loads a lazy panel's content again (e.g. after an error).
+     * @param {string|number} keyOrIndex
+     */
+    reloadPanel(keyOrIndex) {
+      const header = this.findTab(keyOrIndex);
+      if (!header) return Promise.resolve();
+      const panel = this.panelFor(header);
+      const pending = this.loads.get(panel.id);
+      if (pending) pending.abort();
+      this.loads.delete(panel.id);
+      delete panel.dataset.loadState;
+      return this.loadPanel(header);
+    }
+
+    /**
+     * Adds a tab and its panel.
+     * @param {object} definition
+     * @param {string} definition.key - Unique key (used for ids, the URL and events).
+     * @param {string} definition.label - Tab text.
+     * @param {Node|string} [definition.content] - Panel content; strings are shown as text.
+     * @param {string} [definition.src] - Same-origin HTML fragment to load lazily.
+     * @param {Function} [definition.loader] - Lazy loader, as in options.loaders.
+     * @param {boolean} [definition.closable]
+     * @param {number} [definition.index] - Position; defaults to the end.
+     * @param {boolean} [definition.select=false] - Select the new tab.
+     * @param {object} [options]
+     * @param {string} [options.source='api']
+     * @returns {HTMLElement} The new tab header.
+     */
+    addTab({ key, label, content, src, loader, closable = false, index, select = false }, { source = 'api' } = {}) {
+      if (!key || this.findTab(key)) {
+        throw new Error(`Tabs: A tab needs a unique key (got "${key}").`);
+      }
+      const panelId = `${this.id}-${key}`;
+
+      const header = document.createElement('button');
+      header.className = 'tab-header';
+      header.dataset.tab = key;
+      header.setAttribute('aria-controls', panelId);
+      header.textContent = label;
+      if (closable) header.setAttribute('data-closable', '');
+
+      const panel = document.createElement('div');
+      panel.className = 'tab-panel';
+      panel.id = panelId;
+      if (src) panel.dataset.src = src;
+      if (loader) this.options.loaders = { ...this.options.loaders, [panelId]: loader };
+      if (content instanceof Node) {
+        panel.appendChild(content);
+      } else if (content !== undefined && content !== null) {
+        panel.textContent = String(content);
+      }
+
+      const before = typeof index === 'number' ? this.tabHeaders[index] : null;
+      if (before) {
+        before.before(header);
+        this.panelFor(before).before(panel);
+      } else {
+        this.tabHeadersContainer.appendChild(header);
+        this.tabContentContainer.appendChild(panel);
+      }
+      this.setupTab(header);
+
+      this.emit('tabadd', { key, index: this.tabHeaders.indexOf(header), tab: header, panel, source });
+      if (select) this.select(key, { focus: source === 'user', source });
+      return header;
+    }
+
+    /**
+     * Removes a tab and its panel. Listeners can cancel with preventDefault() on 'tabclose'.
+     * If the tab was selected, its neighbour is selected (and focused, if it had focus).
+     * @param {string|number} keyOrIndex
+     * @param {object} [options]
+     * @param {string} [options.source='api']
+     * @returns {boolean} Whether the tab was removed.
+     */
+    removeTab(keyOrIndex, { source = 'api' } = {}) {
+      const header = this.findTab(keyOrIndex);
+      if (!header || this.tabHeaders.length <= 1) return false; // Always keep one tab
+
+      const key = this.keyOf(header);
+      const panel = this.panelFor(header);
+      const allowed = this.emit('tabclose', { key, tab: header, panel, source }, { cancelable: true });
+      if (!allowed) return false;
+
+      const headers = this.tabHeaders;
+      const index = headers.indexOf(header);
+      const wasActive = header === this.activeTab;
+      const hadFocus = header.contains(document.activeElement);
+      const pending = this.loads.get(panel.id);
+      if (pending) pending.abort();
+      this.loads.delete(panel.id);
+
+      header.remove();
+      panel.remove();
+
+      if (wasActive || hadFocus) {
+        const neighbour = this.tabHeaders[Math.min(index, this.tabHeaders.length - 1)];
+        if (wasActive) {
+          this.select(this.keyOf(neighbour), { focus: hadFocus, source });
+        } else {
+          this.activeTab.focus();
+        }
+      }
+      return true;
+    }
+
+    /**
+     * Removes listeners and cancels panel loads. The markup stays as it is.
+     */
+    destroy() {
+      this.listeners.abort();
+      this.loads.forEach(controller => controller.abort());
+      this.loads.clear();
+      if (this.addButton) this.addButton.remove();
+      tabsInstances.delete(this.container);
+    }
+
+    /**
+     * @returns {boolean} false if a listener called preventDefault().
+     */
+    emit(type, detail, { cancelable = false } = {}) {
+      return this.container.dispatchEvent(new CustomEvent(type, { detail, cancelable }));
+    }
+
+    /**
+     * Reads the selected tab's key from the URL. With the hash router ('#/path?tab=x')
+     * the query string lives inside the hash.
+     * @returns {string|null}
+     */
+    readUrlState() {
+      const { sync, param } = this.options;
+      const { hash, search } = window.location;
+      if (sync === 'hash') {
+        return hash.length > 1 && !hash.startsWith('#/') ? decodeURIComponent(hash.slice(1)) : null;
+      }
+      if (sync === 'query') {
+        const query = hash.startsWith('#/') ? (hash.split('?')[1] || '') : search.slice(1);
+        return new URLSearchParams(query).get(param);
+      }
+      return null;
+    }
+
+    /**
+     * Records the selected tab in the URL without adding a history entry.
+     * @param {string} key
+     */
+    writeUrlState(key) {
+      const { sync, param } = this.options;
+      if (!sync) return;
+      const url = new URL(window.location.href);
+
+      if (sync === 'hash') {
+        if (url.hash.startsWith('#/')) return; // The router owns the hash
+        url.hash = encodeURIComponent(key);
+      } else if (url.hash.startsWith('#/')) {
+        const [path, query = ''] = url.hash.slice(1).split('?');
+        const params = new URLSearchParams(query);
+        params.set(param, key);
+        url.hash = `${path}?${params}`;
+      } else {
+        url.searchParams.set(param, key);
+      }
+      if (url.href !== window.location.href) {
+        window.history.replaceState(window.history.state, '', url);
+      }
     }
   }
-}
 
-// Auto-initialize all tabs components on the page when the DOM is ready
-document.addEventListener('DOMContentLoaded', () => {
-  const tabsContainers = document.querySelectorAll('.tabs-container');
-  tabsContainers.forEach(containerElement => {
-    new Tabs(containerElement);
+  // Scripts (and modules) create and look up tab sets through this
+  window.Tabs = Tabs;
+
+  // Auto-initialize all tabs components on the page when the DOM is ready
+  document.addEventListener('DOMContentLoaded', () => {
+    const tabsContainers = document.querySelectorAll('.tabs-container');
+    tabsContainers.forEach(containerElement => {
+      if (Tabs.get(containerElement) || containerElement.dataset.tabs === 'manual') return;
+      new Tabs(containerElement);
+    });
   });
-});
+})();
@@ -0,0 +1,816 @@
+// src/js/locales/ar.js
+
+/**
+ * ConnectHub Intranet - Arabic Messages
+ *
+ * الرسائل باللغة العربية. Arabic is written right to left and has six plural forms
+ * (zero, one, two, few, many, other); keys missing here fall back to English.
+ */
+
+export default {
+  'common.loading': 'جارٍ التحميل...',
+  'common.viewAll': 'عرض الكل',
+  'common.backHome': 'العودة إلى الصفحة الرئيسية',
+  'common.backToHomepage': '→ العودة إلى الصفحة الرئيسية',
+  'common.viewProfileOf': 'عرض الملف الشخصي لـ {name}',
+
+  'subjects.news': 'الأخبار',
+  'subjects.quickLinks': 'الروابط السريعة',
+  'subjects.teamUpdates': 'مستجدات الفريق',
+  'subjects.upcomingEvents': 'الفعاليات القادمة',
+  'subjects.events': 'الفعاليات',
+  'subjects.meetings': 'اجتماعاتك',
+  'subjects.briefing': 'ملخصك',
+  'subjects.requests': 'طلباتك',
+  'subjects.searchResults': 'نتائج البحث',
+  'subjects.spotlight': 'الموظف المميز',
+  'subjects.celebrations': 'أعياد الميلاد وذكرى التعيين',
+  'subjects.departments': 'الأقسام',
+  'subjects.event': 'هذه الفعالية',
+  'subjects.article': 'هذا الخبر',
+  'subjects.savedNews': 'أخبارك المحفوظة',
+  'subjects.resources': 'الموارد',
+  'subjects.directory': 'دليل الموظفين',
+  'actions.postShoutOut': 'نشر إشادتك',
+  'actions.reactToUpdate': 'التفاعل مع هذا المنشور',
+  'actions.editUpdate': 'تعديل هذا المنشور',
+  'actions.deleteUpdate': 'حذف هذا المنشور',
+  'actions.postComment': 'نشر تعليقك',
+  'actions.deleteComment': 'حذف هذا التعليق',
+  'actions.submitRequest': 'إرسال طلبك',
+  'actions.approveRequest': 'الموافقة على هذا الطلب',
+  'actions.rejectRequest': 'رفض هذا الطلب',
+  'actions.publishItem': 'نشر هذا العنصر',
+  'actions.unpublishItem': 'إلغاء نشر هذا العنصر',
+  'actions.archiveItem': 'أرشفة هذا العنصر',
+  'actions.restoreItem': 'استعادة هذا العنصر',
+
+  'errors.load.timeout': 'يستغرق تحميل {subject} وقتًا طويلًا. يُرجى المحاولة مرة أخرى بعد قليل.',
+  'errors.load.data': 'تلقينا {subject} بشكل تعذّر عرضه. يُرجى التواصل مع مكتب الدعم الفني إذا تكرر ذلك.',
+  'errors.load.forbidden': 'لا تملك صلاحية الوصول إلى {subject}.',
+  'errors.load.offline': 'أنت غير متصل، ولا توجد نسخة محفوظة من {subject} على هذا الجهاز بعد.',
+  'errors.load.network': 'تعذّر تحميل {subject}. يُرجى التحقق من الاتصال والمحاولة مرة أخرى.',
+  'errors.save.forbidden': 'لا تملك صلاحية {action}.',
+  'errors.save.timeout': 'تعذّر {action}: استغرق الخادم وقتًا طويلًا. يُرجى المحاولة مرة أخرى.',
+  'errors.save.removed': 'تعذّر {action}: لقد أُزيل.',
+  'errors.save.network': 'تعذّر {action}. يُرجى التحقق من الاتصال والمحاولة مرة أخرى.',
+  'errors.forbiddenAction': 'لا يمكنك {action}.',
+  'errors.updateGone': 'هذا المنشور لم يعد موجودًا.',
+  'errors.commentGone': 'هذا التعليق لم يعد موجودًا.',
+  'errors.requestGone': 'هذا الطلب لم يعد موجودًا.',
+  'errors.notYourDecision': 'يمكن لـ{name} فقط البت في هذا الطلب.',
+  'errors.alreadyDecided': 'تم البت في هذا الطلب بالفعل.',
+  'errors.adminsOnly': 'يمكن للمسؤولين فقط إدارة محتوى الشبكة الداخلية.',
+  'errors.itemGone': 'هذا العنصر لم يعد موجودًا.',
+  'errors.noWeatherOffice': 'لا يوجد مكتب لعرض حالة الطقس له.',
+
+  'validation.shoutOut.empty': 'لا يمكن أن تكون الإشادة فارغة.',
+  'validation.shoutOut.tooLong': 'الإشادة طويلة جدًا ({length} من {maxLength} حرفًا).',
+  'validation.comment.empty': 'لا يمكن أن يكون التعليق فارغًا.',
+  'validation.comment.tooLong': 'التعليق طويل جدًا ({length} من {maxLength} حرفًا).',
+  'validation.reaction': '"{emoji}" ليس تفاعلًا متاحًا.',
+  'validation.requestType': 'نوع طلب غير معروف: "{type}".',
+  'validation.noApprover': 'لا يوجد مدير مسجل للموافقة على هذا الطلب. يرجى التواصل مع الموارد البشرية.',
+  'validation.decision': '"{decision}" ليس قرارًا.',
+  'validation.rejectionComment': 'أضف تعليقًا يوضح سبب رفض الطلب.',
+  'validation.contentType': 'لا يُحرَّر "{resource}" في وحدة إدارة المحتوى.',
+  'validation.publishStatus': '"{status}" ليست حالة نشر.',
+
+  'nav.home': 'الرئيسية',
+  'nav.departments': 'الأقسام',
+  'nav.resources': 'الموارد',
+  'nav.about': 'من نحن',
+  'nav.contact': 'اتصل بنا',
+  'header.searchPlaceholder': 'ابحث في ConnectHub...',
+  'header.search': 'بحث',
+  'header.welcome': 'مرحبًا، {name}!',
+  'header.avatar': 'صورة المستخدم',
+  'header.menu': 'فتح القائمة أو إغلاقها',
+  'footer.rights': 'ConnectHub Intranet. جميع الحقوق محفوظة.',
+  'footer.privacy': 'سياسة الخصوصية',
+  'footer.terms': 'شروط الخدمة',
+  'footer.support': 'الدعم',
+  'footer.careers': 'الوظائف',
+
+  'widgets.briefing': 'ملخصك',
+  'widgets.news': 'الأخبار والإعلانات',
+  'widgets.quickLinks': 'روابط سريعة',
+  'widgets.events': 'الفعاليات القادمة',
+  'widgets.spotlight': 'موظف تحت الضوء',
+  'widgets.celebrations': 'المناسبات',
+  'widgets.teamUpdates': 'مستجدات الفريق',
+
+  'dashboard.expand': 'توسيع {title}',
+  'dashboard.collapse': 'طي {title}',
+  'dashboard.hide': 'إخفاء {title}',
+  'dashboard.hiddenCount': {
+    zero: 'لا توجد عناصر مخفية',
+    one: 'عنصر واحد مخفي',
+    two: 'عنصران مخفيان',
+    few: '{count} عناصر مخفية',
+    many: '{count} عنصرًا مخفيًا',
+    other: '{count} عنصر مخفي',
+  },
+  'dashboard.customize': 'تخصيص لوحة المعلومات',
+  'customizer.heading': 'خصّص لوحة معلوماتك',
+  'customizer.widgets': 'العناصر',
+  'customizer.moveUp': 'نقل {title} لأعلى',
+  'customizer.moveDown': 'نقل {title} لأسفل',
+  'customizer.show': 'إظهار',
+  'customizer.widthLabel': 'عرض {title}',
+  'customizer.sizes.half': 'نصف العرض',
+  'customizer.sizes.full': 'العرض الكامل',
+  'customizer.news': 'الأخبار',
+  'customizer.defaultCategory': 'الفئة الافتراضية',
+  'customizer.language': 'اللغة والمنطقة',
+  'customizer.languageLabel': 'اللغة',
+  'customizer.languageAuto': 'مثل المتصفح',
+  'customizer.temperatureLabel': 'درجة الحرارة',
+  'customizer.temperature.auto': 'تلقائي',
+  'customizer.temperature.celsius': 'مئوية (°C)',
+  'customizer.temperature.fahrenheit': 'فهرنهايت (°F)',
+  'customizer.pinnedLinks': 'الروابط السريعة المثبتة',
+  'customizer.linkTitlePlaceholder': 'العنوان',
+  'customizer.linkTitleLabel': 'عنوان الرابط',
+  'customizer.linkUrlPlaceholder': 'https://… أو #/people',
+  'customizer.linkUrlLabel': 'عنوان URL للرابط',
+  'customizer.pinLink': 'تثبيت الرابط',
+  'customizer.noPinnedLinks': 'لا توجد روابط مثبتة بعد.',
+  'customizer.remove': 'إزالة',
+  'customizer.unpinLabel': 'إلغاء تثبيت {title}',
+  'customizer.share': 'شارك تخطيطك',
+  'customizer.export': 'تصدير التخطيط',
+  'customizer.import': 'استيراد تخطيط',
+  'customizer.reset': 'استعادة الافتراضي',
+  'customizer.exported': 'حُفظ باسم {fileName}.',
+  'customizer.imported': 'استُورد التخطيط من {fileName}.',
+  'customizer.importFailed': 'تعذّر استيراد {fileName}: {reason}',
+  'customizer.confirmReset': 'هل تريد استعادة التخطيط الافتراضي للوحة المعلومات؟ ستُزال الروابط المثبتة.',
+  'customizer.resetDone': 'استُعيد التخطيط الافتراضي للوحة المعلومات.',
+  'customizer.done': 'تم',
+  'preferences.notLayout': 'هذا ليس ملف تخطيط من ConnectHub.',
+  'preferences.unknownVersion': 'إصدار تخطيط غير معروف "{version}".',
+  'preferences.newerVersion': 'حُفظ هذا التخطيط بإصدار أحدث من ConnectHub (الإصدار {version}).',
+  'preferences.unsafeUrl': 'يجب أن تبدأ الروابط بـ https:// أو http:// أو mailto: أو #/.',
+  'preferences.tooManyLinks': 'يمكنك تثبيت {count} روابط كحد أقصى.',
+  'preferences.invalidJson': 'ملف التخطيط ليس بتنسيق JSON صالح.',
+
+  'theme.toggle': 'السمة والألوان',
+  'theme.legend': 'السمة',
+  'theme.themes.system': 'مثل جهازي',
+  'theme.themes.light': 'فاتحة',
+  'theme.themes.dark': 'داكنة',
+  'theme.themes.high-contrast': 'تباين عالٍ',
+  'theme.brandLabel': 'ألوان القسم',
+  'theme.brandAuto': 'قسمي',
+  'theme.brandAutoNamed': 'قسمي ({department})',
+  'theme.brandNone': 'ألوان ConnectHub',
+
+  'audience.badge': 'فقط لـ {audience}',
+  'audience.roles.admin': 'المسؤولون',
+  'audience.roles.employee': 'الموظفون',
+
+  'carousel.roleDescription': 'عرض شرائح',
+  'carousel.slideRoleDescription': 'شريحة',
+  'carousel.position': '{number} من {count}',
+  'carousel.slides': 'الشرائح',
+  'carousel.slide': 'الشريحة {number}',
+  'carousel.previous': 'الشريحة السابقة',
+  'carousel.next': 'الشريحة التالية',
+  'carousel.stopAutoplay': 'إيقاف العرض التلقائي',
+  'carousel.startAutoplay': 'بدء العرض التلقائي',
+  'carousel.announce': 'الشريحة {number} من {count}',
+  'carousel.announceTitled': 'الشريحة {number} من {count}: {title}',
+  'tabs.close': 'إغلاق علامة التبويب',
+  'tabs.add': 'إضافة علامة تبويب',
+  'tabs.loadFailed': 'تعذّر تحميل هذا القسم.',
+  'tabs.retry': 'إعادة المحاولة',
+
+  'searchBox.label': 'نتائج البحث',
+  'searchBox.emptyQuery': 'يُرجى إدخال عبارة للبحث.',
+  'searchBox.noResults': 'لا توجد نتائج لـ "{query}".',
+  'searchBox.groups.link': 'روابط سريعة',
+  'searchBox.groups.person': 'الأشخاص',
+  'searchBox.groups.news': 'الأخبار',
+  'searchBox.groups.event': 'الفعاليات',
+  'searchBox.quickLink': 'رابط سريع',
+  'searchBox.seeAll': {
+    one: 'عرض النتيجة الوحيدة لـ "{query}"',
+    two: 'عرض النتيجتين لـ "{query}"',
+    few: 'عرض {count} نتائج لـ "{query}"',
+    many: 'عرض {count} نتيجة لـ "{query}"',
+    other: 'عرض {count} نتيجة لـ "{query}"',
+  },
+  'searchResults.title': 'بحث',
+  'searchResults.heading': 'نتائج البحث عن "{query}"',
+  'searchResults.pageTitle': 'بحث: {query}',
+  'searchResults.searching': 'جارٍ البحث...',
+  'searchResults.noResults': 'لم يتم العثور على نتائج. تحقق من الإملاء أو جرّب كلمات أقل.',
+  'searchResults.count': {
+    one: 'نتيجة واحدة',
+    two: 'نتيجتان',
+    few: '{count} نتائج',
+    many: '{count} نتيجة',
+    other: '{count} نتيجة',
+  },
+  'searchResults.group': '{label} ({count})',
+
+  'newsFeed.allCategories': 'كل الفئات',
+  'newsFeed.searchPlaceholder': 'ابحث في الأخبار...',
+  'newsFeed.loading': 'جارٍ تحميل الأخبار...',
+  'newsFeed.loadMore': 'تحميل المزيد من الأخبار',
+  'newsFeed.noMatches': 'لا توجد أخبار تطابق "{query}".',
+  'newsFeed.empty': 'لا توجد أخبار في هذه الفئة بعد.',
+  'newsFeed.sortLabel': 'ترتيب الأخبار',
+  'newsFeed.sort.date': 'الأحدث أولًا',
+  'newsFeed.sort.popular': 'الأكثر قراءة',
+  'newsFeed.readMore': 'اقرأ المزيد',
+  'newsFeed.readMoreLabel': 'اقرأ المزيد: {title}',
+  'newsFeed.unreadMarker': 'غير مقروء',
+  'newsFeed.unread': {
+    one: 'خبر واحد غير مقروء',
+    two: 'خبران غير مقروءين',
+    few: '{count} أخبار غير مقروءة',
+    many: '{count} خبرًا غير مقروء',
+    other: '{count} خبر غير مقروء',
+  },
+  'newsFeed.markAllRead': 'تحديد الكل كمقروء',
+  'newsFeed.saved': 'الأخبار المحفوظة ({count})',
+  'newsFeed.bookmark': 'حفظ لوقت لاحق',
+  'newPosts.count': {
+    one: 'منشور جديد واحد',
+    two: 'منشوران جديدان',
+    few: '{count} منشورات جديدة',
+    many: '{count} منشورًا جديدًا',
+    other: '{count} منشور جديد',
+  },
+  'featuredNews.label': 'أخبار مميزة',
+  'featuredNews.readMore': 'اقرأ المزيد',
+  'featuredNews.readMoreLabel': 'اقرأ المزيد: {title}',
+
+  'quickLinks.loading': 'جارٍ تحميل الروابط السريعة...',
+  'quickLinks.empty': 'لا توجد روابط سريعة بعد.',
+  'quickLinks.pinnedLabel': '{title} (مثبّت)',
+  'spotlight.loading': 'جارٍ تحميل الموظف المميز...',
+  'spotlight.empty': 'لا يوجد موظف مميز حاليًا.',
+  'spotlight.viewProfile': 'عرض الملف الشخصي',
+  'spotlight.kudos': 'أرسل تهنئة',
+  'spotlight.kudosText': 'تهانينا على اختيارك موظفًا مميزًا يا {name}! 🌟',
+
+  'celebrations.loading': 'جارٍ تحميل المناسبات...',
+  'celebrations.empty': 'لا توجد أعياد ميلاد أو ذكرى تعيين خلال الأسبوعين القادمين.',
+  'celebrations.birthday': 'عيد ميلاد',
+  'celebrations.anniversary': {
+    one: 'سنة واحدة في ConnectHub',
+    two: 'سنتان في ConnectHub',
+    few: '{count} سنوات في ConnectHub',
+    many: '{count} سنة في ConnectHub',
+    other: '{count} سنة في ConnectHub',
+  },
+  'celebrations.today': 'اليوم',
+  'celebrations.tomorrow': 'غدًا',
+  'celebrations.sendKudos': 'أرسل تهنئة',
+  'celebrations.sendKudosLabel': 'أرسل تهنئة إلى {name}',
+  'celebrations.kudos.birthday': 'عيد ميلاد سعيد يا @{handle}! 🎂',
+  'celebrations.kudos.anniversary': {
+    one: 'ذكرى تعيين سعيدة يا @{handle}! شكرًا على سنة رائعة. 🎉',
+    two: 'ذكرى تعيين سعيدة يا @{handle}! سنتان في ConnectHub. 🎉',
+    few: 'ذكرى تعيين سعيدة يا @{handle}! {count} سنوات في ConnectHub. 🎉',
+    many: 'ذكرى تعيين سعيدة يا @{handle}! {count} سنة في ConnectHub. 🎉',
+    other: 'ذكرى تعيين سعيدة يا @{handle}! {count} سنة في ConnectHub. 🎉',
+  },
+
+  'briefing.tasks': 'المهام المفتوحة',
+  'briefing.emails': 'رسائل غير مقروءة',
+  'briefing.checkInbox': 'فتح البريد الوارد',
+  'briefing.meetings': 'الاجتماعات القادمة',
+  'briefing.fullSchedule': 'الجدول الكامل',
+  'briefing.weather': 'الطقس',
+  'briefing.forecast': 'توقعات 5 أيام',
+  'briefing.duration.minutes': '{count} د',
+  'briefing.duration.hours': '{count} س',
+  'briefing.duration.hoursMinutes': '{hours} س {minutes} د',
+  'briefing.current': 'الآن: {title} (ينتهي خلال {duration})',
+  'briefing.noMoreMeetings': 'لا توجد اجتماعات أخرى اليوم أو غدًا.',
+  'briefing.nextTomorrow': 'الاجتماع التالي غدًا الساعة {time}',
+  'briefing.nextIn': 'الاجتماع التالي بعد {duration}',
+  'briefing.noMeetings': 'لا توجد اجتماعات قادمة.',
+  'briefing.now': 'الآن',
+  'briefing.tomorrowAt': 'غدًا {time}',
+  'briefing.weatherUnavailable': 'الطقس غير متاح',
+  'weather.conditions.clear': 'صافٍ',
+  'weather.conditions.partly-cloudy': 'غائم جزئيًا',
+  'weather.conditions.cloudy': 'غائم',
+  'weather.conditions.fog': 'ضباب',
+  'weather.conditions.drizzle': 'رذاذ',
+  'weather.conditions.rain': 'مطر',
+  'weather.conditions.thunderstorm': 'عواصف رعدية',
+  'weather.conditions.snow': 'ثلج',
+  'weather.today': 'اليوم',
+  'weather.range': '{high} / {low}',
+  'weather.rainChance': 'احتمال المطر {chance}',
+  'weather.wind': 'الرياح {speed}',
+  'weather.nearYou': 'بالقرب منك',
+  'weather.stale': 'آخر تحديث {time}',
+  'weather.retry': 'إعادة المحاولة',
+  'weather.showForecast': {
+    one: 'توقعات الغد',
+    two: 'توقعات يومين',
+    few: 'توقعات {count} أيام',
+    many: 'توقعات {count} يومًا',
+    other: 'توقعات {count} يوم',
+  },
+  'weather.hideForecast': 'إخفاء التوقعات',
+  'reminders.label': 'التذكيرات',
+  'reminders.off': 'متوقفة',
+  'reminders.before': 'قبل {count} د',
+  'reminders.allow': 'السماح بالإشعارات',
+  'reminders.blocked': 'الإشعارات محظورة لهذا الموقع في إعدادات المتصفح.',
+  'reminders.title': { '=0': '{title} يبدأ الآن', other: '{title} يبدأ بعد {count} د' },
+
+  'events.allDay': 'طوال اليوم',
+  'events.viewAll': 'عرض كل الفعاليات',
+  'events.empty': 'لا توجد فعاليات قادمة. الفعاليات السابقة موجودة في التقويم.',
+  'events.addToCalendar': 'إضافة إلى التقويم',
+  'events.addToCalendarLabel': 'إضافة "{title}" إلى تقويمك (.ics)',
+  'events.conflict': {
+    one: 'يتعارض مع اجتماعك: {meetings}',
+    two: 'يتعارض مع اجتماعيك: {meetings}',
+    other: 'يتعارض مع اجتماعاتك: {meetings}',
+  },
+  'calendar.loading': 'جارٍ تحميل الفعاليات...',
+  'calendar.viewLabel': 'عرض التقويم',
+  'calendar.views.month': 'شهر',
+  'calendar.views.week': 'أسبوع',
+  'calendar.views.agenda': 'جدول الأعمال',
+  'calendar.today': 'اليوم',
+  'calendar.categoryLabel': 'التصفية حسب الفئة',
+  'calendar.allCategories': 'كل الفئات',
+  'calendar.export': 'تصدير (.ics)',
+  'calendar.noEventsDay': 'لا توجد فعاليات',
+  'calendar.noEventsMonth': 'لا توجد فعاليات هذا الشهر.',
+  'calendar.previousWeek': 'الأسبوع السابق',
+  'calendar.previousMonth': 'الشهر السابق',
+  'calendar.nextWeek': 'الأسبوع التالي',
+  'calendar.nextMonth': 'الشهر التالي',
+  'calendar.exportName': 'فعاليات ConnectHub',
+  'calendar.exportCategoryName': 'فعاليات ConnectHub: {category}',
+
+  'teamUpdates.loading': 'جارٍ تحميل المستجدات...',
+  'teamUpdates.toggle': 'أرسل إشادة',
+  'teamUpdates.empty': 'لا توجد مستجدات للفريق بعد.',
+  'teamUpdates.composerLabel': 'اكتب إشادة',
+  'teamUpdates.composerPlaceholder': 'أشِد بزميل أو فريق، مثلًا: شكرًا @alice.johnson على...',
+  'teamUpdates.commentLabel': 'التعليق على منشور {author}',
+  'teamUpdates.commentPlaceholder': 'اكتب تعليقًا...',
+  'teamUpdates.comment': 'تعليق',
+  'teamUpdates.comments': {
+    '=0': 'تعليق',
+    one: 'تعليق واحد',
+    two: 'تعليقان',
+    few: '{count} تعليقات',
+    many: '{count} تعليقًا',
+    other: '{count} تعليق',
+  },
+  'teamUpdates.editLabel': 'تعديل المنشور',
+  'teamUpdates.save': 'حفظ',
+  'teamUpdates.edit': 'تعديل',
+  'teamUpdates.edited': 'معدّل',
+  'teamUpdates.delete': 'حذف',
+  'teamUpdates.deleteCommentLabel': 'حذف تعليق {author}',
+  'teamUpdates.confirmDelete': 'هل تريد حذف هذا المنشور؟ لا يمكن التراجع عن ذلك.',
+  'teamUpdates.status.posting': 'جارٍ النشر...',
+  'teamUpdates.status.queued': 'بانتظار النشر عند عودة الاتصال',
+  'teamUpdates.reactionsLabel': 'التفاعلات',
+  'teamUpdates.reactions': {
+    one: '{emoji} تفاعل واحد',
+    two: '{emoji} تفاعلان',
+    few: '{emoji} {count} تفاعلات',
+    many: '{emoji} {count} تفاعلًا',
+    other: '{emoji} {count} تفاعل',
+  },
+  'teamUpdates.reactionsMine': {
+    one: '{emoji} تفاعل واحد، هو تفاعلك',
+    two: '{emoji} تفاعلان، منهما تفاعلك',
+    few: '{emoji} {count} تفاعلات، منها تفاعلك',
+    many: '{emoji} {count} تفاعلًا، منها تفاعلك',
+    other: '{emoji} {count} تفاعل، منها تفاعلك',
+  },
+  'composer.post': 'نشر',
+  'composer.cancel': 'إلغاء',
+  'composer.mentionsLabel': 'أشخاص للإشارة إليهم',
+  'composer.help': 'Markdown: **غامق**، *مائل*، [روابط](https://...)، - قوائم. اكتب @ للإشارة إلى شخص.',
+  'composer.preview': 'معاينة',
+  'composer.edit': 'تعديل',
+  'composer.count': '{length} / {maxLength}',
+  'composer.emptyPreview': 'لا يوجد ما يُعاين بعد.',
+  'composer.empty': 'اكتب شيئًا أولًا.',
+  'composer.tooLong': {
+    one: 'النص أطول من المسموح بحرف واحد.',
+    two: 'النص أطول من المسموح بحرفين.',
+    few: 'النص أطول من المسموح بـ {count} أحرف.',
+    many: 'النص أطول من المسموح بـ {count} حرفًا.',
+    other: 'النص أطول من المسموح بـ {count} حرف.',
+  },
+
+  'offline.offline': 'أنت غير متصل. يُعرض المحتوى المحفوظ، وقد لا يكون محدّثًا.',
+  'offline.pending': {
+    one: 'أنت غير متصل. يُعرض المحتوى المحفوظ؛ سيُرسل تغيير واحد عند عودة الاتصال.',
+    two: 'أنت غير متصل. يُعرض المحتوى المحفوظ؛ سيُرسل تغييران عند عودة الاتصال.',
+    few: 'أنت غير متصل. يُعرض المحتوى المحفوظ؛ ستُرسل {count} تغييرات عند عودة الاتصال.',
+    many: 'أنت غير متصل. يُعرض المحتوى المحفوظ؛ سيُرسل {count} تغييرًا عند عودة الاتصال.',
+    other: 'أنت غير متصل. يُعرض المحتوى المحفوظ؛ سيُرسل {count} تغيير عند عودة الاتصال.',
+  },
+  'offline.sending': {
+    one: 'عاد الاتصال. جارٍ إرسال تغيير محفوظ واحد...',
+    two: 'عاد الاتصال. جارٍ إرسال تغييرين محفوظين...',
+    few: 'عاد الاتصال. جارٍ إرسال {count} تغييرات محفوظة...',
+    many: 'عاد الاتصال. جارٍ إرسال {count} تغييرًا محفوظًا...',
+    other: 'عاد الاتصال. جارٍ إرسال {count} تغيير محفوظ...',
+  },
+  'offline.online': 'عاد الاتصال.',
+  'offline.failed': 'لم تُرسل بعض التغييرات.',
+  'offline.discarded': 'تعذّر إرسال تغيير أُجري دون اتصال ({type}) فتم تجاهله.',
+  'offline.dismiss': 'إغلاق',
+
+  'requests.title': 'طلباتي',
+  'requests.empty': 'لا توجد طلبات بعد.',
+  'requests.awaitingApproval': {
+    one: 'طلب واحد بانتظار موافقتك',
+    two: 'طلبان بانتظار موافقتك',
+    few: '{count} طلبات بانتظار موافقتك',
+    many: '{count} طلبًا بانتظار موافقتك',
+    other: '{count} طلب بانتظار موافقتك',
+  },
+  'requests.leaveSummary': {
+    one: '{type}، {range} (يوم واحد)',
+    two: '{type}، {range} (يومان)',
+    few: '{type}، {range} ({count} أيام)',
+    many: '{type}، {range} ({count} يومًا)',
+    other: '{type}، {range} ({count} يوم)',
+  },
+  'requests.status.approved': 'تمت الموافقة',
+  'requests.status.rejected': 'مرفوض',
+  'requests.status.rejectedBy': 'رفضه {name}',
+  'requests.status.waitingFor': 'بانتظار {name}',
+  'requests.status.pending': 'قيد الانتظار',
+  'requests.form.back': '→ العودة إلى الموارد',
+  'requests.form.discardDraft': 'تجاهل المسودة',
+  'requests.form.draftRestored': 'تمت استعادة المسودة المحفوظة في {date}.',
+  'requests.form.draftSaved': 'تم حفظ المسودة في {date}.',
+  'requests.form.draftNotSaved': 'تعذّر حفظ مسودتك على هذا الجهاز.',
+  'requests.form.submit': 'إرسال للموافقة',
+  'requests.form.submitted': 'تم إرسال الطلب',
+  'requests.form.submittedTo': 'طُلب من {name} الموافقة عليه. سترى حالته في ملخصك وضمن طلباتي.',
+  'requests.form.viewRequests': 'عرض طلباتي',
+  'requests.form.approver': 'سيُرسل طلبك إلى {name} للموافقة عليه.',
+  'requests.form.noApprover': 'لا يوجد مدير مسجل لك، لذا لا يمكن توجيه هذا الطلب. يرجى التواصل مع الموارد البشرية.',
+  'requests.loading': 'جارٍ تحميل طلباتك...',
+  'requests.requestLeave': 'طلب إجازة',
+  'requests.claimExpense': 'المطالبة بنفقة',
+  'requests.awaitingHeading': 'بانتظار موافقتك ({count})',
+  'requests.yours': 'طلباتك',
+  'requests.noneSubmitted': 'لم تقدّم أي طلبات بعد.',
+  'requests.type.leave': 'طلب إجازة',
+  'requests.type.expense': 'مطالبة بنفقات',
+  'requests.from': '{type} من {name}',
+  'requests.submittedOn': 'قُدّم في {date}',
+  'requests.approvals': 'الموافقات',
+  'requests.step.pending': 'بانتظار القرار',
+  'requests.step.waiting': 'التالي في الدور',
+  'requests.step.decision': '{name}: {decision}',
+  'requests.step.decidedOn': '{name}: {decision}، {date}',
+  'requests.attached': 'المرفقات: {files}',
+  'requests.comment': 'تعليق (مطلوب للرفض)',
+  'requests.approve': 'موافقة',
+  'requests.reject': 'رفض',
+  'schemaForm.choose': 'اختر...',
+  'schemaForm.submit': 'إرسال',
+  'schemaForm.amountLabel': '{label} بـ {currency}',
+  'schemaForm.problems': {
+    one: 'توجد مشكلة في هذا النموذج',
+    two: 'توجد مشكلتان في هذا النموذج',
+    few: 'توجد {count} مشكلات في هذا النموذج',
+    many: 'توجد {count} مشكلة في هذا النموذج',
+    other: 'توجد {count} مشكلة في هذا النموذج',
+  },
+  'formSchema.required': 'حقل {label} مطلوب.',
+  'formSchema.notANumber': 'يجب أن يكون {label} رقمًا.',
+  'formSchema.atLeast': 'يجب ألا يقل {label} عن {limit}.',
+  'formSchema.atMost': 'لا يمكن أن يزيد {label} عن {limit}.',
+  'formSchema.decimals': {
+    '=0': 'يجب أن يكون {label} عددًا صحيحًا.',
+    one: 'يمكن أن يحتوي {label} على منزلة عشرية واحدة كحد أقصى.',
+    two: 'يمكن أن يحتوي {label} على منزلتين عشريتين كحد أقصى.',
+    few: 'يمكن أن يحتوي {label} على {count} منازل عشرية كحد أقصى.',
+    many: 'يمكن أن يحتوي {label} على {count} منزلة عشرية كحد أقصى.',
+    other: 'يمكن أن يحتوي {label} على {count} منزلة عشرية كحد أقصى.',
+  },
+  'formSchema.invalidDate': 'يجب أن يكون {label} تاريخًا صالحًا.',
+  'formSchema.past': 'لا يمكن أن يكون {label} في الماضي.',
+  'formSchema.before': 'لا يمكن أن يكون {label} قبل {date}.',
+  'formSchema.future': 'لا يمكن أن يكون {label} في المستقبل.',
+  'formSchema.after': 'لا يمكن أن يكون {label} بعد {date}.',
+  'formSchema.notAfter': 'يجب أن يكون {label} بعد {other}.',
+  'formSchema.beforeOther': 'لا يمكن أن يكون {label} قبل {other}.',
+  'formSchema.maxRange': {
+    one: 'يمكن أن تمتد التواريخ يومًا واحدًا كحد أقصى.',
+    two: 'يمكن أن تمتد التواريخ يومين كحد أقصى.',
+    few: 'يمكن أن تمتد التواريخ {count} أيام كحد أقصى.',
+    many: 'يمكن أن تمتد التواريخ {count} يومًا كحد أقصى.',
+    other: 'يمكن أن تمتد التواريخ {count} يوم كحد أقصى.',
+  },
+  'formSchema.maxFiles': {
+    one: 'أرفق ملفًا واحدًا كحد أقصى.',
+    two: 'أرفق ملفين كحد أقصى.',
+    few: 'أرفق {count} ملفات كحد أقصى.',
+    many: 'أرفق {count} ملفًا كحد أقصى.',
+    other: 'أرفق {count} ملف كحد أقصى.',
+  },
+  'formSchema.fileType': '{name} ليس من أنواع الملفات المقبولة ({types}).',
+  'formSchema.fileSize': 'حجم {name} أكبر من {size}.',
+  'formSchema.choose': 'اختر {label} من القائمة.',
+  'formSchema.minLength': {
+    one: 'يجب أن يتكون {label} من حرف واحد على الأقل.',
+    two: 'يجب أن يتكون {label} من حرفين على الأقل.',
+    few: 'يجب أن يتكون {label} من {count} أحرف على الأقل.',
+    many: 'يجب أن يتكون {label} من {count} حرفًا على الأقل.',
+    other: 'يجب أن يتكون {label} من {count} حرف على الأقل.',
+  },
+  'formSchema.maxLength': {
+    one: 'لا يمكن أن يزيد {label} عن حرف واحد.',
+    two: 'لا يمكن أن يزيد {label} عن حرفين.',
+    few: 'لا يمكن أن يزيد {label} عن {count} أحرف.',
+    many: 'لا يمكن أن يزيد {label} عن {count} حرفًا.',
+    other: 'لا يمكن أن يزيد {label} عن {count} حرف.',
+  },
+  'formSchema.pattern': '{label} ليس بالتنسيق المتوقع.',
+  'requestForms.leave.title': 'طلب إجازة',
+  'requestForms.leave.leaveType': 'نوع الإجازة',
+  'requestForms.leave.vacation': 'إجازة سنوية',
+  'requestForms.leave.sick': 'إجازة مرضية',
+  'requestForms.leave.personal': 'إجازة شخصية',
+  'requestForms.leave.unpaid': 'إجازة غير مدفوعة',
+  'requestForms.leave.startDate': 'اليوم الأول',
+  'requestForms.leave.endDate': 'اليوم الأخير',
+  'requestForms.leave.afterStartDate': 'اليوم الأول',
+  'requestForms.leave.reason': 'السبب',
+  'requestForms.leave.reasonHint': 'مطلوب للإجازة غير المدفوعة.',
+  'requestForms.leave.certificate': 'شهادة طبية',
+  'requestForms.leave.certificateRequired': {
+    one: 'أرفق شهادة طبية للإجازة المرضية التي تزيد عن يوم واحد.',
+    two: 'أرفق شهادة طبية للإجازة المرضية التي تزيد عن يومين.',
+    few: 'أرفق شهادة طبية للإجازة المرضية التي تزيد عن {count} أيام.',
+    many: 'أرفق شهادة طبية للإجازة المرضية التي تزيد عن {count} يومًا.',
+    other: 'أرفق شهادة طبية للإجازة المرضية التي تزيد عن {count} يوم.',
+  },
+  'requestForms.leave.certificateHint': {
+    one: 'مطلوبة لأكثر من يوم واحد. ملف PDF أو صورة، حتى 5 ميغابايت لكل منها.',
+    two: 'مطلوبة لأكثر من يومين. ملف PDF أو صورة، حتى 5 ميغابايت لكل منها.',
+    few: 'مطلوبة لأكثر من {count} أيام. ملف PDF أو صورة، حتى 5 ميغابايت لكل منها.',
+    many: 'مطلوبة لأكثر من {count} يومًا. ملف PDF أو صورة، حتى 5 ميغابايت لكل منها.',
+    other: 'مطلوبة لأكثر من {count} يوم. ملف PDF أو صورة، حتى 5 ميغابايت لكل منها.',
+  },
+  'requestForms.expense.title': 'مطالبة بنفقات',
+  'requestForms.expense.category': 'الفئة',
+  'requestForms.expense.travel': 'السفر',
+  'requestForms.expense.meals': 'الوجبات',
+  'requestForms.expense.supplies': 'مستلزمات مكتبية',
+  'requestForms.expense.training': 'التدريب',
+  'requestForms.expense.other': 'أخرى',
+  'requestForms.expense.expenseDate': 'تاريخ النفقة',
+  'requestForms.expense.expenseDateHint': {
+    one: 'يجب تقديم المطالبات خلال يوم واحد.',
+    two: 'يجب تقديم المطالبات خلال يومين.',
+    few: 'يجب تقديم المطالبات خلال {count} أيام.',
+    many: 'يجب تقديم المطالبات خلال {count} يومًا.',
+    other: 'يجب تقديم المطالبات خلال {count} يوم.',
+  },
+  'requestForms.expense.amount': 'المبلغ',
+  'requestForms.expense.description': 'الوصف',
+  'requestForms.expense.descriptionHint': 'ما الغرض منها؟ مثلًا "سيارة أجرة إلى اجتماع العميل في باكولود".',
+  'requestForms.expense.receipts': 'الإيصالات',
+  'requestForms.expense.receiptRequired': 'أرفق إيصالًا لهذا المبلغ.',
+  'requestForms.expense.receiptsHint': 'مطلوبة ابتداءً من {amount} {currency}. ملف PDF أو صورة، حتى 5 ميغابايت لكل منها.',
+
+  'contentForms.invalidUrl': 'يجب أن يبدأ {label} بـ https:// أو mailto: أو #/ أو /.',
+  'contentForms.invalidImage': 'يجب أن تكون الصورة عنوان ويب (https://) أو مسارًا على هذا الموقع، مثل assets/images/news/photo.jpg.',
+  'contentForms.audience.departments': 'الأقسام',
+  'contentForms.audience.locations': 'المواقع',
+  'contentForms.audience.roles': 'الأدوار',
+  'contentForms.audience.rolesHint': 'مفصولة بفواصل ({roles}). اترك جميع حقول الجمهور فارغة لعرضه للجميع.',
+  'contentForms.audience.hint': 'مفصولة بفواصل، مثل "Engineering, Product".',
+  'contentForms.audience.unknownRole': {
+    one: 'دور غير معروف: {roles}.',
+    two: 'دوران غير معروفين: {roles}.',
+    few: 'أدوار غير معروفة: {roles}.',
+    many: 'أدوار غير معروفة: {roles}.',
+    other: 'أدوار غير معروفة: {roles}.',
+  },
+  'contentForms.publishAt': 'النشر في',
+  'contentForms.publishAtHint': 'اتركه فارغًا لعرضه فور نشره.',
+  'contentForms.expireAt': 'الإزالة في',
+  'contentForms.afterPublishAt': 'تاريخ النشر',
+  'contentForms.expireAtHint': 'اتركه فارغًا لإبقائه منشورًا حتى تتم أرشفته.',
+  'contentForms.title': 'العنوان',
+  'contentForms.category': 'الفئة',
+  'contentForms.date': 'التاريخ',
+  'contentForms.no': 'لا',
+  'contentForms.yes': 'نعم',
+  'contentForms.news.title': 'خبر',
+  'contentForms.news.categoryHint': 'مثل "HR" أو "Product Update".',
+  'contentForms.news.dateHint': 'يظهر في الخبر ويُستخدم لترتيب الموجز.',
+  'contentForms.news.author': 'الكاتب',
+  'contentForms.news.image': 'الصورة',
+  'contentForms.news.preview': 'المقتطف',
+  'contentForms.news.previewHint': 'يظهر في الموجز. يمكنك استخدام Markdown والإشارات @ هنا.',
+  'contentForms.news.fullContent': 'الخبر كاملًا',
+  'contentForms.news.fullContentHint': 'HTML. تُزال السكربتات والأنماط ومعالجات الأحداث قبل عرضه.',
+  'contentForms.news.tags': 'الوسوم',
+  'contentForms.news.tagsHint': 'مفصولة بفواصل.',
+  'contentForms.news.featured': 'إبرازه في العرض الدوّار',
+  'contentForms.events.title': 'فعالية',
+  'contentForms.events.description': 'الوصف',
+  'contentForms.events.categoryHint': 'مثل "Training" أو "Social".',
+  'contentForms.events.time': 'الوقت',
+  'contentForms.events.timeHint': 'مثل "10:00 AM PST" أو "1:00 PM - 4:00 PM". اتركه فارغًا لفعالية تستمر طوال اليوم.',
+  'contentForms.events.location': 'المكان',
+  'contentForms.events.link': 'الرابط',
+  'contentForms.quickLinks.title': 'رابط سريع',
+  'contentForms.quickLinks.url': 'العنوان',
+  'contentForms.quickLinks.urlHint': 'صفحة في الشبكة الداخلية (#/...) أو عنوان ويب.',
+  'contentForms.quickLinks.icon': 'الأيقونة',
+  'contentForms.quickLinks.iconInvalid': 'يجب أن تكون الأيقونة فئة من Font Awesome، مثل "fas fa-book".',
+  'contentForms.quickLinks.iconHint': 'فئة من Font Awesome، مثل "fas fa-book". تُستخدم أيقونة رابط افتراضيًا.',
+  'contentForms.spotlight.title': 'موظف متميز',
+  'contentForms.spotlight.name': 'الاسم',
+  'contentForms.spotlight.employeeId': 'رقم الموظف',
+  'contentForms.spotlight.employeeIdHint': 'رقمه في الدليل، مثل emp-004.',
+  'contentForms.spotlight.position': 'المنصب',
+  'contentForms.spotlight.photo': 'الصورة',
+  'contentForms.spotlight.bio': 'نبذة عنه',
+  'contentForms.spotlight.profileUrl': 'رابط الملف الشخصي',
+  'contentForms.spotlight.profileUrlHint': 'مثل #/people/emp-004.',
+  'console.types': 'أنواع المحتوى',
+  'console.adminsOnly': 'تحتاج إلى صلاحيات المسؤول لإدارة محتوى الشبكة الداخلية. اسأل قسم تقنية المعلومات إن كان يجب أن تحصل عليها.',
+  'console.news.label': 'الأخبار',
+  'console.news.new': 'خبر جديد',
+  'console.news.edit': 'تعديل الخبر: {title}',
+  'console.news.empty': 'لا توجد أخبار بعد.',
+  'console.news.loading': 'جارٍ تحميل الأخبار...',
+  'console.news.subject': 'الأخبار',
+  'console.news.save': 'حفظ هذا الخبر',
+  'console.events.label': 'الفعاليات',
+  'console.events.new': 'فعالية جديدة',
+  'console.events.edit': 'تعديل الفعالية: {title}',
+  'console.events.empty': 'لا توجد فعاليات بعد.',
+  'console.events.loading': 'جارٍ تحميل الفعاليات...',
+  'console.events.subject': 'الفعاليات',
+  'console.events.save': 'حفظ هذه الفعالية',
+  'console.spotlight.label': 'الموظف المتميز',
+  'console.spotlight.new': 'موظف متميز جديد',
+  'console.spotlight.edit': 'تعديل الموظف المتميز: {title}',
+  'console.spotlight.empty': 'لا يوجد موظفون متميزون بعد.',
+  'console.spotlight.loading': 'جارٍ تحميل الموظفين المتميزين...',
+  'console.spotlight.subject': 'الموظفين المتميزين',
+  'console.spotlight.save': 'حفظ هذا الموظف المتميز',
+  'console.quickLinks.label': 'روابط سريعة',
+  'console.quickLinks.new': 'رابط سريع جديد',
+  'console.quickLinks.edit': 'تعديل الرابط السريع: {title}',
+  'console.quickLinks.empty': 'لا توجد روابط سريعة بعد.',
+  'console.quickLinks.loading': 'جارٍ تحميل الروابط السريعة...',
+  'console.quickLinks.subject': 'الروابط السريعة',
+  'console.quickLinks.save': 'حفظ هذا الرابط السريع',
+  'console.state.draft': 'مسودة',
+  'console.state.scheduled': 'مجدول',
+  'console.state.live': 'منشور',
+  'console.state.expired': 'منتهي',
+  'console.state.archived': 'مؤرشف',
+  'console.publish': 'نشر',
+  'console.publishLabel': 'نشر: {title}',
+  'console.unpublish': 'إلغاء النشر',
+  'console.unpublishLabel': 'إلغاء النشر: {title}',
+  'console.archive': 'أرشفة',
+  'console.archiveLabel': 'أرشفة: {title}',
+  'console.restore': 'استعادة كمسودة',
+  'console.restoreLabel': 'استعادة كمسودة: {title}',
+  'console.edit': 'تعديل',
+  'console.editLabel': 'تعديل {title}',
+  'console.untitled': 'بلا عنوان',
+  'console.schedule.range': 'من {from} حتى {until}',
+  'console.schedule.from': 'ابتداءً من {date}',
+  'console.schedule.until': 'حتى {date}',
+  'console.schedule.none': 'لم تُحدَّد تواريخ',
+  'console.statusChanged': 'أصبح "{title}" الآن: {state}.',
+  'console.fixBeforePublishing': 'أصلح هذا قبل النشر: {message}',
+  'console.saveChanges': 'حفظ التغييرات',
+  'console.saveDraft': 'حفظ المسودة',
+  'console.changesSaved': 'تم حفظ التغييرات على "{title}".',
+  'console.draftSaved': 'تم حفظ المسودة "{title}". انشرها عندما تصبح جاهزة.',
+  'console.cancel': 'إلغاء',
+  'console.preview': 'معاينة',
+  'console.previewEmpty': 'ستظهر المعاينة أثناء الكتابة.',
+
+  'router.loadFailed': 'تعذّر تحميل هذه الصفحة. يرجى المحاولة مرة أخرى.',
+  'router.errorTitle': 'خطأ',
+  'routes.home': 'الرئيسية',
+  'routes.search': 'بحث',
+  'routes.savedNews': 'الأخبار المحفوظة',
+  'routes.news': 'الأخبار',
+  'routes.events': 'تقويم الفعاليات',
+  'routes.event': 'الفعاليات',
+  'routes.people': 'دليل الموظفين',
+  'routes.orgChart': 'الهيكل التنظيمي',
+  'routes.departments': 'الأقسام',
+  'routes.resources': 'الموارد',
+  'routes.leaveRequest': 'طلب إجازة',
+  'routes.expenseForms': 'نماذج النفقات',
+  'routes.requests': 'طلباتي',
+  'routes.adminContent': 'وحدة إدارة المحتوى',
+  'routes.reports': 'تقارير الشركة',
+  'routes.policies': 'دليل السياسات',
+  'routes.helpdesk': 'الدعم الفني',
+  'routes.about': 'من نحن',
+  'routes.contact': 'اتصل بنا',
+  'routes.notFound': 'الصفحة غير موجودة',
+  'comingSoon.moving': 'يجري نقل قسم "{section}" إلى ConnectHub وسيكون متاحًا هنا قريبًا.',
+  'comingSoon.helpdesk': 'في هذه الأثناء، يمكن للدعم الفني إرشادك إلى موقعه الحالي.',
+  'notFound.title': 'الصفحة غير موجودة',
+  'notFound.message': 'لا يوجد شيء في "{path}". ربما يكون الرابط قديمًا أو نُقلت الصفحة.',
+  'departments.loading': 'جارٍ تحميل الأقسام...',
+  'departments.headcount': {
+    one: 'شخص واحد',
+    two: 'شخصان',
+    few: '{count} أشخاص',
+    many: '{count} شخصًا',
+    other: '{count} شخص',
+  },
+  'departments.ledBy': 'بقيادة {names}',
+  'eventDetail.loading': 'جارٍ تحميل الفعالية...',
+  'eventDetail.back': '→ العودة إلى التقويم',
+  'eventDetail.notFound': 'الفعالية غير موجودة',
+  'eventDetail.notFoundHint': 'ربما أُلغيت هذه الفعالية أو أُقيمت بالفعل.',
+  'eventDetail.date': 'التاريخ',
+  'eventDetail.time': 'الوقت',
+  'eventDetail.location': 'المكان',
+  'eventDetail.category': 'الفئة',
+  'eventDetail.join': 'الانضمام أو التسجيل',
+  'eventDetail.addToCalendar': 'إضافة إلى التقويم (.ics)',
+  'newsArticle.loading': 'جارٍ تحميل الخبر...',
+  'newsArticle.notFound': 'الخبر غير موجود',
+  'newsArticle.notFoundHint': 'ربما حُذف هذا الخبر أو أُرشف.',
+  'savedNews.loading': 'جارٍ تحميل الأخبار المحفوظة...',
+  'savedNews.empty': 'لا توجد أخبار محفوظة بعد. استخدم زر الحفظ في أي خبر للاحتفاظ به هنا.',
+  'savedNews.remove': 'إزالة',
+  'savedNews.removeLabel': 'إزالة {title} من الأخبار المحفوظة',
+  'resources.loading': 'جارٍ تحميل الموارد...',
+
+  'directory.loading': 'جارٍ تحميل دليل الموظفين...',
+  'directory.searchPlaceholder': 'الاسم أو المنصب أو البريد الإلكتروني أو الرقم الداخلي',
+  'directory.searchLabel': 'البحث في الدليل',
+  'directory.department': 'القسم',
+  'directory.location': 'الموقع',
+  'directory.skill': 'المهارة',
+  'directory.sortBy': 'الترتيب حسب',
+  'directory.allDepartments': 'كل الأقسام',
+  'directory.allLocations': 'كل المواقع',
+  'directory.anySkill': 'أي مهارة',
+  'directory.sort.name': 'الاسم',
+  'directory.sort.department': 'القسم',
+  'directory.sort.position': 'المنصب',
+  'directory.sort.location': 'الموقع',
+  'directory.ascending': '{label} (أ–ي)',
+  'directory.descending': '{label} (ي–أ)',
+  'directory.orgChart': 'الهيكل التنظيمي',
+  'directory.ext': 'داخلي {extension}',
+  'directory.noMatches': 'لا أحد يطابق عوامل التصفية هذه.',
+  'directory.pages': 'صفحات الدليل',
+  'directory.previous': 'السابق',
+  'directory.next': 'التالي',
+  'directory.page': 'الصفحة {page} من {pageCount}',
+  'directory.notFound': 'لم يُعثر على موظف بالرقم "{id}".',
+  'directory.back': 'العودة إلى الدليل',
+  'directory.photo': 'صورة {name}',
+  'directory.email': 'البريد الإلكتروني',
+  'directory.phone': 'الهاتف',
+  'directory.extension': 'الرقم الداخلي',
+  'directory.skills': 'المهارات',
+  'directory.linkedInProfile': 'الملف الشخصي',
+  'directory.manager': 'المدير',
+  'directory.directReports': 'المرؤوسون المباشرون',
+  'directory.viewInOrgChart': 'عرض في الهيكل التنظيمي',
+  'directory.leaders': 'قادة المؤسسة',
+  'directory.allLeaders': 'كل القادة',
+  'directory.reportingLine': 'التسلسل الإداري',
+  'directory.reportCount': {
+    one: 'مرؤوس مباشر واحد',
+    two: 'مرؤوسان مباشران',
+    few: '{count} مرؤوسين مباشرين',
+    many: '{count} مرؤوسًا مباشرًا',
+    other: '{count} مرؤوس مباشر',
+  },
+  'directory.directReportsHeading': { '=0': 'لا يوجد مرؤوسون مباشرون', other: 'المرؤوسون المباشرون ({count})' },
+  'directory.issues.title': 'بعض خطوط التسلسل الإداري في بيانات الدليل تحتاج إلى إصلاح:',
+  'directory.issues.cycle': 'حلقة في التسلسل الإداري: {chain}.',
+  'directory.issues.dangling': 'يتبع {name} مديرًا غير معروف ("{managerId}").',
+};
@@ -0,0 +1,673 @@
+// src/js/locales/en.js
+
+/**
+ * ConnectHub Intranet - English Messages
+ *
+ * The reference catalog: every key lives here, and other languages fall back to it
+ * for keys they don't have yet. See modules/i18n.js for placeholders and plurals.
+ */
+
+export default {
+  // Shared
+  'common.loading': 'Loading...',
+  'common.viewAll': 'View All',
+  'common.backHome': 'Back to the homepage',
+  'common.backToHomepage': '← Back to the homepage',
+  'common.viewProfileOf': "View {name}'s profile",
+
+  // What failed to load or save, dropped into the errors.* messages
+  'subjects.news': 'news',
+  'subjects.quickLinks': 'quick links',
+  'subjects.teamUpdates': 'team updates',
+  'subjects.upcomingEvents': 'upcoming events',
+  'subjects.events': 'events',
+  'subjects.meetings': 'your meetings',
+  'subjects.briefing': 'your briefing',
+  'subjects.requests': 'your requests',
+  'subjects.searchResults': 'search results',
+  'subjects.spotlight': 'the employee spotlight',
+  'subjects.celebrations': 'birthdays and anniversaries',
+  'subjects.departments': 'departments',
+  'subjects.event': 'this event',
+  'subjects.article': 'this article',
+  'subjects.savedNews': 'your saved articles',
+  'subjects.resources': 'resources',
+  'subjects.directory': 'the employee directory',
+  'actions.postShoutOut': 'post your shout-out',
+  'actions.reactToUpdate': 'react to this update',
+  'actions.editUpdate': 'edit this update',
+  'actions.deleteUpdate': 'delete this update',
+  'actions.postComment': 'post your comment',
+  'actions.deleteComment': 'delete this comment',
+  'actions.submitRequest': 'submit your request',
+  'actions.approveRequest': 'approve this request',
+  'actions.rejectRequest': 'reject this request',
+  'actions.publishItem': 'publish this item',
+  'actions.unpublishItem': 'unpublish this item',
+  'actions.archiveItem': 'archive this item',
+  'actions.restoreItem': 'restore this item',
+
+  'errors.load.timeout': 'Loading {subject} is taking too long. Please try again in a moment.',
+  'errors.load.data': "We received {subject} we couldn't display. Please contact the IT Helpdesk if this continues.",
+  'errors.load.forbidden': "You don't have access to {subject}.",
+  'errors.load.offline': "You're offline, and there is no saved copy of {subject} on this device yet.",
+  'errors.load.network': "We couldn't load {subject}. Please check your connection and try again.",
+  'errors.save.forbidden': "You don't have permission to {action}.",
+  'errors.save.timeout': "We couldn't {action}: the server took too long. Please try again.",
+  'errors.save.removed': "We couldn't {action}: it has been removed.",
+  'errors.save.network': "We couldn't {action}. Please check your connection and try again.",
+  'errors.forbiddenAction': "You can't {action}.",
+  'errors.updateGone': 'This update no longer exists.',
+  'errors.commentGone': 'This comment no longer exists.',
+  'errors.requestGone': 'This request no longer exists.',
+  'errors.notYourDecision': 'Only {name} can decide on this request.',
+  'errors.alreadyDecided': 'This request has already been decided.',
+  'errors.adminsOnly': 'Only administrators can manage intranet content.',
+  'errors.itemGone': 'This item no longer exists.',
+  'errors.noWeatherOffice': 'There is no office to show the weather for.',
+
+  'validation.shoutOut.empty': "A shout-out can't be empty.",
+  'validation.shoutOut.tooLong': 'A shout-out is too long ({length} of {maxLength} characters).',
+  'validation.comment.empty': "A comment can't be empty.",
+  'validation.comment.tooLong': 'A comment is too long ({length} of {maxLength} characters).',
+  'validation.reaction': '"{emoji}" is not an available reaction.',
+  'validation.requestType': 'Unknown request type "{type}".',
+  'validation.noApprover': 'There is no manager on file to approve this request. Please contact HR.',
+  'validation.decision': '"{decision}" is not a decision.',
+  'validation.rejectionComment': 'Add a comment explaining why the request is rejected.',
+  'validation.contentType': '"{resource}" isn\'t authored in the content console.',
+  'validation.publishStatus': '"{status}" is not a publishing status.',
+
+  // Page chrome (index.html)
+  'nav.home': 'Home',
+  'nav.departments': 'Departments',
+  'nav.resources': 'Resources',
+  'nav.about': 'About Us',
+  'nav.contact': 'Contact',
+  'header.searchPlaceholder': 'Search ConnectHub...',
+  'header.search': 'Search',
+  'header.welcome': 'Welcome, {name}!',
+  'header.avatar': 'User Avatar',
+  'header.menu': 'Toggle mobile menu',
+  'footer.rights': 'ConnectHub Intranet. All rights reserved.',
+  'footer.privacy': 'Privacy Policy',
+  'footer.terms': 'Terms of Service',
+  'footer.support': 'Support',
+  'footer.careers': 'Careers',
+
+  'widgets.briefing': 'Your Briefing',
+  'widgets.news': 'News & Announcements',
+  'widgets.quickLinks': 'Quick Links',
+  'widgets.events': 'Upcoming Events',
+  'widgets.spotlight': 'Employee Spotlight',
+  'widgets.celebrations': 'Celebrations',
+  'widgets.teamUpdates': 'Team Updates',
+
+  // Dashboard layout and customizer
+  'dashboard.expand': 'Expand {title}',
+  'dashboard.collapse': 'Collapse {title}',
+  'dashboard.hide': 'Hide {title}',
+  'dashboard.hiddenCount': { one: '{count} hidden widget', other: '{count} hidden widgets' },
+  'dashboard.customize': 'Customize dashboard',
+  'customizer.heading': 'Customize your dashboard',
+  'customizer.widgets': 'Widgets',
+  'customizer.moveUp': 'Move {title} up',
+  'customizer.moveDown': 'Move {title} down',
+  'customizer.show': 'Show',
+  'customizer.widthLabel': '{title} width',
+  'customizer.sizes.half': 'Half width',
+  'customizer.sizes.full': 'Full width',
+  'customizer.news': 'News',
+  'customizer.defaultCategory': 'Default category',
+  'customizer.language': 'Language & region',
+  'customizer.languageLabel': 'Language',
+  'customizer.languageAuto': 'Same as my browser',
+  'customizer.temperatureLabel': 'Temperature',
+  'customizer.temperature.auto': 'Automatic',
+  'customizer.temperature.celsius': 'Celsius (°C)',
+  'customizer.temperature.fahrenheit': 'Fahrenheit (°F)',
+  'customizer.pinnedLinks': 'Pinned quick links',
+  'customizer.linkTitlePlaceholder': 'Title',
+  'customizer.linkTitleLabel': 'Link title',
+  'customizer.linkUrlPlaceholder': 'https://… or #/people',
+  'customizer.linkUrlLabel': 'Link URL',
+  'customizer.pinLink': 'Pin link',
+  'customizer.noPinnedLinks': 'No pinned links yet.',
+  'customizer.remove': 'Remove',
+  'customizer.unpinLabel': 'Unpin {title}',
+  'customizer.share': 'Share your layout',
+  'customizer.export': 'Export layout',
+  'customizer.import': 'Import layout',
+  'customizer.reset': 'Reset to default',
+  'customizer.exported': 'Saved as {fileName}.',
+  'customizer.imported': 'Imported layout from {fileName}.',
+  'customizer.importFailed': 'Could not import {fileName}: {reason}',
+  'customizer.confirmReset': 'Reset your dashboard to the default layout? Pinned links will be removed.',
+  'customizer.resetDone': 'Dashboard reset to the default layout.',
+  'customizer.done': 'Done',
+  'preferences.notLayout': 'This is not a ConnectHub layout file.',
+  'preferences.unknownVersion': 'Unknown layout version "{version}".',
+  'preferences.newerVersion': 'This layout was saved by a newer version of ConnectHub (version {version}).',
+  'preferences.unsafeUrl': 'Links must start with https://, http://, mailto: or #/.',
+  'preferences.tooManyLinks': 'You can pin up to {count} links.',
+  'preferences.invalidJson': 'The layout file is not valid JSON.',
+
+  // Theme switcher (header)
+  'theme.toggle': 'Theme and colors',
+  'theme.legend': 'Theme',
+  'theme.themes.system': 'Same as my device',
+  'theme.themes.light': 'Light',
+  'theme.themes.dark': 'Dark',
+  'theme.themes.high-contrast': 'High contrast',
+  'theme.brandLabel': 'Department colors',
+  'theme.brandAuto': 'My department',
+  'theme.brandAutoNamed': 'My department ({department})',
+  'theme.brandNone': 'ConnectHub colors',
+
+  // Audience labels on targeted items (admins only)
+  'audience.badge': 'Only for {audience}',
+  'audience.roles.admin': 'Admins',
+  'audience.roles.employee': 'Employees',
+
+  // Carousel and tabs components
+  'carousel.roleDescription': 'carousel',
+  'carousel.slideRoleDescription': 'slide',
+  'carousel.position': '{number} of {count}',
+  'carousel.slides': 'Slides',
+  'carousel.slide': 'Slide {number}',
+  'carousel.previous': 'Previous slide',
+  'carousel.next': 'Next slide',
+  'carousel.stopAutoplay': 'Stop automatic slide show',
+  'carousel.startAutoplay': 'Start automatic slide show',
+  'carousel.announce': 'Slide {number} of {count}',
+  'carousel.announceTitled': 'Slide {number} of {count}: {title}',
+  'tabs.close': 'Close tab',
+  'tabs.add': 'Add tab',
+  'tabs.loadFailed': 'This section could not be loaded.',
+  'tabs.retry': 'Try again',
+
+  // Audience labels (shown to admins)
+  'audience.badge': 'Only for {audience}',
+  'audience.roles.admin': 'Admins',
+  'audience.roles.employee': 'Employees',
+
+  // Search
+  'searchBox.label': 'Search results',
+  'searchBox.emptyQuery': 'Please enter a search query.',
+  'searchBox.noResults': 'No results for "{query}".',
+  'searchBox.groups.link': 'Quick Links',
+  'searchBox.groups.person': 'People',
+  'searchBox.groups.news': 'News',
+  'searchBox.groups.event': 'Events',
+  'searchBox.quickLink': 'Quick link',
+  'searchBox.seeAll': { one: 'See {count} result for "{query}"', other: 'See all {count} results for "{query}"' },
+  'searchResults.title': 'Search',
+  'searchResults.heading': 'Search results for "{query}"',
+  'searchResults.pageTitle': 'Search: {query}',
+  'searchResults.searching': 'Searching...',
+  'searchResults.noResults': 'No results found. Check the spelling or try fewer words.',
+  'searchResults.count': { one: '{count} result', other: '{count} results' },
+  'searchResults.group': '{label} ({count})',
+
+  // News
+  'newsFeed.allCategories': 'All Categories',
+  'newsFeed.searchPlaceholder': 'Search news...',
+  'newsFeed.loading': 'Loading news...',
+  'newsFeed.loadMore': 'Load More News',
+  'newsFeed.noMatches': 'No news matches "{query}".',
+  'newsFeed.empty': 'No news in this category yet.',
+  'newsFeed.sortLabel': 'Sort news',
+  'newsFeed.sort.date': 'Newest first',
+  'newsFeed.sort.popular': 'Most popular',
+  'newsFeed.readMore': 'Read more',
+  'newsFeed.readMoreLabel': 'Read more: {title}',
+  'newsFeed.unreadMarker': 'Unread',
+  'newsFeed.unread': { one: '{count} unread article', other: '{count} unread articles' },
+  'newsFeed.markAllRead': 'Mark all as read',
+  'newsFeed.saved': 'Saved articles ({count})',
+  'newsFeed.bookmark': 'Save for later',
+  'newPosts.count': { one: '{count} new post', other: '{count} new posts' },
+  'featuredNews.label': 'Featured news',
+  'featuredNews.readMore': 'Read more',
+  'featuredNews.readMoreLabel': 'Read more: {title}',
+
+  // Quick links and spotlight
+  'quickLinks.loading': 'Loading quick links...',
+  'quickLinks.empty': 'No quick links yet.',
+  'quickLinks.pinnedLabel': '{title} (pinned)',
+  'spotlight.loading': 'Loading spotlight...',
+  'spotlight.empty': 'Nobody is in the spotlight right now.',
+  'spotlight.viewProfile': 'View profile',
+  'spotlight.kudos': 'Send kudos',
+  'spotlight.kudosText': 'Congratulations on being in the Employee Spotlight, {name}! 🌟',
+
+  // Birthdays and work anniversaries
+  'celebrations.loading': 'Loading celebrations...',
+  'celebrations.empty': 'No birthdays or work anniversaries in the next two weeks.',
+  'celebrations.birthday': 'Birthday',
+  'celebrations.anniversary': { one: '{count} year at ConnectHub', other: '{count} years at ConnectHub' },
+  'celebrations.today': 'Today',
+  'celebrations.tomorrow': 'Tomorrow',
+  'celebrations.sendKudos': 'Send kudos',
+  'celebrations.sendKudosLabel': 'Send kudos to {name}',
+  'celebrations.kudos.birthday': 'Happy birthday, @{handle}! 🎂',
+  'celebrations.kudos.anniversary': {
+    one: 'Happy first work anniversary, @{handle}! Thank you for a great year. 🎉',
+    other: 'Happy work anniversary, @{handle}! {count} years at ConnectHub and counting. 🎉',
+  },
+
+  // Briefing and meeting reminders
+  'briefing.tasks': 'Open Tasks',
+  'briefing.emails': 'Unread Emails',
+  'briefing.checkInbox': 'Check Inbox',
+  'briefing.meetings': 'Upcoming Meetings',
+  'briefing.fullSchedule': 'Full Schedule',
+  'briefing.weather': 'Weather',
+  'briefing.forecast': '5-Day Forecast',
+  'briefing.duration.minutes': '{count} min',
+  'briefing.duration.hours': '{count} h',
+  'briefing.duration.hoursMinutes': '{hours} h {minutes} min',
+  'briefing.current': 'Now: {title} (ends in {duration})',
+  'briefing.noMoreMeetings': 'No more meetings today or tomorrow.',
+  'briefing.nextTomorrow': 'Next meeting tomorrow at {time}',
+  'briefing.nextIn': 'Next meeting in {duration}',
+  'briefing.noMeetings': 'No upcoming meetings.',
+  'briefing.now': 'Now',
+  'briefing.tomorrowAt': 'Tomorrow {time}',
+  'briefing.weatherUnavailable': 'Weather unavailable',
+
+  // Weather
+  'weather.conditions.clear': 'Clear',
+  'weather.conditions.partly-cloudy': 'Partly cloudy',
+  'weather.conditions.cloudy': 'Cloudy',
+  'weather.conditions.fog': 'Fog',
+  'weather.conditions.drizzle': 'Drizzle',
+  'weather.conditions.rain': 'Rain',
+  'weather.conditions.thunderstorm': 'Thunderstorms',
+  'weather.conditions.snow': 'Snow',
+  'weather.today': 'Today',
+  'weather.range': '{high} / {low}',
+  'weather.rainChance': '{chance} rain',
+  'weather.wind': 'Wind {speed}',
+  'weather.nearYou': 'Near you',
+  'weather.stale': 'Last updated {time}',
+  'weather.retry': 'Try again',
+  'weather.showForecast': { one: 'Tomorrow\'s forecast', other: '{count}-day forecast' },
+  'weather.hideForecast': 'Hide forecast',
+  'reminders.label': 'Reminders',
+  'reminders.off': 'Off',
+  'reminders.before': '{count} min before',
+  'reminders.allow': 'Allow notifications',
+  'reminders.blocked': 'Notifications are blocked for this site in your browser settings.',
+  'reminders.title': { '=0': '{title} starts now', other: '{title} starts in {count} min' },
+
+  // Events and calendar
+  'events.allDay': 'All day',
+  'events.viewAll': 'View All Events',
+  'events.empty': 'No upcoming events. Past events are in the calendar.',
+  'events.addToCalendar': 'Add to calendar',
+  'events.addToCalendarLabel': 'Add "{title}" to your calendar (.ics)',
+  'events.conflict': { one: 'Overlaps your meeting: {meetings}', other: 'Overlaps your meetings: {meetings}' },
+  'calendar.loading': 'Loading events...',
+  'calendar.viewLabel': 'Calendar view',
+  'calendar.views.month': 'Month',
+  'calendar.views.week': 'Week',
+  'calendar.views.agenda': 'Agenda',
+  'calendar.today': 'Today',
+  'calendar.categoryLabel': 'Filter by category',
+  'calendar.allCategories': 'All categories',
+  'calendar.export': 'Export (.ics)',
+  'calendar.noEventsDay': 'No events',
+  'calendar.noEventsMonth': 'No events this month.',
+  'calendar.previousWeek': 'Previous week',
+  'calendar.previousMonth': 'Previous month',
+  'calendar.nextWeek': 'Next week',
+  'calendar.nextMonth': 'Next month',
+  'calendar.exportName': 'ConnectHub Events',
+  'calendar.exportCategoryName': 'ConnectHub {category} Events',
+
+  // Team updates and the composer
+  'teamUpdates.loading': 'Loading updates...',
+  'teamUpdates.toggle': 'Submit a Shout-out',
+  'teamUpdates.empty': 'No team updates yet.',
+  'teamUpdates.composerLabel': 'Write a shout-out',
+  'teamUpdates.composerPlaceholder': 'Give a shout-out to a colleague or team, e.g. Thanks @alice.johnson for...',
+  'teamUpdates.commentLabel': "Comment on {author}'s update",
+  'teamUpdates.commentPlaceholder': 'Write a comment...',
+  'teamUpdates.comment': 'Comment',
+  'teamUpdates.comments': { '=0': 'Comment', one: '{count} comment', other: '{count} comments' },
+  'teamUpdates.editLabel': 'Edit update',
+  'teamUpdates.save': 'Save',
+  'teamUpdates.edit': 'Edit',
+  'teamUpdates.edited': 'edited',
+  'teamUpdates.delete': 'Delete',
+  'teamUpdates.deleteCommentLabel': 'Delete comment by {author}',
+  'teamUpdates.confirmDelete': 'Delete this update? This cannot be undone.',
+  'teamUpdates.status.posting': 'Posting...',
+  'teamUpdates.status.queued': "Waiting to be posted when you're back online",
+  'teamUpdates.reactionsLabel': 'Reactions',
+  'teamUpdates.reactions': { one: '{emoji} {count} reaction', other: '{emoji} {count} reactions' },
+  'teamUpdates.reactionsMine': { one: '{emoji} {count} reaction, including yours', other: '{emoji} {count} reactions, including yours' },
+  'composer.post': 'Post',
+  'composer.cancel': 'Cancel',
+  'composer.mentionsLabel': 'People to mention',
+  'composer.help': 'Markdown: **bold**, *italics*, [links](https://...), - lists. Type @ to mention someone.',
+  'composer.preview': 'Preview',
+  'composer.edit': 'Edit',
+  'composer.count': '{length} / {maxLength}',
+  'composer.emptyPreview': 'Nothing to preview yet.',
+  'composer.empty': 'Write something first.',
+  'composer.tooLong': { one: "That's {count} character too long.", other: "That's {count} characters too long." },
+
+  // Offline banner
+  'offline.offline': "You're offline. Showing saved content, which may be out of date.",
+  'offline.pending': {
+    one: "You're offline. Showing saved content; {count} change will be sent when you reconnect.",
+    other: "You're offline. Showing saved content; {count} changes will be sent when you reconnect.",
+  },
+  'offline.sending': { one: 'Back online. Sending {count} saved change...', other: 'Back online. Sending {count} saved changes...' },
+  'offline.online': "You're back online.",
+  'offline.failed': 'Some changes were not sent.',
+  'offline.discarded': 'A change made offline ({type}) could not be sent and was discarded.',
+  'offline.dismiss': 'Dismiss',
+
+  // Requests and forms
+  'requests.title': 'My Requests',
+  'requests.empty': 'No requests yet.',
+  'requests.awaitingApproval': { one: '{count} awaiting your approval', other: '{count} awaiting your approval' },
+  'requests.leaveSummary': { one: '{type}, {range} ({count} day)', other: '{type}, {range} ({count} days)' },
+  'requests.status.approved': 'Approved',
+  'requests.status.rejected': 'Rejected',
+  'requests.status.rejectedBy': 'Rejected by {name}',
+  'requests.status.waitingFor': 'Waiting for {name}',
+  'requests.status.pending': 'Pending',
+  'requests.form.back': '← Back to Resources',
+  'requests.form.discardDraft': 'Discard draft',
+  'requests.form.draftRestored': 'Draft restored from {date}.',
+  'requests.form.draftSaved': 'Draft saved at {date}.',
+  'requests.form.draftNotSaved': "Your draft couldn't be saved on this device.",
+  'requests.form.submit': 'Submit for approval',
+  'requests.form.submitted': 'Request submitted',
+  'requests.form.submittedTo': "{name} has been asked to approve it. You'll see its status in your briefing and under My Requests.",
+  'requests.form.viewRequests': 'View my requests',
+  'requests.form.approver': 'Your request will be sent to {name} for approval.',
+  'requests.form.noApprover': "There is no manager on file for you, so this request can't be routed. Please contact HR.",
+  'requests.loading': 'Loading your requests...',
+  'requests.requestLeave': 'Request leave',
+  'requests.claimExpense': 'Claim an expense',
+  'requests.awaitingHeading': 'Awaiting your approval ({count})',
+  'requests.yours': 'Your requests',
+  'requests.noneSubmitted': "You haven't submitted any requests yet.",
+  'requests.type.leave': 'Leave request',
+  'requests.type.expense': 'Expense claim',
+  'requests.from': '{type} from {name}',
+  'requests.submittedOn': 'Submitted {date}',
+  'requests.approvals': 'Approvals',
+  'requests.step.pending': 'Waiting for a decision',
+  'requests.step.waiting': 'Next in line',
+  'requests.step.decision': '{name}: {decision}',
+  'requests.step.decidedOn': '{name}: {decision}, {date}',
+  'requests.attached': 'Attached: {files}',
+  'requests.comment': 'Comment (required to reject)',
+  'requests.approve': 'Approve',
+  'requests.reject': 'Reject',
+  'schemaForm.choose': 'Choose...',
+  'schemaForm.submit': 'Submit',
+  'schemaForm.amountLabel': '{label} in {currency}',
+  'schemaForm.problems': { one: 'There is a problem with this form', other: 'There are {count} problems with this form' },
+  'formSchema.required': '{label} is required.',
+  'formSchema.notANumber': '{label} must be a number.',
+  'formSchema.atLeast': '{label} must be at least {limit}.',
+  'formSchema.atMost': "{label} can't be more than {limit}.",
+  'formSchema.decimals': { '=0': '{label} must be a whole number.', one: '{label} can have at most {count} decimal place.', other: '{label} can have at most {count} decimal places.' },
+  'formSchema.invalidDate': '{label} must be a valid date.',
+  'formSchema.past': "{label} can't be in the past.",
+  'formSchema.before': "{label} can't be before {date}.",
+  'formSchema.future': "{label} can't be in the future.",
+  'formSchema.after': "{label} can't be after {date}.",
+  'formSchema.notAfter': '{label} must be after {other}.',
+  'formSchema.beforeOther': "{label} can't be before {other}.",
+  'formSchema.maxRange': { one: 'The dates can span at most {count} day.', other: 'The dates can span at most {count} days.' },
+  'formSchema.maxFiles': { one: 'Attach at most {count} file.', other: 'Attach at most {count} files.' },
+  'formSchema.fileType': "{name} isn't an accepted file type ({types}).",
+  'formSchema.fileSize': '{name} is larger than {size}.',
+  'formSchema.choose': 'Choose a {label} from the list.',
+  'formSchema.minLength': { one: '{label} must be at least {count} character.', other: '{label} must be at least {count} characters.' },
+  'formSchema.maxLength': { one: "{label} can't be longer than {count} character.", other: "{label} can't be longer than {count} characters." },
+  'formSchema.pattern': "{label} isn't in the expected format.",
+  'requestForms.leave.title': 'Leave Request',
+  'requestForms.leave.leaveType': 'Type of leave',
+  'requestForms.leave.vacation': 'Vacation',
+  'requestForms.leave.sick': 'Sick leave',
+  'requestForms.leave.personal': 'Personal leave',
+  'requestForms.leave.unpaid': 'Unpaid leave',
+  'requestForms.leave.startDate': 'First day',
+  'requestForms.leave.endDate': 'Last day',
+  'requestForms.leave.afterStartDate': 'the first day',
+  'requestForms.leave.reason': 'Reason',
+  'requestForms.leave.reasonHint': 'Required for unpaid leave.',
+  'requestForms.leave.certificate': 'Medical certificate',
+  'requestForms.leave.certificateRequired': { one: 'Attach a medical certificate for sick leave of more than {count} day.', other: 'Attach a medical certificate for sick leave of more than {count} days.' },
+  'requestForms.leave.certificateHint': { one: 'Required for more than {count} day. PDF or image, up to 5 MB each.', other: 'Required for more than {count} days. PDF or image, up to 5 MB each.' },
+  'requestForms.expense.title': 'Expense Claim',
+  'requestForms.expense.category': 'Category',
+  'requestForms.expense.travel': 'Travel',
+  'requestForms.expense.meals': 'Meals',
+  'requestForms.expense.supplies': 'Office supplies',
+  'requestForms.expense.training': 'Training',
+  'requestForms.expense.other': 'Other',
+  'requestForms.expense.expenseDate': 'Date of expense',
+  'requestForms.expense.expenseDateHint': { one: 'Claims must be filed within {count} day.', other: 'Claims must be filed within {count} days.' },
+  'requestForms.expense.amount': 'Amount',
+  'requestForms.expense.description': 'Description',
+  'requestForms.expense.descriptionHint': 'What was it for? e.g. "Taxi to the client meeting in Bacolod".',
+  'requestForms.expense.receipts': 'Receipts',
+  'requestForms.expense.receiptRequired': 'Attach a receipt for this amount.',
+  'requestForms.expense.receiptsHint': 'Required from {amount} {currency}. PDF or image, up to 5 MB each.',
+
+  // Content console
+  'contentForms.invalidUrl': '{label} must start with https://, mailto:, #/ or /.',
+  'contentForms.invalidImage': 'Image must be a web address (https://) or a path on this site, e.g. assets/images/news/photo.jpg.',
+  'contentForms.audience.departments': 'Departments',
+  'contentForms.audience.locations': 'Locations',
+  'contentForms.audience.roles': 'Roles',
+  'contentForms.audience.rolesHint': 'Comma-separated ({roles}). Leave every audience field empty to show it to everyone.',
+  'contentForms.audience.hint': 'Comma-separated, e.g. "Engineering, Product".',
+  'contentForms.audience.unknownRole': { one: 'Unknown role: {roles}.', other: 'Unknown roles: {roles}.' },
+  'contentForms.publishAt': 'Publish on',
+  'contentForms.publishAtHint': 'Leave empty to show it as soon as it is published.',
+  'contentForms.expireAt': 'Take down on',
+  'contentForms.afterPublishAt': 'the publish date',
+  'contentForms.expireAtHint': 'Leave empty to keep it up until it is archived.',
+  'contentForms.title': 'Title',
+  'contentForms.category': 'Category',
+  'contentForms.date': 'Date',
+  'contentForms.no': 'No',
+  'contentForms.yes': 'Yes',
+  'contentForms.news.title': 'News article',
+  'contentForms.news.categoryHint': 'e.g. "HR" or "Product Update".',
+  'contentForms.news.dateHint': 'Shown on the article and used to sort the feed.',
+  'contentForms.news.author': 'Author',
+  'contentForms.news.image': 'Image',
+  'contentForms.news.preview': 'Preview',
+  'contentForms.news.previewHint': 'Shown in the feed. Markdown and @mentions work here.',
+  'contentForms.news.fullContent': 'Full article',
+  'contentForms.news.fullContentHint': 'HTML. Scripts, styles and event handlers are removed before it is shown.',
+  'contentForms.news.tags': 'Tags',
+  'contentForms.news.tagsHint': 'Comma-separated.',
+  'contentForms.news.featured': 'Feature in the carousel',
+  'contentForms.events.title': 'Event',
+  'contentForms.events.description': 'Description',
+  'contentForms.events.categoryHint': 'e.g. "Training" or "Social".',
+  'contentForms.events.time': 'Time',
+  'contentForms.events.timeHint': 'e.g. "10:00 AM PST" or "1:00 PM - 4:00 PM". Leave empty for an all-day event.',
+  'contentForms.events.location': 'Location',
+  'contentForms.events.link': 'Link',
+  'contentForms.quickLinks.title': 'Quick link',
+  'contentForms.quickLinks.url': 'Address',
+  'contentForms.quickLinks.urlHint': 'A page of the intranet (#/...) or a web address.',
+  'contentForms.quickLinks.icon': 'Icon',
+  'contentForms.quickLinks.iconInvalid': 'Icon must be a Font Awesome class, e.g. "fas fa-book".',
+  'contentForms.quickLinks.iconHint': 'A Font Awesome class, e.g. "fas fa-book". Defaults to a link icon.',
+  'contentForms.spotlight.title': 'Spotlight',
+  'contentForms.spotlight.name': 'Name',
+  'contentForms.spotlight.employeeId': 'Employee ID',
+  'contentForms.spotlight.employeeIdHint': 'Their directory ID, e.g. emp-004.',
+  'contentForms.spotlight.position': 'Position',
+  'contentForms.spotlight.photo': 'Photo',
+  'contentForms.spotlight.bio': 'About them',
+  'contentForms.spotlight.profileUrl': 'Profile link',
+  'contentForms.spotlight.profileUrlHint': 'e.g. #/people/emp-004.',
+  'console.types': 'Content types',
+  'console.adminsOnly': 'You need administrator rights to manage intranet content. Ask IT if you should have them.',
+  'console.news.label': 'News',
+  'console.news.new': 'New article',
+  'console.news.edit': 'Edit article: {title}',
+  'console.news.empty': 'No news yet.',
+  'console.news.loading': 'Loading news...',
+  'console.news.subject': 'news',
+  'console.news.save': 'save this article',
+  'console.events.label': 'Events',
+  'console.events.new': 'New event',
+  'console.events.edit': 'Edit event: {title}',
+  'console.events.empty': 'No events yet.',
+  'console.events.loading': 'Loading events...',
+  'console.events.subject': 'events',
+  'console.events.save': 'save this event',
+  'console.spotlight.label': 'Spotlight',
+  'console.spotlight.new': 'New spotlight entry',
+  'console.spotlight.edit': 'Edit spotlight entry: {title}',
+  'console.spotlight.empty': 'No spotlight entries yet.',
+  'console.spotlight.loading': 'Loading spotlight entries...',
+  'console.spotlight.subject': 'spotlight entries',
+  'console.spotlight.save': 'save this spotlight entry',
+  'console.quickLinks.label': 'Quick Links',
+  'console.quickLinks.new': 'New quick link',
+  'console.quickLinks.edit': 'Edit quick link: {title}',
+  'console.quickLinks.empty': 'No quick links yet.',
+  'console.quickLinks.loading': 'Loading quick links...',
+  'console.quickLinks.subject': 'quick links',
+  'console.quickLinks.save': 'save this quick link',
+  'console.state.draft': 'Draft',
+  'console.state.scheduled': 'Scheduled',
+  'console.state.live': 'Live',
+  'console.state.expired': 'Expired',
+  'console.state.archived': 'Archived',
+  'console.publish': 'Publish',
+  'console.publishLabel': 'Publish: {title}',
+  'console.unpublish': 'Unpublish',
+  'console.unpublishLabel': 'Unpublish: {title}',
+  'console.archive': 'Archive',
+  'console.archiveLabel': 'Archive: {title}',
+  'console.restore': 'Restore as draft',
+  'console.restoreLabel': 'Restore as draft: {title}',
+  'console.edit': 'Edit',
+  'console.editLabel': 'Edit {title}',
+  'console.untitled': 'Untitled',
+  'console.schedule.range': 'From {from} until {until}',
+  'console.schedule.from': 'From {date}',
+  'console.schedule.until': 'Until {date}',
+  'console.schedule.none': 'No dates set',
+  'console.statusChanged': '"{title}" is now {state}.',
+  'console.fixBeforePublishing': 'Fix this before publishing: {message}',
+  'console.saveChanges': 'Save changes',
+  'console.saveDraft': 'Save draft',
+  'console.changesSaved': 'Changes to "{title}" saved.',
+  'console.draftSaved': 'Draft "{title}" saved. Publish it when it is ready.',
+  'console.cancel': 'Cancel',
+  'console.preview': 'Preview',
+  'console.previewEmpty': 'The preview will appear as you type.',
+
+  // Routed pages
+  'router.loadFailed': 'This page could not be loaded. Please try again.',
+  'router.errorTitle': 'Error',
+  'routes.home': 'Home',
+  'routes.search': 'Search',
+  'routes.savedNews': 'Saved Articles',
+  'routes.news': 'News',
+  'routes.events': 'Events Calendar',
+  'routes.event': 'Events',
+  'routes.people': 'Employee Directory',
+  'routes.orgChart': 'Org Chart',
+  'routes.departments': 'Departments',
+  'routes.resources': 'Resources',
+  'routes.leaveRequest': 'Leave Request',
+  'routes.expenseForms': 'Expense Forms',
+  'routes.requests': 'My Requests',
+  'routes.adminContent': 'Content Console',
+  'routes.reports': 'Company Reports',
+  'routes.policies': 'Policy Handbook',
+  'routes.helpdesk': 'IT Helpdesk',
+  'routes.about': 'About Us',
+  'routes.contact': 'Contact',
+  'routes.notFound': 'Page Not Found',
+  'comingSoon.moving': 'The {section} section is being moved to ConnectHub and will be available here soon.',
+  'comingSoon.helpdesk': 'In the meantime, the IT Helpdesk can point you to the current location.',
+  'notFound.title': 'Page not found',
+  'notFound.message': 'There is nothing at "{path}". The link may be outdated, or the page may have moved.',
+  'departments.loading': 'Loading departments...',
+  'departments.headcount': { one: '{count} person', other: '{count} people' },
+  'departments.ledBy': 'Led by {names}',
+  'eventDetail.loading': 'Loading event...',
+  'eventDetail.back': '← Back to the calendar',
+  'eventDetail.notFound': 'Event not found',
+  'eventDetail.notFoundHint': 'This event may have been cancelled or already taken place.',
+  'eventDetail.date': 'Date',
+  'eventDetail.time': 'Time',
+  'eventDetail.location': 'Location',
+  'eventDetail.category': 'Category',
+  'eventDetail.join': 'Join or register',
+  'eventDetail.addToCalendar': 'Add to calendar (.ics)',
+  'newsArticle.loading': 'Loading article...',
+  'newsArticle.notFound': 'Article not found',
+  'newsArticle.notFoundHint': 'This article may have been removed or archived.',
+  'savedNews.loading': 'Loading saved articles...',
+  'savedNews.empty': 'No saved articles yet. Use the bookmark button on a news article to keep it here.',
+  'savedNews.remove': 'Remove',
+  'savedNews.removeLabel': 'Remove {title} from saved articles',
+  'resources.loading': 'Loading resources...',
+
+  // Employee directory
+  'directory.loading': 'Loading the employee directory...',
+  'directory.searchPlaceholder': 'Name, position, email or extension',
+  'directory.searchLabel': 'Search the directory',
+  'directory.department': 'Department',
+  'directory.location': 'Location',
+  'directory.skill': 'Skill',
+  'directory.sortBy': 'Sort by',
+  'directory.allDepartments': 'All departments',
+  'directory.allLocations': 'All locations',
+  'directory.anySkill': 'Any skill',
+  'directory.sort.name': 'Name',
+  'directory.sort.department': 'Department',
+  'directory.sort.position': 'Position',
+  'directory.sort.location': 'Location',
+  'directory.ascending': '{label} (A–Z)',
+  'directory.descending': '{label} (Z–A)',
+  'directory.orgChart': 'Org chart',
+  'directory.ext': 'Ext. {extension}',
+  'directory.noMatches': 'Nobody matches these filters.',
+  'directory.pages': 'Directory pages',
+  'directory.previous': 'Previous',
+  'directory.next': 'Next',
+  'directory.page': 'Page {page} of {pageCount}',
+  'directory.notFound': 'No employee with id "{id}" was found.',
+  'directory.back': 'Back to directory',
+  'directory.photo': 'Photo of {name}',
+  'directory.email': 'Email',
+  'directory.phone': 'Phone',
+  'directory.extension': 'Extension',
+  'directory.skills': 'Skills',
+  'directory.linkedInProfile': 'Profile',
+  'directory.manager': 'Manager',
+  'directory.directReports': 'Direct reports',
+  'directory.viewInOrgChart': 'View in org chart',
+  'directory.leaders': 'Organization leaders',
+  'directory.allLeaders': 'All leaders',
+  'directory.reportingLine': 'Reporting line',
+  'directory.reportCount': { one: '{count} direct report', other: '{count} direct reports' },
+  'directory.directReportsHeading': { '=0': 'No direct reports', other: 'Direct reports ({count})' },
+  'directory.issues.title': 'Some reporting lines in the directory data need fixing:',
+  'directory.issues.cycle': 'Reporting loop: {chain}.',
+  'directory.issues.dangling': '{name} reports to unknown manager "{managerId}".',
+};
@@ -0,0 +1,646 @@
+// src/js/locales/es.js
+
+/**
+ * ConnectHub Intranet - Spanish Messages
+ *
+ * Mensajes en español. Keys missing here fall back to English (locales/en.js).
+ */
+
+export default {
+  'common.loading': 'Cargando...',
+  'common.viewAll': 'Ver todo',
+  'common.backHome': 'Volver a la página de inicio',
+  'common.backToHomepage': '← Volver a la página de inicio',
+  'common.viewProfileOf': 'Ver el perfil de {name}',
+
+  'subjects.news': 'las noticias',
+  'subjects.quickLinks': 'los accesos rápidos',
+  'subjects.teamUpdates': 'las novedades del equipo',
+  'subjects.upcomingEvents': 'los próximos eventos',
+  'subjects.events': 'los eventos',
+  'subjects.meetings': 'tus reuniones',
+  'subjects.briefing': 'tu resumen',
+  'subjects.requests': 'tus solicitudes',
+  'subjects.searchResults': 'los resultados de búsqueda',
+  'subjects.spotlight': 'el empleado destacado',
+  'subjects.celebrations': 'los cumpleaños y aniversarios',
+  'subjects.departments': 'los departamentos',
+  'subjects.event': 'este evento',
+  'subjects.article': 'esta noticia',
+  'subjects.savedNews': 'tus noticias guardadas',
+  'subjects.resources': 'los recursos',
+  'subjects.directory': 'el directorio de empleados',
+  'actions.postShoutOut': 'publicar tu reconocimiento',
+  'actions.reactToUpdate': 'reaccionar a esta publicación',
+  'actions.editUpdate': 'editar esta publicación',
+  'actions.deleteUpdate': 'eliminar esta publicación',
+  'actions.postComment': 'publicar tu comentario',
+  'actions.deleteComment': 'eliminar este comentario',
+  'actions.submitRequest': 'enviar tu solicitud',
+  'actions.approveRequest': 'aprobar esta solicitud',
+  'actions.rejectRequest': 'rechazar esta solicitud',
+  'actions.publishItem': 'publicar este elemento',
+  'actions.unpublishItem': 'retirar la publicación de este elemento',
+  'actions.archiveItem': 'archivar este elemento',
+  'actions.restoreItem': 'restaurar este elemento',
+
+  'errors.load.timeout': 'Cargar {subject} está tardando demasiado. Inténtalo de nuevo en un momento.',
+  'errors.load.data': 'Recibimos {subject}, pero no pudimos mostrarlos. Si sigue ocurriendo, contacta con el Helpdesk de TI.',
+  'errors.load.forbidden': 'No tienes acceso a {subject}.',
+  'errors.load.offline': 'Estás sin conexión y todavía no hay una copia guardada de {subject} en este dispositivo.',
+  'errors.load.network': 'No pudimos cargar {subject}. Comprueba tu conexión e inténtalo de nuevo.',
+  'errors.save.forbidden': 'No tienes permiso para {action}.',
+  'errors.save.timeout': 'No pudimos {action}: el servidor tardó demasiado. Inténtalo de nuevo.',
+  'errors.save.removed': 'No pudimos {action}: se ha eliminado.',
+  'errors.save.network': 'No pudimos {action}. Comprueba tu conexión e inténtalo de nuevo.',
+  'errors.forbiddenAction': 'No puedes {action}.',
+  'errors.updateGone': 'Esta publicación ya no existe.',
+  'errors.commentGone': 'Este comentario ya no existe.',
+  'errors.requestGone': 'Esta solicitud ya no existe.',
+  'errors.notYourDecision': 'Solo {name} puede decidir sobre esta solicitud.',
+  'errors.alreadyDecided': 'Ya se ha decidido sobre esta solicitud.',
+  'errors.adminsOnly': 'Solo los administradores pueden gestionar el contenido de la intranet.',
+  'errors.itemGone': 'Este elemento ya no existe.',
+  'errors.noWeatherOffice': 'No hay ninguna oficina de la que mostrar el tiempo.',
+
+  'validation.shoutOut.empty': 'El reconocimiento no puede estar vacío.',
+  'validation.shoutOut.tooLong': 'El reconocimiento es demasiado largo ({length} de {maxLength} caracteres).',
+  'validation.comment.empty': 'El comentario no puede estar vacío.',
+  'validation.comment.tooLong': 'El comentario es demasiado largo ({length} de {maxLength} caracteres).',
+  'validation.reaction': '«{emoji}» no es una reacción disponible.',
+  'validation.requestType': 'Tipo de solicitud desconocido: «{type}».',
+  'validation.noApprover': 'No hay ningún responsable registrado que pueda aprobar esta solicitud. Ponte en contacto con RR. HH.',
+  'validation.decision': '«{decision}» no es una decisión.',
+  'validation.rejectionComment': 'Añade un comentario explicando por qué se rechaza la solicitud.',
+  'validation.contentType': '«{resource}» no se edita en la consola de contenido.',
+  'validation.publishStatus': '«{status}» no es un estado de publicación.',
+
+  'nav.home': 'Inicio',
+  'nav.departments': 'Departamentos',
+  'nav.resources': 'Recursos',
+  'nav.about': 'Quiénes somos',
+  'nav.contact': 'Contacto',
+  'header.searchPlaceholder': 'Buscar en ConnectHub...',
+  'header.search': 'Buscar',
+  'header.welcome': '¡Hola, {name}!',
+  'header.avatar': 'Avatar del usuario',
+  'header.menu': 'Abrir o cerrar el menú',
+  'footer.rights': 'ConnectHub Intranet. Todos los derechos reservados.',
+  'footer.privacy': 'Política de privacidad',
+  'footer.terms': 'Condiciones de uso',
+  'footer.support': 'Soporte',
+  'footer.careers': 'Empleo',
+
+  'widgets.briefing': 'Tu resumen',
+  'widgets.news': 'Noticias y anuncios',
+  'widgets.quickLinks': 'Accesos rápidos',
+  'widgets.events': 'Próximos eventos',
+  'widgets.spotlight': 'Empleado destacado',
+  'widgets.celebrations': 'Celebraciones',
+  'widgets.teamUpdates': 'Novedades del equipo',
+
+  'dashboard.expand': 'Expandir {title}',
+  'dashboard.collapse': 'Contraer {title}',
+  'dashboard.hide': 'Ocultar {title}',
+  'dashboard.hiddenCount': { one: '{count} widget oculto', other: '{count} widgets ocultos' },
+  'dashboard.customize': 'Personalizar panel',
+  'customizer.heading': 'Personaliza tu panel',
+  'customizer.widgets': 'Widgets',
+  'customizer.moveUp': 'Subir {title}',
+  'customizer.moveDown': 'Bajar {title}',
+  'customizer.show': 'Mostrar',
+  'customizer.widthLabel': 'Ancho de {title}',
+  'customizer.sizes.half': 'Medio ancho',
+  'customizer.sizes.full': 'Ancho completo',
+  'customizer.news': 'Noticias',
+  'customizer.defaultCategory': 'Categoría predeterminada',
+  'customizer.language': 'Idioma y región',
+  'customizer.languageLabel': 'Idioma',
+  'customizer.languageAuto': 'El de mi navegador',
+  'customizer.temperatureLabel': 'Temperatura',
+  'customizer.temperature.auto': 'Automática',
+  'customizer.temperature.celsius': 'Celsius (°C)',
+  'customizer.temperature.fahrenheit': 'Fahrenheit (°F)',
+  'customizer.pinnedLinks': 'Accesos rápidos fijados',
+  'customizer.linkTitlePlaceholder': 'Título',
+  'customizer.linkTitleLabel': 'Título del enlace',
+  'customizer.linkUrlPlaceholder': 'https://… o #/people',
+  'customizer.linkUrlLabel': 'URL del enlace',
+  'customizer.pinLink': 'Fijar enlace',
+  'customizer.noPinnedLinks': 'Todavía no hay enlaces fijados.',
+  'customizer.remove': 'Quitar',
+  'customizer.unpinLabel': 'Dejar de fijar {title}',
+  'customizer.share': 'Comparte tu diseño',
+  'customizer.export': 'Exportar diseño',
+  'customizer.import': 'Importar diseño',
+  'customizer.reset': 'Restablecer',
+  'customizer.exported': 'Guardado como {fileName}.',
+  'customizer.imported': 'Diseño importado de {fileName}.',
+  'customizer.importFailed': 'No se pudo importar {fileName}: {reason}',
+  'customizer.confirmReset': '¿Restablecer el diseño predeterminado del panel? Se quitarán los enlaces fijados.',
+  'customizer.resetDone': 'Se ha restablecido el diseño predeterminado del panel.',
+  'customizer.done': 'Listo',
+  'preferences.notLayout': 'Este no es un archivo de diseño de ConnectHub.',
+  'preferences.unknownVersion': 'Versión de diseño desconocida: «{version}».',
+  'preferences.newerVersion': 'Este diseño se guardó con una versión más reciente de ConnectHub (versión {version}).',
+  'preferences.unsafeUrl': 'Los enlaces deben empezar por https://, http://, mailto: o #/.',
+  'preferences.tooManyLinks': 'Puedes fijar hasta {count} enlaces.',
+  'preferences.invalidJson': 'El archivo de diseño no es un JSON válido.',
+
+  'theme.toggle': 'Tema y colores',
+  'theme.legend': 'Tema',
+  'theme.themes.system': 'Igual que mi dispositivo',
+  'theme.themes.light': 'Claro',
+  'theme.themes.dark': 'Oscuro',
+  'theme.themes.high-contrast': 'Alto contraste',
+  'theme.brandLabel': 'Colores del departamento',
+  'theme.brandAuto': 'Mi departamento',
+  'theme.brandAutoNamed': 'Mi departamento ({department})',
+  'theme.brandNone': 'Colores de ConnectHub',
+
+  'audience.badge': 'Solo para {audience}',
+  'audience.roles.admin': 'Administradores',
+  'audience.roles.employee': 'Empleados',
+
+  'carousel.roleDescription': 'carrusel',
+  'carousel.slideRoleDescription': 'diapositiva',
+  'carousel.position': '{number} de {count}',
+  'carousel.slides': 'Diapositivas',
+  'carousel.slide': 'Diapositiva {number}',
+  'carousel.previous': 'Diapositiva anterior',
+  'carousel.next': 'Diapositiva siguiente',
+  'carousel.stopAutoplay': 'Detener la presentación automática',
+  'carousel.startAutoplay': 'Iniciar la presentación automática',
+  'carousel.announce': 'Diapositiva {number} de {count}',
+  'carousel.announceTitled': 'Diapositiva {number} de {count}: {title}',
+  'tabs.close': 'Cerrar pestaña',
+  'tabs.add': 'Añadir pestaña',
+  'tabs.loadFailed': 'No se pudo cargar esta sección.',
+  'tabs.retry': 'Reintentar',
+
+  'searchBox.label': 'Resultados de búsqueda',
+  'searchBox.emptyQuery': 'Escribe algo para buscar.',
+  'searchBox.noResults': 'No hay resultados para «{query}».',
+  'searchBox.groups.link': 'Accesos rápidos',
+  'searchBox.groups.person': 'Personas',
+  'searchBox.groups.news': 'Noticias',
+  'searchBox.groups.event': 'Eventos',
+  'searchBox.quickLink': 'Enlace rápido',
+  'searchBox.seeAll': { one: 'Ver {count} resultado para «{query}»', other: 'Ver los {count} resultados para «{query}»' },
+  'searchResults.title': 'Buscar',
+  'searchResults.heading': 'Resultados de búsqueda para «{query}»',
+  'searchResults.pageTitle': 'Búsqueda: {query}',
+  'searchResults.searching': 'Buscando...',
+  'searchResults.noResults': 'No se encontraron resultados. Revisa la ortografía o prueba con menos palabras.',
+  'searchResults.count': { one: '{count} resultado', other: '{count} resultados' },
+  'searchResults.group': '{label} ({count})',
+
+  'newsFeed.allCategories': 'Todas las categorías',
+  'newsFeed.searchPlaceholder': 'Buscar noticias...',
+  'newsFeed.loading': 'Cargando noticias...',
+  'newsFeed.loadMore': 'Cargar más noticias',
+  'newsFeed.noMatches': 'Ninguna noticia coincide con «{query}».',
+  'newsFeed.empty': 'Todavía no hay noticias en esta categoría.',
+  'newsFeed.sortLabel': 'Ordenar noticias',
+  'newsFeed.sort.date': 'Más recientes',
+  'newsFeed.sort.popular': 'Más leídas',
+  'newsFeed.readMore': 'Leer más',
+  'newsFeed.readMoreLabel': 'Leer más: {title}',
+  'newsFeed.unreadMarker': 'No leída',
+  'newsFeed.unread': { one: '{count} noticia sin leer', other: '{count} noticias sin leer' },
+  'newsFeed.markAllRead': 'Marcar todo como leído',
+  'newsFeed.saved': 'Noticias guardadas ({count})',
+  'newsFeed.bookmark': 'Guardar para después',
+  'newPosts.count': { one: '{count} publicación nueva', other: '{count} publicaciones nuevas' },
+  'featuredNews.label': 'Noticias destacadas',
+  'featuredNews.readMore': 'Leer más',
+  'featuredNews.readMoreLabel': 'Leer más: {title}',
+
+  'quickLinks.loading': 'Cargando accesos rápidos...',
+  'quickLinks.empty': 'Todavía no hay accesos rápidos.',
+  'quickLinks.pinnedLabel': '{title} (fijado)',
+  'spotlight.loading': 'Cargando empleado destacado...',
+  'spotlight.empty': 'No hay ningún empleado destacado en este momento.',
+  'spotlight.viewProfile': 'Ver perfil',
+  'spotlight.kudos': 'Enviar felicitaciones',
+  'spotlight.kudosText': '¡Enhorabuena por ser el empleado destacado, {name}! 🌟',
+
+  'celebrations.loading': 'Cargando celebraciones...',
+  'celebrations.empty': 'No hay cumpleaños ni aniversarios laborales en las próximas dos semanas.',
+  'celebrations.birthday': 'Cumpleaños',
+  'celebrations.anniversary': { one: '{count} año en ConnectHub', other: '{count} años en ConnectHub' },
+  'celebrations.today': 'Hoy',
+  'celebrations.tomorrow': 'Mañana',
+  'celebrations.sendKudos': 'Enviar felicitaciones',
+  'celebrations.sendKudosLabel': 'Enviar felicitaciones a {name}',
+  'celebrations.kudos.birthday': '¡Feliz cumpleaños, @{handle}! 🎂',
+  'celebrations.kudos.anniversary': {
+    one: '¡Feliz primer aniversario laboral, @{handle}! Gracias por un gran año. 🎉',
+    other: '¡Feliz aniversario laboral, @{handle}! {count} años en ConnectHub y contando. 🎉',
+  },
+
+  'briefing.tasks': 'Tareas abiertas',
+  'briefing.emails': 'Correos sin leer',
+  'briefing.checkInbox': 'Ver bandeja de entrada',
+  'briefing.meetings': 'Próximas reuniones',
+  'briefing.fullSchedule': 'Agenda completa',
+  'briefing.weather': 'El tiempo',
+  'briefing.forecast': 'Previsión a 5 días',
+  'briefing.duration.minutes': '{count} min',
+  'briefing.duration.hours': '{count} h',
+  'briefing.duration.hoursMinutes': '{hours} h {minutes} min',
+  'briefing.current': 'Ahora: {title} (termina en {duration})',
+  'briefing.noMoreMeetings': 'No hay más reuniones hoy ni mañana.',
+  'briefing.nextTomorrow': 'Próxima reunión mañana a las {time}',
+  'briefing.nextIn': 'Próxima reunión en {duration}',
+  'briefing.noMeetings': 'No hay próximas reuniones.',
+  'briefing.now': 'Ahora',
+  'briefing.tomorrowAt': 'Mañana {time}',
+  'briefing.weatherUnavailable': 'El tiempo no está disponible',
+  'weather.conditions.clear': 'Despejado',
+  'weather.conditions.partly-cloudy': 'Parcialmente nublado',
+  'weather.conditions.cloudy': 'Nublado',
+  'weather.conditions.fog': 'Niebla',
+  'weather.conditions.drizzle': 'Llovizna',
+  'weather.conditions.rain': 'Lluvia',
+  'weather.conditions.thunderstorm': 'Tormentas',
+  'weather.conditions.snow': 'Nieve',
+  'weather.today': 'Hoy',
+  'weather.range': '{high} / {low}',
+  'weather.rainChance': '{chance} de lluvia',
+  'weather.wind': 'Viento {speed}',
+  'weather.nearYou': 'Cerca de ti',
+  'weather.stale': 'Última actualización: {time}',
+  'weather.retry': 'Reintentar',
+  'weather.showForecast': { one: 'Previsión de mañana', other: 'Previsión de {count} días' },
+  'weather.hideForecast': 'Ocultar previsión',
+  'reminders.label': 'Recordatorios',
+  'reminders.off': 'Desactivados',
+  'reminders.before': '{count} min antes',
+  'reminders.allow': 'Permitir notificaciones',
+  'reminders.blocked': 'Las notificaciones de este sitio están bloqueadas en la configuración del navegador.',
+  'reminders.title': { '=0': '{title} empieza ahora', other: '{title} empieza en {count} min' },
+
+  'events.allDay': 'Todo el día',
+  'events.viewAll': 'Ver todos los eventos',
+  'events.empty': 'No hay próximos eventos. Los eventos pasados están en el calendario.',
+  'events.addToCalendar': 'Añadir al calendario',
+  'events.addToCalendarLabel': 'Añadir «{title}» a tu calendario (.ics)',
+  'events.conflict': { one: 'Coincide con tu reunión: {meetings}', other: 'Coincide con tus reuniones: {meetings}' },
+  'calendar.loading': 'Cargando eventos...',
+  'calendar.viewLabel': 'Vista del calendario',
+  'calendar.views.month': 'Mes',
+  'calendar.views.week': 'Semana',
+  'calendar.views.agenda': 'Agenda',
+  'calendar.today': 'Hoy',
+  'calendar.categoryLabel': 'Filtrar por categoría',
+  'calendar.allCategories': 'Todas las categorías',
+  'calendar.export': 'Exportar (.ics)',
+  'calendar.noEventsDay': 'Sin eventos',
+  'calendar.noEventsMonth': 'No hay eventos este mes.',
+  'calendar.previousWeek': 'Semana anterior',
+  'calendar.previousMonth': 'Mes anterior',
+  'calendar.nextWeek': 'Semana siguiente',
+  'calendar.nextMonth': 'Mes siguiente',
+  'calendar.exportName': 'Eventos de ConnectHub',
+  'calendar.exportCategoryName': 'Eventos de ConnectHub: {category}',
+
+  'teamUpdates.loading': 'Cargando novedades...',
+  'teamUpdates.toggle': 'Enviar un reconocimiento',
+  'teamUpdates.empty': 'Todavía no hay novedades del equipo.',
+  'teamUpdates.composerLabel': 'Escribe un reconocimiento',
+  'teamUpdates.composerPlaceholder': 'Reconoce el trabajo de un compañero o equipo, p. ej. Gracias @alice.johnson por...',
+  'teamUpdates.commentLabel': 'Comentar la publicación de {author}',
+  'teamUpdates.commentPlaceholder': 'Escribe un comentario...',
+  'teamUpdates.comment': 'Comentar',
+  'teamUpdates.comments': { '=0': 'Comentar', one: '{count} comentario', other: '{count} comentarios' },
+  'teamUpdates.editLabel': 'Editar publicación',
+  'teamUpdates.save': 'Guardar',
+  'teamUpdates.edit': 'Editar',
+  'teamUpdates.edited': 'editado',
+  'teamUpdates.delete': 'Eliminar',
+  'teamUpdates.deleteCommentLabel': 'Eliminar el comentario de {author}',
+  'teamUpdates.confirmDelete': '¿Eliminar esta publicación? No se puede deshacer.',
+  'teamUpdates.status.posting': 'Publicando...',
+  'teamUpdates.status.queued': 'Se publicará cuando vuelvas a tener conexión',
+  'teamUpdates.reactionsLabel': 'Reacciones',
+  'teamUpdates.reactions': { one: '{emoji} {count} reacción', other: '{emoji} {count} reacciones' },
+  'teamUpdates.reactionsMine': { one: '{emoji} {count} reacción, incluida la tuya', other: '{emoji} {count} reacciones, incluida la tuya' },
+  'composer.post': 'Publicar',
+  'composer.cancel': 'Cancelar',
+  'composer.mentionsLabel': 'Personas a las que mencionar',
+  'composer.help': 'Markdown: **negrita**, *cursiva*, [enlaces](https://...), - listas. Escribe @ para mencionar a alguien.',
+  'composer.preview': 'Vista previa',
+  'composer.edit': 'Editar',
+  'composer.count': '{length} / {maxLength}',
+  'composer.emptyPreview': 'Todavía no hay nada que mostrar.',
+  'composer.empty': 'Escribe algo primero.',
+  'composer.tooLong': { one: 'Sobra {count} carácter.', other: 'Sobran {count} caracteres.' },
+
+  'offline.offline': 'Estás sin conexión. Se muestra el contenido guardado, que puede no estar actualizado.',
+  'offline.pending': {
+    one: 'Estás sin conexión. Se muestra el contenido guardado; {count} cambio se enviará cuando vuelvas a conectarte.',
+    other: 'Estás sin conexión. Se muestra el contenido guardado; {count} cambios se enviarán cuando vuelvas a conectarte.',
+  },
+  'offline.sending': { one: 'Conexión recuperada. Enviando {count} cambio guardado...', other: 'Conexión recuperada. Enviando {count} cambios guardados...' },
+  'offline.online': 'Vuelves a tener conexión.',
+  'offline.failed': 'Algunos cambios no se enviaron.',
+  'offline.discarded': 'Un cambio hecho sin conexión ({type}) no se pudo enviar y se descartó.',
+  'offline.dismiss': 'Cerrar',
+
+  'requests.title': 'Mis solicitudes',
+  'requests.empty': 'Todavía no hay solicitudes.',
+  'requests.awaitingApproval': { one: '{count} pendiente de tu aprobación', other: '{count} pendientes de tu aprobación' },
+  'requests.leaveSummary': { one: '{type}, {range} ({count} día)', other: '{type}, {range} ({count} días)' },
+  'requests.status.approved': 'Aprobada',
+  'requests.status.rejected': 'Rechazada',
+  'requests.status.rejectedBy': 'Rechazada por {name}',
+  'requests.status.waitingFor': 'Pendiente de {name}',
+  'requests.status.pending': 'Pendiente',
+  'requests.form.back': '← Volver a Recursos',
+  'requests.form.discardDraft': 'Descartar borrador',
+  'requests.form.draftRestored': 'Borrador recuperado del {date}.',
+  'requests.form.draftSaved': 'Borrador guardado: {date}.',
+  'requests.form.draftNotSaved': 'No se pudo guardar el borrador en este dispositivo.',
+  'requests.form.submit': 'Enviar para aprobación',
+  'requests.form.submitted': 'Solicitud enviada',
+  'requests.form.submittedTo': 'Se ha pedido a {name} que la apruebe. Verás su estado en tu resumen y en Mis solicitudes.',
+  'requests.form.viewRequests': 'Ver mis solicitudes',
+  'requests.form.approver': 'Tu solicitud se enviará a {name} para su aprobación.',
+  'requests.form.noApprover': 'No tienes ningún responsable registrado, así que esta solicitud no se puede tramitar. Ponte en contacto con RR. HH.',
+  'requests.loading': 'Cargando tus solicitudes...',
+  'requests.requestLeave': 'Solicitar permiso',
+  'requests.claimExpense': 'Reclamar un gasto',
+  'requests.awaitingHeading': 'Pendientes de tu aprobación ({count})',
+  'requests.yours': 'Tus solicitudes',
+  'requests.noneSubmitted': 'Todavía no has enviado ninguna solicitud.',
+  'requests.type.leave': 'Solicitud de permiso',
+  'requests.type.expense': 'Reclamación de gastos',
+  'requests.from': '{type} de {name}',
+  'requests.submittedOn': 'Enviada el {date}',
+  'requests.approvals': 'Aprobaciones',
+  'requests.step.pending': 'Pendiente de decisión',
+  'requests.step.waiting': 'Siguiente en la cadena',
+  'requests.step.decision': '{name}: {decision}',
+  'requests.step.decidedOn': '{name}: {decision}, {date}',
+  'requests.attached': 'Adjuntos: {files}',
+  'requests.comment': 'Comentario (obligatorio para rechazar)',
+  'requests.approve': 'Aprobar',
+  'requests.reject': 'Rechazar',
+  'schemaForm.choose': 'Elige...',
+  'schemaForm.submit': 'Enviar',
+  'schemaForm.amountLabel': '{label} en {currency}',
+  'schemaForm.problems': { one: 'Hay un problema en este formulario', other: 'Hay {count} problemas en este formulario' },
+  'formSchema.required': 'El campo «{label}» es obligatorio.',
+  'formSchema.notANumber': '{label} debe ser un número.',
+  'formSchema.atLeast': '{label} debe ser al menos {limit}.',
+  'formSchema.atMost': '{label} no puede ser mayor que {limit}.',
+  'formSchema.decimals': { '=0': '{label} debe ser un número entero.', one: '{label} puede tener como máximo {count} decimal.', other: '{label} puede tener como máximo {count} decimales.' },
+  'formSchema.invalidDate': '{label} debe ser una fecha válida.',
+  'formSchema.past': '{label} no puede estar en el pasado.',
+  'formSchema.before': '{label} no puede ser anterior al {date}.',
+  'formSchema.future': '{label} no puede estar en el futuro.',
+  'formSchema.after': '{label} no puede ser posterior al {date}.',
+  'formSchema.notAfter': '{label} debe ser posterior a {other}.',
+  'formSchema.beforeOther': '{label} no puede ser anterior a {other}.',
+  'formSchema.maxRange': { one: 'Las fechas pueden abarcar como máximo {count} día.', other: 'Las fechas pueden abarcar como máximo {count} días.' },
+  'formSchema.maxFiles': { one: 'Adjunta como máximo {count} archivo.', other: 'Adjunta como máximo {count} archivos.' },
+  'formSchema.fileType': '{name} no es un tipo de archivo admitido ({types}).',
+  'formSchema.fileSize': '{name} ocupa más de {size}.',
+  'formSchema.choose': 'Elige una opción de la lista para «{label}».',
+  'formSchema.minLength': { one: '{label} debe tener al menos {count} carácter.', other: '{label} debe tener al menos {count} caracteres.' },
+  'formSchema.maxLength': { one: '{label} no puede tener más de {count} carácter.', other: '{label} no puede tener más de {count} caracteres.' },
+  'formSchema.pattern': '{label} no tiene el formato esperado.',
+  'requestForms.leave.title': 'Solicitud de permiso',
+  'requestForms.leave.leaveType': 'Tipo de permiso',
+  'requestForms.leave.vacation': 'Vacaciones',
+  'requestForms.leave.sick': 'Baja por enfermedad',
+  'requestForms.leave.personal': 'Asuntos propios',
+  'requestForms.leave.unpaid': 'Permiso sin sueldo',
+  'requestForms.leave.startDate': 'Primer día',
+  'requestForms.leave.endDate': 'Último día',
+  'requestForms.leave.afterStartDate': 'el primer día',
+  'requestForms.leave.reason': 'Motivo',
+  'requestForms.leave.reasonHint': 'Obligatorio para los permisos sin sueldo.',
+  'requestForms.leave.certificate': 'Certificado médico',
+  'requestForms.leave.certificateRequired': { one: 'Adjunta un certificado médico para bajas de más de {count} día.', other: 'Adjunta un certificado médico para bajas de más de {count} días.' },
+  'requestForms.leave.certificateHint': { one: 'Obligatorio para más de {count} día. PDF o imagen, hasta 5 MB cada uno.', other: 'Obligatorio para más de {count} días. PDF o imagen, hasta 5 MB cada uno.' },
+  'requestForms.expense.title': 'Reclamación de gastos',
+  'requestForms.expense.category': 'Categoría',
+  'requestForms.expense.travel': 'Viajes',
+  'requestForms.expense.meals': 'Comidas',
+  'requestForms.expense.supplies': 'Material de oficina',
+  'requestForms.expense.training': 'Formación',
+  'requestForms.expense.other': 'Otros',
+  'requestForms.expense.expenseDate': 'Fecha del gasto',
+  'requestForms.expense.expenseDateHint': { one: 'Las reclamaciones deben presentarse en un plazo de {count} día.', other: 'Las reclamaciones deben presentarse en un plazo de {count} días.' },
+  'requestForms.expense.amount': 'Importe',
+  'requestForms.expense.description': 'Descripción',
+  'requestForms.expense.descriptionHint': '¿Para qué fue? p. ej., «Taxi a la reunión con el cliente en Bacolod».',
+  'requestForms.expense.receipts': 'Recibos',
+  'requestForms.expense.receiptRequired': 'Adjunta un recibo para este importe.',
+  'requestForms.expense.receiptsHint': 'Obligatorios a partir de {amount} {currency}. PDF o imagen, hasta 5 MB cada uno.',
+
+  'contentForms.invalidUrl': '{label} debe empezar por https://, mailto:, #/ o /.',
+  'contentForms.invalidImage': 'La imagen debe ser una dirección web (https://) o una ruta de este sitio, p. ej., assets/images/news/photo.jpg.',
+  'contentForms.audience.departments': 'Departamentos',
+  'contentForms.audience.locations': 'Oficinas',
+  'contentForms.audience.roles': 'Roles',
+  'contentForms.audience.rolesHint': 'Separados por comas ({roles}). Deja vacíos todos los campos de público para mostrarlo a todo el mundo.',
+  'contentForms.audience.hint': 'Separados por comas, p. ej., «Engineering, Product».',
+  'contentForms.audience.unknownRole': { one: 'Rol desconocido: {roles}.', other: 'Roles desconocidos: {roles}.' },
+  'contentForms.publishAt': 'Publicar el',
+  'contentForms.publishAtHint': 'Déjalo vacío para mostrarlo en cuanto se publique.',
+  'contentForms.expireAt': 'Retirar el',
+  'contentForms.afterPublishAt': 'la fecha de publicación',
+  'contentForms.expireAtHint': 'Déjalo vacío para mantenerlo hasta que se archive.',
+  'contentForms.title': 'Título',
+  'contentForms.category': 'Categoría',
+  'contentForms.date': 'Fecha',
+  'contentForms.no': 'No',
+  'contentForms.yes': 'Sí',
+  'contentForms.news.title': 'Noticia',
+  'contentForms.news.categoryHint': 'p. ej., «HR» o «Product Update».',
+  'contentForms.news.dateHint': 'Se muestra en la noticia y se usa para ordenar el feed.',
+  'contentForms.news.author': 'Autor',
+  'contentForms.news.image': 'Imagen',
+  'contentForms.news.preview': 'Resumen',
+  'contentForms.news.previewHint': 'Se muestra en el feed. Aquí funcionan Markdown y las @menciones.',
+  'contentForms.news.fullContent': 'Noticia completa',
+  'contentForms.news.fullContentHint': 'HTML. Los scripts, estilos y controladores de eventos se eliminan antes de mostrarlo.',
+  'contentForms.news.tags': 'Etiquetas',
+  'contentForms.news.tagsHint': 'Separadas por comas.',
+  'contentForms.news.featured': 'Destacar en el carrusel',
+  'contentForms.events.title': 'Evento',
+  'contentForms.events.description': 'Descripción',
+  'contentForms.events.categoryHint': 'p. ej., «Training» o «Social».',
+  'contentForms.events.time': 'Hora',
+  'contentForms.events.timeHint': 'p. ej., «10:00 AM PST» o «1:00 PM - 4:00 PM». Déjalo vacío si dura todo el día.',
+  'contentForms.events.location': 'Lugar',
+  'contentForms.events.link': 'Enlace',
+  'contentForms.quickLinks.title': 'Enlace rápido',
+  'contentForms.quickLinks.url': 'Dirección',
+  'contentForms.quickLinks.urlHint': 'Una página de la intranet (#/...) o una dirección web.',
+  'contentForms.quickLinks.icon': 'Icono',
+  'contentForms.quickLinks.iconInvalid': 'El icono debe ser una clase de Font Awesome, p. ej., «fas fa-book».',
+  'contentForms.quickLinks.iconHint': 'Una clase de Font Awesome, p. ej., «fas fa-book». Si no, se usa un icono de enlace.',
+  'contentForms.spotlight.title': 'Empleado destacado',
+  'contentForms.spotlight.name': 'Nombre',
+  'contentForms.spotlight.employeeId': 'ID de empleado',
+  'contentForms.spotlight.employeeIdHint': 'Su ID en el directorio, p. ej., emp-004.',
+  'contentForms.spotlight.position': 'Puesto',
+  'contentForms.spotlight.photo': 'Foto',
+  'contentForms.spotlight.bio': 'Sobre la persona',
+  'contentForms.spotlight.profileUrl': 'Enlace al perfil',
+  'contentForms.spotlight.profileUrlHint': 'p. ej., #/people/emp-004.',
+  'console.types': 'Tipos de contenido',
+  'console.adminsOnly': 'Necesitas permisos de administrador para gestionar el contenido de la intranet. Consulta a IT si deberías tenerlos.',
+  'console.news.label': 'Noticias',
+  'console.news.new': 'Nueva noticia',
+  'console.news.edit': 'Editar noticia: {title}',
+  'console.news.empty': 'Todavía no hay noticias.',
+  'console.news.loading': 'Cargando noticias...',
+  'console.news.subject': 'las noticias',
+  'console.news.save': 'guardar esta noticia',
+  'console.events.label': 'Eventos',
+  'console.events.new': 'Nuevo evento',
+  'console.events.edit': 'Editar evento: {title}',
+  'console.events.empty': 'Todavía no hay eventos.',
+  'console.events.loading': 'Cargando eventos...',
+  'console.events.subject': 'los eventos',
+  'console.events.save': 'guardar este evento',
+  'console.spotlight.label': 'Empleado destacado',
+  'console.spotlight.new': 'Nuevo empleado destacado',
+  'console.spotlight.edit': 'Editar empleado destacado: {title}',
+  'console.spotlight.empty': 'Todavía no hay empleados destacados.',
+  'console.spotlight.loading': 'Cargando empleados destacados...',
+  'console.spotlight.subject': 'los empleados destacados',
+  'console.spotlight.save': 'guardar este empleado destacado',
+  'console.quickLinks.label': 'Accesos rápidos',
+  'console.quickLinks.new': 'Nuevo enlace rápido',
+  'console.quickLinks.edit': 'Editar enlace rápido: {title}',
+  'console.quickLinks.empty': 'Todavía no hay enlaces rápidos.',
+  'console.quickLinks.loading': 'Cargando enlaces rápidos...',
+  'console.quickLinks.subject': 'los enlaces rápidos',
+  'console.quickLinks.save': 'guardar este enlace rápido',
+  'console.state.draft': 'Borrador',
+  'console.state.scheduled': 'Programado',
+  'console.state.live': 'Publicado',
+  'console.state.expired': 'Caducado',
+  'console.state.archived': 'Archivado',
+  'console.publish': 'Publicar',
+  'console.publishLabel': 'Publicar: {title}',
+  'console.unpublish': 'Retirar',
+  'console.unpublishLabel': 'Retirar: {title}',
+  'console.archive': 'Archivar',
+  'console.archiveLabel': 'Archivar: {title}',
+  'console.restore': 'Restaurar como borrador',
+  'console.restoreLabel': 'Restaurar como borrador: {title}',
+  'console.edit': 'Editar',
+  'console.editLabel': 'Editar {title}',
+  'console.untitled': 'Sin título',
+  'console.schedule.range': 'Del {from} al {until}',
+  'console.schedule.from': 'Desde el {date}',
+  'console.schedule.until': 'Hasta el {date}',
+  'console.schedule.none': 'Sin fechas',
+  'console.statusChanged': '«{title}» ahora está en estado: {state}.',
+  'console.fixBeforePublishing': 'Corrige esto antes de publicar: {message}',
+  'console.saveChanges': 'Guardar cambios',
+  'console.saveDraft': 'Guardar borrador',
+  'console.changesSaved': 'Se guardaron los cambios de «{title}».',
+  'console.draftSaved': 'Borrador «{title}» guardado. Publícalo cuando esté listo.',
+  'console.cancel': 'Cancelar',
+  'console.preview': 'Vista previa',
+  'console.previewEmpty': 'La vista previa aparecerá mientras escribes.',
+
+  'router.loadFailed': 'No se pudo cargar esta página. Inténtalo de nuevo.',
+  'router.errorTitle': 'Error',
+  'routes.home': 'Inicio',
+  'routes.search': 'Buscar',
+  'routes.savedNews': 'Noticias guardadas',
+  'routes.news': 'Noticias',
+  'routes.events': 'Calendario de eventos',
+  'routes.event': 'Eventos',
+  'routes.people': 'Directorio de empleados',
+  'routes.orgChart': 'Organigrama',
+  'routes.departments': 'Departamentos',
+  'routes.resources': 'Recursos',
+  'routes.leaveRequest': 'Solicitud de permiso',
+  'routes.expenseForms': 'Formularios de gastos',
+  'routes.requests': 'Mis solicitudes',
+  'routes.adminContent': 'Consola de contenido',
+  'routes.reports': 'Informes de la empresa',
+  'routes.policies': 'Manual de políticas',
+  'routes.helpdesk': 'Soporte informático',
+  'routes.about': 'Quiénes somos',
+  'routes.contact': 'Contacto',
+  'routes.notFound': 'Página no encontrada',
+  'comingSoon.moving': 'La sección «{section}» se está trasladando a ConnectHub y pronto estará disponible aquí.',
+  'comingSoon.helpdesk': 'Mientras tanto, el soporte informático puede indicarte dónde se encuentra ahora.',
+  'notFound.title': 'Página no encontrada',
+  'notFound.message': 'No hay nada en «{path}». Puede que el enlace esté desactualizado o que la página se haya movido.',
+  'departments.loading': 'Cargando departamentos...',
+  'departments.headcount': { one: '{count} persona', other: '{count} personas' },
+  'departments.ledBy': 'Dirigido por {names}',
+  'eventDetail.loading': 'Cargando evento...',
+  'eventDetail.back': '← Volver al calendario',
+  'eventDetail.notFound': 'Evento no encontrado',
+  'eventDetail.notFoundHint': 'Puede que este evento se haya cancelado o ya se haya celebrado.',
+  'eventDetail.date': 'Fecha',
+  'eventDetail.time': 'Hora',
+  'eventDetail.location': 'Lugar',
+  'eventDetail.category': 'Categoría',
+  'eventDetail.join': 'Unirse o inscribirse',
+  'eventDetail.addToCalendar': 'Añadir al calendario (.ics)',
+  'newsArticle.loading': 'Cargando noticia...',
+  'newsArticle.notFound': 'Noticia no encontrada',
+  'newsArticle.notFoundHint': 'Puede que esta noticia se haya eliminado o archivado.',
+  'savedNews.loading': 'Cargando noticias guardadas...',
+  'savedNews.empty': 'Todavía no has guardado noticias. Usa el botón de marcador de una noticia para guardarla aquí.',
+  'savedNews.remove': 'Quitar',
+  'savedNews.removeLabel': 'Quitar {title} de las noticias guardadas',
+  'resources.loading': 'Cargando recursos...',
+
+  'directory.loading': 'Cargando el directorio de empleados...',
+  'directory.searchPlaceholder': 'Nombre, puesto, correo o extensión',
+  'directory.searchLabel': 'Buscar en el directorio',
+  'directory.department': 'Departamento',
+  'directory.location': 'Oficina',
+  'directory.skill': 'Habilidad',
+  'directory.sortBy': 'Ordenar por',
+  'directory.allDepartments': 'Todos los departamentos',
+  'directory.allLocations': 'Todas las oficinas',
+  'directory.anySkill': 'Cualquier habilidad',
+  'directory.sort.name': 'Nombre',
+  'directory.sort.department': 'Departamento',
+  'directory.sort.position': 'Puesto',
+  'directory.sort.location': 'Oficina',
+  'directory.ascending': '{label} (A–Z)',
+  'directory.descending': '{label} (Z–A)',
+  'directory.orgChart': 'Organigrama',
+  'directory.ext': 'Ext. {extension}',
+  'directory.noMatches': 'Nadie coincide con estos filtros.',
+  'directory.pages': 'Páginas del directorio',
+  'directory.previous': 'Anterior',
+  'directory.next': 'Siguiente',
+  'directory.page': 'Página {page} de {pageCount}',
+  'directory.notFound': 'No se encontró ningún empleado con el ID «{id}».',
+  'directory.back': 'Volver al directorio',
+  'directory.photo': 'Foto de {name}',
+  'directory.email': 'Correo',
+  'directory.phone': 'Teléfono',
+  'directory.extension': 'Extensión',
+  'directory.skills': 'Habilidades',
+  'directory.linkedInProfile': 'Perfil',
+  'directory.manager': 'Responsable',
+  'directory.directReports': 'Subordinados directos',
+  'directory.viewInOrgChart': 'Ver en el organigrama',
+  'directory.leaders': 'Dirección de la organización',
+  'directory.allLeaders': 'Toda la dirección',
+  'directory.reportingLine': 'Línea jerárquica',
+  'directory.reportCount': { one: '{count} subordinado directo', other: '{count} subordinados directos' },
+  'directory.directReportsHeading': { '=0': 'Sin subordinados directos', other: 'Subordinados directos ({count})' },
+  'directory.issues.title': 'Hay líneas jerárquicas en los datos del directorio que deben corregirse:',
+  'directory.issues.cycle': 'Bucle jerárquico: {chain}.',
+  'directory.issues.dangling': '{name} depende de un responsable desconocido («{managerId}»).',
+};
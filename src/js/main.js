@@ -16,7 +16,16 @@
  */
 
 document.addEventListener('DOMContentLoaded', () => {
-  console.log('Main JavaScript loaded and DOM is ready.');
+  // Logs through the intranet logger (window.ConnectHubLogger), or the console without it.
+  const log = (level, message) => {
+    if (window.ConnectHubLogger) {
+      window.ConnectHubLogger.get('Main')[level](message);
+    } else {
+      console[level](`[Main] ${message}`);
+    }
+  };
+
+  log('debug', 'Main JavaScript loaded and DOM is ready.');
 
   // --- Mobile Navigation Toggle ---
   const menuToggle = document.querySelector('.menu-toggle');
@@ -75,38 +84,12 @@ document.addEventListener('DOMContentLoaded', () => {
     });
 
   } else {
-    console.warn('Main JS: Mobile menu toggle or main navigation not found. Mobile menu functionality will not work.');
+    log('warn', 'Mobile menu toggle or main navigation not found. Mobile menu functionality will not work.');
   }
 
-  // --- Global Search Functionality (Placeholder) ---
-  const searchInput = document.querySelector('#global-search-input');
-  const searchButton = document.querySelector('#global-search-button');
-
-  if (searchInput && searchButton) {
-    searchButton.addEventListener('click', (e) => {
-      e.preventDefault(); // Prevent form submission if it's inside a form
-      performGlobalSearch(searchInput.value);
-    });
-
-    searchInput.addEventListener('keypress', (e) => {
-      if (e.key === 'Enter') {
-        e.preventDefault();
-        performGlobalSearch(searchInput.value);
-      }
-    });
-  }
-
-  function performGlobalSearch(query) {
-    if (query.trim()) {
-      console.log(`Performing global search for: "${query}"`);
-      // In a real application, you would:
-      // 1. Redirect to a search results page: window.location.href = `/search?q=${encodeURIComponent(query)}`;
-      // 2. Or, trigger an AJAX call to filter/display results dynamically.
-      alert(`Simulating search for: "${query}"`); // For demonstration
-    } else {
-      alert('Please enter a search query.');
-    }
-  }
+  // --- Global Search ---
+  // The header search box (#global-search-input) needs the data service, so it is
+  // initialized by the ES module entry point (pages/homePage.js -> widgets/searchBox.js).
 
   // --- Accessibility Enhancements (Focus Management, Skip Links - Placeholder) ---
   // You might add logic here for:
@@ -0,0 +1,151 @@
+// src/js/modules/approvals.js
+
+/**
+ * ConnectHub Intranet - Approval Workflow
+ *
+ * Routes leave requests and expense claims up the reporting line in employees.json
+ * (each employee's managerId). A request has one approval step per approver; steps
+ * are decided in order, and the request is:
+ * - 'pending' while a step is waiting for its approver,
+ * - 'approved' once every step is approved,
+ * - 'rejected' as soon as any approver rejects it.
+ *
+ * Large requests (long leave, big expenses) go one level further up, to the
+ * manager's manager, when there is one.
+ *
+ * Pure functions: the data service stores the results (see dataService.js).
+ */
+
+import { daysInRange } from './formSchema.js';
+import { t } from './i18n.js';
+
+export const REQUEST_STATUSES = Object.freeze({
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+});
+
+// Steps after the current one wait their turn.
+export const STEP_STATUSES = Object.freeze({
+  ...REQUEST_STATUSES,
+  WAITING: 'waiting',
+});
+
+/** Leave longer than this (in days) also needs the manager's manager. */
+export const SECOND_LEVEL_LEAVE_DAYS = 10;
+/** Expenses from this amount also need the manager's manager. */
+export const SECOND_LEVEL_EXPENSE_AMOUNT = 20000;
+
+/**
+ * How many levels of managers must approve a request.
+ * @param {string} type - 'leave' or 'expense'.
+ * @param {object} details - The submitted form values.
+ * @returns {number}
+ */
+export function approvalLevels(type, details) {
+  if (type === 'leave' && details.startDate && details.endDate) {
+    return daysInRange(details.startDate, details.endDate) > SECOND_LEVEL_LEAVE_DAYS ? 2 : 1;
+  }
+  if (type === 'expense') {
+    return details.amount >= SECOND_LEVEL_EXPENSE_AMOUNT ? 2 : 1;
+  }
+  return 1;
+}
+
+/**
+ * The managers above an employee, nearest first, following managerId.
+ * Stops at the top of the chain, at an unknown manager or at a reporting loop.
+ * @param {object[]} employees
+ * @param {string} employeeId
+ * @param {number} [levels=Infinity] - How many managers to return at most.
+ * @returns {Array<{ id: string, name: string }>}
+ */
+export function managerChain(employees, employeeId, levels = Infinity) {
+  const byId = new Map(employees.map(employee => [employee.id, employee]));
+  const chain = [];
+  const seen = new Set([employeeId]);
+  let current = byId.get(employeeId);
+
+  while (current && current.managerId && chain.length < levels) {
+    const manager = byId.get(current.managerId);
+    if (!manager || seen.has(manager.id)) break;
+    seen.add(manager.id);
+    chain.push({ id: manager.id, name: manager.fullName });
+    current = manager;
+  }
+  return chain;
+}
+
+/**
+ * Builds the approval steps for a new request: its first approver is asked right
+ * away, the others wait their turn.
+ * @param {Array<{ id: string, name: string }>} approvers - From managerChain().
+ * @returns {object[]} Steps: { approverId, approverName, status, decidedAt, comment }.
+ */
+export function createApprovalSteps(approvers) {
+  return approvers.map((approver, index) => ({
+    approverId: approver.id,
+    approverName: approver.name,
+    status: index === 0 ? STEP_STATUSES.PENDING : STEP_STATUSES.WAITING,
+    decidedAt: null,
+    comment: null,
+  }));
+}
+
+/**
+ * The step waiting for a decision, if any.
+ * @param {{ steps: object[] }} request
+ * @returns {object|null}
+ */
+export function currentStep(request) {
+  return request.steps.find(step => step.status === STEP_STATUSES.PENDING) || null;
+}
+
+/**
+ * Records an approver's decision.
+ * @param {object} request
+ * @param {'approved'|'rejected'} decision
+ * @param {object} [options]
+ * @param {string} [options.comment]
+ * @param {Date} [options.now=new Date()]
+ * @returns {{ status: string, steps: object[] }} The request's new status and steps.
+ * @throws {Error} If nothing is waiting for a decision or the decision is unknown.
+ */
+export function applyDecision(request, decision, { comment = null, now = new Date() } = {}) {
+  if (decision !== REQUEST_STATUSES.APPROVED && decision !== REQUEST_STATUSES.REJECTED) {
+    throw new Error(`[Approvals] Unknown decision "${decision}".`);
+  }
+  const index = request.steps.findIndex(step => step.status === STEP_STATUSES.PENDING);
+  if (index === -1) {
+    throw new Error('[Approvals] This request is not waiting for a decision.');
+  }
+
+  const steps = request.steps.map((step, i) => {
+    if (i === index) return { ...step, status: decision, decidedAt: now.toISOString(), comment: comment || null };
+    if (i === index + 1 && decision === REQUEST_STATUSES.APPROVED) return { ...step, status: STEP_STATUSES.PENDING };
+    return step;
+  });
+
+  let status = REQUEST_STATUSES.PENDING;
+  if (decision === REQUEST_STATUSES.REJECTED) {
+    status = REQUEST_STATUSES.REJECTED;
+  } else if (index === steps.length - 1) {
+    status = REQUEST_STATUSES.APPROVED;
+  }
+  return { status, steps };
+}
+
+/**
+ * Describes where a request stands, e.g. 'Waiting for Edward Clark'.
+ * @param {{ status: string, steps: object[] }} request
+ * @returns {string}
+ */
+export function describeStatus(request) {
+  if (request.status === REQUEST_STATUSES.APPROVED) return t('requests.status.approved');
+  if (request.status === REQUEST_STATUSES.REJECTED) {
+    const rejected = request.steps.find(step => step.status === STEP_STATUSES.REJECTED);
+    return rejected ? t('requests.status.rejectedBy', { name: rejected.approverName }) : t('requests.status.rejected');
+  }
+  const step = currentStep(request);
+  return step ? t('requests.status.waitingFor', { name: step.approverName }) : t('requests.status.pending');
+}
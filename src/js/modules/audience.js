@@ -0,0 +1,75 @@
+// src/js/modules/audience.js
+
+/**
+ * ConnectHub Intranet - Audience Targeting
+ *
+ * News, events and quick links can be meant for part of the company. An item's
+ * `audience` says who it is for, as lists of departments, office locations and roles:
+ *
+ *   "audience": { "departments": ["Engineering"] }                        Engineering only
+ *   "audience": { "locations": ["Victorias City Office"], "roles": ["admin"] }
+ *
+ * An employee sees the item when they match every list given (any one entry in it).
+ * Items without an audience are for everyone. Admins see every item, so they can
+ * check what has been published and for whom; the widgets label targeted items for them.
+ *
+ * The data service drops the items an employee can't see before they reach a widget
+ * (see dataService.js). As with write permissions, a real backend must filter too.
+ */
+
+import { getCurrentUser, hasRole, ROLES } from './session.js';
+import { t } from './i18n.js';
+
+export const AUDIENCE_FIELDS = Object.freeze(['departments', 'locations', 'roles']);
+
+const toList = (value) => [].concat(value ?? []).map(entry => String(entry).trim()).filter(Boolean);
+const includesIgnoringCase = (list, value) => Boolean(value) && list.some(entry => entry.toLowerCase() === value.toLowerCase());
+
+/**
+ * Cleans up an item's audience. A single string is taken as a one-entry list.
+ * @param {object|null} raw
+ * @returns {{ departments: string[], locations: string[], roles: string[] }|null} Null for everyone.
+ */
+export function normalizeAudience(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const audience = Object.fromEntries(AUDIENCE_FIELDS.map(field => [field, toList(raw[field])]));
+  return AUDIENCE_FIELDS.some(field => audience[field].length) ? audience : null;
+}
+
+/**
+ * Whether a user belongs to an audience (admins get no special treatment here).
+ * @param {object|null} audience - A normalized audience.
+ * @param {{ department: string|null, location: string|null, roles: string[] }} user
+ * @returns {boolean}
+ */
+export function matchesAudience(audience, user) {
+  if (!audience) return true;
+  if (!user) return false;
+  const { departments, locations, roles } = audience;
+  return (!departments.length || includesIgnoringCase(departments, user.department))
+    && (!locations.length || includesIgnoringCase(locations, user.location))
+    && (!roles.length || user.roles.some(role => includesIgnoringCase(roles, role)));
+}
+
+/**
+ * Whether a user may see a news item, event or quick link.
+ * @param {{ audience: object|null }} item
+ * @param {object} [user=getCurrentUser()]
+ * @returns {boolean}
+ */
+export function canSeeItem(item, user = getCurrentUser()) {
+  return hasRole(ROLES.ADMIN, user) || matchesAudience(item.audience, user);
+}
+
+/**
+ * Who an audience is, for people: 'Engineering, Product · Victorias City Office'.
+ * @param {object} audience - A normalized audience.
+ * @returns {string}
+ */
+export function describeAudience(audience) {
+  const roles = audience.roles.map(role => (Object.values(ROLES).includes(role) ? t(`audience.roles.${role}`) : role));
+  return [audience.departments, audience.locations, roles]
+    .filter(list => list.length)
+    .map(list => list.join(', '))
+    .join(' · ');
+}
@@ -0,0 +1,158 @@
+// src/js/modules/briefingProviders.js
+
+/**
+ * ConnectHub Intranet - Briefing Providers
+ *
+ * The personal briefing is assembled from three adapters, one per system it
+ * summarizes, so each can be swapped for a real integration on its own:
+ *
+ *   tasks:    { name, countOpenTasks({ signal, forceRefresh }) } -> Promise<number>
+ *   mail:     { name, countUnread({ signal, forceRefresh }) } -> Promise<number>
+ *   calendar: { name, listMeetings({ from, to, signal, forceRefresh }) }
+ *               -> Promise<[{ id, title, start, end, location }]>, start/end as Dates or ISO strings
+ *
+ * The weather tile has providers of its own (see weatherProviders.js).
+ *
+ * The local stubs (createLocalBriefingAdapters) compute all of this from
+ * src/data/personal-briefing.json: open tasks and unread messages are counted from
+ * their lists, and the meeting schedule ('10:00 AM - 10:30 AM' on given weekdays)
+ * is laid onto real dates, so the briefing stays current without a backend.
+ */
+
+import { meetingInterval, addDays } from './eventCalendar.js';
+import { formatTime } from './i18n.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('BriefingProviders');
+
+/** How far ahead the briefing lists meetings: the rest of today and all of tomorrow. */
+export const MEETING_HORIZON_DAYS = 2;
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * Lays meetings onto real dates between `from` and `to`. Meetings with a `start`
+ * happen once; meetings with only a display time repeat on their `days`
+ * (weekday names, e.g. ['mon', 'wed']) or, without `days`, every day.
+ * @param {object[]} meetings - Normalized briefing meetings.
+ * @param {object} range
+ * @param {Date} range.from
+ * @param {Date} range.to
+ * @returns {Array<{ id: string, title: string, start: Date, end: Date, location: string|null }>} Soonest first.
+ */
+export function expandMeetings(meetings, { from, to }) {
+  const occurrences = [];
+  meetings.forEach((meeting, index) => {
+    const id = meeting.id || `meeting-${index + 1}`;
+    const add = (interval, suffix) => {
+      if (interval && interval.end > from && interval.start < to) {
+        occurrences.push({ id: suffix ? `${id}@${suffix}` : id, title: meeting.title, location: meeting.location, ...interval });
+      }
+    };
+
+    if (meeting.start) {
+      add(meetingInterval(meeting));
+      return;
+    }
+    for (let day = addDays(from, -1); day < to; day = addDays(day, 1)) { // From yesterday, for meetings running past midnight
+      if (!meeting.days || meeting.days.includes(WEEKDAYS[day.getDay()])) {
+        add(meetingInterval(meeting, day), day.toDateString());
+      }
+    }
+  });
+  return occurrences.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Local stub adapters over the personal-briefing resource.
+ * @param {Function} loadBriefingFile - (options) => Promise of the normalized personal-briefing resource.
+ * @returns {{ tasks: object, mail: object, calendar: object }}
+ */
+export function createLocalBriefingAdapters(loadBriefingFile) {
+  return {
+    tasks: {
+      name: 'local-tasks',
+      countOpenTasks: async (options) => (await loadBriefingFile(options)).tasksCount,
+    },
+    mail: {
+      name: 'local-mail',
+      countUnread: async (options) => (await loadBriefingFile(options)).unreadEmailsCount,
+    },
+    calendar: {
+      name: 'local-calendar',
+      async listMeetings({ from, to, ...options }) {
+        return expandMeetings((await loadBriefingFile(options)).upcomingMeetings, { from, to });
+      },
+    },
+  };
+}
+
+/**
+ * Combines adapters into the briefing. Each part loads independently: if the mail
+ * adapter fails, tasks and meetings still show, and the failure is reported in `errors`.
+ * @param {{ tasks: object, mail: object, calendar: object }} adapters
+ * @returns {{ adapters: object, load: Function }}
+ */
+export function createBriefingProvider(adapters) {
+  ['tasks', 'mail', 'calendar'].forEach(part => {
+    if (!adapters[part]) throw new TypeError(`[BriefingProviders] Missing the ${part} adapter.`);
+  });
+
+  return {
+    adapters,
+
+    /**
+     * @param {object} [options]
+     * @param {Date} [options.now=new Date()]
+     * @param {AbortSignal} [options.signal]
+     * @param {boolean} [options.forceRefresh=false]
+     * @returns {Promise<{ tasksCount: number|null, unreadEmailsCount: number|null, upcomingMeetings: object[], errors: object }>}
+     *   Meetings that haven't ended yet, soonest first, with ISO `start`/`end` and a display `time`.
+     */
+    async load({ now = new Date(), ...options } = {}) {
+      const from = now;
+      const to = addDays(now, MEETING_HORIZON_DAYS); // Midnight
+
+      const parts = {
+        tasks: () => adapters.tasks.countOpenTasks(options),
+        mail: () => adapters.mail.countUnread(options),
+        calendar: () => adapters.calendar.listMeetings({ from, to, ...options }),
+      };
+      const names = Object.keys(parts);
+      const results = await Promise.allSettled(names.map(name => parts[name]()));
+
+      const value = {};
+      const errors = {};
+      results.forEach((result, i) => {
+        if (result.status === 'fulfilled') {
+          value[names[i]] = result.value;
+        } else {
+          if (options.signal && options.signal.aborted) throw result.reason;
+          errors[names[i]] = result.reason;
+          log.warn(`The ${names[i]} adapter failed:`, result.reason && result.reason.message);
+        }
+      });
+      if (errors.tasks && errors.mail && errors.calendar) throw errors.calendar; // Nothing to show at all
+
+      const meetings = (value.calendar || []).map(meeting => {
+        const start = new Date(meeting.start);
+        const end = new Date(meeting.end);
+        return {
+          id: meeting.id,
+          title: meeting.title,
+          start: start.toISOString(),
+          end: end.toISOString(),
+          time: formatTime(start),
+          location: meeting.location || null,
+        };
+      }).filter(meeting => new Date(meeting.end) > now);
+
+      return {
+        tasksCount: errors.tasks ? null : Number(value.tasks) || 0,
+        unreadEmailsCount: errors.mail ? null : Number(value.mail) || 0,
+        upcomingMeetings: meetings,
+        errors,
+      };
+    },
+  };
+}
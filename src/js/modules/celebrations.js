@@ -0,0 +1,76 @@
+// src/js/modules/celebrations.js
+
+/**
+ * ConnectHub Intranet - Celebrations
+ *
+ * Upcoming birthdays and work anniversaries, worked out from the employee
+ * directory (`birthday` as 'MM-DD' and `hireDate`; see normalizeEmployee()).
+ *
+ * Days are counted where the employee is: someone in Manila has their birthday
+ * from midnight Manila time, even if it is still the day before for the colleague
+ * looking at the homepage. Employees without a `timeZone` use the viewer's.
+ * A 29 February birthday or hire date is celebrated on 28 February in other years.
+ * Employees can opt out of either ('birthday' or 'anniversary' in their `optOuts`).
+ */
+
+import { zonedDateKey } from './eventTime.js';
+
+export const CELEBRATION_TYPES = Object.freeze({
+  BIRTHDAY: 'birthday',
+  ANNIVERSARY: 'anniversary',
+});
+
+/** How many days ahead the celebrations card looks by default. */
+export const DEFAULT_CELEBRATION_DAYS = 14;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isLeapYear = (year) => (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+const dayNumber = (isoDate) => Math.round(Date.parse(`${isoDate}T00:00:00Z`) / DAY_MS);
+
+// 'MM-DD' in a given year, as 'YYYY-MM-DD'.
+function inYear(monthDay, year) {
+  const date = monthDay === '02-29' && !isLeapYear(year) ? '02-28' : monthDay;
+  return `${year}-${date}`;
+}
+
+// The first time a yearly date comes round on or after `today` ('YYYY-MM-DD').
+function nextOccurrence(monthDay, today) {
+  const year = Number(today.slice(0, 4));
+  const thisYear = inYear(monthDay, year);
+  return thisYear >= today ? thisYear : inYear(monthDay, year + 1);
+}
+
+/**
+ * Birthdays and work anniversaries from today up to `days` ahead, soonest first.
+ * Hire dates in the future, and the first day itself, are not anniversaries.
+ * @param {object[]} employees - Normalized employees.
+ * @param {object} [options]
+ * @param {Date} [options.now=new Date()]
+ * @param {number} [options.days=DEFAULT_CELEBRATION_DAYS] - 0 for today only.
+ * @param {string|null} [options.timeZone=null] - For employees without their own; null for the browser's.
+ * @returns {Array<{ type: string, employee: object, date: string, daysAway: number, years: number|null }>}
+ *   `date` is the day in the employee's time zone; `years` is set for anniversaries.
+ */
+export function upcomingCelebrations(employees, { now = new Date(), days = DEFAULT_CELEBRATION_DAYS, timeZone = null } = {}) {
+  const celebrations = [];
+  employees.forEach(employee => {
+    const today = zonedDateKey(now, employee.timeZone || timeZone);
+    const add = (type, date, years = null) => {
+      const daysAway = dayNumber(date) - dayNumber(today);
+      if (daysAway <= days) celebrations.push({ type, employee, date, daysAway, years });
+    };
+
+    if (employee.birthday && !employee.optOuts.includes(CELEBRATION_TYPES.BIRTHDAY)) {
+      add(CELEBRATION_TYPES.BIRTHDAY, nextOccurrence(employee.birthday, today));
+    }
+    if (employee.hireDate && employee.hireDate < today && !employee.optOuts.includes(CELEBRATION_TYPES.ANNIVERSARY)) {
+      const date = nextOccurrence(employee.hireDate.slice(5), today);
+      const years = Number(date.slice(0, 4)) - Number(employee.hireDate.slice(0, 4));
+      if (years > 0) add(CELEBRATION_TYPES.ANNIVERSARY, date, years);
+    }
+  });
+  return celebrations.sort((a, b) => a.daysAway - b.daysAway
+    || a.type.localeCompare(b.type)
+    || a.employee.fullName.localeCompare(b.employee.fullName));
+}
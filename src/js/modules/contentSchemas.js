@@ -0,0 +1,265 @@
+// src/js/modules/contentSchemas.js
+
+/**
+ * ConnectHub Intranet - Content Schemas
+ *
+ * Schemas (see formSchema.js) for the content admins author in the console
+ * (views/adminContentView.js): news articles, events, quick links and spotlight
+ * entries. They mirror the JSON files in src/data, and the data service checks every
+ * save and publish against them, so whatever the console writes reads back like the
+ * shipped files.
+ *
+ * Besides its fields, each schema knows how to turn form values into a record for the
+ * data files (`toRecord`) and a normalized item back into form values (`toFormValues`),
+ * and the prefix of new items' ids (`idPrefix`). Cleared fields become null, so an
+ * edit can remove them. Labels, hints and messages live in the message catalogs under
+ * contentForms.*.
+ */
+
+import { RESOURCES } from './dataSources.js';
+import { AUDIENCE_FIELDS } from './audience.js';
+import { isSafeUrl } from './markdown.js';
+import { ROLES } from './session.js';
+import { formText } from './formSchema.js';
+import { t } from './i18n.js';
+
+// Images may also come with the site, e.g. 'assets/images/news/picnic.jpg'.
+const SITE_PATH_PATTERN = /^(\.\/)?[\w-]+(\/[\w.-]+)+$/;
+
+const checkUrl = (label) => (value) => (isSafeUrl(value) ? null : t('contentForms.invalidUrl', { label: formText(label) }));
+const checkImage = (value) => (isSafeUrl(value) || SITE_PATH_PATTERN.test(value) ? null : t('contentForms.invalidImage'));
+
+// 'Engineering, Product' <-> ['Engineering', 'Product']
+const toList = (value) => String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+const fromList = (list) => (Array.isArray(list) ? list.join(', ') : '');
+const orNull = (value) => (value === '' || value === undefined ? null : value);
+
+const audienceFields = () => AUDIENCE_FIELDS.map(name => ({
+  name,
+  label: `contentForms.audience.${name}`,
+  type: 'text',
+  maxLength: 300,
+  hint: name === 'roles'
+    ? ['contentForms.audience.rolesHint', { roles: Object.values(ROLES).join(', ') }]
+    : 'contentForms.audience.hint',
+  validate: name === 'roles'
+    ? (value) => {
+      const unknown = toList(value).filter(role => !Object.values(ROLES).includes(role.toLowerCase()));
+      return unknown.length ? t('contentForms.audience.unknownRole', { roles: unknown.join(', '), count: unknown.length }) : null;
+    }
+    : null,
+}));
+
+const scheduleFields = () => [
+  {
+    name: 'publishAt',
+    label: 'contentForms.publishAt',
+    type: 'date',
+    hint: 'contentForms.publishAtHint',
+  },
+  {
+    name: 'expireAt',
+    label: 'contentForms.expireAt',
+    type: 'date',
+    after: 'publishAt',
+    afterLabel: 'contentForms.afterPublishAt',
+    hint: 'contentForms.expireAtHint',
+  },
+];
+
+function audienceRecord(values) {
+  const audience = Object.fromEntries(AUDIENCE_FIELDS.map(name => [name, toList(values[name])]));
+  return AUDIENCE_FIELDS.some(name => audience[name].length) ? audience : null;
+}
+
+const audienceValues = (item) => Object.fromEntries(AUDIENCE_FIELDS.map(name => [name, fromList(item.audience?.[name])]));
+const scheduleRecord = (values) => ({ publishAt: orNull(values.publishAt), expireAt: orNull(values.expireAt) });
+const scheduleValues = (item) => ({ publishAt: item.publishAt || '', expireAt: item.expireAt || '' });
+
+export const NEWS_CONTENT_SCHEMA = Object.freeze({
+  id: 'news',
+  title: 'contentForms.news.title',
+  idPrefix: 'news',
+  fields: [
+    { name: 'title', label: 'contentForms.title', type: 'text', required: true, maxLength: 160 },
+    { name: 'category', label: 'contentForms.category', type: 'text', required: true, maxLength: 60, hint: 'contentForms.news.categoryHint' },
+    { name: 'date', label: 'contentForms.date', type: 'date', required: true, hint: 'contentForms.news.dateHint' },
+    { name: 'author', label: 'contentForms.news.author', type: 'text', maxLength: 80 },
+    { name: 'imageUrl', label: 'contentForms.news.image', type: 'text', maxLength: 500, validate: checkImage },
+    { name: 'contentPreview', label: 'contentForms.news.preview', type: 'textarea', required: true, maxLength: 400, hint: 'contentForms.news.previewHint' },
+    {
+      name: 'fullContent',
+      label: 'contentForms.news.fullContent',
+      type: 'textarea',
+      rows: 10,
+      maxLength: 20000,
+      hint: 'contentForms.news.fullContentHint',
+    },
+    { name: 'tags', label: 'contentForms.news.tags', type: 'text', maxLength: 200, hint: 'contentForms.news.tagsHint' },
+    {
+      name: 'featured',
+      label: 'contentForms.news.featured',
+      type: 'select',
+      required: true,
+      options: [{ value: 'no', label: 'contentForms.no' }, { value: 'yes', label: 'contentForms.yes' }],
+    },
+    ...audienceFields(),
+    ...scheduleFields(),
+  ],
+  toRecord: (values) => ({
+    title: values.title,
+    category: values.category,
+    date: values.date,
+    author: orNull(values.author),
+    imageUrl: orNull(values.imageUrl),
+    contentPreview: values.contentPreview,
+    fullContent: orNull(values.fullContent),
+    tags: toList(values.tags),
+    featured: values.featured === 'yes',
+    audience: audienceRecord(values),
+    ...scheduleRecord(values),
+  }),
+  toFormValues: (item) => ({
+    title: item.title,
+    category: item.category,
+    date: item.date || '',
+    author: item.author || '',
+    imageUrl: item.imageUrl || '',
+    contentPreview: item.previewText,
+    fullContent: item.fullContent || '',
+    tags: fromList(item.tags),
+    featured: item.featured ? 'yes' : 'no',
+    ...audienceValues(item),
+    ...scheduleValues(item),
+  }),
+});
+
+export const EVENT_CONTENT_SCHEMA = Object.freeze({
+  id: 'events',
+  title: 'contentForms.events.title',
+  idPrefix: 'event',
+  fields: [
+    { name: 'title', label: 'contentForms.title', type: 'text', required: true, maxLength: 160 },
+    { name: 'description', label: 'contentForms.events.description', type: 'textarea', maxLength: 1000 },
+    { name: 'category', label: 'contentForms.category', type: 'text', required: true, maxLength: 60, hint: 'contentForms.events.categoryHint' },
+    { name: 'date', label: 'contentForms.date', type: 'date', required: true },
+    { name: 'time', label: 'contentForms.events.time', type: 'text', maxLength: 60, hint: 'contentForms.events.timeHint' },
+    { name: 'location', label: 'contentForms.events.location', type: 'text', maxLength: 120 },
+    { name: 'link', label: 'contentForms.events.link', type: 'text', maxLength: 500, validate: checkUrl('contentForms.events.link') },
+    ...audienceFields(),
+    ...scheduleFields(),
+  ],
+  toRecord: (values) => ({
+    title: values.title,
+    description: orNull(values.description),
+    category: values.category,
+    date: values.date,
+    time: orNull(values.time),
+    location: orNull(values.location),
+    link: orNull(values.link),
+    audience: audienceRecord(values),
+    ...scheduleRecord(values),
+  }),
+  toFormValues: (item) => ({
+    title: item.title,
+    description: item.description || '',
+    category: item.category,
+    date: item.date || '',
+    time: item.time || '',
+    location: item.location || '',
+    link: item.link || '',
+    ...audienceValues(item),
+    ...scheduleValues(item),
+  }),
+});
+
+export const QUICK_LINK_CONTENT_SCHEMA = Object.freeze({
+  id: 'quick-links',
+  title: 'contentForms.quickLinks.title',
+  idPrefix: 'ql',
+  fields: [
+    { name: 'title', label: 'contentForms.title', type: 'text', required: true, maxLength: 60 },
+    {
+      name: 'url',
+      label: 'contentForms.quickLinks.url',
+      type: 'text',
+      required: true,
+      maxLength: 500,
+      validate: checkUrl('contentForms.quickLinks.url'),
+      hint: 'contentForms.quickLinks.urlHint',
+    },
+    {
+      name: 'icon',
+      label: 'contentForms.quickLinks.icon',
+      type: 'text',
+      maxLength: 60,
+      pattern: /^fa[srb]? fa-[a-z0-9-]+$/,
+      patternMessage: 'contentForms.quickLinks.iconInvalid',
+      hint: 'contentForms.quickLinks.iconHint',
+    },
+    ...audienceFields(),
+    ...scheduleFields(),
+  ],
+  toRecord: (values) => ({
+    title: values.title,
+    url: values.url,
+    icon: orNull(values.icon),
+    audience: audienceRecord(values),
+    ...scheduleRecord(values),
+  }),
+  toFormValues: (item) => ({
+    title: item.title,
+    url: item.url,
+    icon: item.icon,
+    ...audienceValues(item),
+    ...scheduleValues(item),
+  }),
+});
+
+export const SPOTLIGHT_CONTENT_SCHEMA = Object.freeze({
+  id: 'employee-spotlight',
+  title: 'contentForms.spotlight.title',
+  idPrefix: 'spotlight',
+  fields: [
+    { name: 'name', label: 'contentForms.spotlight.name', type: 'text', required: true, maxLength: 80 },
+    { name: 'employeeId', label: 'contentForms.spotlight.employeeId', type: 'text', maxLength: 40, pattern: /^[\w-]+$/, hint: 'contentForms.spotlight.employeeIdHint' },
+    { name: 'position', label: 'contentForms.spotlight.position', type: 'text', maxLength: 80 },
+    { name: 'imageUrl', label: 'contentForms.spotlight.photo', type: 'text', maxLength: 500, validate: checkImage },
+    { name: 'bio', label: 'contentForms.spotlight.bio', type: 'textarea', required: true, maxLength: 1000 },
+    {
+      name: 'profileUrl',
+      label: 'contentForms.spotlight.profileUrl',
+      type: 'text',
+      maxLength: 500,
+      validate: checkUrl('contentForms.spotlight.profileUrl'),
+      hint: 'contentForms.spotlight.profileUrlHint',
+    },
+    ...scheduleFields(),
+  ],
+  toRecord: (values) => ({
+    name: values.name,
+    employeeId: orNull(values.employeeId),
+    position: orNull(values.position),
+    imageUrl: orNull(values.imageUrl),
+    bio: values.bio,
+    profileUrl: orNull(values.profileUrl),
+    ...scheduleRecord(values),
+  }),
+  toFormValues: (item) => ({
+    name: item.name,
+    employeeId: item.employeeId || '',
+    position: item.position || '',
+    imageUrl: item.imageUrl || '',
+    bio: item.bio,
+    profileUrl: item.profileUrl || '',
+    ...scheduleValues(item),
+  }),
+});
+
+/** Content schemas by resource. */
+export const CONTENT_SCHEMAS = Object.freeze({
+  [RESOURCES.NEWS]: NEWS_CONTENT_SCHEMA,
+  [RESOURCES.EVENTS]: EVENT_CONTENT_SCHEMA,
+  [RESOURCES.QUICK_LINKS]: QUICK_LINK_CONTENT_SCHEMA,
+  [RESOURCES.EMPLOYEE_SPOTLIGHT]: SPOTLIGHT_CONTENT_SCHEMA,
+});
@@ -4,192 +4,1172 @@
  * ConnectHub Intranet - Data Service Module
  *
  * Provides functions to fetch various types of data for the intranet.
- * In a real application, these would be actual API calls.
- * Here, we simulate API calls using Promises and setTimeout to mimic network delays
- * and provide mock data.
+ * The data itself comes from a pluggable data source (see dataSources.js):
+ * - By default, the static JSON files in src/data (served under ./data).
+ * - A REST backend when `window.CONNECTHUB_CONFIG.apiBaseUrl` is set before this module loads,
+ *   falling back to the JSON files for anything the backend doesn't list in `apiResources`.
+ * - Any other source (e.g. an in-memory fixture) via setDataSource().
+ * Every payload is normalized onto one canonical schema (see normalizers.js) before it
+ * reaches the widgets.
+ *
+ * Responses are cached per resource and parameters (see requestCache.js) with
+ * stale-while-revalidate: widgets render instantly from cache, and onDataRefresh()
+ * tells them when a background refresh brought in newer data. Changes the server
+ * pushes over a realtime channel (see realtime.js) are applied to the cached data as
+ * they arrive, and onRealtimeChange() tells widgets about them.
+ *
+ * Requests are retried with exponential backoff, time out, and can be cancelled:
+ * every exported fetch function takes an `options` object with an AbortSignal
+ * (see requestPolicy.js). Failures reject with a DataServiceError whose `type`
+ * tells widgets whether it was a timeout, an abort, a network or a data problem.
+ * Failures are logged (see logger.js), which hands them to the error reporter along
+ * with how long each fetch took.
+ *
+ * Team updates can also be written (posted, edited, reacted to and commented on), and
+ * employees submit leave requests and expense claims, which their managers approve.
+ * Writes go to the source's `send()`; in the static demo the JSON files are made
+ * writable by keeping changes in localStorage (see createLocalWriteSource). Who may
+ * change what is checked here, against the signed-in user from session.js.
+ *
+ * News, events and quick links can be targeted at departments, locations or roles
+ * (see audience.js). Items the signed-in employee isn't in the audience for are
+ * dropped here, in every fetch, refresh and pushed change, so no widget ever gets them.
+ *
+ * The same goes for content that isn't live (see publishing.js): drafts, archived
+ * items and items outside their publish/expire dates. Admins write that content in
+ * the console through saveContent() and setContentStatus(), validated against the
+ * schemas in contentSchemas.js, and see all of it through fetchContentItems().
+ *
+ * When no spotlight entry is live, the spotlight rotates through the employee directory
+ * (see spotlightRotation.js; `window.CONNECTHUB_CONFIG.spotlightRotation` or
+ * configureSpotlightRotation() set how), and fetchCelebrations() lists the birthdays and
+ * work anniversaries coming up (see celebrations.js).
+ *
+ * The weather comes from a provider adapter (see weatherProviders.js; a local stub until
+ * setWeatherProvider() plugs in a real service), for the employee's office or where the
+ * browser says they are (see weather.js). Forecasts are cached per location, so a
+ * provider outage shows the last forecast for as long as the cache policy allows.
  */
 
-// Simulate a network delay
-const simulateDelay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
-const BASE_DELAY = 500; // Base delay for API calls in milliseconds
+import {
+  RESOURCES,
+  createJsonFileSource,
+  createLocalWriteSource,
+  createRestSource,
+  createCompositeSource,
+} from './dataSources.js';
+import { normalize, normalizeWeatherForecast } from './normalizers.js';
+import { createRequestCache, cacheKey, resourceFromKey } from './requestCache.js';
+import { withRetry, DEFAULT_REQUEST_POLICY } from './requestPolicy.js';
+import { DataServiceError, ERROR_TYPES, toDataServiceError } from './errors.js';
+import {
+  getCurrentUser,
+  hasRole,
+  ROLES,
+  onUserChange,
+  needsDirectoryProfile,
+  applyDirectoryProfile,
+} from './session.js';
+import { canSeeItem } from './audience.js';
+import { PUBLISH_STATUSES, isLive } from './publishing.js';
+import { CONTENT_SCHEMAS } from './contentSchemas.js';
+import { DEFAULT_SPOTLIGHT_ROTATION, pickSpotlightEmployee } from './spotlightRotation.js';
+import { upcomingCelebrations, DEFAULT_CELEBRATION_DAYS } from './celebrations.js';
+import { resolveWeatherLocation, getCurrentPosition, DEFAULT_FORECAST_DAYS, MAX_FORECAST_DAYS } from './weather.js';
+import { createLocalWeatherProvider } from './weatherProviders.js';
+import { CHANGE_TYPES, CHANNEL_STATUSES, ALL_RESOURCES } from './realtime.js';
+import { createBriefingProvider, createLocalBriefingAdapters } from './briefingProviders.js';
+import { coerceValues, validateForm, submittableValues, todayIso } from './formSchema.js';
+import { REQUEST_FORMS } from './requestForms.js';
+import { t } from './i18n.js';
+import { createLogger } from './logger.js';
+import {
+  REQUEST_STATUSES,
+  approvalLevels,
+  managerChain,
+  createApprovalSteps,
+  currentStep,
+  applyDecision,
+} from './approvals.js';
+
+const log = createLogger('DataService');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
 
 /**
- * Generic function to simulate fetching data from an "API endpoint".
- * @param {string} endpoint - The simulated API endpoint (e.g., 'briefing', 'news').
- * @param {any} mockData - The data to return for this endpoint.
- * @returns {Promise<any>} - A promise that resolves with the mock data or rejects on error.
+ * Cache policy per resource: entries are fresh for `ttl` ms, then served stale
+ * (and refreshed in the background) for another `maxStale` ms.
  */
-async function fetchData(endpoint, mockData) {
+const CACHE_POLICIES = {
+  [RESOURCES.PERSONAL_BRIEFING]: { ttl: 30 * 1000, maxStale: 5 * MINUTE },
+  [RESOURCES.TEAM_UPDATES]: { ttl: MINUTE, maxStale: 10 * MINUTE },
+  [RESOURCES.NEWS]: { ttl: 2 * MINUTE, maxStale: 30 * MINUTE },
+  [RESOURCES.EVENTS]: { ttl: 10 * MINUTE, maxStale: HOUR },
+  [RESOURCES.EMPLOYEES]: { ttl: 30 * MINUTE, maxStale: 24 * HOUR },
+  [RESOURCES.EMPLOYEE_SPOTLIGHT]: { ttl: HOUR, maxStale: 24 * HOUR },
+  [RESOURCES.QUICK_LINKS]: { ttl: HOUR, maxStale: 24 * HOUR },
+  [RESOURCES.REQUESTS]: { ttl: 30 * 1000, maxStale: 5 * MINUTE },
+  [RESOURCES.OFFICES]: { ttl: HOUR, maxStale: 24 * HOUR },
+};
+
+/** Where forecasts are cached (per location and number of days); they come from the weather provider, not a data source. */
+export const WEATHER_RESOURCE = 'weather';
+const WEATHER_CACHE_POLICY = { ttl: 30 * MINUTE, maxStale: 6 * HOUR };
+
+const requestCache = createRequestCache();
+let requestPolicy = { ...DEFAULT_REQUEST_POLICY };
+
+/**
+ * Overrides the default retry/timeout policy for all requests.
+ * @param {object} overrides - Any of { retries, baseDelay, maxDelay, timeout }.
+ */
+export function configureRequestPolicy(overrides) {
+  requestPolicy = { ...requestPolicy, ...overrides };
+}
+
+/**
+ * Builds the source used when nothing else has been configured.
+ * @returns {object} A data source.
+ */
+function createDefaultSource() {
+  const config = (typeof window !== 'undefined' && window.CONNECTHUB_CONFIG) || {};
+  const jsonSource = createLocalWriteSource(createJsonFileSource({ baseUrl: config.dataBaseUrl || './data' }));
+
+  if (!config.apiBaseUrl) {
+    return jsonSource;
+  }
+  const restSource = createRestSource({
+    baseUrl: config.apiBaseUrl,
+    ...(config.apiResources && { resources: config.apiResources }),
+  });
+  return createCompositeSource([restSource, jsonSource]);
+}
+
+let activeSource = createDefaultSource();
+
+/**
+ * Replaces the data source every fetch function reads from.
+ * @param {object} source - A data source created with one of the factories in dataSources.js.
+ */
+export function setDataSource(source) {
+  if (!source || typeof source.get !== 'function' || typeof source.has !== 'function') {
+    throw new TypeError('[DataService] setDataSource expects an object with has() and get().');
+  }
+  activeSource = source;
+  requestCache.invalidate(); // Cached data belongs to the previous source
+  log.info(`Using data source: ${source.name || 'custom'}`);
+}
+
+/**
+ * @returns {object} The data source currently in use.
+ */
+export function getDataSource() {
+  return activeSource;
+}
+
+/**
+ * Loads a resource from the active data source and normalizes it (no caching).
+ * How long the source took, retries included, is logged as a 'fetch' timing.
+ * @param {string} resource
+ * @param {object} params
+ * @param {AbortSignal} signal - Cancels the request, including pending retries.
+ * @param {object} policy - Retry/timeout policy for this request.
+ * @returns {Promise<any>}
+ */
+async function loadFromSource(resource, params, signal, policy) {
+  log.debug(`Fetching data for: ${resource}...`);
+  const endFetch = log.time('fetch', { resource });
+  let payload;
   try {
-    console.log(`[DataService] Fetching data for: ${endpoint}...`);
-    await simulateDelay(BASE_DELAY + Math.random() * 200); // Add some random variance
-    // Simulate a random error 5% of the time
-    if (Math.random() < 0.05) {
-      throw new Error(`[DataService] Simulated network error for ${endpoint}.`);
-    }
-    console.log(`[DataService] Data fetched successfully for: ${endpoint}`);
-    return mockData;
+    payload = await withRetry(attemptSignal => activeSource.get(resource, params, { signal: attemptSignal }), {
+      ...policy,
+      signal,
+      onRetry: (error, attempt, delay) => log.warn(
+        `${resource} failed (${error.type}), retry ${attempt} of ${policy.retries} in ${Math.round(delay)} ms.`
+      ),
+    });
+    endFetch({ ok: true });
+  } catch (error) {
+    endFetch({ ok: false, errorType: toDataServiceError(error, { resource }).type });
+    throw error;
+  }
+
+  try {
+    return normalize(resource, payload);
   } catch (error) {
-    console.error(`[DataService] Error fetching ${endpoint}:`, error.message);
-    throw error; // Re-throw to allow calling components to handle it
+    throw new DataServiceError(error.message, { type: ERROR_TYPES.DATA, resource, cause: error });
   }
 }
 
 /**
- * Fetches personal briefing data.
- * Includes tasks, unread emails, upcoming meetings, and weather.
+ * Generic function to fetch a normalized resource, going through the request cache.
+ * Concurrent calls for the same resource and params share one request; the shared
+ * request's retry/timeout policy is taken from whichever call started it.
+ * @param {string} resource - One of RESOURCES (e.g. 'news', 'personal-briefing').
+ * @param {object} [params={}] - Query parameters, forwarded to sources that understand them.
+ * @param {object} [options]
+ * @param {boolean} [options.forceRefresh=false] - Bypass the cache and fetch fresh data.
+ * @param {AbortSignal} [options.signal] - Cancels this call.
+ * @param {number} [options.timeout] - Per-attempt timeout in ms, overriding the policy.
+ * @param {number} [options.retries] - Retry count, overriding the policy.
+ * @returns {Promise<any>} - A promise that resolves with the normalized data or rejects with a DataServiceError.
+ */
+async function fetchData(resource, params = {}, { forceRefresh = false, signal, ...overrides } = {}) {
+  const policy = { ...requestPolicy, ...overrides };
+  try {
+    return await requestCache.get(
+      cacheKey(resource, params),
+      flightSignal => loadFromSource(resource, params, flightSignal, policy),
+      CACHE_POLICIES[resource],
+      { forceRefresh, signal }
+    );
+  } catch (error) {
+    const serviceError = toDataServiceError(error, { resource });
+    if (serviceError.type === ERROR_TYPES.ABORT) {
+      log.debug(`Request for ${resource} was cancelled.`);
+    } else {
+      log.error(`Error fetching ${resource} (${serviceError.type}):`, serviceError);
+    }
+    throw serviceError; // Re-throw to allow calling components to handle it
+  }
+}
+
+/**
+ * Drops cached data so the next fetch goes back to the data source.
+ * Call this after a write, e.g. invalidateCache(RESOURCES.TEAM_UPDATES) after posting a shout-out.
+ * @param {string} [resource] - Resource to invalidate (all parameter variants). Omit to clear everything.
+ */
+export function invalidateCache(resource) {
+  requestCache.invalidate(resource);
+}
+
+/**
+ * Fetches a resource fresh from the data source, bypassing and then repopulating the cache.
+ * onDataRefresh() subscribers for the resource are notified with the new data.
+ * @param {string} resource - One of RESOURCES.
+ * @param {object} [params={}] - The same params the cached request was made with.
+ * @param {object} [options] - { signal, timeout, retries }, as for the fetch functions.
+ * @returns {Promise<any>} The normalized data.
+ */
+export function refreshResource(resource, params = {}, options = {}) {
+  return fetchData(resource, params, { ...options, forceRefresh: true });
+}
+
+/**
+ * Subscribes to fresh data for a resource, delivered after a stale-while-revalidate
+ * background refresh or a refreshResource() call. Widgets typically re-run their fetch
+ * function in the callback (which then resolves from the fresh cache entry).
+ * @param {string} resource - One of RESOURCES.
+ * @param {Function} listener - Called with (data, key).
+ * @returns {Function} Unsubscribe function.
+ */
+export function onDataRefresh(resource, listener) {
+  return requestCache.subscribe((key, data) => {
+    if (resourceFromKey(key) === resource) {
+      listener(shownData(resource, data), key);
+    }
+  });
+}
+
+export { RESOURCES, DataServiceError, ERROR_TYPES };
+
+/** Resources whose items can be meant for part of the company (see audience.js). */
+export const AUDIENCE_RESOURCES = Object.freeze([RESOURCES.NEWS, RESOURCES.EVENTS, RESOURCES.QUICK_LINKS]);
+
+let profileLookup = null; // { id, promise } for the signed-in employee's directory record
+let audienceInUse = null; // Who the items handed out so far were filtered for
+
+const audienceKey = (user) => JSON.stringify([user.department, user.location, user.roles]);
+
+// Employees get the live items they are in the audience for.
+const isShownTo = (item, user) => isLive(item) && canSeeItem(item, user);
+
+// Cached data as the fetch functions hand it out, for onDataRefresh() subscribers.
+function shownData(resource, data) {
+  if (AUDIENCE_RESOURCES.includes(resource)) return data.filter(item => isShownTo(item));
+  if (resource === RESOURCES.EMPLOYEE_SPOTLIGHT) return currentSpotlight(data);
+  return data;
+}
+
+/**
+ * Completes the signed-in employee from their record in the employee directory
+ * (department, location and roles; see session.js). The lookup is shared, and only
+ * made when the page didn't say everything already.
+ * @returns {Promise<object>} The signed-in employee. Never rejects: without the
+ *   record, the employee is what the page said.
+ */
+export function loadUserProfile() {
+  const { id } = getCurrentUser();
+  if (!needsDirectoryProfile()) return Promise.resolve(getCurrentUser());
+  if (!profileLookup || profileLookup.id !== id) {
+    const lookup = {
+      id,
+      promise: fetchEmployees()
+        .then(employees => applyDirectoryProfile(employees.find(employee => employee.id === id)))
+        .catch(error => {
+          if (profileLookup === lookup) profileLookup = null; // Try again on the next fetch
+          log.warn('The signed-in employee\'s directory record could not be loaded; audiences use what the page says.', error.message);
+        })
+        .then(() => getCurrentUser()),
+    };
+    profileLookup = lookup;
+  }
+  return profileLookup.promise;
+}
+
+/**
+ * Fetches a resource and keeps the live items the signed-in employee may see.
+ * @param {string} resource - One of AUDIENCE_RESOURCES.
+ * @param {object} params
+ * @param {object} options - See fetchData.
+ * @returns {Promise<object[]>}
+ */
+async function fetchVisible(resource, params, options) {
+  const [items, user] = await Promise.all([fetchData(resource, params, options), loadUserProfile()]);
+  audienceInUse = audienceKey(user);
+  return items.filter(item => isShownTo(item, user));
+}
+
+// Another employee signed in, or their record changed what they may see: widgets reload.
+onUserChange(() => {
+  if (audienceInUse === null) return; // Nothing handed out yet
+  loadUserProfile().then(user => {
+    if (audienceKey(user) === audienceInUse) return;
+    audienceInUse = audienceKey(user);
+    AUDIENCE_RESOURCES.forEach(resource => {
+      refreshResource(resource).catch(() => { /* The next fetch tries again */ });
+    });
+  });
+});
+
+/** Resources the server pushes changes for (see realtime.js). */
+export const REALTIME_RESOURCES = Object.freeze([RESOURCES.NEWS, RESOURCES.TEAM_UPDATES, RESOURCES.EVENTS]);
+
+const realtimeListeners = new Set();
+
+/**
+ * Applies a change pushed by the server to every cached copy of its resource, so
+ * later fetches include it without going back to the source, then tells the
+ * onRealtimeChange() subscribers. onDataRefresh() subscribers are not told: feeds
+ * decide for themselves when to show new items.
+ * @param {{ type: string, resource: string, id: string, item?: object }} change - See parseChange() in realtime.js.
+ * @returns {object|null} The change with its item normalized, or null if it was ignored.
  */
-export async function fetchPersonalBriefingData() {
-  const mockBriefingData = {
-    tasksCount: 7,
-    unreadEmailsCount: 12,
-    upcomingMeetings: [
-      { title: "Project Alpha Sync", time: "10:00 AM", location: "Conference Room A" },
-      { title: "Marketing Review", time: "02:30 PM", location: "Online (Teams)" },
-      { title: "One-on-One with Manager", time: "04:00 PM", location: "Office 301" },
-    ],
-    weather: {
-      city: "Victorias City",
-      temperature: "28°C",
-      condition: "Partly Cloudy",
-      icon: "wi-day-cloudy-gusts" // Example: Font Awesome or custom weather icon class
+export function applyRealtimeChange(change) {
+  if (!REALTIME_RESOURCES.includes(change.resource)) {
+    log.warn(`Ignoring a pushed change to ${change.resource}.`);
+    return null;
+  }
+
+  let item = null;
+  if (change.type !== CHANGE_TYPES.DELETED) {
+    try {
+      [item] = normalize(change.resource, [change.item]);
+    } catch (error) {
+      log.warn(`Ignoring a malformed ${change.resource} item from the server:`, error.message);
+      return null;
     }
+  }
+
+  requestCache.update(change.resource, (items) => {
+    if (!Array.isArray(items)) return undefined;
+    const exists = items.some(existing => existing.id === change.id);
+    if (change.type === CHANGE_TYPES.DELETED) {
+      return exists ? items.filter(existing => existing.id !== change.id) : undefined;
+    }
+    return exists ? items.map(existing => (existing.id === change.id ? item : existing)) : [item, ...items];
+  });
+
+  const applied = { ...change, item };
+  // An item taken down, or moved out of the employee's audience, is gone as far as they are concerned
+  let announced = applied;
+  if (item && AUDIENCE_RESOURCES.includes(change.resource) && !isShownTo(item)) {
+    if (change.type === CHANGE_TYPES.CREATED) return applied;
+    announced = { ...change, type: CHANGE_TYPES.DELETED, item: null };
+  }
+  realtimeListeners.forEach(({ resource, listener }) => {
+    if (resource !== change.resource) return;
+    try {
+      listener(structuredClone(announced));
+    } catch (error) {
+      log.error('Realtime listener failed:', error);
+    }
+  });
+  return applied;
+}
+
+/**
+ * Subscribes to changes the server pushes for a resource, after they have been
+ * applied to the cache.
+ * @param {string} resource - One of REALTIME_RESOURCES.
+ * @param {Function} listener - Called with { type, resource, id, item }; `item` is normalized, and null for deletions.
+ * @returns {Function} Unsubscribe function.
+ */
+export function onRealtimeChange(resource, listener) {
+  const subscription = { resource, listener };
+  realtimeListeners.add(subscription);
+  return () => realtimeListeners.delete(subscription);
+}
+
+/**
+ * Feeds a realtime channel's changes into the cache. Changes pushed while the channel
+ * was down are lost, so after a reconnect the realtime resources are reloaded (and
+ * onDataRefresh() subscribers told).
+ * @param {object} channel - A channel from createRealtimeChannel().
+ * @returns {Function} Stops feeding changes; the channel itself stays open.
+ */
+export function connectRealtime(channel) {
+  const unsubscribe = channel.subscribe(ALL_RESOURCES, applyRealtimeChange);
+  const unwatch = channel.onStatusChange(({ status, reconnected }) => {
+    if (status !== CHANNEL_STATUSES.OPEN || !reconnected) return;
+    REALTIME_RESOURCES.forEach(resource => {
+      requestCache.invalidate(resource); // Parameterized copies too, e.g. filtered news
+      refreshResource(resource).catch(() => { /* The next fetch tries again */ });
+    });
+  });
+  return () => {
+    unsubscribe();
+    unwatch();
   };
-  return fetchData('personal-briefing', mockBriefingData);
+}
+
+const localBriefingAdapters = createLocalBriefingAdapters(options => fetchData(RESOURCES.PERSONAL_BRIEFING, {}, options));
+let briefingProvider = createBriefingProvider(localBriefingAdapters);
+
+/**
+ * Replaces some or all of the briefing adapters (see briefingProviders.js), e.g. to
+ * count tasks from the real task tracker. Adapters not given keep their local stubs.
+ * @param {{ tasks?: object, mail?: object, calendar?: object }} adapters
+ */
+export function setBriefingAdapters(adapters) {
+  briefingProvider = createBriefingProvider({ ...localBriefingAdapters, ...adapters });
+  log.info(`Briefing adapters: ${['tasks', 'mail', 'calendar'].map(part => briefingProvider.adapters[part].name || part).join(', ')}`);
+}
+
+/**
+ * Fetches the personal briefing: open tasks, unread emails and meetings for the rest
+ * of today and tomorrow (with real start/end instants). A part whose
+ * adapter fails is null (or empty) and listed in `errors`.
+ * @param {object} [options] - { signal, timeout, retries, forceRefresh }, see fetchData, and `now`.
+ */
+export async function fetchPersonalBriefingData(options = {}) {
+  return briefingProvider.load(options);
 }
 
 /**
- * Fetches news feed articles.
+ * Fetches news feed articles, newest first, leaving out articles meant for other audiences.
+ * Filtering also runs client-side, so sources that ignore the params still behave.
  * @param {string} [category='all'] - Filter news by category.
  * @param {string} [query=''] - Search query for news.
+ * @param {object} [options] - { signal, timeout, retries }, see fetchData. Pass a fresh
+ *   AbortController's signal per query and abort the previous one, so a slow, older
+ *   query can never overwrite the results of a newer one.
  */
-export async function fetchNewsFeed(category = 'all', query = '') {
-  const allNews = [
-    {
-      id: 'news1',
-      title: 'Company Picnic Rescheduled to August 15th',
-      date: 'July 24, 2025',
-      imageUrl: './assets/images/news-picnic.jpg',
-      previewText: 'Due to unforeseen weather conditions, the annual company picnic has been moved to a new date.',
-      category: 'Announcements'
-    },
-    {
-      id: 'news2',
-      title: 'New Employee Onboarding Program Launched',
-      date: 'July 22, 2025',
-      imageUrl: './assets/images/news-onboarding.jpg',
-      previewText: 'Our HR team has rolled out an enhanced onboarding program for all new hires.',
-      category: 'HR'
-    },
-    {
-      id: 'news3',
-      title: 'Q2 Financial Results Exceed Expectations',
-      date: 'July 20, 2025',
-      imageUrl: './assets/images/news-finance.jpg',
-      previewText: 'ConnectHub reports strong financial performance for the second quarter.',
-      category: 'Finance'
-    },
-    {
-      id: 'news4',
-      title: 'IT Security Awareness Training Mandatory',
-      date: 'July 18, 2025',
-      imageUrl: './assets/images/news-security.jpg',
-      previewText: 'All employees must complete the updated cybersecurity training by month-end.',
-      category: 'IT'
-    },
-    {
-      id: 'news5',
-      title: 'Innovation Challenge: Submit Your Ideas!',
-      date: 'July 15, 2025',
-      imageUrl: './assets/images/news-innovation.jpg',
-      previewText: 'Got a brilliant idea to improve our operations? Participate in this year\'s challenge.',
-      category: 'Company Culture'
-    }
-  ];
+export async function fetchNewsFeed(category = 'all', query = '', options = {}) {
+  const allNews = await fetchVisible(RESOURCES.NEWS, { category, query }, options);
+  return sortNews(allNews.filter(news => newsMatches(news, category, query)));
+}
+
+/** Orders the news feed can be sorted in: newest first, or most opened first. */
+export const NEWS_SORTS = Object.freeze({ DATE: 'date', POPULAR: 'popular' });
+export const NEWS_PAGE_SIZE = 6;
+
+const byDate = (a, b) => (b.date || '').localeCompare(a.date || '');
+const NEWS_ORDERS = {
+  [NEWS_SORTS.DATE]: byDate,
+  [NEWS_SORTS.POPULAR]: (a, b) => b.views - a.views || byDate(a, b),
+};
+
+// Ties are broken by id, so every article has exactly one place in the order (cursors rely on it).
+function compareNews(a, b, sort) {
+  return NEWS_ORDERS[sort](a, b) || (a.id < b.id ? -1 : Number(a.id > b.id));
+}
 
-  let filteredNews = allNews;
+/**
+ * Sorts news articles (a new array).
+ * @param {object[]} articles - Normalized news items.
+ * @param {string} [sort=NEWS_SORTS.DATE] - One of NEWS_SORTS.
+ * @returns {object[]}
+ */
+export function sortNews(articles, sort = NEWS_SORTS.DATE) {
+  if (!NEWS_ORDERS[sort]) {
+    throw new TypeError(`[DataService] Unknown news sort "${sort}"; use one of ${Object.values(NEWS_SORTS).join(', ')}.`);
+  }
+  return [...articles].sort((a, b) => compareNews(a, b, sort));
+}
+
+// A cursor is the last article handed out, as far as the order is concerned. Pages
+// continue after that position, so articles published or removed in the meantime
+// don't shift the next page the way an offset would.
+function encodeNewsCursor(article, sort) {
+  return btoa(encodeURIComponent(JSON.stringify({ sort, id: article.id, date: article.date, views: article.views })));
+}
 
-  if (category !== 'all') {
-    filteredNews = filteredNews.filter(news => news.category.toLowerCase() === category.toLowerCase());
+function decodeNewsCursor(cursor, sort) {
+  let position = null;
+  try {
+    position = JSON.parse(decodeURIComponent(atob(cursor)));
+  } catch (error) {
+    // Reported below
   }
-  if (query) {
-    const lowerCaseQuery = query.toLowerCase();
-    filteredNews = filteredNews.filter(news =>
-      news.title.toLowerCase().includes(lowerCaseQuery) ||
-      news.previewText.toLowerCase().includes(lowerCaseQuery)
-    );
+  if (!position || typeof position.id !== 'string' || position.sort !== sort) {
+    throw new TypeError('[DataService] Invalid news cursor; pass the nextCursor of a page with the same sort.');
+  }
+  return position;
+}
+
+/**
+ * Fetches one page of the news feed. Pass the page's `nextCursor` back to get the
+ * next one, with the same filter and sort; it is null on the last page.
+ *
+ * Pages are cut from the cached feed, so paging doesn't cost another request.
+ * @param {object} [query]
+ * @param {string} [query.category='all']
+ * @param {string} [query.query=''] - Search text.
+ * @param {string} [query.sort=NEWS_SORTS.DATE] - One of NEWS_SORTS.
+ * @param {string|null} [query.cursor=null] - Null for the first page.
+ * @param {number} [query.limit=NEWS_PAGE_SIZE] - Articles per page.
+ * @param {object} [options] - { signal, timeout, retries }, see fetchData.
+ * @returns {Promise<{ items: object[], nextCursor: string|null, total: number }>} `total`
+ *   counts every matching article, on all pages.
+ */
+export async function fetchNewsPage({ category = 'all', query = '', sort = NEWS_SORTS.DATE, cursor = null, limit = NEWS_PAGE_SIZE } = {}, options = {}) {
+  const after = cursor ? decodeNewsCursor(cursor, sort) : null;
+  const articles = sortNews(await fetchNewsFeed(category, query, options), sort);
+  const start = after ? articles.findIndex(article => compareNews(article, after, sort) > 0) : 0;
+  const items = start === -1 ? [] : articles.slice(start, start + limit);
+  const hasMore = items.length > 0 && start + items.length < articles.length;
+  return {
+    items,
+    nextCursor: hasMore ? encodeNewsCursor(items[items.length - 1], sort) : null,
+    total: articles.length,
+  };
+}
+
+/**
+ * Fetches one news article, if the signed-in employee may see it.
+ * @param {string} id
+ * @param {object} [options] - { signal, timeout, retries }, see fetchData.
+ * @returns {Promise<object|null>} Null if there is no such article (for them).
+ */
+export async function fetchNewsArticle(id, options = {}) {
+  const articles = await fetchNewsFeed('all', '', options);
+  return articles.find(article => article.id === id) || null;
+}
+
+/**
+ * Whether a news item belongs in the feed for a category and search query.
+ * @param {object} news - A normalized news item.
+ * @param {string} [category='all']
+ * @param {string} [query='']
+ * @returns {boolean}
+ */
+export function newsMatches(news, category = 'all', query = '') {
+  if (category !== 'all' && news.category.toLowerCase() !== category.toLowerCase()) return false;
+  if (!query) return true;
+  const lowerCaseQuery = query.toLowerCase();
+  return news.title.toLowerCase().includes(lowerCaseQuery) || news.previewText.toLowerCase().includes(lowerCaseQuery);
+}
+
+/**
+ * Fetches quick links data, leaving out links meant for other audiences.
+ * @param {object} [options] - { signal, timeout, retries }, see fetchData.
+ */
+export async function fetchQuickLinks(options = {}) {
+  return fetchVisible(RESOURCES.QUICK_LINKS, {}, options);
+}
+
+/**
+ * Fetches team updates/shout-outs, newest first.
+ * @param {object} [options] - { signal, timeout, retries }, see fetchData.
+ */
+export async function fetchTeamUpdates(options = {}) {
+  const updates = await fetchData(RESOURCES.TEAM_UPDATES, {}, options);
+  const postedAt = (update) => update.createdAt || update.date || '';
+  return [...updates].sort((a, b) => postedAt(b).localeCompare(postedAt(a)));
+}
+
+export const TEAM_UPDATE_REACTIONS = Object.freeze(['👍', '🎉', '❤️', '👏', '😄']);
+export const MAX_TEAM_UPDATE_LENGTH = 1000;
+export const MAX_COMMENT_LENGTH = 500;
+
+/**
+ * Whether a user may edit or delete a team update (or a comment): its author can,
+ * and admins can edit anything. Posts by teams have no authorId, so only admins can.
+ * @param {{ authorId: string|null }} item - A team update or comment.
+ * @param {object} [user=getCurrentUser()]
+ * @returns {boolean}
+ */
+export function canEditTeamUpdate(item, user = getCurrentUser()) {
+  if (!item || !user) return false;
+  return hasRole(ROLES.ADMIN, user) || (item.authorId !== null && item.authorId === user.id);
+}
+
+function createId(prefix) {
+  const random = typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+  return `${prefix}-${random}`;
+}
+
+function todayIsoDate(now = new Date()) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
+
+// kind: 'shoutOut' or 'comment', for the message (validation.<kind>.* in the catalogs)
+function validateText(text, maxLength, kind) {
+  const value = typeof text === 'string' ? text.trim() : '';
+  if (!value) {
+    throw new DataServiceError(t(`validation.${kind}.empty`), { type: ERROR_TYPES.VALIDATION, resource: RESOURCES.TEAM_UPDATES });
+  }
+  if (value.length > maxLength) {
+    throw new DataServiceError(t(`validation.${kind}.tooLong`, { length: value.length, maxLength }), {
+      type: ERROR_TYPES.VALIDATION,
+      resource: RESOURCES.TEAM_UPDATES,
+    });
   }
+  return value;
+}
 
-  return fetchData('news-feed', filteredNews);
+// actionKey: e.g. 'actions.editUpdate'
+function forbidden(actionKey) {
+  return new DataServiceError(t('errors.forbiddenAction', { action: t(actionKey) }), { type: ERROR_TYPES.FORBIDDEN, resource: RESOURCES.TEAM_UPDATES });
 }
 
 /**
- * Fetches quick links data.
+ * Sends a write to the active data source. Writes time out like reads but are never
+ * retried, since repeating a POST could post twice. Cached data for the resource is
+ * dropped afterwards, so the next fetch sees the change.
+ * @param {string} resource
+ * @param {object} request - { method, path, body, idempotencyKey }, see dataSources.js.
+ * @param {object} [options] - { signal, timeout }.
  */
-export async function fetchQuickLinks() {
-  const mockQuickLinks = [
-    { id: 'ql1', icon: 'fas fa-calendar-alt', title: 'Leave Request', url: '#leave-request' },
-    { id: 'ql2', icon: 'fas fa-chart-line', title: 'Company Reports', url: '#company-reports' },
-    { id: 'ql3', icon: 'fas fa-headset', title: 'IT Helpdesk', url: '#it-helpdesk' },
-    { id: 'ql4', icon: 'fas fa-user-friends', title: 'Employee Directory', url: '#employee-directory' },
-    { id: 'ql5', icon: 'fas fa-hand-holding-usd', title: 'Expense Forms', url: '#expense-forms' },
-    { id: 'ql6', icon: 'fas fa-book', title: 'Policy Handbook', url: '#policy-handbook' },
-  ];
-  return fetchData('quick-links', mockQuickLinks);
+async function sendToSource(resource, request, { signal, timeout } = {}) {
+  if (typeof activeSource.send !== 'function') {
+    throw new DataServiceError(`The ${activeSource.name || 'current'} data source is read-only.`, { type: ERROR_TYPES.DATA, resource });
+  }
+  log.debug(`${request.method} ${[resource, ...(request.path || [])].join('/')}...`);
+  try {
+    const result = await withRetry(attemptSignal => activeSource.send(resource, request, { signal: attemptSignal }), {
+      ...requestPolicy,
+      ...(timeout !== undefined && { timeout }),
+      retries: 0,
+      signal,
+    });
+    requestCache.invalidate(resource);
+    return result;
+  } catch (error) {
+    const serviceError = toDataServiceError(error, { resource });
+    log.error(`Error saving ${resource} (${serviceError.type}):`, serviceError);
+    throw serviceError;
+  }
+}
+
+async function findTeamUpdate(id, options) {
+  const update = (await fetchTeamUpdates(options)).find(item => item.id === id);
+  if (!update) {
+    throw new DataServiceError(t('errors.updateGone'), { status: 404, resource: RESOURCES.TEAM_UPDATES });
+  }
+  return update;
 }
 
 /**
- * Fetches team updates/shout-outs.
+ * Posts a team update as the signed-in user.
+ * @param {object} update
+ * @param {string} update.text - Markdown (see markdown.js).
+ * @param {object} [options] - { signal, timeout, idempotencyKey }. Pass a key that stays the same
+ *   when the post is retried (e.g. the offline queue's action id) so it isn't posted twice.
+ * @returns {Promise<object>} The normalized update.
  */
-export async function fetchTeamUpdates() {
-  const mockTeamUpdates = [
-    { id: 'tu1', author: 'HR Team', updateText: 'Big shout-out to the **Sales Department** for exceeding their Q2 targets!', date: 'July 25, 2025' },
-    { id: 'tu2', author: 'Mark Johnson', updateText: 'Congratulations to **Sarah Lee** on her promotion to Senior Developer!', date: 'July 24, 2025' },
-    { id: 'tu3', author: 'CEO', updateText: 'A warm welcome to all our **new hires** this month! Excited to have you join ConnectHub.', date: 'July 23, 2025' },
-    { id: 'tu4', author: 'IT Department', updateText: 'Our **system upgrade** is complete. Please report any issues to the helpdesk.', date: 'July 22, 2025' },
-  ];
-  return fetchData('team-updates', mockTeamUpdates);
+export async function createTeamUpdate({ text }, { idempotencyKey, ...options } = {}) {
+  const user = getCurrentUser();
+  const body = {
+    id: createId('tu'),
+    authorId: user.id,
+    author: user.name,
+    updateText: validateText(text, MAX_TEAM_UPDATE_LENGTH, 'shoutOut'),
+    date: todayIsoDate(),
+    createdAt: new Date().toISOString(),
+    reactions: [],
+    comments: [],
+  };
+  const saved = await sendToSource(RESOURCES.TEAM_UPDATES, { method: 'POST', path: [], body, idempotencyKey }, options);
+  return normalize(RESOURCES.TEAM_UPDATES, [saved || body])[0];
 }
 
 /**
- * Fetches upcoming events data.
+ * Changes a team update's text. Only its author or an admin may.
+ * @param {string} id
+ * @param {{ text: string }} changes
+ * @param {object} [options] - { signal, timeout }.
+ * @returns {Promise<object>} The normalized update.
  */
-export async function fetchUpcomingEvents() {
-  const mockUpcomingEvents = [
-    { id: 'e1', title: 'All-Hands Meeting', date: { month: 'Aug', day: 5 }, time: '10:00 AM - 11:30 AM', location: 'Main Auditorium', link: '#event-all-hands' },
-    { id: 'e2', title: 'Monthly Innovation Workshop', date: { month: 'Aug', day: 12 }, time: '01:00 PM - 03:00 PM', location: 'Online (Zoom)', link: '#event-innovation' },
-    { id: 'e3', title: 'Company Health Fair', date: { month: 'Aug', day: 20 }, time: '09:00 AM - 04:00 PM', location: 'Gymnasium', link: '#event-health-fair' },
-    { id: 'e4', title: 'Leadership Training Session', date: { month: 'Sep', day: 2 }, time: '09:00 AM - 05:00 PM', location: 'Training Room B', link: '#event-leadership' },
-  ];
-  return fetchData('upcoming-events', mockUpcomingEvents);
+export async function updateTeamUpdate(id, { text }, options = {}) {
+  const update = await findTeamUpdate(id, options);
+  if (!canEditTeamUpdate(update)) throw forbidden('actions.editUpdate');
+  const body = { updateText: validateText(text, MAX_TEAM_UPDATE_LENGTH, 'shoutOut'), editedAt: new Date().toISOString() };
+  const saved = await sendToSource(RESOURCES.TEAM_UPDATES, { method: 'PATCH', path: [id], body }, options);
+  return normalize(RESOURCES.TEAM_UPDATES, [saved || { ...update, ...body }])[0];
 }
 
 /**
- * Fetches employee spotlight data.
+ * Deletes a team update. Only its author or an admin may.
+ * @param {string} id
+ * @param {object} [options] - { signal, timeout }.
  */
-export async function fetchEmployeeSpotlight() {
-  const mockSpotlight = {
-    name: "Maria Santos",
-    position: "Senior Marketing Specialist",
-    imageUrl: './assets/images/employee-maria.jpg',
-    bio: "Maria joined ConnectHub 5 years ago and has been instrumental in developing our digital marketing strategies. She's a passionate advocate for sustainable practices and enjoys hiking in her free time. Her creativity and dedication make her an invaluable part of our team.",
-    profileUrl: "#maria-santos-profile"
+export async function deleteTeamUpdate(id, options = {}) {
+  const update = await findTeamUpdate(id, options);
+  if (!canEditTeamUpdate(update)) throw forbidden('actions.deleteUpdate');
+  await sendToSource(RESOURCES.TEAM_UPDATES, { method: 'DELETE', path: [id] }, options);
+}
+
+/**
+ * Adds or removes the signed-in user's reaction to a team update.
+ * @param {string} id
+ * @param {string} emoji - One of TEAM_UPDATE_REACTIONS.
+ * @param {object} [options] - { signal, timeout }.
+ * @returns {Promise<boolean>} Whether the user now has this reaction.
+ */
+export async function toggleTeamUpdateReaction(id, emoji, options = {}) {
+  if (!TEAM_UPDATE_REACTIONS.includes(emoji)) {
+    throw new DataServiceError(t('validation.reaction', { emoji }), { type: ERROR_TYPES.VALIDATION, resource: RESOURCES.TEAM_UPDATES });
+  }
+  const user = getCurrentUser();
+  const update = await findTeamUpdate(id, options);
+  const existing = update.reactions.find(reaction => reaction.emoji === emoji && reaction.userId === user.id);
+  if (existing) {
+    await sendToSource(RESOURCES.TEAM_UPDATES, { method: 'DELETE', path: [id, 'reactions', existing.id] }, options);
+    return false;
+  }
+  const body = { id: `${user.id}:${emoji}`, emoji, userId: user.id };
+  await sendToSource(RESOURCES.TEAM_UPDATES, { method: 'POST', path: [id, 'reactions'], body }, options);
+  return true;
+}
+
+/**
+ * Comments on a team update as the signed-in user.
+ * @param {string} id - The team update.
+ * @param {{ text: string }} comment - Markdown.
+ * @param {object} [options] - { signal, timeout, idempotencyKey }.
+ * @returns {Promise<object>} The normalized comment.
+ */
+export async function addTeamUpdateComment(id, { text }, { idempotencyKey, ...options } = {}) {
+  const user = getCurrentUser();
+  const body = {
+    id: createId('c'),
+    authorId: user.id,
+    author: user.name,
+    text: validateText(text, MAX_COMMENT_LENGTH, 'comment'),
+    createdAt: new Date().toISOString(),
   };
-  return fetchData('employee-spotlight', mockSpotlight);
-}
-
-// You might consider a separate weather API call if you want real data.
-// For now, it's integrated into fetchPersonalBriefingData for simplicity.
-/*
-export async function fetchWeather(city = 'Victorias City') {
-  // In a real app, this would call a weather API like OpenWeatherMap
-  // For now, it's just a mock.
-  const mockWeatherData = {
-    city: city,
-    temperature: "28°C",
-    condition: "Partly Cloudy",
-    icon: "wi-day-cloudy-gusts" // Example: Font Awesome or custom weather icon class
+  const saved = await sendToSource(RESOURCES.TEAM_UPDATES, { method: 'POST', path: [id, 'comments'], body, idempotencyKey }, options);
+  return normalize(RESOURCES.TEAM_UPDATES, [{ id, comments: [saved || body] }])[0].comments[0];
+}
+
+/**
+ * Deletes a comment. Only its author or an admin may.
+ * @param {string} id - The team update.
+ * @param {string} commentId
+ * @param {object} [options] - { signal, timeout }.
+ */
+export async function deleteTeamUpdateComment(id, commentId, options = {}) {
+  const comment = (await findTeamUpdate(id, options)).comments.find(item => item.id === commentId);
+  if (!comment) {
+    throw new DataServiceError(t('errors.commentGone'), { status: 404, resource: RESOURCES.TEAM_UPDATES });
+  }
+  if (!canEditTeamUpdate(comment)) throw forbidden('actions.deleteComment');
+  await sendToSource(RESOURCES.TEAM_UPDATES, { method: 'DELETE', path: [id, 'comments', commentId] }, options);
+}
+
+/**
+ * Fetches upcoming events data, soonest first, leaving out events meant for other audiences.
+ * @param {object} [options] - { signal, timeout, retries }, see fetchData.
+ */
+export async function fetchUpcomingEvents(options = {}) {
+  const events = await fetchVisible(RESOURCES.EVENTS, {}, options);
+  return events.sort((a, b) => (a.start || a.date || '').localeCompare(b.start || b.date || ''));
+}
+
+/**
+ * Fetches the employee directory.
+ * @param {object} [options] - { signal, timeout, retries }, see fetchData.
+ */
+export async function fetchEmployees(options = {}) {
+  return fetchData(RESOURCES.EMPLOYEES, {}, options);
+}
+
+// The spotlight rotation can have several live entries while one takes over from
+// another; the most recently published one is shown.
+function currentSpotlight(entries, today = todayIso()) {
+  const live = entries.filter(entry => isLive(entry, today));
+  return live.sort((a, b) => (b.publishAt || '').localeCompare(a.publishAt || ''))[0] || null;
+}
+
+let spotlightRotation = {
+  ...DEFAULT_SPOTLIGHT_ROTATION,
+  ...(typeof window !== 'undefined' && window.CONNECTHUB_CONFIG?.spotlightRotation),
+};
+
+/**
+ * Changes how the spotlight rotates through the directory when no entry is published.
+ * @param {object} overrides - Any of { period, window, timeZone, seed }, see spotlightRotation.js.
+ */
+export function configureSpotlightRotation(overrides) {
+  spotlightRotation = { ...spotlightRotation, ...overrides };
+}
+
+// The rotation's pick, in the shape of a spotlight entry.
+function rotationSpotlight(employees, now) {
+  const pick = pickSpotlightEmployee(employees, { ...spotlightRotation, now });
+  if (!pick) return null;
+  const { employee, slot } = pick;
+  return normalize(RESOURCES.EMPLOYEE_SPOTLIGHT, [{
+    id: `rotation-${slot}`,
+    employeeId: employee.id,
+    name: employee.fullName,
+    position: employee.position,
+    imageUrl: employee.profilePicture,
+    bio: employee.bioPreview,
+    profileUrl: `#/people/${encodeURIComponent(employee.id)}`,
+  }])[0];
+}
+
+/**
+ * Fetches the employee in the spotlight today: the live entry published in the console,
+ * or else whoever the rotation picks from the employee directory.
+ * @param {object} [options] - { signal, timeout, retries }, see fetchData, and `now` (a Date).
+ * @returns {Promise<object|null>} Null when nothing is live and nobody can be picked.
+ */
+export async function fetchEmployeeSpotlight({ now = new Date(), ...options } = {}) {
+  const published = currentSpotlight(await fetchData(RESOURCES.EMPLOYEE_SPOTLIGHT, {}, options), todayIso(now));
+  if (published) return published;
+  return rotationSpotlight(await fetchEmployees(options), now);
+}
+
+/**
+ * Fetches the birthdays and work anniversaries coming up, soonest first.
+ * @param {object} [range]
+ * @param {number} [range.days=DEFAULT_CELEBRATION_DAYS] - How far ahead to look.
+ * @param {Date} [range.now=new Date()]
+ * @param {object} [options] - { signal, timeout, retries }, see fetchData.
+ * @returns {Promise<object[]>} See upcomingCelebrations() in celebrations.js.
+ */
+export async function fetchCelebrations({ days = DEFAULT_CELEBRATION_DAYS, now = new Date() } = {}, options = {}) {
+  return upcomingCelebrations(await fetchEmployees(options), { days, now });
+}
+
+/**
+ * Fetches leave requests and expense claims, newest first.
+ * @param {object} [options] - { signal, timeout, retries }, see fetchData.
+ */
+export async function fetchRequests(options = {}) {
+  const requests = await fetchData(RESOURCES.REQUESTS, {}, options);
+  return [...requests].sort((a, b) => (b.submittedAt || '').localeCompare(a.submittedAt || ''));
+}
+
+/**
+ * Fetches the requests the signed-in user submitted, newest first.
+ * @param {object} [options] - { signal, timeout, retries }, see fetchData.
+ */
+export async function fetchMyRequests(options = {}) {
+  const user = getCurrentUser();
+  return (await fetchRequests(options)).filter(request => request.submitterId === user.id);
+}
+
+/**
+ * Fetches the requests waiting for the signed-in user's decision, oldest first.
+ * @param {object} [options] - { signal, timeout, retries }, see fetchData.
+ */
+export async function fetchPendingApprovals(options = {}) {
+  const user = getCurrentUser();
+  return (await fetchRequests(options))
+    .filter(request => request.status === REQUEST_STATUSES.PENDING && currentStep(request)?.approverId === user.id)
+    .reverse();
+}
+
+// Requests show up in several places at once (the briefing, the requests page), so
+// after a change they are reloaded and every onDataRefresh() subscriber is told.
+function announceRequestChange() {
+  refreshResource(RESOURCES.REQUESTS).catch(() => { /* The next fetch tries again */ });
+}
+
+/**
+ * Submits a leave request or expense claim as the signed-in user. The values are
+ * validated against the form's schema, and the request is routed to the user's
+ * manager (and their manager, for large requests; see approvals.js).
+ * @param {string} type - A key of REQUEST_FORMS ('leave' or 'expense').
+ * @param {object} values - The raw form values; attachments are stored as file metadata only.
+ * @param {object} [options] - { signal, timeout, idempotencyKey }.
+ * @returns {Promise<object>} The normalized request.
+ * @throws {DataServiceError} VALIDATION, with `fieldErrors`, if the form isn't valid.
+ */
+export async function submitRequest(type, values, { idempotencyKey, ...options } = {}) {
+  const schema = REQUEST_FORMS[type];
+  if (!schema) {
+    throw new DataServiceError(t('validation.requestType', { type }), { type: ERROR_TYPES.VALIDATION, resource: RESOURCES.REQUESTS });
+  }
+  const coerced = coerceValues(schema, values);
+  const { valid, errors } = validateForm(schema, coerced);
+  if (!valid) {
+    throw new DataServiceError(Object.values(errors)[0], { type: ERROR_TYPES.VALIDATION, resource: RESOURCES.REQUESTS, fieldErrors: errors });
+  }
+
+  const user = getCurrentUser();
+  const details = submittableValues(schema, coerced);
+  const approvers = managerChain(await fetchEmployees(options), user.id, approvalLevels(type, details));
+  if (approvers.length === 0) {
+    throw new DataServiceError(t('validation.noApprover'), {
+      type: ERROR_TYPES.VALIDATION,
+      resource: RESOURCES.REQUESTS,
+    });
+  }
+
+  const body = {
+    id: createId('req'),
+    type,
+    submitterId: user.id,
+    submitterName: user.name,
+    submittedAt: new Date().toISOString(),
+    details,
+    status: REQUEST_STATUSES.PENDING,
+    steps: createApprovalSteps(approvers),
   };
-  return fetchData('weather', mockWeatherData);
+  const saved = await sendToSource(RESOURCES.REQUESTS, { method: 'POST', path: [], body, idempotencyKey }, options);
+  announceRequestChange();
+  return normalize(RESOURCES.REQUESTS, [saved || body])[0];
+}
+
+/**
+ * Approves or rejects a request. Only the approver whose turn it is may decide;
+ * a rejection needs a comment telling the submitter why.
+ * @param {string} id
+ * @param {object} decision
+ * @param {'approved'|'rejected'} decision.decision
+ * @param {string} [decision.comment]
+ * @param {object} [options] - { signal, timeout }.
+ * @returns {Promise<object>} The normalized request.
+ */
+export async function decideRequest(id, { decision, comment = '' }, options = {}) {
+  if (decision !== REQUEST_STATUSES.APPROVED && decision !== REQUEST_STATUSES.REJECTED) {
+    throw new DataServiceError(t('validation.decision', { decision }), { type: ERROR_TYPES.VALIDATION, resource: RESOURCES.REQUESTS });
+  }
+  const request = (await fetchRequests(options)).find(item => item.id === id);
+  if (!request) {
+    throw new DataServiceError(t('errors.requestGone'), { status: 404, resource: RESOURCES.REQUESTS });
+  }
+  const step = currentStep(request);
+  if (!step || step.approverId !== getCurrentUser().id) {
+    throw new DataServiceError(
+      step ? t('errors.notYourDecision', { name: step.approverName }) : t('errors.alreadyDecided'),
+      { type: ERROR_TYPES.FORBIDDEN, resource: RESOURCES.REQUESTS }
+    );
+  }
+  const note = typeof comment === 'string' ? comment.trim() : '';
+  if (decision === REQUEST_STATUSES.REJECTED && !note) {
+    const message = t('validation.rejectionComment');
+    throw new DataServiceError(message, { type: ERROR_TYPES.VALIDATION, resource: RESOURCES.REQUESTS, fieldErrors: { comment: message } });
+  }
+
+  const body = applyDecision(request, decision, { comment: note });
+  const saved = await sendToSource(RESOURCES.REQUESTS, { method: 'PATCH', path: [id], body }, options);
+  announceRequestChange();
+  return normalize(RESOURCES.REQUESTS, [saved || { ...request, ...body }])[0];
+}
+
+/** Resources admins author in the content console (see contentSchemas.js). */
+export const CONTENT_RESOURCES = Object.freeze(Object.keys(CONTENT_SCHEMAS));
+
+function contentSchema(resource) {
+  const schema = CONTENT_SCHEMAS[resource];
+  if (!schema) {
+    throw new DataServiceError(t('validation.contentType', { resource }), { type: ERROR_TYPES.VALIDATION, resource });
+  }
+  if (!hasRole(ROLES.ADMIN)) {
+    throw new DataServiceError(t('errors.adminsOnly'), { type: ERROR_TYPES.FORBIDDEN, resource });
+  }
+  return schema;
+}
+
+// The form values as a record for the data files, or a VALIDATION error with `fieldErrors`.
+function contentRecord(schema, resource, values) {
+  const coerced = coerceValues(schema, values);
+  const { valid, errors } = validateForm(schema, coerced);
+  if (!valid) {
+    throw new DataServiceError(Object.values(errors)[0], { type: ERROR_TYPES.VALIDATION, resource, fieldErrors: errors });
+  }
+  return schema.toRecord(submittableValues(schema, coerced));
+}
+
+async function findContentItem(resource, id, options) {
+  const item = (await fetchData(resource, {}, options)).find(entry => entry.id === id);
+  if (!item) {
+    throw new DataServiceError(t('errors.itemGone'), { status: 404, resource });
+  }
+  return item;
+}
+
+// Content changes reach the homepage straight away: the resource is reloaded and the
+// widgets' onDataRefresh() subscriptions pick it up.
+function announceContentChange(resource) {
+  refreshResource(resource).catch(() => { /* The next fetch tries again */ });
+}
+
+/**
+ * Fetches every item of a content resource, drafts, scheduled, expired and archived
+ * ones included, regardless of audience. Admins only.
+ * @param {string} resource - One of CONTENT_RESOURCES.
+ * @param {object} [options] - { signal, timeout, retries, forceRefresh }, see fetchData.
+ * @returns {Promise<object[]>} Normalized items.
+ */
+export async function fetchContentItems(resource, options = {}) {
+  contentSchema(resource);
+  return fetchData(resource, {}, options);
+}
+
+/**
+ * Saves a content item from the console's form. New items start as drafts; editing
+ * keeps the item's status, so changes to a published item go out as soon as they
+ * are saved. Admins only.
+ * @param {string} resource - One of CONTENT_RESOURCES.
+ * @param {object} values - The raw form values (see contentSchemas.js).
+ * @param {object} [options] - { id, signal, timeout }. Pass the id to update an existing item.
+ * @returns {Promise<object>} The normalized item.
+ * @throws {DataServiceError} VALIDATION, with `fieldErrors`, if the values aren't valid.
+ */
+export async function saveContent(resource, values, { id = null, ...options } = {}) {
+  const schema = contentSchema(resource);
+  const record = contentRecord(schema, resource, values);
+  const edit = { ...record, updatedAt: new Date().toISOString(), updatedBy: getCurrentUser().id };
+
+  if (id) {
+    await findContentItem(resource, id, options);
+    const saved = await sendToSource(resource, { method: 'PATCH', path: [id], body: edit }, options);
+    announceContentChange(resource);
+    return saved ? normalize(resource, [saved])[0] : findContentItem(resource, id, options);
+  }
+  const body = { id: createId(schema.idPrefix), ...edit, status: PUBLISH_STATUSES.DRAFT };
+  const saved = await sendToSource(resource, { method: 'POST', path: [], body }, options);
+  announceContentChange(resource);
+  return normalize(resource, [saved || body])[0];
+}
+
+/**
+ * Publishes, archives or returns a content item to draft. An item is checked against
+ * its schema before it is published, since it may have been written outside the console.
+ * When a published item actually shows depends on its publishAt and expireAt. Admins only.
+ * @param {string} resource - One of CONTENT_RESOURCES.
+ * @param {string} id
+ * @param {string} status - One of PUBLISH_STATUSES.
+ * @param {object} [options] - { signal, timeout }.
+ * @returns {Promise<object>} The normalized item.
+ */
+export async function setContentStatus(resource, id, status, options = {}) {
+  const schema = contentSchema(resource);
+  if (!Object.values(PUBLISH_STATUSES).includes(status)) {
+    throw new DataServiceError(t('validation.publishStatus', { status }), { type: ERROR_TYPES.VALIDATION, resource });
+  }
+  const item = await findContentItem(resource, id, options);
+  if (status === PUBLISH_STATUSES.PUBLISHED) contentRecord(schema, resource, schema.toFormValues(item));
+
+  const body = { status, updatedAt: new Date().toISOString(), updatedBy: getCurrentUser().id };
+  const saved = await sendToSource(resource, { method: 'PATCH', path: [id], body }, options);
+  announceContentChange(resource);
+  return saved ? normalize(resource, [saved])[0] : { ...item, status };
+}
+
+let weatherProvider = createLocalWeatherProvider();
+let weatherSettings = {
+  useGeolocation: true,
+  ...(typeof window !== 'undefined' && window.CONNECTHUB_CONFIG?.weather),
+};
+
+/**
+ * Replaces the weather provider (see weatherProviders.js), e.g. with an adapter for a
+ * real weather service. Cached forecasts from the previous provider are dropped.
+ * @param {{ name: string, getForecast: Function }} provider
+ */
+export function setWeatherProvider(provider) {
+  if (!provider || typeof provider.getForecast !== 'function') {
+    throw new TypeError('[DataService] A weather provider needs a getForecast() method.');
+  }
+  weatherProvider = provider;
+  requestCache.invalidate(WEATHER_RESOURCE);
+  log.info(`Weather provider: ${provider.name || 'unnamed'}`);
+}
+
+/**
+ * Changes where the weather is shown for.
+ * @param {object} overrides
+ * @param {boolean} [overrides.useGeolocation] - Ask the browser where employees without a known office are.
+ */
+export function configureWeather(overrides) {
+  weatherSettings = { ...weatherSettings, ...overrides };
+}
+
+// Like loadFromSource(), for the weather provider.
+async function loadForecast(location, days, signal, policy) {
+  const endFetch = log.time('fetch', { resource: WEATHER_RESOURCE });
+  let payload;
+  try {
+    payload = await withRetry(attemptSignal => weatherProvider.getForecast({ location, days, signal: attemptSignal }), {
+      ...policy,
+      signal,
+      onRetry: (error, attempt, delay) => log.warn(
+        `Weather failed (${error.type}), retry ${attempt} of ${policy.retries} in ${Math.round(delay)} ms.`
+      ),
+    });
+    endFetch({ ok: true });
+  } catch (error) {
+    endFetch({ ok: false, errorType: toDataServiceError(error, { resource: WEATHER_RESOURCE }).type });
+    throw error;
+  }
+
+  try {
+    return { provider: weatherProvider.name || null, ...normalizeWeatherForecast(payload) };
+  } catch (error) {
+    throw new DataServiceError(error.message, { type: ERROR_TYPES.DATA, resource: WEATHER_RESOURCE, cause: error });
+  }
+}
+
+/**
+ * Fetches the weather where the signed-in employee works: current conditions and a
+ * forecast from today. See weather.js for how the location is chosen.
+ * @param {object} [request]
+ * @param {number} [request.days=DEFAULT_FORECAST_DAYS] - Days of forecast, up to MAX_FORECAST_DAYS.
+ * @param {object} [options] - { signal, timeout, retries, forceRefresh }, see fetchData.
+ * @returns {Promise<{ location: object, provider: string|null, updatedAt: string|null, current: object|null, daily: object[] }>}
+ *   Temperatures in °C and wind in km/h (see normalizeWeatherForecast()).
+ */
+export async function fetchWeather({ days = DEFAULT_FORECAST_DAYS } = {}, { forceRefresh = false, signal, ...overrides } = {}) {
+  const count = Math.min(Math.max(1, Math.round(days) || 1), MAX_FORECAST_DAYS);
+  const [user, offices] = await Promise.all([loadUserProfile(), fetchData(RESOURCES.OFFICES, {}, { signal })]);
+  const location = await resolveWeatherLocation({
+    user,
+    offices,
+    locate: weatherSettings.useGeolocation ? () => getCurrentPosition() : null,
+  });
+  if (!location) {
+    throw new DataServiceError(t('errors.noWeatherOffice'), { type: ERROR_TYPES.DATA, resource: WEATHER_RESOURCE });
+  }
+
+  const policy = { ...requestPolicy, ...overrides };
+  try {
+    const forecast = await requestCache.get(
+      cacheKey(WEATHER_RESOURCE, { location: location.id, days: count }),
+      flightSignal => loadForecast(location, count, flightSignal, policy),
+      WEATHER_CACHE_POLICY,
+      { forceRefresh, signal }
+    );
+    return { location, ...forecast };
+  } catch (error) {
+    const serviceError = toDataServiceError(error, { resource: WEATHER_RESOURCE });
+    if (serviceError.type === ERROR_TYPES.ABORT) {
+      log.debug('Request for the weather was cancelled.');
+    } else {
+      log.error(`Error fetching the weather (${serviceError.type}):`, serviceError);
+    }
+    throw serviceError;
+  }
 }
-*/
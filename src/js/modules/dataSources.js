@@ -0,0 +1,347 @@
+// src/js/modules/dataSources.js
+
+/**
+ * ConnectHub Intranet - Data Sources Module
+ *
+ * A data source is any object with the shape:
+ *   {
+ *     name: string,
+ *     has(resource): boolean,
+ *     get(resource, params, { signal }): Promise<any>,
+ *     send?(resource, request, { signal }): Promise<any>   // Only for writable sources
+ *   }
+ *
+ * Writes are REST-style requests relative to the resource:
+ *   { method: 'POST' | 'PATCH' | 'DELETE', path: [...segments], body, idempotencyKey }
+ * e.g. { method: 'POST', path: ['tu1', 'comments'], body: {...} } adds a comment to
+ * team update tu1. `send` resolves with the created/updated raw record (null for DELETE).
+ * Sources without `send` are read-only.
+ *
+ * The data service only ever talks to this interface, so the homepage can be pointed
+ * at the static JSON files in src/data, a real REST backend or an in-memory fixture
+ * without touching any of the exported fetch functions.
+ * Sources return raw payloads; mapping onto the canonical schema happens in normalizers.js.
+ * They should honour the AbortSignal they are given and report failures as DataServiceError;
+ * retries and timeouts are applied by the data service on top (see requestPolicy.js).
+ */
+
+import { DataServiceError, ERROR_TYPES } from './errors.js';
+import { sleep } from './requestPolicy.js';
+
+/**
+ * Resource names understood by every data source.
+ * They double as the JSON file names in src/data (e.g. 'news' -> news.json).
+ */
+export const RESOURCES = Object.freeze({
+  NEWS: 'news',
+  EVENTS: 'events',
+  EMPLOYEES: 'employees',
+  QUICK_LINKS: 'quick-links',
+  TEAM_UPDATES: 'team-updates',
+  PERSONAL_BRIEFING: 'personal-briefing',
+  EMPLOYEE_SPOTLIGHT: 'employee-spotlight',
+  REQUESTS: 'requests',
+  OFFICES: 'offices',
+});
+
+const trimTrailingSlash = (url) => url.replace(/\/+$/, '');
+
+function getLocalStorage() {
+  try {
+    return typeof window !== 'undefined' ? window.localStorage : null;
+  } catch (error) {
+    return null; // Access can throw when storage is disabled
+  }
+}
+
+/**
+ * Turns a fetch() response into parsed JSON, or a typed error.
+ * @param {Response} response
+ * @param {string} label - What was requested, for error messages.
+ * @param {string} resource
+ */
+async function readJson(response, label, resource) {
+  if (!response.ok) {
+    let type = ERROR_TYPES.NETWORK;
+    if (response.status === 403) {
+      type = ERROR_TYPES.FORBIDDEN;
+    } else if (response.status === 400 || response.status === 422) {
+      type = ERROR_TYPES.VALIDATION; // The server rejected what was sent
+    }
+    throw new DataServiceError(`${label} responded with HTTP ${response.status}.`, {
+      type,
+      status: response.status,
+      resource,
+    });
+  }
+  try {
+    return await response.json();
+  } catch (error) {
+    if (error.name === 'AbortError') throw error;
+    throw new DataServiceError(`${label} did not return valid JSON.`, { type: ERROR_TYPES.DATA, resource, cause: error });
+  }
+}
+
+/**
+ * Applies a write request to an in-memory collection (an array of records with ids).
+ * Path segments alternate between record ids and the name of a nested collection,
+ * e.g. ['tu1', 'comments', 'c1']. Mutates `items`.
+ * @param {object[]} items
+ * @param {object} request - { method, path, body }, see the module comment.
+ * @param {string} resource - For error messages.
+ * @returns {object|null} The created/updated record, or null for DELETE.
+ */
+function applyWrite(items, { method, path = [], body }, resource) {
+  const notFound = (id) => new DataServiceError(`${resource}: "${id}" was not found.`, { status: 404, resource });
+  let list = items;
+  for (let i = 0; i < path.length - 1; i += 2) {
+    const record = list.find(item => item.id === path[i]);
+    if (!record) throw notFound(path[i]);
+    if (!Array.isArray(record[path[i + 1]])) record[path[i + 1]] = [];
+    list = record[path[i + 1]];
+  }
+
+  if (method === 'POST' && path.length % 2 === 0) {
+    const record = { ...body };
+    if (list.some(item => item.id === record.id)) {
+      throw new DataServiceError(`${resource}: "${record.id}" already exists.`, { status: 409, resource });
+    }
+    list.push(record);
+    return record;
+  }
+  const id = path[path.length - 1];
+  const index = list.findIndex(item => item.id === id);
+  if (path.length % 2 === 0 || index === -1) throw notFound(id);
+  if (method === 'DELETE') {
+    list.splice(index, 1);
+    return null;
+  }
+  if (method === 'PATCH') {
+    Object.assign(list[index], body, { id });
+    return list[index];
+  }
+  throw new DataServiceError(`${resource}: ${method} is not supported.`, { type: ERROR_TYPES.DATA, resource });
+}
+
+/**
+ * Reads resources from static JSON files (by default the copies of src/data served under ./data).
+ * @param {object} [options]
+ * @param {string} [options.baseUrl='./data'] - Folder the JSON files are served from.
+ * @param {string[]} [options.resources] - Resources this folder provides. Defaults to all of RESOURCES.
+ */
+export function createJsonFileSource({ baseUrl = './data', resources = Object.values(RESOURCES) } = {}) {
+  const available = new Set(resources);
+  const root = trimTrailingSlash(baseUrl);
+
+  return {
+    name: 'json',
+    has: (resource) => available.has(resource),
+    async get(resource, params, { signal } = {}) {
+      const response = await fetch(`${root}/${resource}.json`, { headers: { Accept: 'application/json' }, signal });
+      return readJson(response, `${resource}.json`, resource);
+    }
+  };
+}
+
+/**
+ * Reads resources from a REST backend: GET {baseUrl}/{path}?{params}.
+ * Params with empty values (e.g. category 'all', an empty query) are left off the query string.
+ * @param {object} options
+ * @param {string} options.baseUrl - API root, e.g. 'https://intranet.connecthub.com/api/v1'.
+ * @param {Object<string, string>} [options.paths] - Per-resource path overrides, e.g. { news: 'articles' }.
+ * @param {Object<string, string>} [options.headers] - Extra request headers (auth tokens etc.).
+ * @param {string[]} [options.resources] - Resources the backend exposes. Defaults to all of RESOURCES.
+ */
+export function createRestSource({ baseUrl, paths = {}, headers = {}, resources = Object.values(RESOURCES) } = {}) {
+  if (!baseUrl) {
+    throw new Error('[DataSource:rest] A baseUrl is required.');
+  }
+  const available = new Set(resources);
+  const root = trimTrailingSlash(baseUrl);
+
+  return {
+    name: 'rest',
+    has: (resource) => available.has(resource),
+    async get(resource, params = {}, { signal } = {}) {
+      const url = new URL(`${root}/${paths[resource] || resource}`, window.location.href);
+      Object.entries(params).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '' && value !== 'all') {
+          url.searchParams.set(key, value);
+        }
+      });
+
+      const response = await fetch(url, { headers: { Accept: 'application/json', ...headers }, signal });
+      return readJson(response, `GET ${url.pathname}`, resource);
+    },
+
+    // {method} {baseUrl}/{path}/{...segments}, with the body as JSON.
+    async send(resource, { method, path = [], body, idempotencyKey }, { signal } = {}) {
+      const segments = [paths[resource] || resource, ...path.map(encodeURIComponent)];
+      const url = new URL(`${root}/${segments.join('/')}`, window.location.href);
+      const response = await fetch(url, {
+        method,
+        headers: {
+          Accept: 'application/json',
+          ...(body !== undefined && { 'Content-Type': 'application/json' }),
+          ...(idempotencyKey && { 'Idempotency-Key': idempotencyKey }),
+          ...headers,
+        },
+        body: body === undefined ? undefined : JSON.stringify(body),
+        signal,
+      });
+      if (response.status === 204) return null;
+      return readJson(response, `${method} ${url.pathname}`, resource);
+    }
+  };
+}
+
+/**
+ * Serves resources from an in-memory object keyed by resource name.
+ * Useful for demos and for exercising widgets without a server. Every call returns a copy,
+ * so callers can't mutate the fixture.
+ * @param {Object<string, any>} fixtures - e.g. { news: [...], 'quick-links': [...] }
+ * @param {object} [options]
+ * @param {number} [options.delay=0] - Simulated latency in ms (a little random variance is added).
+ * @param {number} [options.failureRate=0] - Probability (0-1) of a simulated network error.
+ */
+export function createFixtureSource(fixtures, { delay = 0, failureRate = 0 } = {}) {
+  return {
+    name: 'fixture',
+    has: (resource) => Object.prototype.hasOwnProperty.call(fixtures, resource),
+    async get(resource, params, { signal } = {}) {
+      if (!Object.prototype.hasOwnProperty.call(fixtures, resource)) {
+        throw new DataServiceError(`[DataSource:fixture] No fixture for "${resource}".`, { type: ERROR_TYPES.DATA, resource });
+      }
+      if (delay > 0) {
+        await sleep(delay + Math.random() * 200, signal);
+      }
+      if (Math.random() < failureRate) {
+        throw new DataServiceError(`[DataSource:fixture] Simulated network error for ${resource}.`, { resource });
+      }
+      return structuredClone(fixtures[resource]);
+    },
+    async send(resource, request, { signal } = {}) {
+      if (!Array.isArray(fixtures[resource])) {
+        throw new DataServiceError(`[DataSource:fixture] "${resource}" is not a writable collection.`, { type: ERROR_TYPES.DATA, resource });
+      }
+      if (delay > 0) {
+        await sleep(delay + Math.random() * 200, signal);
+      }
+      if (Math.random() < failureRate) {
+        throw new DataServiceError(`[DataSource:fixture] Simulated network error for ${resource}.`, { resource });
+      }
+      return structuredClone(applyWrite(fixtures[resource], structuredClone(request), resource));
+    }
+  };
+}
+
+/**
+ * Makes a read-only source writable for some resources by keeping the writes in
+ * localStorage and replaying them over the source's data on every read. This is how
+ * shout-outs, leave/expense requests and the content admins author in the console work
+ * in the static demo, where the JSON files can't be written to; the writes only exist in
+ * this browser.
+ * @param {object} source - The source to wrap (e.g. the JSON file source).
+ * @param {object} [options]
+ * @param {string[]} [options.resources] - Collections that accept writes.
+ * @param {Storage|null} [options.storage=localStorage] - Pass null to keep writes in memory only.
+ * @param {string} [options.key='connecthub:local-writes']
+ */
+export function createLocalWriteSource(source, {
+  resources = [
+    RESOURCES.TEAM_UPDATES,
+    RESOURCES.REQUESTS,
+    RESOURCES.NEWS,
+    RESOURCES.EVENTS,
+    RESOURCES.QUICK_LINKS,
+    RESOURCES.EMPLOYEE_SPOTLIGHT,
+  ],
+  storage = getLocalStorage(),
+  key = 'connecthub:local-writes',
+} = {}) {
+  const writable = new Set(resources);
+  let memory = {};
+
+  function readLog() {
+    if (!storage) return memory;
+    try {
+      return JSON.parse(storage.getItem(key) || '{}') || {};
+    } catch (error) {
+      return {}; // A corrupt log is dropped rather than breaking every read
+    }
+  }
+
+  function appendToLog(resource, request) {
+    const log = readLog();
+    log[resource] = [...(log[resource] || []), request];
+    memory = log;
+    if (!storage) return;
+    try {
+      storage.setItem(key, JSON.stringify(log));
+    } catch (error) {
+      throw new DataServiceError(`[DataSource:local] Could not save the change to ${resource}.`, { type: ERROR_TYPES.DATA, resource, cause: error });
+    }
+  }
+
+  // Replays the logged writes; ones that no longer apply (e.g. to a removed record) are skipped.
+  function withLocalWrites(resource, payload) {
+    const requests = readLog()[resource] || [];
+    if (!Array.isArray(payload) || requests.length === 0) return payload;
+    requests.forEach(request => {
+      try {
+        applyWrite(payload, structuredClone(request), resource);
+      } catch (error) {
+        // Skipped
+      }
+    });
+    return payload;
+  }
+
+  return {
+    name: `local(${source.name})`,
+    has: (resource) => source.has(resource),
+    async get(resource, params, options) {
+      const payload = await source.get(resource, params, options);
+      return writable.has(resource) ? withLocalWrites(resource, payload) : payload;
+    },
+    async send(resource, request, options = {}) {
+      if (!writable.has(resource)) {
+        throw new DataServiceError(`[DataSource:local] "${resource}" is read-only.`, { type: ERROR_TYPES.DATA, resource });
+      }
+      const items = withLocalWrites(resource, await source.get(resource, {}, options));
+      const stored = { method: request.method, path: request.path || [], body: request.body };
+      const result = applyWrite(items, structuredClone(stored), resource); // Throws before logging if it doesn't apply
+      appendToLog(resource, stored);
+      return result && structuredClone(result);
+    }
+  };
+}
+
+/**
+ * Chains several sources: each resource is served by the first source that has it.
+ * e.g. createCompositeSource([restSource, jsonSource]) to fall back to static files
+ * for resources the backend doesn't expose yet.
+ * @param {Array<object>} sources
+ */
+export function createCompositeSource(sources) {
+  const pick = (resource) => sources.find(source => source.has(resource));
+
+  return {
+    name: `composite(${sources.map(source => source.name).join(', ')})`,
+    has: (resource) => Boolean(pick(resource)),
+    get(resource, params, options) {
+      const source = pick(resource);
+      if (!source) {
+        return Promise.reject(new DataServiceError(`[DataSource] No data source provides "${resource}".`, { type: ERROR_TYPES.DATA, resource }));
+      }
+      return source.get(resource, params, options);
+    },
+    send(resource, request, options) {
+      const source = pick(resource);
+      if (!source || typeof source.send !== 'function') {
+        return Promise.reject(new DataServiceError(`[DataSource] No data source can save "${resource}".`, { type: ERROR_TYPES.DATA, resource }));
+      }
+      return source.send(resource, request, options);
+    }
+  };
+}
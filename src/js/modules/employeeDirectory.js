@@ -0,0 +1,264 @@
+// src/js/modules/employeeDirectory.js
+
+/**
+ * ConnectHub Intranet - Employee Directory Module
+ *
+ * Pure functions over the normalized employee list from dataService.fetchEmployees():
+ * - Filtering (department, location, skill, free-text), sorting and paging.
+ * - Facets for the filter dropdowns.
+ * - An org chart built from `managerId` links.
+ * - Resolving @mentions in team updates and news to employees.
+ *
+ * Bad reporting data must never hang the page: managerIds that point at nobody
+ * ("dangling") and reporting loops ("cycles") are detected, reported in
+ * `orgChart.issues`, and the affected people are treated as top-level entries.
+ */
+
+import { t } from './i18n.js';
+
+export const SORT_OPTIONS = Object.freeze({
+  name: { labelKey: 'directory.sort.name', value: (employee) => employee.lastName || employee.fullName },
+  department: { labelKey: 'directory.sort.department', value: (employee) => employee.department || '' },
+  position: { labelKey: 'directory.sort.position', value: (employee) => employee.position || '' },
+  location: { labelKey: 'directory.sort.location', value: (employee) => employee.location || '' },
+});
+
+const uniqueSorted = (values) => [...new Set(values.filter(Boolean))].sort((a, b) => a.localeCompare(b));
+
+/**
+ * Collects the values available for each filter.
+ * @param {object[]} employees
+ * @returns {{ departments: string[], locations: string[], skills: string[] }}
+ */
+export function getFacets(employees) {
+  return {
+    departments: uniqueSorted(employees.map(employee => employee.department)),
+    locations: uniqueSorted(employees.map(employee => employee.location)),
+    skills: uniqueSorted(employees.flatMap(employee => employee.skills)),
+  };
+}
+
+/**
+ * Filters employees. Empty criteria are ignored; all given criteria must match.
+ * @param {object[]} employees
+ * @param {object} [criteria]
+ * @param {string} [criteria.department]
+ * @param {string} [criteria.location]
+ * @param {string} [criteria.skill]
+ * @param {string} [criteria.query] - Matched against name, position, email and extension.
+ * @returns {object[]}
+ */
+export function filterEmployees(employees, { department = '', location = '', skill = '', query = '' } = {}) {
+  const lowerQuery = query.trim().toLowerCase();
+  return employees.filter(employee =>
+    (!department || employee.department === department) &&
+    (!location || employee.location === location) &&
+    (!skill || employee.skills.includes(skill)) &&
+    (!lowerQuery || [employee.fullName, employee.position, employee.email, employee.extension]
+      .some(value => value && value.toLowerCase().includes(lowerQuery)))
+  );
+}
+
+/**
+ * Returns a sorted copy of the employees; ties are broken by full name.
+ * @param {object[]} employees
+ * @param {string} [sortKey='name'] - A key of SORT_OPTIONS.
+ * @param {'asc'|'desc'} [direction='asc']
+ * @returns {object[]}
+ */
+export function sortEmployees(employees, sortKey = 'name', direction = 'asc') {
+  const option = SORT_OPTIONS[sortKey] || SORT_OPTIONS.name;
+  const sign = direction === 'desc' ? -1 : 1;
+  return [...employees].sort((a, b) =>
+    sign * option.value(a).localeCompare(option.value(b)) || a.fullName.localeCompare(b.fullName)
+  );
+}
+
+/**
+ * Slices a list into pages. Out-of-range pages are clamped.
+ * @param {any[]} items
+ * @param {number} page - 1-based.
+ * @param {number} pageSize
+ * @returns {{ items: any[], page: number, pageCount: number, total: number }}
+ */
+export function paginate(items, page, pageSize) {
+  const pageCount = Math.max(1, Math.ceil(items.length / pageSize));
+  const current = Math.min(Math.max(1, page), pageCount);
+  const start = (current - 1) * pageSize;
+  return { items: items.slice(start, start + pageSize), page: current, pageCount, total: items.length };
+}
+
+/**
+ * Builds the reporting structure from managerId links.
+ * @param {object[]} employees
+ * @returns {{
+ *   byId: Map<string, object>,
+ *   roots: object[],
+ *   managerOf: (id: string) => object|null,
+ *   reportsOf: (id: string) => object[],
+ *   chainOf: (id: string) => object[],
+ *   issues: Array<{ type: 'dangling', employeeId: string, managerId: string }|{ type: 'cycle', employeeIds: string[] }>
+ * }}
+ *   `chainOf` lists managers from the direct manager up to the top.
+ */
+export function buildOrgChart(employees) {
+  const byId = new Map(employees.map(employee => [employee.id, employee]));
+  const issues = [];
+  const inCycle = new Set();
+
+  // Walk each reporting chain once; a chain that revisits a node on the current walk is a cycle.
+  const settled = new Set();
+  employees.forEach(employee => {
+    const path = [];
+    const onPath = new Set();
+    let current = employee;
+
+    while (current && !settled.has(current.id)) {
+      if (onPath.has(current.id)) {
+        const cycle = path.slice(path.indexOf(current.id));
+        cycle.forEach(id => inCycle.add(id));
+        issues.push({ type: 'cycle', employeeIds: cycle });
+        break;
+      }
+      path.push(current.id);
+      onPath.add(current.id);
+
+      if (current.managerId && !byId.has(current.managerId)) {
+        issues.push({ type: 'dangling', employeeId: current.id, managerId: current.managerId });
+      }
+      current = current.managerId ? byId.get(current.managerId) : null;
+    }
+    path.forEach(id => settled.add(id));
+  });
+
+  // People in a cycle, or whose manager doesn't exist, become roots.
+  const effectiveManagerId = (employee) =>
+    employee.managerId && byId.has(employee.managerId) && !inCycle.has(employee.id) ? employee.managerId : null;
+
+  const reports = new Map();
+  const roots = [];
+  employees.forEach(employee => {
+    const managerId = effectiveManagerId(employee);
+    if (!managerId) {
+      roots.push(employee);
+      return;
+    }
+    if (!reports.has(managerId)) reports.set(managerId, []);
+    reports.get(managerId).push(employee);
+  });
+
+  const byName = (a, b) => a.fullName.localeCompare(b.fullName);
+  roots.sort(byName);
+  reports.forEach(list => list.sort(byName));
+
+  const managerOf = (id) => {
+    const employee = byId.get(id);
+    const managerId = employee && effectiveManagerId(employee);
+    return managerId ? byId.get(managerId) : null;
+  };
+
+  return {
+    byId,
+    roots,
+    issues,
+    managerOf,
+    reportsOf: (id) => reports.get(id) || [],
+    chainOf(id) {
+      const chain = [];
+      let manager = managerOf(id);
+      while (manager) { // Terminates: effective manager links are acyclic
+        chain.push(manager);
+        manager = managerOf(manager.id);
+      }
+      return chain;
+    },
+  };
+}
+
+/**
+ * Describes an org chart issue in plain words, for display to admins.
+ * @param {object} issue - An entry of buildOrgChart().issues.
+ * @param {Map<string, object>} byId
+ * @returns {string}
+ */
+export function describeOrgIssue(issue, byId) {
+  const name = (id) => (byId.get(id) ? byId.get(id).fullName : id);
+  if (issue.type === 'cycle') {
+    return t('directory.issues.cycle', { chain: [...issue.employeeIds, issue.employeeIds[0]].map(name).join(' → ') });
+  }
+  return t('directory.issues.dangling', { name: name(issue.employeeId), managerId: issue.managerId });
+}
+
+/**
+ * Builds a resolver for @mentions. An employee can be mentioned by the local part
+ * of their email (@alice.johnson), by first.last name, or by id (@emp-001).
+ * Handles are matched case-insensitively; a handle shared by two people resolves
+ * to neither, rather than to the wrong person.
+ * @param {object[]} employees
+ * @returns {(handle: string) => ({ id: string, name: string }|null)}
+ */
+export function createMentionResolver(employees) {
+  const byHandle = new Map();
+  const ambiguous = new Set();
+  const slug = (value) => String(value || '').trim().toLowerCase().replace(/\s+/g, '.');
+
+  employees.forEach(employee => {
+    const person = { id: employee.id, name: employee.fullName };
+    const handles = new Set([
+      slug(employee.id),
+      slug(employee.email && employee.email.split('@')[0]),
+      slug([employee.firstName, employee.lastName].filter(Boolean).join(' ')),
+    ]);
+    handles.forEach(handle => {
+      if (!handle) return;
+      if (byHandle.has(handle) && byHandle.get(handle).id !== person.id) ambiguous.add(handle);
+      byHandle.set(handle, person);
+    });
+  });
+
+  return (handle) => {
+    const key = slug(handle);
+    return ambiguous.has(key) ? null : byHandle.get(key) || null;
+  };
+}
+
+/**
+ * The handle to insert when mentioning an employee: their email name
+ * (alice.johnson), else first.last. Both resolve with createMentionResolver().
+ * @param {object} employee
+ * @returns {string}
+ */
+export function mentionHandle(employee) {
+  const fromEmail = employee.email && employee.email.split('@')[0];
+  return String(fromEmail || [employee.firstName, employee.lastName].filter(Boolean).join('.') || employee.id).toLowerCase();
+}
+
+/**
+ * Employees to suggest while typing an @mention: those whose handle or any part of
+ * whose name starts with the typed text. Matches on the handle come first.
+ * @param {object[]} employees
+ * @param {string} prefix - Text typed after the @ (may be empty).
+ * @param {number} [limit=5]
+ * @returns {Array<{ id: string, name: string, handle: string, position: string|null }>}
+ */
+export function suggestMentions(employees, prefix, limit = 5) {
+  const typed = prefix.trim().toLowerCase();
+  const scored = [];
+  employees.forEach(employee => {
+    const handle = mentionHandle(employee);
+    const words = employee.fullName.toLowerCase().split(/\s+/);
+    let score = -1;
+    if (handle.startsWith(typed)) {
+      score = 0;
+    } else if (words.some(word => word.startsWith(typed)) || employee.fullName.toLowerCase().startsWith(typed)) {
+      score = 1;
+    }
+    if (score >= 0) {
+      scored.push({ score, suggestion: { id: employee.id, name: employee.fullName, handle, position: employee.position } });
+    }
+  });
+  return scored
+    .sort((a, b) => a.score - b.score || a.suggestion.name.localeCompare(b.suggestion.name))
+    .slice(0, limit)
+    .map(entry => entry.suggestion);
+}
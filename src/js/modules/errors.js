@@ -0,0 +1,83 @@
+// src/js/modules/errors.js
+
+/**
+ * ConnectHub Intranet - Error Types
+ *
+ * Typed errors shared by the data layer and the widgets. Widgets switch on
+ * `error.type` to pick the right message instead of parsing error strings.
+ */
+
+/**
+ * Kinds of data service failures.
+ * - TIMEOUT: the request took longer than its timeout (after any retries).
+ * - ABORT: the caller cancelled the request (e.g. the news filter changed mid-flight).
+ * - NETWORK: the source couldn't be reached or answered with an HTTP error.
+ * - DATA: the response arrived but couldn't be parsed or normalized.
+ * - VALIDATION: a write was rejected because of what was submitted (e.g. an empty post).
+ * - FORBIDDEN: the current user isn't allowed to make this change.
+ */
+export const ERROR_TYPES = Object.freeze({
+  TIMEOUT: 'timeout',
+  ABORT: 'abort',
+  NETWORK: 'network',
+  DATA: 'data',
+  VALIDATION: 'validation',
+  FORBIDDEN: 'forbidden',
+});
+
+export class DataServiceError extends Error {
+  /**
+   * @param {string} message
+   * @param {object} [details]
+   * @param {string} [details.type=ERROR_TYPES.NETWORK] - One of ERROR_TYPES.
+   * @param {string} [details.resource] - The resource being fetched, if known.
+   * @param {number} [details.status] - HTTP status, for NETWORK errors from HTTP responses.
+   * @param {number} [details.attempts] - How many attempts were made before giving up.
+   * @param {Error} [details.cause] - The underlying error.
+   * @param {Object<string, string>} [details.fieldErrors] - For VALIDATION errors on forms, messages by field name.
+   */
+  constructor(message, { type = ERROR_TYPES.NETWORK, resource = null, status = null, attempts = 1, cause, fieldErrors = null } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'DataServiceError';
+    this.type = type;
+    this.resource = resource;
+    this.status = status;
+    this.attempts = attempts;
+    this.fieldErrors = fieldErrors;
+  }
+
+  /**
+   * Whether trying again might succeed. Aborts and data errors won't fix themselves;
+   * of the HTTP errors, only server errors, 408 and 429 are worth retrying.
+   */
+  get isRetryable() {
+    if (this.type === ERROR_TYPES.TIMEOUT) return true;
+    if (this.type !== ERROR_TYPES.NETWORK) return false;
+    return this.status === null || this.status >= 500 || this.status === 408 || this.status === 429;
+  }
+}
+
+/**
+ * Wraps any thrown value in a DataServiceError, guessing the type from its shape.
+ * @param {any} error
+ * @param {object} [details] - Extra details (resource, attempts) merged into the result.
+ * @returns {DataServiceError}
+ */
+export function toDataServiceError(error, details = {}) {
+  if (error instanceof DataServiceError) {
+    Object.assign(error, details);
+    return error;
+  }
+
+  let type = ERROR_TYPES.NETWORK;
+  if (error && error.name === 'AbortError') {
+    type = ERROR_TYPES.ABORT;
+  } else if (error && error.name === 'TimeoutError') {
+    type = ERROR_TYPES.TIMEOUT;
+  } else if (error instanceof SyntaxError) {
+    type = ERROR_TYPES.DATA; // e.g. response.json() on a non-JSON body
+  }
+
+  const message = (error && error.message) || String(error);
+  return new DataServiceError(message, { ...details, type, cause: error });
+}
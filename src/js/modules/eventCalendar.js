@@ -0,0 +1,162 @@
+// src/js/modules/eventCalendar.js
+
+/**
+ * ConnectHub Intranet - Event Calendar Module
+ *
+ * Date math for the events calendar (month grids, weeks, grouping events by day)
+ * and conflict detection against the meetings in the personal briefing.
+ * Works on normalized events (see normalizers.normalizeEvent): timed events have
+ * ISO `start`/`end` instants, all-day events only a `date`.
+ * Days are local calendar days in the viewer's time zone, keyed 'YYYY-MM-DD'.
+ */
+
+import { parseTimeRange, zonedTimeToDate, localDateKey } from './eventTime.js';
+
+export const DEFAULT_MEETING_DURATION_MINUTES = 30;
+
+/**
+ * @param {Date} date
+ * @param {number} days
+ * @returns {Date} A new date, `days` calendar days later (DST-safe).
+ */
+export function addDays(date, days) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+/**
+ * @param {Date} date
+ * @param {number} [weekStartsOn=0] - 0 = Sunday, 1 = Monday.
+ * @returns {Date} Midnight at the start of the date's week.
+ */
+export function startOfWeek(date, weekStartsOn = 0) {
+  const offset = (date.getDay() - weekStartsOn + 7) % 7;
+  return addDays(date, -offset);
+}
+
+/**
+ * The seven days of the week containing `date`.
+ * @param {Date} date
+ * @param {number} [weekStartsOn=0]
+ * @returns {Date[]}
+ */
+export function weekDays(date, weekStartsOn = 0) {
+  const start = startOfWeek(date, weekStartsOn);
+  return Array.from({ length: 7 }, (_, i) => addDays(start, i));
+}
+
+/**
+ * The weeks to display for a month, including the leading/trailing days of
+ * neighbouring months needed to fill whole weeks.
+ * @param {number} year
+ * @param {number} monthIndex - 0-based.
+ * @param {number} [weekStartsOn=0]
+ * @returns {Date[][]}
+ */
+export function monthGrid(year, monthIndex, weekStartsOn = 0) {
+  const weeks = [];
+  let day = startOfWeek(new Date(year, monthIndex, 1), weekStartsOn);
+  const nextMonth = new Date(year, monthIndex + 1, 1);
+  while (day < nextMonth) {
+    const week = Array.from({ length: 7 }, (_, i) => addDays(day, i));
+    weeks.push(week);
+    day = addDays(day, 7);
+  }
+  return weeks;
+}
+
+/**
+ * The local day an event falls on.
+ * @param {object} event - A normalized event.
+ * @returns {string|null} 'YYYY-MM-DD'
+ */
+export function eventDayKey(event) {
+  return event.start ? localDateKey(new Date(event.start)) : event.date;
+}
+
+/**
+ * Groups events by local day, each day sorted by start time (all-day events first).
+ * @param {object[]} events
+ * @returns {Map<string, object[]>}
+ */
+export function groupEventsByDay(events) {
+  const days = new Map();
+  events.forEach(event => {
+    const key = eventDayKey(event);
+    if (!key) return;
+    if (!days.has(key)) days.set(key, []);
+    days.get(key).push(event);
+  });
+  days.forEach(list => list.sort((a, b) => (a.start || '').localeCompare(b.start || '')));
+  return days;
+}
+
+/**
+ * Events happening from `from` onwards, soonest first.
+ * @param {object[]} events
+ * @param {Date} [from=new Date()]
+ * @returns {object[]}
+ */
+export function upcomingEvents(events, from = new Date()) {
+  const today = localDateKey(from);
+  return events
+    .filter(event => (event.end ? new Date(event.end) >= from : (event.date || '') >= today))
+    .sort((a, b) => (a.start || a.date || '').localeCompare(b.start || b.date || ''));
+}
+
+/**
+ * When a briefing meeting happens. Meetings that only carry a display time
+ * ('02:30 PM') are taken to be on `referenceDate` in the viewer's time zone.
+ * @param {{ time: string|null, start?: string|null, end?: string|null }} meeting
+ * @param {Date} [referenceDate=new Date()]
+ * @param {number} [durationMinutes=30] - Used when the meeting has no end time.
+ * @returns {{ start: Date, end: Date }|null}
+ */
+export function meetingInterval(meeting, referenceDate = new Date(), durationMinutes = DEFAULT_MEETING_DURATION_MINUTES) {
+  let start = meeting.start ? new Date(meeting.start) : null;
+  let end = meeting.end ? new Date(meeting.end) : null;
+
+  if (!start) {
+    const range = parseTimeRange(meeting.time);
+    if (!range) return null;
+    const year = referenceDate.getFullYear();
+    const monthIndex = referenceDate.getMonth();
+    const day = referenceDate.getDate();
+    const at = (minutes) => {
+      const hour = Math.floor(minutes / 60);
+      const minute = minutes % 60;
+      return range.timeZone
+        ? zonedTimeToDate({ year, month: monthIndex + 1, day, hour, minute }, range.timeZone)
+        : new Date(year, monthIndex, day, hour, minute);
+    };
+    start = at(range.startMinutes);
+    if (range.endMinutes !== null) end = at(range.endMinutes);
+  }
+  if (!end || end <= start) end = new Date(start.getTime() + durationMinutes * 60000);
+  return { start, end };
+}
+
+/**
+ * Finds events that overlap the user's meetings. All-day events never conflict.
+ * @param {object[]} events - Normalized events.
+ * @param {object[]} meetings - personalBriefing.upcomingMeetings.
+ * @param {object} [options]
+ * @param {Date} [options.referenceDate=new Date()] - Day of meetings without a date.
+ * @returns {Map<string, object[]>} Event id -> overlapping meetings.
+ */
+export function findMeetingConflicts(events, meetings, { referenceDate = new Date() } = {}) {
+  const intervals = meetings
+    .map(meeting => ({ meeting, interval: meetingInterval(meeting, referenceDate) }))
+    .filter(({ interval }) => interval);
+
+  const conflicts = new Map();
+  events.forEach(event => {
+    if (event.allDay || !event.start) return;
+    const start = new Date(event.start);
+    const end = new Date(event.end || event.start);
+    const overlapping = intervals
+      .filter(({ interval }) => interval.start < end && start < interval.end)
+      .map(({ meeting }) => meeting);
+    if (overlapping.length) conflicts.set(event.id, overlapping);
+  });
+  return conflicts;
+}
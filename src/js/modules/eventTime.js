@@ -0,0 +1,231 @@
+// src/js/modules/eventTime.js
+
+/**
+ * ConnectHub Intranet - Event Time Module
+ *
+ * Turns the free-text times found in our event data ('10:00 AM PST',
+ * '11:00 AM - 03:00 PM PST', '10:00 AM - 11:30 AM') into real start/end instants.
+ *
+ * Time zone abbreviations are read as the region's civil time, not as a fixed offset:
+ * people write "PST" all year round, so '10:00 AM PST' on an August date means
+ * 10:00 in Los Angeles (PDT, UTC-7). Conversions go through Intl, so daylight
+ * saving time is handled for any IANA zone.
+ */
+
+/** Abbreviations (and loose names) we accept, mapped to IANA zones. */
+export const TIME_ZONE_ALIASES = Object.freeze({
+  PT: 'America/Los_Angeles', PST: 'America/Los_Angeles', PDT: 'America/Los_Angeles', PACIFIC: 'America/Los_Angeles',
+  MT: 'America/Denver', MST: 'America/Denver', MDT: 'America/Denver', MOUNTAIN: 'America/Denver',
+  CT: 'America/Chicago', CST: 'America/Chicago', CDT: 'America/Chicago', CENTRAL: 'America/Chicago',
+  ET: 'America/New_York', EST: 'America/New_York', EDT: 'America/New_York', EASTERN: 'America/New_York',
+  GMT: 'UTC', UTC: 'UTC', Z: 'UTC',
+  BST: 'Europe/London', CET: 'Europe/Paris', CEST: 'Europe/Paris',
+  IST: 'Asia/Kolkata', PHT: 'Asia/Manila', SGT: 'Asia/Singapore', JST: 'Asia/Tokyo',
+  AEST: 'Australia/Sydney', AEDT: 'Australia/Sydney',
+});
+
+export const DEFAULT_EVENT_DURATION_MINUTES = 60;
+
+const MINUTES_PER_DAY = 24 * 60;
+
+const TIME_PATTERN = /(\d{1,2})(?::(\d{2}))?\s*([ap])\.?\s*m\.?/i;
+const BARE_TIME_PATTERN = /^(\d{1,2})(?::(\d{2}))?$/;
+const RANGE_SEPARATOR = /\s*(?:-|–|—|\bto\b|\buntil\b)\s*/i;
+const IANA_ZONE_PATTERN = /\b[A-Z][A-Za-z_]+\/[A-Za-z_/]+\b/;
+
+const offsetFormatters = new Map();
+
+function getOffsetFormatter(timeZone) {
+  if (!offsetFormatters.has(timeZone)) {
+    offsetFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric', month: 'numeric', day: 'numeric',
+      hour: 'numeric', minute: 'numeric', second: 'numeric',
+    }));
+  }
+  return offsetFormatters.get(timeZone);
+}
+
+/**
+ * Checks that a time zone name is known to this browser.
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+  try {
+    getOffsetFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Milliseconds to add to UTC to get the zone's wall-clock time at `timestamp`.
+function timeZoneOffset(timestamp, timeZone) {
+  const parts = {};
+  getOffsetFormatter(timeZone).formatToParts(new Date(timestamp)).forEach(({ type, value }) => {
+    parts[type] = Number(value);
+  });
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - (timestamp - (((timestamp % 1000) + 1000) % 1000));
+}
+
+/**
+ * Converts a wall-clock time in a time zone to a Date.
+ * Times skipped by a DST jump are moved forward; repeated times resolve to their first occurrence.
+ * @param {{ year: number, month: number, day: number, hour?: number, minute?: number }} wallClock - month is 1-based.
+ * @param {string} timeZone - IANA zone, e.g. 'America/Los_Angeles'.
+ * @returns {Date}
+ */
+export function zonedTimeToDate({ year, month, day, hour = 0, minute = 0 }, timeZone) {
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+  const firstGuess = asUtc - timeZoneOffset(asUtc, timeZone);
+  const offset = timeZoneOffset(firstGuess, timeZone);
+  const result = asUtc - offset;
+  // Inside a DST gap the wall-clock time doesn't exist; move forward, like Date does for local times.
+  return new Date(timeZoneOffset(result, timeZone) === offset ? result : firstGuess);
+}
+
+/**
+ * Resolves a zone token ('PST', 'pacific', 'Europe/Berlin') to an IANA zone.
+ * @param {string} token
+ * @returns {string|null}
+ */
+export function resolveTimeZone(token) {
+  if (!token) return null;
+  const alias = TIME_ZONE_ALIASES[token.toUpperCase()];
+  if (alias) return alias;
+  return isValidTimeZone(token) ? token : null;
+}
+
+function toMinutes(hourText, minuteText, meridiem) {
+  let hour = Number(hourText);
+  const minute = Number(minuteText || 0);
+  if (minute > 59) return null;
+  if (meridiem) {
+    if (hour < 1 || hour > 12) return null;
+    hour = (hour % 12) + (meridiem.toLowerCase() === 'p' ? 12 : 0);
+  } else if (hour > 23) {
+    return null;
+  }
+  return hour * 60 + minute;
+}
+
+/**
+ * Parses a free-text time or time range.
+ * A meridiem on the end time carries over to a bare start time ('10 - 11:30 AM'),
+ * unless the start would then come after the end: '9 - 5 PM' starts at 9 AM.
+ * @param {string|null} text - e.g. '11:00 AM - 03:00 PM PST'.
+ * @returns {{ startMinutes: number, endMinutes: number|null, timeZone: string|null }|null}
+ *   Minutes after midnight; null if no time could be read.
+ */
+export function parseTimeRange(text) {
+  if (!text) return null;
+
+  let remaining = text.trim();
+  let timeZone = null;
+  const ianaMatch = remaining.match(IANA_ZONE_PATTERN);
+  if (ianaMatch && isValidTimeZone(ianaMatch[0])) {
+    timeZone = ianaMatch[0];
+    remaining = remaining.replace(ianaMatch[0], '');
+  } else {
+    const lastWord = remaining.match(/\(?\b([A-Za-z]{1,8})\)?\s*$/);
+    const zone = lastWord && !/^[ap]\.?m\.?$/i.test(lastWord[1]) ? resolveTimeZone(lastWord[1]) : null;
+    if (zone) {
+      timeZone = zone;
+      remaining = remaining.slice(0, lastWord.index);
+    }
+  }
+
+  const [startText, endText] = remaining.split(RANGE_SEPARATOR);
+  const readTime = (part, fallbackMeridiem) => {
+    if (!part) return null;
+    const withMeridiem = part.match(TIME_PATTERN);
+    if (withMeridiem) return toMinutes(withMeridiem[1], withMeridiem[2], withMeridiem[3]);
+    const bare = part.trim().match(BARE_TIME_PATTERN);
+    return bare ? toMinutes(bare[1], bare[2], fallbackMeridiem) : null;
+  };
+
+  const endMeridiem = endText && (endText.match(TIME_PATTERN) || [])[3];
+  const endMinutes = readTime(endText, null);
+  let startMinutes = readTime(startText, endMeridiem);
+  if (startMinutes === null) return null;
+  if (endMeridiem && endMinutes !== null && startMinutes >= endMinutes && !TIME_PATTERN.test(startText)) {
+    startMinutes = readTime(startText, endMeridiem.toLowerCase() === 'p' ? 'a' : 'p');
+  }
+  return { startMinutes, endMinutes, timeZone };
+}
+
+/**
+ * Works out when an event starts and ends.
+ * @param {string|null} date - ISO 'YYYY-MM-DD'.
+ * @param {string|null} timeText - Free text, e.g. '10:00 AM PST'.
+ * @param {object} [options]
+ * @param {string} [options.timeZone] - Zone for times that don't name one. Defaults to the browser's zone.
+ * @param {number} [options.defaultDurationMinutes=60] - Used when no end time is given.
+ * @returns {{ start: string|null, end: string|null, allDay: boolean, timeZone: string|null }}
+ *   `start`/`end` are ISO instants ('2025-08-05T17:00:00.000Z'); all-day events (no
+ *   readable time) have null start/end and are placed on `date`.
+ */
+export function resolveEventTimes(date, timeText, {
+  timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone,
+  defaultDurationMinutes = DEFAULT_EVENT_DURATION_MINUTES,
+} = {}) {
+  const range = parseTimeRange(timeText);
+  if (!date || !range) {
+    return { start: null, end: null, allDay: true, timeZone: range ? range.timeZone : null };
+  }
+
+  const zone = range.timeZone || timeZone;
+  const [year, month, day] = date.split('-').map(Number);
+  // Wall-clock time `minutes` after midnight of `date` (may run into the next day).
+  const at = (minutes) => {
+    const calendarDay = new Date(Date.UTC(year, month - 1, day + Math.floor(minutes / MINUTES_PER_DAY)));
+    const minuteOfDay = minutes % MINUTES_PER_DAY;
+    return zonedTimeToDate({
+      year: calendarDay.getUTCFullYear(),
+      month: calendarDay.getUTCMonth() + 1,
+      day: calendarDay.getUTCDate(),
+      hour: Math.floor(minuteOfDay / 60),
+      minute: minuteOfDay % 60,
+    }, zone);
+  };
+
+  const start = at(range.startMinutes);
+  let end;
+  if (range.endMinutes === null) {
+    end = new Date(start.getTime() + defaultDurationMinutes * 60000);
+  } else {
+    // An end before the start ('10 PM - 1 AM') finishes the next day.
+    end = at(range.endMinutes <= range.startMinutes ? range.endMinutes + MINUTES_PER_DAY : range.endMinutes);
+  }
+  return { start: start.toISOString(), end: end.toISOString(), allDay: false, timeZone: zone };
+}
+
+/**
+ * The calendar day ('YYYY-MM-DD') of an instant in a time zone, e.g. whether it is
+ * already someone's birthday where they are.
+ * @param {Date} date
+ * @param {string|null} timeZone - IANA zone; null for the browser's.
+ * @returns {string}
+ */
+export function zonedDateKey(date, timeZone) {
+  if (!timeZone) return localDateKey(date);
+  const parts = {};
+  getOffsetFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`;
+}
+
+/**
+ * The local calendar day ('YYYY-MM-DD') of a Date, in the browser's time zone.
+ * @param {Date} date
+ * @returns {string}
+ */
+export function localDateKey(date) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
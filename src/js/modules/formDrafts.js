@@ -0,0 +1,79 @@
+// src/js/modules/formDrafts.js
+
+/**
+ * ConnectHub Intranet - Form Drafts Module
+ *
+ * Keeps half-filled forms in localStorage, one draft per form and employee, so a
+ * leave request survives a closed tab or a trip to another page. Attachments are
+ * never stored (files can't be kept in localStorage): callers pass the values
+ * without them.
+ *
+ * Stored shape: { values: { field: value, ... }, savedAt: '2025-07-24T09:30:00.000Z' }
+ */
+
+import { createLogger } from './logger.js';
+
+const log = createLogger('FormDrafts');
+
+const KEY_PREFIX = 'connecthub:drafts';
+
+function getLocalStorage() {
+  try {
+    return typeof window !== 'undefined' ? window.localStorage : null;
+  } catch (error) {
+    return null; // Access can throw when storage is disabled (e.g. strict privacy settings)
+  }
+}
+
+/**
+ * Creates the draft store for one form.
+ * @param {string} formId - e.g. 'leave'.
+ * @param {object} [options]
+ * @param {string} [options.userId] - Keeps employees sharing a browser apart.
+ * @param {Storage|null} [options.storage=localStorage] - Pass null to keep the draft in memory only.
+ * @returns {{ load: Function, save: Function, clear: Function }}
+ */
+export function createDraftStore(formId, { userId = null, storage = getLocalStorage() } = {}) {
+  const key = [KEY_PREFIX, userId, formId].filter(Boolean).join(':');
+  let memory = null;
+
+  return {
+    /** @returns {{ values: object, savedAt: string }|null} */
+    load() {
+      if (!storage) return memory;
+      try {
+        const draft = JSON.parse(storage.getItem(key) || 'null');
+        return draft && typeof draft.values === 'object' && draft.values ? draft : null;
+      } catch (error) {
+        return null; // A corrupt draft is dropped
+      }
+    },
+
+    /**
+     * @param {object} values - Field values to keep (no files).
+     * @returns {{ values: object, savedAt: string }|null} The saved draft, or null if it couldn't be saved.
+     */
+    save(values) {
+      const draft = { values, savedAt: new Date().toISOString() };
+      memory = draft;
+      if (!storage) return draft;
+      try {
+        storage.setItem(key, JSON.stringify(draft));
+        return draft;
+      } catch (error) {
+        log.warn(`Could not save the ${formId} draft:`, error.message);
+        return null;
+      }
+    },
+
+    clear() {
+      memory = null;
+      if (!storage) return;
+      try {
+        storage.removeItem(key);
+      } catch (error) {
+        // Nothing to clear
+      }
+    },
+  };
+}
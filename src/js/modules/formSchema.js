@@ -0,0 +1,267 @@
+// src/js/modules/formSchema.js
+
+/**
+ * ConnectHub Intranet - Form Schema Module
+ *
+ * A small declarative validation engine. A form is described once, as data, and the
+ * same description drives the rendered form (widgets/schemaForm.js) and validation,
+ * both in the browser and in the data service before anything is submitted.
+ *
+ * Schema shape:
+ *   {
+ *     id: 'leave',
+ *     title: 'requestForms.leave.title',
+ *     fields: [
+ *       { name, label, type, ...rules, hint?, options?, showIf? }
+ *     ],
+ *     rules?: [(values) => ({ field, message }) | null]   // Cross-field checks
+ *   }
+ *
+ * The schema's text (title, label, hint, option labels, requiredMessage,
+ * patternMessage, afterLabel) is given as message keys, or [key, params], and looked
+ * up with formText() when it is shown, so forms follow the employee's language.
+ *
+ * Field types: 'text', 'textarea', 'select', 'date', 'number' (amounts) and 'file'.
+ * Rules (all optional):
+ * - required: true, or (values) => boolean for conditional requirements.
+ *   requiredMessage replaces the default "<Label> is required." message.
+ * - minLength / maxLength: for text.
+ * - min / max: for numbers and dates. Dates take 'YYYY-MM-DD' or 'today'; either may
+ *   also be (values) => limit, e.g. an amount limit that depends on the category.
+ * - after / onOrAfter: the name of another date field, for date ranges.
+ * - maxRangeDays: with `after`/`onOrAfter`, the longest allowed range (inclusive).
+ * - pattern: a RegExp for text.
+ * - accept, maxFiles, maxFileSize (bytes): for attachments.
+ * - validate: (value, values) => message | null, for anything else.
+ * - showIf: (values) => boolean. Hidden fields are neither validated nor submitted.
+ *
+ * Messages are written for employees and name the field by its label. They come from
+ * the message catalogs (formSchema.*); amounts and dates in them are formatted for
+ * the viewer.
+ */
+
+import { t, formatNumber, formatDate } from './i18n.js';
+
+export const FIELD_TYPES = Object.freeze(['text', 'textarea', 'select', 'date', 'number', 'file']);
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Today's date as 'YYYY-MM-DD' in the viewer's time zone.
+ * @param {Date} [now=new Date()]
+ * @returns {string}
+ */
+export function todayIso(now = new Date()) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
+
+/**
+ * Days from one ISO date to another, counting both ends (the same day is 1).
+ * @param {string} start - 'YYYY-MM-DD'
+ * @param {string} end - 'YYYY-MM-DD'
+ * @returns {number}
+ */
+export function daysInRange(start, end) {
+  const toUtc = (iso) => {
+    const [year, month, day] = iso.split('-').map(Number);
+    return Date.UTC(year, month - 1, day);
+  };
+  return Math.round((toUtc(end) - toUtc(start)) / DAY_MS) + 1;
+}
+
+const isEmpty = (value) => value === undefined || value === null || value === ''
+  || (Array.isArray(value) && value.length === 0);
+
+const resolve = (rule, values) => (typeof rule === 'function' ? rule(values) : rule);
+
+function resolveDate(rule, values, now) {
+  const value = resolve(rule, values);
+  return value === 'today' ? todayIso(now) : value;
+}
+
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) return `${Math.round(bytes / (1024 * 1024) * 10) / 10} MB`;
+  return `${Math.ceil(bytes / 1024)} KB`;
+}
+
+function formatLimit(field, limit) {
+  return field.currency
+    ? formatNumber(limit, { style: 'currency', currency: field.currency })
+    : formatNumber(limit);
+}
+
+// Whether a file matches an accept list such as ['.pdf', 'image/*'].
+function acceptsFile(accept, file) {
+  const name = String(file.name || '').toLowerCase();
+  const type = String(file.type || '').toLowerCase();
+  return accept.some(pattern => {
+    const rule = pattern.toLowerCase();
+    if (rule.startsWith('.')) return name.endsWith(rule);
+    if (rule.endsWith('/*')) return type.startsWith(rule.slice(0, -1));
+    return type === rule;
+  });
+}
+
+/**
+ * Looks up a piece of schema text.
+ * @param {string|Array|null} message - A message key, or [key, params].
+ * @returns {string} '' when there is none.
+ */
+export function formText(message) {
+  return message ? t(...[].concat(message)) : '';
+}
+
+/**
+ * Whether a field is shown for the current values.
+ * @param {object} field
+ * @param {object} values
+ * @returns {boolean}
+ */
+export function isFieldVisible(field, values) {
+  return typeof field.showIf !== 'function' || Boolean(field.showIf(values));
+}
+
+/**
+ * Converts raw form input (strings, FileLists) to the values the rules work on:
+ * trimmed text, numbers for number fields and arrays of files.
+ * @param {object} schema
+ * @param {object} raw
+ * @returns {object}
+ */
+export function coerceValues(schema, raw) {
+  const values = {};
+  schema.fields.forEach(field => {
+    const value = raw[field.name];
+    if (field.type === 'file') {
+      values[field.name] = value ? Array.from(value) : [];
+    } else if (field.type === 'number') {
+      const text = String(value ?? '').trim().replace(/,/g, '');
+      if (typeof value === 'number' || text === '') {
+        values[field.name] = typeof value === 'number' ? value : null;
+      } else {
+        values[field.name] = Number.isNaN(Number(text)) ? text : Number(text); // Text is kept, and reported as not a number
+      }
+    } else {
+      values[field.name] = typeof value === 'string' ? value.trim() : (value ?? '');
+    }
+  });
+  return values;
+}
+
+/**
+ * Checks one field.
+ * @param {object} field - A field from the schema.
+ * @param {object} values - All (coerced) values, for cross-field rules.
+ * @param {object} [options]
+ * @param {Date} [options.now=new Date()] - What 'today' means.
+ * @returns {string|null} An error message, or null if the value is valid.
+ */
+export function validateField(field, values, { now = new Date() } = {}) {
+  if (!isFieldVisible(field, values)) return null;
+  const value = values[field.name];
+  const label = formText(field.label);
+
+  if (isEmpty(value)) {
+    if (!resolve(field.required, values)) return null;
+    return field.requiredMessage ? formText(field.requiredMessage) : t('formSchema.required', { label });
+  }
+
+  switch (field.type) {
+    case 'number': {
+      if (typeof value !== 'number' || !Number.isFinite(value)) return t('formSchema.notANumber', { label });
+      const min = resolve(field.min, values);
+      const max = resolve(field.max, values);
+      if (min !== undefined && min !== null && value < min) return t('formSchema.atLeast', { label, limit: formatLimit(field, min) });
+      if (max !== undefined && max !== null && value > max) return t('formSchema.atMost', { label, limit: formatLimit(field, max) });
+      if (field.step && Math.abs(Math.round(value / field.step) * field.step - value) > 1e-9) {
+        return t('formSchema.decimals', { label, count: String(field.step).split('.')[1]?.length || 0 });
+      }
+      break;
+    }
+    case 'date': {
+      if (!ISO_DATE_PATTERN.test(value) || Number.isNaN(Date.parse(value))) return t('formSchema.invalidDate', { label });
+      const min = resolveDate(field.min, values, now);
+      const max = resolveDate(field.max, values, now);
+      if (min && value < min) {
+        return min === todayIso(now) ? t('formSchema.past', { label }) : t('formSchema.before', { label, date: formatDate(min) });
+      }
+      if (max && value > max) {
+        return max === todayIso(now) ? t('formSchema.future', { label }) : t('formSchema.after', { label, date: formatDate(max) });
+      }
+
+      const otherName = field.after || field.onOrAfter;
+      const other = otherName && values[otherName];
+      if (other && ISO_DATE_PATTERN.test(other)) {
+        const otherLabel = field.afterLabel ? formText(field.afterLabel) : otherName;
+        if (field.after && value <= other) return t('formSchema.notAfter', { label, other: otherLabel });
+        if (field.onOrAfter && value < other) return t('formSchema.beforeOther', { label, other: otherLabel });
+        if (field.maxRangeDays && daysInRange(other, value) > field.maxRangeDays) {
+          return t('formSchema.maxRange', { count: field.maxRangeDays });
+        }
+      }
+      break;
+    }
+    case 'file': {
+      if (field.maxFiles && value.length > field.maxFiles) return t('formSchema.maxFiles', { count: field.maxFiles });
+      const wrongType = field.accept && value.find(file => !acceptsFile(field.accept, file));
+      if (wrongType) return t('formSchema.fileType', { name: wrongType.name, types: field.accept.join(', ') });
+      const tooBig = field.maxFileSize && value.find(file => file.size > field.maxFileSize);
+      if (tooBig) return t('formSchema.fileSize', { name: tooBig.name, size: formatBytes(field.maxFileSize) });
+      break;
+    }
+    case 'select': {
+      if (field.options && !field.options.some(option => option.value === value)) {
+        return t('formSchema.choose', { label: label.toLocaleLowerCase() });
+      }
+      break;
+    }
+    default: {
+      if (field.minLength && value.length < field.minLength) return t('formSchema.minLength', { label, count: field.minLength });
+      if (field.maxLength && value.length > field.maxLength) return t('formSchema.maxLength', { label, count: field.maxLength });
+      if (field.pattern && !field.pattern.test(value)) {
+        return field.patternMessage ? formText(field.patternMessage) : t('formSchema.pattern', { label });
+      }
+    }
+  }
+
+  return typeof field.validate === 'function' ? field.validate(value, values) || null : null;
+}
+
+/**
+ * Checks every visible field, then the schema's cross-field rules.
+ * @param {object} schema
+ * @param {object} values - Coerced values (see coerceValues()).
+ * @param {object} [options] - { now }, see validateField().
+ * @returns {{ valid: boolean, errors: Object<string, string> }} Errors keyed by field name.
+ */
+export function validateForm(schema, values, options = {}) {
+  const errors = {};
+  schema.fields.forEach(field => {
+    const message = validateField(field, values, options);
+    if (message) errors[field.name] = message;
+  });
+  (schema.rules || []).forEach(rule => {
+    const result = rule(values);
+    if (result && !errors[result.field]) errors[result.field] = result.message;
+  });
+  return { valid: Object.keys(errors).length === 0, errors };
+}
+
+/**
+ * The values to submit: visible fields only, with files reduced to their metadata.
+ * @param {object} schema
+ * @param {object} values - Coerced values.
+ * @returns {object}
+ */
+export function submittableValues(schema, values) {
+  const result = {};
+  schema.fields.filter(field => isFieldVisible(field, values)).forEach(field => {
+    const value = values[field.name];
+    result[field.name] = field.type === 'file'
+      ? value.map(file => ({ name: file.name, size: file.size, type: file.type || null }))
+      : value;
+  });
+  return result;
+}
@@ -0,0 +1,141 @@
+// src/js/modules/globalSearch.js
+
+/**
+ * ConnectHub Intranet - Global Search Module
+ *
+ * Builds one search index over news, events, employees and quick links (all via
+ * dataService, so it searches whatever source the homepage is pointed at) and
+ * answers queries grouped by result type.
+ *
+ * The index is built lazily on the first search and rebuilt after any of its
+ * resources is refreshed in the background, or when the language changes.
+ */
+
+import {
+  fetchNewsFeed,
+  fetchUpcomingEvents,
+  fetchEmployees,
+  fetchQuickLinks,
+  onDataRefresh,
+  RESOURCES,
+} from './dataService.js';
+import { createSearchIndex } from './searchIndex.js';
+import { markdownToText } from './markdown.js';
+import { t, onLocaleChange } from './i18n.js';
+
+/**
+ * Result groups, in the order they are shown. `labelKey` is the group's heading message.
+ */
+export const SEARCH_GROUPS = Object.freeze([
+  { type: 'link', labelKey: 'searchBox.groups.link' },
+  { type: 'person', labelKey: 'searchBox.groups.person' },
+  { type: 'news', labelKey: 'searchBox.groups.news' },
+  { type: 'event', labelKey: 'searchBox.groups.event' },
+]);
+
+const toNewsDoc = (article) => ({
+  id: `news:${article.id}`,
+  type: 'news',
+  title: article.title,
+  subtitle: [article.category, article.date].filter(Boolean).join(' · '),
+  url: `#/news/${encodeURIComponent(article.id)}`,
+  fields: { title: article.title, tags: [article.category, ...article.tags], body: [article.author, markdownToText(article.previewText)] },
+});
+
+const toEventDoc = (event) => ({
+  id: `event:${event.id}`,
+  type: 'event',
+  title: event.title,
+  subtitle: [event.date, event.location].filter(Boolean).join(' · '),
+  url: `#/events/${encodeURIComponent(event.id)}`,
+  fields: { title: event.title, tags: [event.category], body: [event.description, event.location] },
+});
+
+const toPersonDoc = (employee) => ({
+  id: `person:${employee.id}`,
+  type: 'person',
+  title: employee.fullName,
+  subtitle: [employee.position, employee.department].filter(Boolean).join(' · '),
+  url: `#/people/${encodeURIComponent(employee.id)}`,
+  fields: {
+    title: employee.fullName,
+    tags: [employee.department, employee.position, ...employee.skills],
+    body: [employee.location, employee.email, employee.extension && `ext ${employee.extension}`, employee.bioPreview],
+  },
+});
+
+const toLinkDoc = (link) => ({
+  id: `link:${link.id}`,
+  type: 'link',
+  title: link.title,
+  subtitle: t('searchBox.quickLink'),
+  url: link.url,
+  icon: link.icon,
+  fields: { title: link.title },
+});
+
+let indexPromise = null;
+
+async function buildIndex() {
+  // Each resource is optional: one failing source shouldn't take search down entirely.
+  const loaders = [
+    fetchNewsFeed().then(items => items.map(toNewsDoc)),
+    fetchUpcomingEvents().then(items => items.map(toEventDoc)),
+    fetchEmployees().then(items => items.map(toPersonDoc)),
+    fetchQuickLinks().then(items => items.map(toLinkDoc)),
+  ];
+  const results = await Promise.allSettled(loaders);
+  const failed = results.filter(result => result.status === 'rejected');
+  if (failed.length === results.length) {
+    throw failed[0].reason;
+  }
+
+  const index = createSearchIndex();
+  results
+    .filter(result => result.status === 'fulfilled')
+    .forEach(result => index.addAll(result.value));
+  return index;
+}
+
+function getIndex() {
+  if (!indexPromise) {
+    indexPromise = buildIndex().catch(error => {
+      indexPromise = null; // Let the next search try again
+      throw error;
+    });
+  }
+  return indexPromise;
+}
+
+[RESOURCES.NEWS, RESOURCES.EVENTS, RESOURCES.EMPLOYEES, RESOURCES.QUICK_LINKS].forEach(resource => {
+  onDataRefresh(resource, () => {
+    indexPromise = null;
+  });
+});
+
+onLocaleChange(() => {
+  indexPromise = null; // Subtitles are built in the current language
+});
+
+/**
+ * Searches news, events, people and quick links.
+ * @param {string} query
+ * @param {object} [options]
+ * @param {number} [options.perGroup=Infinity] - Maximum results per group.
+ * @returns {Promise<{ query: string, total: number, groups: Array<{ type, labelKey, results: object[] }> }>}
+ *   Groups in SEARCH_GROUPS order (empty groups omitted); `total` counts all matches,
+ *   including those cut by `perGroup`.
+ */
+export async function searchEverything(query, { perGroup = Infinity } = {}) {
+  const index = await getIndex();
+  const matches = index.search(query);
+
+  const groups = SEARCH_GROUPS
+    .map(group => ({
+      ...group,
+      results: matches.filter(match => match.doc.type === group.type).slice(0, perGroup).map(match => match.doc),
+    }))
+    .filter(group => group.results.length > 0);
+
+  return { query, total: matches.length, groups };
+}
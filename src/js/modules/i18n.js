@@ -0,0 +1,347 @@
+// src/js/modules/i18n.js
+
+/**
+ * ConnectHub Intranet - Internationalization
+ *
+ * Message catalogs, pluralization and locale-aware formatting.
+ * - t('newsFeed.empty') looks a message up in the current language's catalog
+ *   (src/js/locales/<code>.js), falling back to English and then to the key itself.
+ *   Messages take {placeholders}; numbers passed in are formatted for the locale.
+ * - A plural message is an object keyed by Intl.PluralRules category, chosen by the
+ *   `count` param: { one: '{count} new post', other: '{count} new posts' }. An exact
+ *   match such as '=0' wins over the category.
+ * - setLocale() switches language at runtime: <html lang> and <html dir> follow it
+ *   (Arabic is right-to-left), elements marked with data-i18n are translated again
+ *   (see localize()), and onLocaleChange() subscribers re-render what they built with t().
+ * - formatDate(), formatTime(), formatNumber(), formatTemperature() and formatWindSpeed()
+ *   use Intl with the viewer's regional conventions: English in the UK gets '24 July 2025',
+ *   and temperatures are in °F (wind in mph) where that is the custom, unless the
+ *   employee picked a unit.
+ *
+ * Classic scripts (the carousel and tabs components) can't import modules; they use
+ * window.ConnectHubI18n.t and listen for the 'localechange' event on document.
+ */
+
+import en from '../locales/en.js';
+import es from '../locales/es.js';
+import ar from '../locales/ar.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('I18n');
+
+export const SUPPORTED_LOCALES = Object.freeze([
+  { code: 'en', name: 'English', dir: 'ltr' },
+  { code: 'es', name: 'Español', dir: 'ltr' },
+  { code: 'ar', name: 'العربية', dir: 'rtl' },
+]);
+export const DEFAULT_LOCALE = 'en';
+export const TEMPERATURE_UNITS = Object.freeze(['auto', 'celsius', 'fahrenheit']);
+export const LOCALE_CHANGE_EVENT = 'localechange';
+
+const CATALOGS = { en, es, ar };
+const FAHRENHEIT_REGIONS = new Set(['US', 'BS', 'BZ', 'KY', 'LR', 'PW', 'FM', 'MH']);
+const ISO_DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+let locale = DEFAULT_LOCALE; // Catalog language, one of SUPPORTED_LOCALES
+let formattingLocale = DEFAULT_LOCALE; // BCP 47 tag handed to Intl, e.g. 'en-GB'
+let temperatureUnit = 'auto';
+let pluralRules = null;
+const listeners = new Set();
+const missingKeys = new Set();
+
+const languageOf = (tag) => String(tag || '').split('-')[0].toLowerCase();
+
+function browserLanguages() {
+  if (typeof navigator === 'undefined') return [];
+  return navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language].filter(Boolean);
+}
+
+/**
+ * Picks the supported language closest to the browser's preferences.
+ * @param {string[]} [tags=navigator.languages]
+ * @returns {string} One of SUPPORTED_LOCALES' codes.
+ */
+export function detectLocale(tags = browserLanguages()) {
+  const match = tags.map(languageOf).find(code => CATALOGS[code]);
+  return match || DEFAULT_LOCALE;
+}
+
+// Keeps the browser's region for formatting when it speaks the chosen language ('en' + 'en-GB' -> 'en-GB').
+function formattingTagFor(code) {
+  const tag = browserLanguages().find(candidate => languageOf(candidate) === code);
+  try {
+    return tag ? Intl.getCanonicalLocales(tag)[0] : code;
+  } catch (error) {
+    return code; // A malformed tag from the browser
+  }
+}
+
+export const getLocale = () => locale;
+export const getFormattingLocale = () => formattingLocale;
+
+/** @returns {'ltr'|'rtl'} */
+export function getDirection() {
+  return SUPPORTED_LOCALES.find(entry => entry.code === locale).dir;
+}
+
+function lookup(code, key) {
+  const catalog = CATALOGS[code];
+  return catalog && Object.prototype.hasOwnProperty.call(catalog, key) ? catalog[key] : undefined;
+}
+
+function interpolate(message, params) {
+  return message.replace(/\{(\w+)\}/g, (match, name) => {
+    if (!Object.prototype.hasOwnProperty.call(params, name)) return match;
+    const value = params[name];
+    return typeof value === 'number' ? formatNumber(value) : String(value ?? '');
+  });
+}
+
+/**
+ * Translates a message.
+ * @param {string} key - e.g. 'newsFeed.empty'.
+ * @param {object} [params] - Values for {placeholders}; `count` also picks the plural form.
+ * @returns {string}
+ */
+export function t(key, params = {}) {
+  let message = lookup(locale, key) ?? lookup(DEFAULT_LOCALE, key);
+  if (message === undefined) {
+    if (!missingKeys.has(key)) {
+      missingKeys.add(key);
+      log.warn(`Missing message "${key}".`);
+    }
+    return key;
+  }
+  if (typeof message === 'object') {
+    const count = Number(params.count);
+    if (!pluralRules) pluralRules = new Intl.PluralRules(formattingLocale);
+    message = message[`=${count}`] ?? message[pluralRules.select(count)] ?? message.other;
+  }
+  return interpolate(message, params);
+}
+
+function readJson(text) {
+  try {
+    return text ? JSON.parse(text) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Sets an element's text to a message and marks it, so that it is translated again
+ * when the language changes. Use it for labels that outlive a render; text that is
+ * rebuilt on every render can simply use t().
+ * @param {HTMLElement} element
+ * @param {string} key
+ * @param {object} [params]
+ * @returns {HTMLElement} The element.
+ */
+export function localize(element, key, params) {
+  element.setAttribute('data-i18n', key);
+  if (params) {
+    element.setAttribute('data-i18n-params', JSON.stringify(params));
+  } else {
+    element.removeAttribute('data-i18n-params');
+  }
+  element.textContent = t(key, params);
+  return element;
+}
+
+/**
+ * Like localize(), for an attribute (aria-label, placeholder, title...).
+ * @param {HTMLElement} element
+ * @param {string} name - Attribute name.
+ * @param {string} key
+ * @param {object} [params]
+ * @returns {HTMLElement} The element.
+ */
+export function localizeAttribute(element, name, key, params) {
+  const attributes = readJson(element.getAttribute('data-i18n-attrs')) || {};
+  attributes[name] = params ? [key, params] : key;
+  element.setAttribute('data-i18n-attrs', JSON.stringify(attributes));
+  element.setAttribute(name, t(key, params));
+  return element;
+}
+
+/**
+ * Translates every marked element under `root`: data-i18n (text, with optional
+ * data-i18n-params JSON) and data-i18n-attrs ({ "placeholder": "key" } JSON, a
+ * value may also be [key, params]). Static markup in index.html is marked this way.
+ * @param {ParentNode} [root=document]
+ */
+export function translatePage(root = document) {
+  root.querySelectorAll('[data-i18n]').forEach(element => {
+    element.textContent = t(element.getAttribute('data-i18n'), readJson(element.getAttribute('data-i18n-params')) || {});
+  });
+  root.querySelectorAll('[data-i18n-attrs]').forEach(element => {
+    Object.entries(readJson(element.getAttribute('data-i18n-attrs')) || {}).forEach(([name, entry]) => {
+      const [key, params] = Array.isArray(entry) ? entry : [entry];
+      element.setAttribute(name, t(key, params || {}));
+    });
+  });
+}
+
+function notify() {
+  if (typeof document !== 'undefined') {
+    document.documentElement.lang = formattingLocale;
+    document.documentElement.dir = getDirection();
+    translatePage(document);
+    document.dispatchEvent(new CustomEvent(LOCALE_CHANGE_EVENT, { detail: { locale, formattingLocale } }));
+  }
+  listeners.forEach(listener => {
+    try {
+      listener(locale);
+    } catch (error) {
+      log.error('Locale listener failed:', error);
+    }
+  });
+}
+
+function applyLocale(code) {
+  if (code && !CATALOGS[languageOf(code)]) {
+    log.warn(`"${code}" is not a supported language; using ${DEFAULT_LOCALE}.`);
+  }
+  locale = code && CATALOGS[languageOf(code)] ? languageOf(code) : detectLocale();
+  formattingLocale = formattingTagFor(locale);
+  pluralRules = null;
+}
+
+/**
+ * Sets the language and temperature unit, and translates the page. Call it once at
+ * startup with the employee's preferences; later changes go through setLocale().
+ * @param {object} [settings]
+ * @param {string|null} [settings.locale] - A supported code; null follows the browser.
+ * @param {string} [settings.temperatureUnit='auto'] - One of TEMPERATURE_UNITS.
+ */
+export function initI18n({ locale: code = null, temperatureUnit: unit = 'auto' } = {}) {
+  applyLocale(code);
+  temperatureUnit = TEMPERATURE_UNITS.includes(unit) ? unit : 'auto';
+  notify();
+}
+
+/**
+ * Switches language at runtime.
+ * @param {string|null} code - A supported code; null follows the browser.
+ */
+export function setLocale(code) {
+  const previous = locale;
+  applyLocale(code);
+  if (locale !== previous) notify();
+}
+
+/**
+ * @param {string} unit - One of TEMPERATURE_UNITS.
+ */
+export function setTemperatureUnit(unit) {
+  const next = TEMPERATURE_UNITS.includes(unit) ? unit : 'auto';
+  if (next === temperatureUnit) return;
+  temperatureUnit = next;
+  notify();
+}
+
+/**
+ * Subscribes to language (and temperature unit) changes.
+ * @param {Function} listener - Called with the new locale code.
+ * @returns {Function} Unsubscribe function.
+ */
+export function onLocaleChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// 'YYYY-MM-DD' is a calendar day: read it in local time so it doesn't shift across time zones.
+function toDate(value) {
+  if (!value) return null;
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value;
+  if (ISO_DAY_PATTERN.test(value)) {
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(year, month - 1, day);
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Formats a date, by default in full ('July 24, 2025', '24 de julio de 2025').
+ * @param {string|Date|null} value - A Date, an ISO instant or a 'YYYY-MM-DD' day.
+ * @param {Intl.DateTimeFormatOptions} [options]
+ * @returns {string} '' for missing or invalid dates.
+ */
+export function formatDate(value, options = { year: 'numeric', month: 'long', day: 'numeric' }) {
+  const date = toDate(value);
+  return date ? new Intl.DateTimeFormat(formattingLocale, options).format(date) : '';
+}
+
+/**
+ * Formats a time of day ('9:30 AM', '09:30').
+ * @param {string|Date|null} value
+ * @param {Intl.DateTimeFormatOptions} [options]
+ * @returns {string}
+ */
+export function formatTime(value, options = {}) {
+  const date = toDate(value);
+  return date ? new Intl.DateTimeFormat(formattingLocale, { hour: 'numeric', minute: '2-digit', ...options }).format(date) : '';
+}
+
+/**
+ * @param {number} value
+ * @param {Intl.NumberFormatOptions} [options]
+ * @returns {string}
+ */
+export function formatNumber(value, options = {}) {
+  return new Intl.NumberFormat(formattingLocale, options).format(value);
+}
+
+/**
+ * The unit temperatures are shown in: the employee's choice, or the custom where they are.
+ * @returns {'celsius'|'fahrenheit'}
+ */
+export function resolveTemperatureUnit() {
+  if (temperatureUnit !== 'auto') return temperatureUnit;
+  let region = null;
+  try {
+    region = new Intl.Locale(formattingLocale).maximize().region;
+  } catch (error) {
+    // Intl.Locale is missing in old browsers; assume Celsius
+  }
+  return FAHRENHEIT_REGIONS.has(region) ? 'fahrenheit' : 'celsius';
+}
+
+/**
+ * @param {number} celsius
+ * @param {'celsius'|'fahrenheit'} unit
+ * @returns {number}
+ */
+export function convertTemperature(celsius, unit) {
+  return unit === 'fahrenheit' ? celsius * 9 / 5 + 32 : celsius;
+}
+
+/**
+ * Formats a temperature given in Celsius, e.g. '28°C' or '82°F'.
+ * @param {number|null} celsius
+ * @returns {string} '' when unknown.
+ */
+export function formatTemperature(celsius) {
+  if (typeof celsius !== 'number' || Number.isNaN(celsius)) return '';
+  const unit = resolveTemperatureUnit();
+  return formatNumber(convertTemperature(celsius, unit), { style: 'unit', unit, maximumFractionDigits: 0 });
+}
+
+/**
+ * Formats a wind speed given in km/h, in mph where temperatures are in °F.
+ * @param {number|null} kph
+ * @returns {string} '' when unknown.
+ */
+export function formatWindSpeed(kph) {
+  if (typeof kph !== 'number' || Number.isNaN(kph)) return '';
+  return resolveTemperatureUnit() === 'fahrenheit'
+    ? formatNumber(kph / 1.609344, { style: 'unit', unit: 'mile-per-hour', maximumFractionDigits: 0 })
+    : formatNumber(kph, { style: 'unit', unit: 'kilometer-per-hour', maximumFractionDigits: 0 });
+}
+
+applyLocale(null);
+
+if (typeof window !== 'undefined') {
+  window.ConnectHubI18n = { t, getLocale, getFormattingLocale };
+}
@@ -0,0 +1,156 @@
+// src/js/modules/icalendar.js
+
+/**
+ * ConnectHub Intranet - iCalendar Module
+ *
+ * Builds RFC 5545 (.ics) files from normalized events so they can be added to
+ * Outlook, Google Calendar, Apple Calendar etc.
+ * - Timed events are written in UTC ('DTSTART:20250805T170000Z'), which every
+ *   client converts to the reader's zone without needing VTIMEZONE blocks.
+ * - All-day events use DATE values with an exclusive DTEND (the next day).
+ * - Text is escaped and lines are folded at 75 octets with CRLF line endings.
+ * - Links are made absolute: URL must be an absolute URI, so app links ('#/events/...')
+ *   are resolved against the page, and anything that isn't http(s) is left out.
+ */
+
+const CRLF = '\r\n';
+const MAX_LINE_OCTETS = 75;
+const PRODUCT_ID = '-//ConnectHub//Intranet Events//EN';
+const UID_DOMAIN = 'events.connecthub.intranet';
+
+const encoder = new TextEncoder();
+
+/**
+ * Escapes a TEXT value (RFC 5545 §3.3.11).
+ * @param {string} value
+ * @returns {string}
+ */
+export function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Folds a content line into chunks of at most 75 octets, never splitting a
+ * multi-byte character. Continuation lines start with a space.
+ * @param {string} line
+ * @returns {string}
+ */
+export function foldLine(line) {
+  if (encoder.encode(line).length <= MAX_LINE_OCTETS) return line;
+
+  const chunks = [];
+  let chunk = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = encoder.encode(char).length;
+    const limit = chunks.length ? MAX_LINE_OCTETS - 1 : MAX_LINE_OCTETS; // Leading space counts
+    if (octets + size > limit) {
+      chunks.push(chunk);
+      chunk = '';
+      octets = 0;
+    }
+    chunk += char;
+    octets += size;
+  }
+  chunks.push(chunk);
+  return chunks.join(`${CRLF} `);
+}
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * @param {Date|string} value - A Date or ISO instant.
+ * @returns {string} UTC DATE-TIME, e.g. '20250805T170000Z'.
+ */
+export function formatDateTime(value) {
+  const date = new Date(value);
+  return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+    `T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+}
+
+// 'YYYY-MM-DD' -> 'YYYYMMDD', optionally shifted by whole days.
+function formatDateValue(isoDate, addDays = 0) {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day + addDays));
+  return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}`;
+}
+
+// The event's link as an absolute http(s) URL, or null.
+function absoluteLink(link) {
+  if (!link) return null;
+  try {
+    const url = new URL(link, typeof window !== 'undefined' ? window.location.href : undefined);
+    return /^https?:$/.test(url.protocol) ? url.href : null;
+  } catch (error) {
+    return null; // Relative, with no page to resolve it against, or malformed
+  }
+}
+
+function eventLines(event, timestamp) {
+  if (!event.start && !event.date) return [];
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.id}@${UID_DOMAIN}`,
+    `DTSTAMP:${timestamp}`,
+  ];
+  if (event.start) {
+    lines.push(`DTSTART:${formatDateTime(event.start)}`, `DTEND:${formatDateTime(event.end || event.start)}`);
+  } else {
+    lines.push(`DTSTART;VALUE=DATE:${formatDateValue(event.date)}`, `DTEND;VALUE=DATE:${formatDateValue(event.date, 1)}`);
+  }
+  lines.push(`SUMMARY:${escapeText(event.title)}`);
+
+  const link = absoluteLink(event.link);
+  const description = [event.description, link].filter(Boolean).join('\n\n');
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.category) lines.push(`CATEGORIES:${escapeText(event.category)}`);
+  if (link) lines.push(`URL:${link}`);
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+/**
+ * Builds an .ics calendar containing the given events.
+ * Events with neither a start nor a date are skipped.
+ * @param {object[]} events - Normalized events.
+ * @param {object} [options]
+ * @param {string} [options.calendarName='ConnectHub Events']
+ * @param {Date} [options.now=new Date()] - Used for DTSTAMP.
+ * @returns {string}
+ */
+export function buildICalendar(events, { calendarName = 'ConnectHub Events', now = new Date() } = {}) {
+  const timestamp = formatDateTime(now);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(calendarName)}`,
+    ...events.flatMap(event => eventLines(event, timestamp)),
+    'END:VCALENDAR',
+  ];
+  return lines.map(foldLine).join(CRLF) + CRLF;
+}
+
+/**
+ * A file name for an event's .ics file, e.g. 'monthly-all-hands-meeting.ics'.
+ * @param {string} title
+ * @returns {string}
+ */
+export function icsFileName(title) {
+  const slug = String(title || 'event')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60);
+  return `${slug || 'event'}.ics`;
+}
@@ -0,0 +1,283 @@
+// src/js/modules/logger.js
+
+/**
+ * ConnectHub Intranet - Logger
+ *
+ * Leveled, namespaced logging for the whole intranet:
+ *
+ *   const log = createLogger('DataService');
+ *   log.info('Using data source: rest');          // [DataService] Using data source: rest
+ *   log.error('Error fetching news:', error);
+ *   const end = log.time('render'); ... end({ items: 12 }); // A timing entry
+ *
+ * Levels are debug < info < warn < error (and 'silent' to mute a namespace). Entries
+ * below the level aren't printed, but every entry still goes to the ring buffer (the
+ * last BUFFER_SIZE entries, see getLogEntries()) and to the sinks registered with
+ * addLogSink(), which is how the error reporter (reporter.js) receives them.
+ *
+ * The level is a spec like 'info' or 'warn,DataService=debug,Realtime=silent': a
+ * default, then per-namespace overrides. It is taken from localStorage
+ * ('connecthub:log-level') or else `CONNECTHUB_CONFIG.logging.level`, and can be
+ * changed at runtime from the browser console:
+ *
+ *   ConnectHubLogger.setLevel('debug');
+ *   ConnectHubLogger.setLevel('debug', 'DataService');
+ *   ConnectHubLogger.entries({ level: 'warn' });
+ *
+ * Classic scripts (the carousel and tabs components) can't import modules; they log
+ * through window.ConnectHubLogger.get(namespace) when this module is on the page.
+ */
+
+export const LOG_LEVELS = Object.freeze(['debug', 'info', 'warn', 'error', 'silent']);
+export const LOG_LEVEL_STORAGE_KEY = 'connecthub:log-level';
+export const DEFAULT_LOG_LEVEL = 'info';
+
+const BUFFER_SIZE = 200;
+
+const buffer = [];
+const sinks = new Set();
+const namespaceLevels = new Map();
+let defaultLevel = DEFAULT_LOG_LEVEL;
+// Errors already logged, so the global handlers don't report them a second time when rethrown
+const loggedErrors = new WeakSet();
+let removeGlobalHandlers = null;
+
+const rank = (level) => LOG_LEVELS.indexOf(level);
+const now = () => (typeof performance !== 'undefined' && performance.now ? performance.now() : Date.now());
+
+function getLocalStorage() {
+  try {
+    return typeof window !== 'undefined' ? window.localStorage : null;
+  } catch (error) {
+    return null; // Storage disabled
+  }
+}
+
+/**
+ * An Error as plain data (what the buffer and the reporter keep).
+ * @param {Error} error
+ * @returns {{ name: string, message: string, stack?: string, type?: string, resource?: string }}
+ */
+export function serializeError(error) {
+  const data = { name: error.name || 'Error', message: String(error.message) };
+  if (error.stack) data.stack = String(error.stack);
+  if (error.type) data.type = error.type; // DataServiceError
+  if (error.resource) data.resource = error.resource;
+  return data;
+}
+
+// Extra arguments as they are kept in entries: errors as data, elements described, the rest as is.
+function summarize(value) {
+  if (value instanceof Error) return serializeError(value);
+  if (typeof Element !== 'undefined' && value instanceof Element) {
+    const id = value.id ? `#${value.id}` : '';
+    const classes = typeof value.className === 'string' && value.className ? `.${value.className.trim().split(/\s+/).join('.')}` : '';
+    return `<${value.tagName.toLowerCase()}${id}${classes}>`;
+  }
+  return value;
+}
+
+/**
+ * Applies a level spec: 'warn' sets the default; 'warn,DataService=debug' also sets
+ * namespaces. Unknown levels are ignored.
+ * @param {string} spec
+ */
+export function configureLogLevels(spec) {
+  String(spec || '').split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+    const [first, second] = part.split('=').map(piece => piece.trim());
+    if (second === undefined) {
+      setLogLevel(first);
+    } else {
+      setLogLevel(second, first);
+    }
+  });
+}
+
+/**
+ * Changes the level at runtime.
+ * @param {string} level - One of LOG_LEVELS.
+ * @param {string} [namespace] - Only this namespace; omit to set the default (which drops the per-namespace levels).
+ */
+export function setLogLevel(level, namespace) {
+  if (!LOG_LEVELS.includes(level)) {
+    console.warn(`[Logger] "${level}" is not a log level; use one of ${LOG_LEVELS.join(', ')}.`);
+    return;
+  }
+  if (namespace) {
+    namespaceLevels.set(namespace, level);
+  } else {
+    defaultLevel = level;
+    namespaceLevels.clear();
+  }
+}
+
+/**
+ * @param {string} [namespace]
+ * @returns {string} The level in effect for the namespace.
+ */
+export function getLogLevel(namespace) {
+  return (namespace && namespaceLevels.get(namespace)) || defaultLevel;
+}
+
+/**
+ * Receives every entry, whatever the level, e.g. to forward errors to a collector.
+ * @param {Function} sink - Called with each entry.
+ * @returns {Function} Unsubscribe function.
+ */
+export function addLogSink(sink) {
+  sinks.add(sink);
+  return () => sinks.delete(sink);
+}
+
+/**
+ * The most recent entries, oldest first.
+ * @param {object} [filter]
+ * @param {string} [filter.level] - Only entries at this level or above.
+ * @param {string} [filter.namespace]
+ * @returns {Array<object>} Entries: { time, level, namespace, message, details, error?, timing? }.
+ */
+export function getLogEntries({ level, namespace } = {}) {
+  return buffer.filter(entry => (!level || rank(entry.level) >= rank(level)) && (!namespace || entry.namespace === namespace));
+}
+
+export function clearLogEntries() {
+  buffer.length = 0;
+}
+
+/**
+ * Records an entry: buffer, sinks, and the console when the level allows.
+ * @param {string} level
+ * @param {string} namespace
+ * @param {Array} args - A message, then any values (errors, elements, objects).
+ * @param {object} [extra]
+ * @param {object} [extra.timing] - { name, duration, ...data } for timing entries.
+ * @param {boolean} [extra.echo=true] - False when the browser has printed it already.
+ * @returns {object} The entry.
+ */
+function write(level, namespace, args, { timing, echo = true } = {}) {
+  const [message, ...rest] = args;
+  const error = args.find(value => value instanceof Error);
+  if (error) loggedErrors.add(error);
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    namespace,
+    message: typeof message === 'string' ? message : String(message),
+    details: rest.filter(value => value !== error).map(summarize),
+  };
+  if (error) entry.error = serializeError(error);
+  if (timing) entry.timing = timing;
+
+  buffer.push(entry);
+  if (buffer.length > BUFFER_SIZE) buffer.shift();
+
+  sinks.forEach(sink => {
+    try {
+      sink(entry);
+    } catch (sinkError) {
+      console.error('[Logger] Log sink failed:', sinkError); // Not logged: the sink might fail again
+    }
+  });
+
+  if (echo && rank(level) >= rank(getLogLevel(namespace))) {
+    const prefix = `[${namespace}]`;
+    console[level](...(typeof message === 'string' ? [`${prefix} ${message}`, ...rest] : [prefix, ...args]));
+  }
+  return entry;
+}
+
+/**
+ * Creates a logger for one part of the intranet.
+ * @param {string} namespace - Shown as [Namespace] and used for per-namespace levels.
+ * @returns {{ debug: Function, info: Function, warn: Function, error: Function, timing: Function, time: Function }}
+ */
+export function createLogger(namespace) {
+  const log = {
+    debug: (...args) => { write('debug', namespace, args); },
+    info: (...args) => { write('info', namespace, args); },
+    warn: (...args) => { write('warn', namespace, args); },
+    error: (...args) => { write('error', namespace, args); },
+
+    /**
+     * Records how long something took (logged at debug level).
+     * @param {string} name - What was timed, e.g. 'fetch' or 'render'.
+     * @param {number} duration - In ms.
+     * @param {object} [data] - Context such as { resource: 'news' }; kept with the timing.
+     */
+    timing(name, duration, data = {}) {
+      const ms = Math.round(duration);
+      const about = Object.entries(data).map(([key, value]) => `${key}=${value}`).join(' ');
+      write('debug', namespace, [`${name} took ${ms} ms${about ? ` (${about})` : ''}`], { timing: { name, duration: ms, ...data } });
+    },
+
+    /**
+     * Starts a timer.
+     * @param {string} name
+     * @param {object} [data]
+     * @returns {Function} Call it when done, optionally with more data; records the timing.
+     */
+    time(name, data = {}) {
+      const start = now();
+      return (more = {}) => log.timing(name, now() - start, { ...data, ...more });
+    },
+  };
+  return log;
+}
+
+/**
+ * Logs uncaught errors and unhandled promise rejections (window 'error' and
+ * 'unhandledrejection'), so they reach the buffer and the reporter. Errors a logger
+ * has already logged are skipped. Calling it again does nothing.
+ * @param {Window} [target=window]
+ * @returns {Function} Removes the handlers.
+ */
+export function captureGlobalErrors(target = window) {
+  if (removeGlobalHandlers) return removeGlobalHandlers;
+
+  const onError = (event) => {
+    const error = event.error;
+    if (error instanceof Error && loggedErrors.has(error)) return;
+    const where = event.filename ? { source: event.filename, line: event.lineno, column: event.colno } : null;
+    // The browser has printed the error already
+    write('error', 'Global', [event.message || `Uncaught ${error || 'error'}`, ...[error, where].filter(Boolean)], { echo: false });
+  };
+  const onRejection = (event) => {
+    const reason = event.reason;
+    if (reason instanceof Error && loggedErrors.has(reason)) return;
+    const message = reason instanceof Error ? reason.message : String(reason);
+    write('error', 'Global', [`Unhandled promise rejection: ${message}`, ...(reason instanceof Error ? [reason] : [])], { echo: false });
+  };
+
+  target.addEventListener('error', onError);
+  target.addEventListener('unhandledrejection', onRejection);
+  removeGlobalHandlers = () => {
+    target.removeEventListener('error', onError);
+    target.removeEventListener('unhandledrejection', onRejection);
+    removeGlobalHandlers = null;
+  };
+  return removeGlobalHandlers;
+}
+
+function readInitialLevel() {
+  const config = (typeof window !== 'undefined' && window.CONNECTHUB_CONFIG) || {};
+  const storage = getLocalStorage();
+  let stored = null;
+  try {
+    stored = storage && storage.getItem(LOG_LEVEL_STORAGE_KEY);
+  } catch (error) {
+    // Storage disabled
+  }
+  configureLogLevels(stored || (config.logging && config.logging.level) || DEFAULT_LOG_LEVEL);
+}
+
+readInitialLevel();
+
+if (typeof window !== 'undefined') {
+  window.ConnectHubLogger = {
+    get: createLogger,
+    setLevel: setLogLevel,
+    getLevel: getLogLevel,
+    entries: getLogEntries,
+  };
+}
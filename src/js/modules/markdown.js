@@ -0,0 +1,426 @@
+// src/js/modules/markdown.js
+
+/**
+ * ConnectHub Intranet - Markdown Module
+ *
+ * Renders the small Markdown subset used in team updates and news text:
+ * - **bold** / __bold__, *italics* / _italics_, `inline code`
+ * - [links](https://...) — only URLs passing isSafeUrl() become links
+ * - "- " / "* " bullet lists and "1. " numbered lists, blank lines between paragraphs
+ * - @mentions (e.g. @alice.johnson), linked to the employee's profile when resolved
+ *
+ * Text is never parsed as HTML: the source is turned into a node tree, and the tree
+ * into DOM through document.createElement/createTextNode. The result is then checked
+ * against ALLOWED_TAGS / ALLOWED_ATTRIBUTES, and sanitizeDom() is exported for any
+ * other markup that has to be displayed.
+ *
+ * Some content arrives as HTML rather than Markdown (a news article's fullContent).
+ * renderHtml() parses it in an inert document and cuts it down the same way.
+ */
+
+import { t } from './i18n.js';
+
+/**
+ * Tags the renderer may produce, and the attributes each of them may carry.
+ */
+export const ALLOWED_TAGS = Object.freeze(['p', 'br', 'strong', 'em', 'code', 'a', 'ul', 'ol', 'li']);
+export const ALLOWED_ATTRIBUTES = Object.freeze({
+  a: Object.freeze(['href', 'class', 'title', 'target', 'rel']),
+  ol: Object.freeze(['start']),
+});
+
+// Elements whose content is dropped along with them, rather than kept as text.
+const DROPPED_TAGS = new Set(['script', 'style', 'template', 'iframe', 'object', 'embed', 'noscript', 'svg', 'math']);
+const ESCAPABLE = /[\\`*_{}[\]()#+\-.!@>]/;
+const LIST_ITEM = /^ {0,3}(?:([-*+])|(\d{1,9})[.)])\s+(.*)$/;
+const MENTION = /^@([a-z0-9](?:[a-z0-9._-]*[a-z0-9])?)/i;
+const WORD_CHAR = /[\p{L}\p{N}_]/u;
+
+/**
+ * Checks that a URL is safe to put in an href: http(s), mailto, app routes
+ * ('#/people') and same-site paths ('/policies'). Everything else, including
+ * javascript:, data: and protocol-relative URLs ('//host', and '/\host', which
+ * browsers read the same way), is rejected. So is any URL holding whitespace or
+ * control characters: browsers strip tabs and newlines, turning '/\t/host' into '//host'.
+ * @param {string} url
+ * @returns {boolean}
+ */
+export function isSafeUrl(url) {
+  if (typeof url !== 'string') return false;
+  const trimmed = url.trim();
+  if (/[\s\p{Cc}]/u.test(trimmed)) return false;
+  if (/^(https?:\/\/|mailto:)/i.test(trimmed) || trimmed.startsWith('#/')) return true;
+  if (!/^\/(?![/\\])/.test(trimmed)) return false;
+  if (typeof window === 'undefined') return true;
+  try {
+    return new URL(trimmed, window.location.href).origin === window.location.origin;
+  } catch (error) {
+    return false;
+  }
+}
+
+const isWordChar = (char) => Boolean(char) && WORD_CHAR.test(char);
+const isSpace = (char) => !char || /\s/.test(char);
+
+// Finds the closing delimiter for an emphasis run that opened just before `from`.
+function findClosing(text, delimiter, from) {
+  const char = delimiter[0];
+  let index = text.indexOf(delimiter, from);
+  while (index !== -1) {
+    const inner = text.slice(from, index);
+    const partOfLongerRun = delimiter.length === 1 && (text[index + 1] === char || text[index - 1] === char);
+    const closesWord = char !== '_' || !isWordChar(text[index + delimiter.length]);
+    if (inner && !isSpace(inner[0]) && !isSpace(inner[inner.length - 1]) && !partOfLongerRun && closesWord) {
+      return index;
+    }
+    index = text.indexOf(delimiter, index + 1);
+  }
+  return -1;
+}
+
+// Finds the ')' ending a link URL, allowing balanced parentheses inside it.
+function findUrlEnd(text, from) {
+  let depth = 0;
+  for (let i = from; i < text.length; i++) {
+    if (text[i] === '\n') return -1;
+    if (text[i] === '(') depth++;
+    if (text[i] === ')' && depth-- === 0) return i;
+  }
+  return -1;
+}
+
+/**
+ * Parses inline Markdown into nodes:
+ * { type: 'text'|'code', value } | { type: 'strong'|'em', children } |
+ * { type: 'link', href, children } | { type: 'mention', handle } | { type: 'break' }
+ * @param {string} text
+ * @param {object} [options]
+ * @param {boolean} [options.inLink=false] - Links and mentions can't nest inside a link.
+ * @returns {Array<object>}
+ */
+export function parseInline(text, { inLink = false } = {}) {
+  const nodes = [];
+  let buffer = '';
+  const flush = () => {
+    if (buffer) nodes.push({ type: 'text', value: buffer });
+    buffer = '';
+  };
+
+  let i = 0;
+  while (i < text.length) {
+    const char = text[i];
+
+    if (char === '\\' && ESCAPABLE.test(text[i + 1] || '')) {
+      buffer += text[i + 1];
+      i += 2;
+      continue;
+    }
+
+    if (char === '\n') {
+      flush();
+      nodes.push({ type: 'break' });
+      i++;
+      continue;
+    }
+
+    if (char === '`') {
+      const end = text.indexOf('`', i + 1);
+      if (end > i + 1) {
+        flush();
+        nodes.push({ type: 'code', value: text.slice(i + 1, end) });
+        i = end + 1;
+        continue;
+      }
+    }
+
+    // Intraword underscores (snake_case) are literal; asterisks work anywhere.
+    if ((char === '*' || char === '_') && (char === '*' || !isWordChar(text[i - 1]))) {
+      const delimiter = text[i + 1] === char ? char + char : char;
+      const start = i + delimiter.length;
+      const end = findClosing(text, delimiter, start);
+      if (end === -1) {
+        buffer += delimiter; // An unclosed run is literal text as a whole
+        i = start;
+        continue;
+      }
+      flush();
+      nodes.push({ type: delimiter.length === 2 ? 'strong' : 'em', children: parseInline(text.slice(start, end), { inLink }) });
+      i = end + delimiter.length;
+      continue;
+    }
+
+    if (char === '[' && !inLink) {
+      const close = text.indexOf(']', i + 1);
+      const urlEnd = close !== -1 && text[close + 1] === '(' ? findUrlEnd(text, close + 2) : -1;
+      if (urlEnd !== -1) {
+        flush();
+        const children = parseInline(text.slice(i + 1, close), { inLink: true });
+        const href = text.slice(close + 2, urlEnd).trim();
+        if (isSafeUrl(href)) {
+          nodes.push({ type: 'link', href, children });
+        } else {
+          nodes.push(...children); // Keep the label, drop the unsafe URL
+        }
+        i = urlEnd + 1;
+        continue;
+      }
+    }
+
+    if (char === '@' && !inLink && !isWordChar(text[i - 1])) {
+      const match = MENTION.exec(text.slice(i));
+      if (match) {
+        flush();
+        nodes.push({ type: 'mention', handle: match[1] });
+        i += match[0].length;
+        continue;
+      }
+    }
+
+    buffer += char;
+    i++;
+  }
+  flush();
+  return nodes;
+}
+
+/**
+ * Parses Markdown into blocks:
+ * { type: 'paragraph', children } | { type: 'list', ordered, start, items: [children] }
+ * @param {string} source
+ * @returns {Array<object>}
+ */
+export function parseMarkdown(source) {
+  const lines = String(source ?? '').replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let paragraph = null;
+  let list = null;
+
+  lines.forEach(line => {
+    if (!line.trim()) {
+      paragraph = null;
+      list = null;
+      return;
+    }
+
+    const item = LIST_ITEM.exec(line);
+    if (item) {
+      const ordered = Boolean(item[2]);
+      if (!list || list.ordered !== ordered) {
+        list = { type: 'list', ordered, start: ordered ? Number(item[2]) : 1, items: [] };
+        blocks.push(list);
+      }
+      list.items.push([item[3]]);
+      paragraph = null;
+      return;
+    }
+
+    // An indented line continues the previous list item.
+    if (list && /^\s/.test(line)) {
+      list.items[list.items.length - 1].push(line.trim());
+      return;
+    }
+
+    list = null;
+    if (!paragraph) {
+      paragraph = { type: 'paragraph', lines: [] };
+      blocks.push(paragraph);
+    }
+    paragraph.lines.push(line.trim());
+  });
+
+  return blocks.map(block => (block.type === 'list'
+    ? { ...block, items: block.items.map(itemLines => parseInline(itemLines.join('\n'))) }
+    : { type: 'paragraph', children: parseInline(block.lines.join('\n')) }));
+}
+
+function createAllowedElement(tagName, attributes = {}) {
+  if (!ALLOWED_TAGS.includes(tagName)) {
+    throw new Error(`[Markdown] <${tagName}> is not an allowed tag.`);
+  }
+  const element = document.createElement(tagName);
+  const allowed = ALLOWED_ATTRIBUTES[tagName] || [];
+  Object.entries(attributes).forEach(([name, value]) => {
+    if (value === undefined || value === null) return;
+    if (!allowed.includes(name) || (name === 'href' && !isSafeUrl(value))) {
+      throw new Error(`[Markdown] ${name}="${value}" is not allowed on <${tagName}>.`);
+    }
+    element.setAttribute(name, value);
+  });
+  return element;
+}
+
+function createLink(href, children, className) {
+  const external = /^https?:\/\//i.test(href);
+  const link = createAllowedElement('a', {
+    href,
+    class: className,
+    target: external ? '_blank' : null,
+    rel: external ? 'noopener noreferrer' : null,
+  });
+  link.append(...children);
+  return link;
+}
+
+function renderInlineNodes(nodes, options) {
+  return nodes.map(node => {
+    switch (node.type) {
+      case 'text':
+        return document.createTextNode(node.value);
+      case 'code': {
+        const code = createAllowedElement('code');
+        code.textContent = node.value;
+        return code;
+      }
+      case 'strong':
+      case 'em': {
+        const element = createAllowedElement(node.type);
+        element.append(...renderInlineNodes(node.children, options));
+        return element;
+      }
+      case 'link':
+        return createLink(node.href, renderInlineNodes(node.children, options));
+      case 'mention': {
+        const person = options.resolveMention(node.handle);
+        if (!person) return document.createTextNode(`@${node.handle}`);
+        const link = createLink(options.mentionHref(person), [document.createTextNode(`@${person.name}`)], 'mention');
+        link.setAttribute('title', t('common.viewProfileOf', { name: person.name }));
+        return link;
+      }
+      case 'break':
+        return createAllowedElement('br');
+      default:
+        return document.createTextNode('');
+    }
+  });
+}
+
+function renderOptions({ resolveMention = () => null, mentionHref = (person) => `#/people/${encodeURIComponent(person.id)}` } = {}) {
+  return { resolveMention, mentionHref };
+}
+
+/**
+ * Renders Markdown to sanitized DOM.
+ * @param {string} source
+ * @param {object} [options]
+ * @param {Function} [options.resolveMention] - handle => { id, name } | null. Unresolved mentions stay plain text.
+ * @param {Function} [options.mentionHref] - person => href; defaults to the '#/people/:id' profile route.
+ * @returns {DocumentFragment}
+ */
+export function renderMarkdown(source, options) {
+  const settings = renderOptions(options);
+  const fragment = document.createDocumentFragment();
+
+  parseMarkdown(source).forEach(block => {
+    if (block.type === 'list') {
+      const list = createAllowedElement(block.ordered ? 'ol' : 'ul', { start: block.ordered && block.start !== 1 ? String(block.start) : null });
+      block.items.forEach(children => {
+        const item = createAllowedElement('li');
+        item.append(...renderInlineNodes(children, settings));
+        list.appendChild(item);
+      });
+      fragment.appendChild(list);
+    } else {
+      const paragraph = createAllowedElement('p');
+      paragraph.append(...renderInlineNodes(block.children, settings));
+      fragment.appendChild(paragraph);
+    }
+  });
+  return sanitizeDom(fragment);
+}
+
+/**
+ * Renders a single line of Markdown (no paragraphs or lists) to sanitized DOM,
+ * for places that already supply the block element, like a card's preview <p>.
+ * Line breaks become spaces.
+ * @param {string} source
+ * @param {object} [options] - As for renderMarkdown().
+ * @returns {DocumentFragment}
+ */
+export function renderInlineMarkdown(source, options) {
+  const fragment = document.createDocumentFragment();
+  const text = String(source ?? '').replace(/\s*\n\s*/g, ' ').trim();
+  fragment.append(...renderInlineNodes(parseInline(text), renderOptions(options)));
+  return sanitizeDom(fragment);
+}
+
+/**
+ * Converts Markdown to plain text (for search indexes, titles and aria-labels).
+ * @param {string} source
+ * @returns {string}
+ */
+export function markdownToText(source) {
+  const flatten = (nodes) => nodes.map(node => {
+    if (node.type === 'text' || node.type === 'code') return node.value;
+    if (node.type === 'mention') return `@${node.handle}`;
+    if (node.type === 'break') return ' ';
+    return flatten(node.children || []);
+  }).join('');
+
+  return parseMarkdown(source)
+    .map(block => (block.type === 'list' ? block.items.map(flatten).join(' ') : flatten(block.children)))
+    .join(' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Presentational tags with an allowed equivalent, so their emphasis survives sanitizing.
+const HTML_EQUIVALENTS = { b: 'strong', i: 'em' };
+
+/**
+ * Renders an HTML string to sanitized DOM. The HTML is parsed with DOMParser, whose
+ * document never runs scripts or loads images, and only then sanitized and adopted.
+ * @param {string} source
+ * @returns {DocumentFragment}
+ */
+export function renderHtml(source) {
+  const parsed = new DOMParser().parseFromString(String(source ?? ''), 'text/html');
+  Object.entries(HTML_EQUIVALENTS).forEach(([tagName, equivalent]) => {
+    parsed.body.querySelectorAll(tagName).forEach(node => {
+      const replacement = parsed.createElement(equivalent);
+      replacement.append(...node.childNodes);
+      node.replaceWith(replacement);
+    });
+  });
+  sanitizeDom(parsed.body);
+  const fragment = document.createDocumentFragment();
+  fragment.append(...Array.from(parsed.body.childNodes, node => document.importNode(node, true)));
+  return fragment;
+}
+
+/**
+ * Strips a DOM tree down to ALLOWED_TAGS / ALLOWED_ATTRIBUTES, in place.
+ * Disallowed elements are unwrapped (their text is kept), except script-like ones
+ * (DROPPED_TAGS), which are removed with their content. Comments are removed, and
+ * hrefs that fail isSafeUrl() are dropped.
+ * @param {Node} root - An element or fragment; the root itself is not checked.
+ * @returns {Node} The same root.
+ */
+export function sanitizeDom(root) {
+  Array.from(root.childNodes).forEach(node => {
+    if (node.nodeType === Node.TEXT_NODE) return;
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+      node.remove();
+      return;
+    }
+
+    const tagName = node.localName;
+    if (DROPPED_TAGS.has(tagName)) {
+      node.remove();
+      return;
+    }
+    sanitizeDom(node);
+    if (!ALLOWED_TAGS.includes(tagName)) {
+      node.replaceWith(...node.childNodes);
+      return;
+    }
+
+    const allowed = ALLOWED_ATTRIBUTES[tagName] || [];
+    Array.from(node.attributes).forEach(({ name, value }) => {
+      if (!allowed.includes(name) || (name === 'href' && !isSafeUrl(value))) node.removeAttribute(name);
+    });
+    if (tagName === 'a' && node.getAttribute('target') === '_blank') {
+      node.setAttribute('rel', 'noopener noreferrer'); // Never hand the opener to another site
+    }
+  });
+  return root;
+}
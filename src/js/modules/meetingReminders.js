@@ -0,0 +1,175 @@
+// src/js/modules/meetingReminders.js
+
+/**
+ * ConnectHub Intranet - Meeting Reminders
+ *
+ * Shows a desktop notification a set number of minutes before each briefing meeting.
+ * The lead time is the employee's choice (REMINDER_OPTIONS, 0 turns reminders off)
+ * and is kept in localStorage. Each meeting is announced once: the reminders already
+ * shown are remembered across reloads, and a page opened after the reminder time but
+ * before the meeting starts shows it straight away.
+ *
+ * Notifications need the browser's permission, which can only be asked for in
+ * response to a click (see requestPermission()).
+ */
+
+import { t, formatTime } from './i18n.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('MeetingReminders');
+
+export const REMINDER_OPTIONS = Object.freeze([0, 5, 10, 15, 30]);
+export const DEFAULT_REMINDER_MINUTES = 10;
+
+const SETTINGS_KEY = 'connecthub:meeting-reminders';
+const MAX_TIMER_DELAY = 2 ** 31 - 1; // setTimeout's limit (about 24.8 days)
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function getLocalStorage() {
+  try {
+    return typeof window !== 'undefined' ? window.localStorage : null;
+  } catch (error) {
+    return null; // Access can throw when storage is disabled (e.g. strict privacy settings)
+  }
+}
+
+/**
+ * Whether this browser can show notifications at all.
+ * @returns {boolean}
+ */
+export function notificationsSupported() {
+  return typeof window !== 'undefined' && 'Notification' in window;
+}
+
+/**
+ * Asks for permission to show notifications. Call it from a click handler.
+ * @returns {Promise<'granted'|'denied'|'default'|'unsupported'>}
+ */
+export async function requestPermission() {
+  if (!notificationsSupported()) return 'unsupported';
+  if (window.Notification.permission !== 'default') return window.Notification.permission;
+  return window.Notification.requestPermission();
+}
+
+function showNotification(meeting, minutesBefore) {
+  const start = new Date(meeting.start);
+  const minutes = Math.max(0, Math.round((start - Date.now()) / 60000));
+  return new window.Notification(t('reminders.title', { title: meeting.title, count: minutes }), {
+    body: [formatTime(start), meeting.location].filter(Boolean).join(' · '),
+    tag: `meeting-${meeting.id}`, // Replaces rather than stacks if shown twice
+    data: { minutesBefore },
+  });
+}
+
+/**
+ * Creates the reminder scheduler.
+ * @param {object} [options]
+ * @param {Function} [options.notify] - (meeting, minutesBefore) => void. Defaults to a desktop notification,
+ *   shown only once permission is granted.
+ * @param {Storage|null} [options.storage=localStorage]
+ * @param {number} [options.defaultMinutes=DEFAULT_REMINDER_MINUTES] - Used until the employee picks a lead time.
+ * @returns {{ schedule: Function, getMinutesBefore: Function, setMinutesBefore: Function, stop: Function }}
+ */
+export function createMeetingReminders({
+  notify = null,
+  storage = getLocalStorage(),
+  defaultMinutes = DEFAULT_REMINDER_MINUTES,
+} = {}) {
+  const timers = new Map(); // reminder key -> timeout id
+  let meetings = [];
+
+  function readSettings() {
+    try {
+      const settings = storage && JSON.parse(storage.getItem(SETTINGS_KEY) || 'null');
+      return settings && typeof settings === 'object' ? settings : {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  function writeSettings(settings) {
+    if (!storage) return;
+    try {
+      storage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    } catch (error) {
+      log.warn('Could not save reminder settings:', error.message);
+    }
+  }
+
+  const getMinutesBefore = () => {
+    const { minutesBefore } = readSettings();
+    return REMINDER_OPTIONS.includes(minutesBefore) ? minutesBefore : defaultMinutes;
+  };
+
+  const reminderKey = (meeting) => `${meeting.id}@${meeting.start}`;
+
+  // Reminders already shown, by key -> meeting start; entries for past meetings are dropped.
+  function markShown(key, start) {
+    const settings = readSettings();
+    const shown = Object.fromEntries(Object.entries(settings.shown || {})
+      .filter(([, at]) => Date.parse(at) > Date.now() - DAY_MS));
+    writeSettings({ ...settings, shown: { ...shown, [key]: start } });
+  }
+
+  function fire(meeting, minutesBefore) {
+    const key = reminderKey(meeting);
+    timers.delete(key);
+    if ((readSettings().shown || {})[key]) return; // Already shown (e.g. in another tab)
+    markShown(key, meeting.start);
+    if (notify) {
+      notify(meeting, minutesBefore);
+    } else if (notificationsSupported() && window.Notification.permission === 'granted') {
+      try {
+        showNotification(meeting, minutesBefore);
+      } catch (error) {
+        log.warn('Could not show a notification:', error.message);
+      }
+    }
+  }
+
+  function stop() {
+    timers.forEach(timer => clearTimeout(timer));
+    timers.clear();
+  }
+
+  /**
+   * (Re)schedules reminders for the given meetings, replacing earlier ones.
+   * @param {Array<{ id: string, title: string, start: string, location?: string }>} upcoming
+   * @param {Date} [now=new Date()]
+   */
+  function schedule(upcoming, now = new Date()) {
+    stop();
+    meetings = upcoming;
+    const minutesBefore = getMinutesBefore();
+    if (minutesBefore === 0) return;
+    const shown = readSettings().shown || {};
+
+    upcoming.forEach(meeting => {
+      const start = Date.parse(meeting.start);
+      const key = reminderKey(meeting);
+      if (!(start > now.getTime()) || shown[key]) return;
+      const delay = start - minutesBefore * 60000 - now.getTime();
+      if (delay > MAX_TIMER_DELAY) return;
+      timers.set(key, setTimeout(() => fire(meeting, minutesBefore), Math.max(0, delay)));
+    });
+  }
+
+  return {
+    schedule,
+    getMinutesBefore,
+
+    /**
+     * Changes the lead time and reschedules.
+     * @param {number} minutes - One of REMINDER_OPTIONS; 0 turns reminders off.
+     */
+    setMinutesBefore(minutes) {
+      if (!REMINDER_OPTIONS.includes(minutes)) {
+        throw new RangeError(`[MeetingReminders] ${minutes} is not one of ${REMINDER_OPTIONS.join(', ')}.`);
+      }
+      writeSettings({ ...readSettings(), minutesBefore: minutes });
+      schedule(meetings);
+    },
+
+    stop,
+  };
+}
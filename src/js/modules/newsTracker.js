@@ -0,0 +1,198 @@
+// src/js/modules/newsTracker.js
+
+/**
+ * ConnectHub Intranet - News Read State and Bookmarks
+ *
+ * Remembers, per employee, which news articles they have opened and which they saved
+ * for later. It lives in localStorage under 'connecthub:news:<employee id>', so
+ * colleagues sharing a browser keep separate lists, and follows setCurrentUser().
+ * Changes made in other tabs are picked up through the `storage` event.
+ *
+ * Stored shape:
+ * {
+ *   read: { 'news-1': '2025-07-26T08:12:00.000Z', ... },    // Opened at
+ *   bookmarks: [{ id: 'news-3', savedAt: '2025-07-26T08:15:00.000Z' }, ...] // Newest first
+ * }
+ *
+ * Only ids are kept: the widgets look the articles up in the feed, so an article that
+ * was removed or is no longer meant for the employee just drops out of their lists.
+ */
+
+import { getCurrentUser, onUserChange } from './session.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('NewsTracker');
+
+const KEY_PREFIX = 'connecthub:news';
+const MAX_READ = 500; // The oldest read marks go first; by then those articles are long gone from the feed
+
+function getLocalStorage() {
+  try {
+    return typeof window !== 'undefined' ? window.localStorage : null;
+  } catch (error) {
+    return null; // Access can throw when storage is disabled (e.g. strict privacy settings)
+  }
+}
+
+const emptyState = () => ({ read: {}, bookmarks: [] });
+
+function sanitizeState(raw) {
+  if (!raw || typeof raw !== 'object') return emptyState();
+  const read = {};
+  if (raw.read && typeof raw.read === 'object') {
+    Object.entries(raw.read).forEach(([id, readAt]) => {
+      if (typeof readAt === 'string') read[id] = readAt;
+    });
+  }
+  const seen = new Set();
+  const bookmarks = (Array.isArray(raw.bookmarks) ? raw.bookmarks : []).filter(bookmark => {
+    if (!bookmark || typeof bookmark.id !== 'string' || seen.has(bookmark.id)) return false;
+    seen.add(bookmark.id);
+    return true;
+  }).map(({ id, savedAt }) => ({ id, savedAt: typeof savedAt === 'string' ? savedAt : null }));
+  return { read, bookmarks };
+}
+
+/**
+ * Creates a read state and bookmarks store.
+ * @param {object} [options]
+ * @param {Storage|null} [options.storage=localStorage] - Pass null to keep the state in memory only.
+ * @param {Function} [options.getUserId] - Returns the employee whose state to use; defaults to the signed-in one.
+ */
+export function createNewsTracker({ storage = getLocalStorage(), getUserId = () => getCurrentUser().id } = {}) {
+  const listeners = new Set();
+  let userId = null;
+  let state = emptyState();
+
+  const keyFor = (id) => `${KEY_PREFIX}:${id}`;
+
+  function load(id) {
+    if (!storage) return emptyState();
+    try {
+      return sanitizeState(JSON.parse(storage.getItem(keyFor(id)) || 'null'));
+    } catch (error) {
+      return emptyState(); // Corrupt state is dropped
+    }
+  }
+
+  // The state of the employee using the page now, reloaded when that changes.
+  function current() {
+    const id = getUserId();
+    if (id !== userId) {
+      userId = id;
+      state = load(id);
+    }
+    return state;
+  }
+
+  function notify() {
+    listeners.forEach(listener => {
+      try {
+        listener();
+      } catch (error) {
+        log.error('Listener failed:', error);
+      }
+    });
+  }
+
+  function commit(next) {
+    state = next;
+    notify();
+    if (!storage) return;
+    try {
+      storage.setItem(keyFor(userId), JSON.stringify(state));
+    } catch (error) {
+      log.warn('News read state could not be saved.', error);
+    }
+  }
+
+  if (storage && typeof window !== 'undefined') {
+    window.addEventListener('storage', (e) => {
+      if (e.storageArea !== storage || !userId || e.key !== keyFor(userId)) return;
+      state = load(userId);
+      notify();
+    });
+  }
+  onUserChange(() => {
+    if (getUserId() !== userId) notify();
+  });
+
+  return {
+    /**
+     * @param {string} id - A news article id.
+     * @returns {boolean}
+     */
+    isRead: (id) => Boolean(current().read[id]),
+
+    /**
+     * Marks articles as read (opening an article does this).
+     * @param {...string} ids
+     */
+    markRead(...ids) {
+      const { read, bookmarks } = current();
+      const unread = ids.filter(id => !read[id]);
+      if (unread.length === 0) return;
+      const readAt = new Date().toISOString();
+      const entries = [...Object.entries(read), ...unread.map(id => [id, readAt])];
+      commit({ read: Object.fromEntries(entries.slice(-MAX_READ)), bookmarks });
+    },
+
+    /**
+     * @param {string} id
+     */
+    markUnread(id) {
+      const { read, bookmarks } = current();
+      if (!read[id]) return;
+      const { [id]: removed, ...rest } = read;
+      commit({ read: rest, bookmarks });
+    },
+
+    /**
+     * @param {Array<{ id: string }>} articles - The articles the employee can see.
+     * @returns {number} How many of them they haven't opened.
+     */
+    countUnread(articles) {
+      const { read } = current();
+      return articles.filter(article => !read[article.id]).length;
+    },
+
+    /**
+     * @param {string} id
+     * @returns {boolean}
+     */
+    isBookmarked: (id) => current().bookmarks.some(bookmark => bookmark.id === id),
+
+    /**
+     * Saves an article for later, or removes it from the saved articles.
+     * @param {string} id
+     * @returns {boolean} Whether the article is saved now.
+     */
+    toggleBookmark(id) {
+      const { read, bookmarks } = current();
+      const saved = bookmarks.some(bookmark => bookmark.id === id);
+      commit({
+        read,
+        bookmarks: saved
+          ? bookmarks.filter(bookmark => bookmark.id !== id)
+          : [{ id, savedAt: new Date().toISOString() }, ...bookmarks],
+      });
+      return !saved;
+    },
+
+    /** @returns {Array<{ id: string, savedAt: string|null }>} Saved articles, most recently saved first. */
+    getBookmarks: () => [...current().bookmarks],
+
+    /**
+     * @param {Function} listener - Called after any change to the read state or bookmarks,
+     *   including a switch to another employee.
+     * @returns {Function} Unsubscribe function.
+     */
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+}
+
+/** The tracker for the signed-in employee, shared by the news widgets and views. */
+export const newsTracker = createNewsTracker();
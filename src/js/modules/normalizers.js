@@ -0,0 +1,357 @@
+// src/js/modules/normalizers.js
+
+/**
+ * ConnectHub Intranet - Normalizers Module
+ *
+ * Maps raw payloads from any data source onto one canonical schema per resource,
+ * so widgets never have to care whether an item came from src/data/*.json, a REST
+ * backend or an older mock (e.g. `contentPreview` vs `previewText`, '2025-07-24'
+ * vs 'July 24, 2025' vs { month: 'Aug', day: 5 }).
+ *
+ * Canonical conventions:
+ * - Ids are strings.
+ * - Calendar dates are ISO 'YYYY-MM-DD' strings (formatting is the view's job).
+ * - Points in time (event start/end) are ISO instants in UTC, e.g. '2025-08-05T17:00:00.000Z'.
+ * - Optional fields are present and set to null rather than missing.
+ * - News, events and quick links carry an `audience` (see audience.js), null for everyone.
+ * - News, events, quick links and spotlight entries carry `status`, `publishAt` and
+ *   `expireAt` (see publishing.js); items without them are published.
+ * - Birthdays are 'MM-DD' without the year, so ages are never on hand to show.
+ */
+
+import { RESOURCES } from './dataSources.js';
+import { resolveEventTimes, isValidTimeZone } from './eventTime.js';
+import { normalizeAudience } from './audience.js';
+import { normalizePublication } from './publishing.js';
+import { WEATHER_CONDITIONS } from './weather.js';
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}/;
+
+const pad = (value) => String(value).padStart(2, '0');
+const toIsoString = (year, monthIndex, day) => `${year}-${pad(monthIndex + 1)}-${pad(day)}`;
+
+/**
+ * Converts the date shapes found across our data into 'YYYY-MM-DD'.
+ * Accepts ISO strings (time part is dropped), human dates such as 'July 24, 2025'
+ * and { month: 'Aug', day: 5 } objects, which are placed in `referenceYear`.
+ * @param {string|{month: string, day: number}|null} value
+ * @param {number} [referenceYear] - Year for month/day objects. Defaults to the current year.
+ * @returns {string|null} The ISO date, or null if the value can't be understood.
+ */
+export function toIsoDate(value, referenceYear = new Date().getFullYear()) {
+  if (!value) return null;
+
+  if (typeof value === 'object') {
+    const monthIndex = MONTHS.indexOf(String(value.month).slice(0, 3).toLowerCase());
+    const day = Number(value.day);
+    if (monthIndex === -1 || !day) return null;
+    return toIsoString(value.year || referenceYear, monthIndex, day);
+  }
+
+  if (ISO_DATE_PATTERN.test(value)) {
+    return value.slice(0, 10);
+  }
+
+  const parsed = new Date(value);
+  if (Number.isNaN(parsed.getTime())) return null;
+  return toIsoString(parsed.getFullYear(), parsed.getMonth(), parsed.getDate());
+}
+
+const toIsoInstant = (value) => {
+  const parsed = value ? new Date(value) : null;
+  return parsed && !Number.isNaN(parsed.getTime()) ? parsed.toISOString() : null;
+};
+const toId = (value) => (value === undefined || value === null ? null : String(value));
+const orNull = (value) => (value === undefined || value === '' ? null : value);
+const MONTH_DAY_PATTERN = /^(?:\d{4}-)?(\d{2})-(\d{2})$/;
+const toMonthDay = (value) => {
+  const match = MONTH_DAY_PATTERN.exec(typeof value === 'string' ? value.slice(0, 10) : '');
+  return match && Number(match[1]) >= 1 && Number(match[1]) <= 12 && Number(match[2]) >= 1 && Number(match[2]) <= 31
+    ? `${match[1]}-${match[2]}`
+    : null;
+};
+const toCount = (value) => (Number.isFinite(Number(value)) && value !== null ? Math.max(0, Math.round(Number(value))) : 0);
+
+// '28°C', '82 °F' or a bare number (taken as Celsius) -> degrees Celsius, so the UI can pick the unit.
+export function toCelsius(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  const match = /^\s*(-?\d+(?:\.\d+)?)\s*°?\s*([CF])?\s*$/i.exec(String(value ?? ''));
+  if (!match) return null;
+  const degrees = Number(match[1]);
+  return match[2] && match[2].toUpperCase() === 'F' ? Math.round((degrees - 32) * 5 / 9 * 10) / 10 : degrees;
+}
+
+export function normalizeNewsItem(raw) {
+  return {
+    id: toId(raw.id),
+    title: raw.title || '',
+    category: raw.category || 'General',
+    date: toIsoDate(raw.date),
+    author: orNull(raw.author),
+    imageUrl: orNull(raw.imageUrl),
+    previewText: raw.previewText ?? raw.contentPreview ?? '',
+    fullContent: orNull(raw.fullContent),
+    tags: Array.isArray(raw.tags) ? raw.tags : [],
+    featured: Boolean(raw.featured), // Shown in the homepage carousel
+    views: toCount(raw.views ?? raw.viewCount), // How many times it was opened; 'popular' sorting uses it
+    audience: normalizeAudience(raw.audience),
+    ...normalizePublication(raw),
+  };
+}
+
+export function normalizeEvent(raw) {
+  const date = toIsoDate(raw.date ?? raw.start);
+  const time = orNull(raw.time); // Display text, e.g. '10:00 AM PST' or '10:00 AM - 11:30 AM'
+  // Sources that send real instants win over what we can read from the display text.
+  const parsed = raw.start
+    ? { start: toIsoInstant(raw.start), end: toIsoInstant(raw.end), allDay: Boolean(raw.allDay), timeZone: orNull(raw.timeZone) }
+    : resolveEventTimes(date, time, raw.timeZone ? { timeZone: raw.timeZone } : undefined);
+  return {
+    id: toId(raw.id),
+    title: raw.title || '',
+    description: orNull(raw.description),
+    category: raw.category || 'General',
+    date,
+    time,
+    start: parsed.start,
+    end: parsed.end || parsed.start,
+    allDay: parsed.allDay,
+    timeZone: parsed.timeZone,
+    location: orNull(raw.location),
+    link: orNull(raw.link),
+    audience: normalizeAudience(raw.audience),
+    ...normalizePublication(raw),
+  };
+}
+
+export function normalizeEmployee(raw) {
+  const firstName = raw.firstName || '';
+  const lastName = raw.lastName || '';
+  return {
+    id: toId(raw.id),
+    firstName,
+    lastName,
+    fullName: raw.fullName || `${firstName} ${lastName}`.trim(),
+    position: orNull(raw.position),
+    department: orNull(raw.department),
+    email: orNull(raw.email),
+    phone: orNull(raw.phone),
+    extension: orNull(raw.extension),
+    location: orNull(raw.location),
+    profilePicture: orNull(raw.profilePicture ?? raw.imageUrl),
+    bioPreview: orNull(raw.bioPreview ?? raw.bio),
+    skills: Array.isArray(raw.skills) ? raw.skills : [],
+    managerId: toId(raw.managerId),
+    linkedin: orNull(raw.linkedin),
+    roles: Array.isArray(raw.roles) ? raw.roles.map(String) : [],
+    birthday: toMonthDay(raw.birthday ?? raw.birthDate), // A full birth date is cut down to 'MM-DD'
+    hireDate: toIsoDate(raw.hireDate),
+    timeZone: typeof raw.timeZone === 'string' && isValidTimeZone(raw.timeZone) ? raw.timeZone : null,
+    // What they'd rather not be featured in: 'spotlight', 'birthday', 'anniversary'
+    optOuts: Array.isArray(raw.optOuts) ? raw.optOuts.map(item => String(item).toLowerCase()) : [],
+  };
+}
+
+export function normalizeQuickLink(raw) {
+  return {
+    id: toId(raw.id),
+    title: raw.title || '',
+    url: raw.url || '#',
+    icon: raw.icon || 'fas fa-link',
+    audience: normalizeAudience(raw.audience),
+    ...normalizePublication(raw),
+  };
+}
+
+// Reactions are one record per person and emoji: { id, emoji, userId }.
+function normalizeReaction(raw) {
+  return {
+    id: toId(raw.id),
+    emoji: raw.emoji || '',
+    userId: toId(raw.userId),
+  };
+}
+
+function normalizeComment(raw) {
+  return {
+    id: toId(raw.id),
+    authorId: toId(raw.authorId),
+    author: raw.author || '',
+    text: raw.text || '',
+    createdAt: toIsoInstant(raw.createdAt),
+  };
+}
+
+export function normalizeTeamUpdate(raw) {
+  const createdAt = toIsoInstant(raw.createdAt);
+  return {
+    id: toId(raw.id),
+    authorId: toId(raw.authorId), // null for posts by teams (e.g. 'HR Team'), which only admins may edit
+    author: raw.author || '',
+    updateText: raw.updateText ?? raw.text ?? '',
+    date: toIsoDate(raw.date ?? createdAt),
+    createdAt,
+    editedAt: toIsoInstant(raw.editedAt),
+    reactions: Array.isArray(raw.reactions) ? raw.reactions.map(normalizeReaction) : [],
+    comments: Array.isArray(raw.comments) ? raw.comments.map(normalizeComment) : [],
+  };
+}
+
+// Counts come from the task and message lists when the source sends them, so they can't drift apart.
+export function normalizePersonalBriefing(raw) {
+  const tasks = Array.isArray(raw.tasks) ? raw.tasks.map(task => ({
+    id: toId(task.id),
+    title: task.title || '',
+    done: Boolean(task.done),
+    due: toIsoDate(task.due),
+  })) : null;
+  const emails = Array.isArray(raw.emails) ? raw.emails.map(email => ({
+    id: toId(email.id),
+    from: email.from || '',
+    subject: email.subject || '',
+    read: Boolean(email.read),
+    receivedAt: toIsoInstant(email.receivedAt),
+  })) : null;
+  return {
+    tasksCount: tasks ? tasks.filter(task => !task.done).length : Number(raw.tasksCount) || 0,
+    unreadEmailsCount: emails ? emails.filter(email => !email.read).length : Number(raw.unreadEmailsCount) || 0,
+    tasks: tasks || [],
+    emails: emails || [],
+    upcomingMeetings: (raw.upcomingMeetings || raw.meetings || []).map(meeting => ({
+      id: toId(meeting.id),
+      title: meeting.title || '',
+      time: orNull(meeting.time), // Recurring meetings only carry a display time, e.g. '02:30 PM'
+      days: Array.isArray(meeting.days) ? meeting.days.map(day => String(day).slice(0, 3).toLowerCase()) : null,
+      start: toIsoInstant(meeting.start),
+      end: toIsoInstant(meeting.end),
+      location: orNull(meeting.location),
+    })),
+  };
+}
+
+const toNumber = (value) => (value === null || value === undefined || value === '' || !Number.isFinite(Number(value)) ? null : Number(value));
+const toCondition = (value) => (Object.values(WEATHER_CONDITIONS).includes(value) ? value : null);
+
+// Offices, for the weather: where each is and its time zone.
+export function normalizeOffice(raw) {
+  return {
+    id: toId(raw.id),
+    name: raw.name || '',
+    city: orNull(raw.city),
+    country: orNull(raw.country),
+    latitude: toNumber(raw.latitude ?? raw.lat),
+    longitude: toNumber(raw.longitude ?? raw.lon ?? raw.lng),
+    timeZone: typeof raw.timeZone === 'string' && isValidTimeZone(raw.timeZone) ? raw.timeZone : null,
+  };
+}
+
+/**
+ * A forecast from a weather provider (see weatherProviders.js). Temperatures may come
+ * as numbers in °C or as text ('82°F'); conditions we don't know are kept as `description`.
+ * @param {object} raw
+ * @returns {{ updatedAt: string|null, current: object|null, daily: object[] }}
+ */
+export function normalizeWeatherForecast(raw) {
+  if (!raw || typeof raw !== 'object') {
+    throw new Error(`[Normalizers] Expected an object for "weather", got ${raw === null ? 'null' : typeof raw}.`);
+  }
+  const current = raw.current || null;
+  return {
+    updatedAt: toIsoInstant(raw.updatedAt),
+    current: current && {
+      temperatureCelsius: toCelsius(current.temperatureCelsius ?? current.temperature),
+      condition: toCondition(current.condition),
+      description: orNull(current.description ?? (toCondition(current.condition) ? null : current.condition)),
+      humidity: toNumber(current.humidity),
+      windKph: toNumber(current.windKph),
+    },
+    daily: (Array.isArray(raw.daily) ? raw.daily : []).map(day => ({
+      date: toIsoDate(day.date),
+      highCelsius: toCelsius(day.highCelsius ?? day.high),
+      lowCelsius: toCelsius(day.lowCelsius ?? day.low),
+      condition: toCondition(day.condition),
+      description: orNull(day.description ?? (toCondition(day.condition) ? null : day.condition)),
+      precipitationChance: toNumber(day.precipitationChance),
+    })).filter(day => day.date),
+  };
+}
+
+// One entry of the spotlight rotation: who is featured, and (through publishAt/expireAt) when.
+export function normalizeEmployeeSpotlight(raw) {
+  return {
+    id: toId(raw.id),
+    employeeId: toId(raw.employeeId),
+    name: raw.name || raw.fullName || '',
+    position: orNull(raw.position),
+    imageUrl: orNull(raw.imageUrl ?? raw.profilePicture),
+    bio: raw.bio ?? raw.bioPreview ?? '',
+    profileUrl: orNull(raw.profileUrl),
+    ...normalizePublication(raw),
+  };
+}
+
+function normalizeApprovalStep(raw) {
+  return {
+    approverId: toId(raw.approverId),
+    approverName: raw.approverName || '',
+    status: raw.status || 'waiting',
+    decidedAt: toIsoInstant(raw.decidedAt),
+    comment: orNull(raw.comment),
+  };
+}
+
+// Leave requests and expense claims; `details` holds the submitted form values as-is.
+export function normalizeRequest(raw) {
+  return {
+    id: toId(raw.id),
+    type: raw.type || '',
+    submitterId: toId(raw.submitterId),
+    submitterName: raw.submitterName || '',
+    submittedAt: toIsoInstant(raw.submittedAt),
+    details: raw.details && typeof raw.details === 'object' ? raw.details : {},
+    status: raw.status || 'pending',
+    steps: Array.isArray(raw.steps) ? raw.steps.map(normalizeApprovalStep) : [],
+  };
+}
+
+// Collections are normalized item by item; single records as a whole.
+const NORMALIZERS = {
+  [RESOURCES.NEWS]: { collection: true, normalize: normalizeNewsItem },
+  [RESOURCES.EVENTS]: { collection: true, normalize: normalizeEvent },
+  [RESOURCES.EMPLOYEES]: { collection: true, normalize: normalizeEmployee },
+  [RESOURCES.QUICK_LINKS]: { collection: true, normalize: normalizeQuickLink },
+  [RESOURCES.TEAM_UPDATES]: { collection: true, normalize: normalizeTeamUpdate },
+  [RESOURCES.PERSONAL_BRIEFING]: { collection: false, normalize: normalizePersonalBriefing },
+  [RESOURCES.EMPLOYEE_SPOTLIGHT]: { collection: true, acceptsRecord: true, normalize: normalizeEmployeeSpotlight },
+  [RESOURCES.REQUESTS]: { collection: true, normalize: normalizeRequest },
+  [RESOURCES.OFFICES]: { collection: true, normalize: normalizeOffice },
+};
+
+/**
+ * Normalizes a raw payload for the given resource.
+ * Unknown resources are passed through untouched.
+ * @param {string} resource - One of RESOURCES.
+ * @param {any} payload - Raw payload from a data source.
+ * @returns {any} The payload in canonical form.
+ * @throws {Error} If the payload doesn't have the expected shape.
+ */
+export function normalize(resource, payload) {
+  const entry = NORMALIZERS[resource];
+  if (!entry) return payload;
+
+  if (entry.collection) {
+    if (entry.acceptsRecord && payload && typeof payload === 'object' && !Array.isArray(payload)) {
+      return [entry.normalize(payload)]; // An older payload: the one record, not yet a list
+    }
+    if (!Array.isArray(payload)) {
+      throw new Error(`[Normalizers] Expected an array for "${resource}", got ${typeof payload}.`);
+    }
+    return payload.map(entry.normalize);
+  }
+
+  if (!payload || typeof payload !== 'object') {
+    throw new Error(`[Normalizers] Expected an object for "${resource}", got ${typeof payload}.`);
+  }
+  return entry.normalize(payload);
+}
@@ -0,0 +1,234 @@
+// src/js/modules/offlineQueue.js
+
+/**
+ * ConnectHub Intranet - Offline Action Queue
+ *
+ * Lets employees keep working when the connection drops: actions that change data
+ * (posting a shout-out, reacting, submitting a form...) are submitted through the
+ * queue. Online, they run right away; offline, or when they fail because the server
+ * can't be reached, they are saved in localStorage and replayed in order as soon as
+ * the browser reports it is back online (or on the next visit).
+ *
+ * Actions are stored as plain data, { id, type, payload, queuedAt }; the code that
+ * sends them is registered per type with register(), so a queued action survives a
+ * reload and is replayed once the feature that owns it has registered its handler.
+ * Handlers receive the action's `id`, which stays the same across attempts, to use
+ * as an idempotency key: an action may be sent again if the page closes mid-request.
+ *
+ * Failures that won't fix themselves (validation errors, 4xx, or anything a handler
+ * throws that isn't a DataServiceError, such as a bug in the handler) are not retried:
+ * the action is dropped and reported to subscribers in `failed`.
+ */
+
+import { DataServiceError } from './errors.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('OfflineQueue');
+
+const DEFAULT_STORAGE_KEY = 'connecthub:offline-queue';
+const LOCK_NAME = 'connecthub:offline-queue'; // Keeps two tabs from replaying the same actions
+
+function getLocalStorage() {
+  try {
+    return typeof window !== 'undefined' ? window.localStorage : null;
+  } catch (error) {
+    return null; // Access can throw when storage is disabled
+  }
+}
+
+const browserIsOnline = () => typeof navigator === 'undefined' || navigator.onLine !== false;
+
+/**
+ * Whether a failed action should stay queued: the network or the server was the
+ * problem, not the action itself. Only the data service's errors count; it wraps
+ * fetch() failures, so any other error comes from the handler's own code.
+ * @param {any} error
+ * @returns {boolean}
+ */
+export function isConnectivityError(error) {
+  if (!(error instanceof DataServiceError)) return false;
+  if (!browserIsOnline()) return true;
+  return error.isRetryable;
+}
+
+/**
+ * Creates an offline action queue.
+ * @param {object} [options]
+ * @param {Storage|null} [options.storage=localStorage] - Pass null to queue in memory only.
+ * @param {string} [options.key='connecthub:offline-queue']
+ * @param {Function} [options.isOnline] - Returns whether the browser is online; defaults to navigator.onLine.
+ */
+export function createOfflineQueue({ storage = getLocalStorage(), key = DEFAULT_STORAGE_KEY, isOnline = browserIsOnline } = {}) {
+  const handlers = new Map();
+  const listeners = new Set();
+  let memory = [];
+  let failed = [];
+  let replaying = null;
+
+  function read() {
+    if (!storage) return memory;
+    try {
+      const actions = JSON.parse(storage.getItem(key) || '[]');
+      return Array.isArray(actions) ? actions : [];
+    } catch (error) {
+      log.warn('Saved actions could not be read and were discarded.', error);
+      return [];
+    }
+  }
+
+  function write(actions) {
+    memory = actions;
+    if (storage) {
+      try {
+        storage.setItem(key, JSON.stringify(actions));
+      } catch (error) {
+        log.warn('Actions could not be saved; they will be lost if the page closes.', error);
+      }
+    }
+    notify();
+  }
+
+  function notify() {
+    const state = { pending: read(), failed, replaying: Boolean(replaying), online: isOnline() };
+    listeners.forEach(listener => {
+      try {
+        listener(state);
+      } catch (error) {
+        log.error('Listener failed:', error);
+      }
+    });
+  }
+
+  function remove(id) {
+    write(read().filter(action => action.id !== id));
+  }
+
+  function createId() {
+    const random = typeof crypto !== 'undefined' && crypto.randomUUID
+      ? crypto.randomUUID()
+      : Math.random().toString(36).slice(2);
+    return `action-${random}`;
+  }
+
+  // Runs `task` while holding a cross-tab lock, where the browser supports one.
+  function withLock(task) {
+    if (typeof navigator !== 'undefined' && navigator.locks) {
+      return navigator.locks.request(LOCK_NAME, task);
+    }
+    return task();
+  }
+
+  async function replayQueued() {
+    const summary = { sent: 0, failed: 0, remaining: 0 };
+    // Re-read before every action: another tab may have sent some of them already.
+    for (let action = read()[0]; action && isOnline(); action = read()[0]) {
+      const handler = handlers.get(action.type);
+      if (!handler) break; // Keep the order: wait until its feature registers a handler
+
+      try {
+        await handler(action.payload, { id: action.id, replayed: true });
+        summary.sent += 1;
+        remove(action.id);
+      } catch (error) {
+        if (isConnectivityError(error)) break; // Still offline in practice; try again later
+        log.error(`Dropping queued "${action.type}" action:`, error);
+        summary.failed += 1;
+        failed = [...failed, { action, error }];
+        remove(action.id);
+      }
+    }
+    summary.remaining = read().length;
+    return summary;
+  }
+
+  /**
+   * Sends the queued actions, oldest first. Stops at the first connectivity failure.
+   * Concurrent calls share one run.
+   * @returns {Promise<{ sent: number, failed: number, remaining: number }>}
+   */
+  function replay() {
+    if (!replaying) {
+      replaying = withLock(replayQueued).finally(() => {
+        replaying = null;
+        notify();
+      });
+      notify();
+    }
+    return replaying;
+  }
+
+  if (typeof window !== 'undefined') {
+    window.addEventListener('online', () => replay());
+    window.addEventListener('offline', notify);
+    if (storage) {
+      window.addEventListener('storage', (e) => {
+        if (e.key === key && e.storageArea === storage) notify();
+      });
+    }
+  }
+
+  return {
+    /**
+     * Registers the function that sends actions of a type, and replays any waiting ones.
+     * @param {string} type - e.g. 'shoutout:create'.
+     * @param {Function} handler - (payload, { id, replayed }) => Promise; rejects on failure.
+     * @returns {Function} Unregister function.
+     */
+    register(type, handler) {
+      handlers.set(type, handler);
+      if (read().length > 0 && isOnline()) replay();
+      return () => {
+        if (handlers.get(type) === handler) handlers.delete(type);
+      };
+    },
+
+    /**
+     * Runs an action now if possible, or queues it for later.
+     * Failures other than connectivity problems reject as usual, and nothing is queued.
+     * @param {string} type - A registered action type.
+     * @param {any} payload - JSON-serializable action data.
+     * @returns {Promise<{ id: string, queued: boolean, result?: any }>}
+     */
+    async submit(type, payload) {
+      const handler = handlers.get(type);
+      if (!handler) throw new Error(`[OfflineQueue] No handler registered for "${type}".`);
+      const action = { id: createId(), type, payload, queuedAt: new Date().toISOString() };
+
+      // Queued actions go first, so that e.g. a comment never overtakes its post.
+      if (isOnline() && read().length === 0) {
+        try {
+          const result = await handler(payload, { id: action.id, replayed: false });
+          return { id: action.id, queued: false, result };
+        } catch (error) {
+          if (!isConnectivityError(error)) throw error;
+        }
+      }
+      write([...read(), action]);
+      if (isOnline()) replay();
+      return { id: action.id, queued: true };
+    },
+
+    replay,
+
+    /** @returns {Array<object>} Actions waiting to be sent, oldest first. */
+    pending: () => read(),
+
+    /** Forgets the dropped actions reported in `failed`. */
+    clearFailed() {
+      failed = [];
+      notify();
+    },
+
+    /**
+     * @param {Function} listener - Called with { pending, failed, replaying, online } on every change.
+     * @returns {Function} Unsubscribe function.
+     */
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+}
+
+/** The queue shared by the intranet's widgets. */
+export const offlineQueue = createOfflineQueue();
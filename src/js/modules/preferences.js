@@ -0,0 +1,341 @@
+// src/js/modules/preferences.js
+
+/**
+ * ConnectHub Intranet - Preferences Module
+ *
+ * Stores each employee's dashboard preferences in localStorage:
+ * - Widget order, visibility, collapsed state and size ('half' or 'full' width).
+ * - Quick links they pinned on top of the company defaults.
+ * - The news category shown by default.
+ * - Their language and temperature unit (see i18n.js). These are personal: they are
+ *   left out of exported layouts and kept when a layout is imported or reset.
+ *
+ * The stored object carries a schema `version`. Anything older is upgraded step by
+ * step through MIGRATIONS, and every load or import is sanitized against the current
+ * widget list: unknown widgets are dropped, new widgets are appended with their
+ * defaults, and pinned links with unsafe URLs (e.g. javascript:) are discarded.
+ * This matters for import: a shared preset is untrusted input.
+ *
+ * Schema (version 1):
+ * {
+ *   version: 1,
+ *   widgets: [{ id: 'news', hidden: false, collapsed: false, size: 'full' }, ...], // In display order
+ *   pinnedLinks: [{ id: 'pin-1', title: 'Team wiki', url: 'https://...', icon: 'fas fa-thumbtack' }],
+ *   newsCategory: 'all',
+ *   locale: null, // A SUPPORTED_LOCALES code; null follows the browser
+ *   temperatureUnit: 'auto' // Or 'celsius' / 'fahrenheit'
+ * }
+ */
+
+import { isSafeUrl } from './markdown.js';
+import { t, SUPPORTED_LOCALES, TEMPERATURE_UNITS } from './i18n.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('Preferences');
+
+export const PREFERENCES_VERSION = 1;
+export const WIDGET_SIZES = Object.freeze(['half', 'full']);
+export const MAX_PINNED_LINKS = 12;
+
+const DEFAULT_STORAGE_KEY = 'connecthub:preferences';
+const DEFAULT_PIN_ICON = 'fas fa-thumbtack';
+const ICON_PATTERN = /^fa[srb]? fa-[a-z0-9-]+$/;
+const MAX_TITLE_LENGTH = 60;
+
+/**
+ * Upgrades stored preferences one version at a time: MIGRATIONS[n] turns version n into n + 1.
+ */
+const MIGRATIONS = {
+  // Version 0 is an unversioned preset, as a team lead might write by hand:
+  // a plain array of widget ids, or { order: [...], hidden: [...], collapsed: [...] }
+  // (a version 1 object that just lacks `version` is accepted too).
+  0: (raw) => {
+    const legacy = Array.isArray(raw) ? { order: raw } : raw;
+    const listed = (name) => (Array.isArray(legacy[name]) ? legacy[name] : []);
+    return {
+      version: 1,
+      widgets: Array.isArray(legacy.widgets) ? legacy.widgets : listed('order').map(id => ({
+        id,
+        hidden: listed('hidden').includes(id),
+        collapsed: listed('collapsed').includes(id),
+      })),
+      pinnedLinks: listed('pinnedLinks'),
+      newsCategory: legacy.newsCategory,
+    };
+  },
+};
+
+function getLocalStorage() {
+  try {
+    return typeof window !== 'undefined' ? window.localStorage : null;
+  } catch (error) {
+    return null; // Access can throw when storage is disabled (e.g. strict privacy settings)
+  }
+}
+
+/**
+ * Default preferences for the given widgets.
+ * @param {Array<{ id: string, size?: string }>} widgets - The dashboard widget registry, in default order.
+ * @returns {object}
+ */
+export function defaultPreferences(widgets) {
+  return {
+    version: PREFERENCES_VERSION,
+    widgets: widgets.map(widget => ({ id: widget.id, hidden: false, collapsed: false, size: widget.size || 'half' })),
+    pinnedLinks: [],
+    newsCategory: 'all',
+    locale: null,
+    temperatureUnit: 'auto',
+  };
+}
+
+/**
+ * Brings raw stored or imported preferences up to the current schema version.
+ * @param {any} raw
+ * @returns {object}
+ * @throws {Error} If the data isn't preferences at all, or comes from a newer version.
+ *   Messages are written for display to the user.
+ */
+export function migratePreferences(raw) {
+  if (!raw || typeof raw !== 'object') {
+    throw new Error(t('preferences.notLayout'));
+  }
+  let version = Array.isArray(raw) ? 0 : Number(raw.version || 0);
+  if (!Number.isInteger(version) || version < 0) {
+    throw new Error(t('preferences.unknownVersion', { version: String(raw.version) }));
+  }
+  if (version > PREFERENCES_VERSION) {
+    throw new Error(t('preferences.newerVersion', { version }));
+  }
+
+  let migrated = raw;
+  while (version < PREFERENCES_VERSION) {
+    migrated = MIGRATIONS[version](migrated);
+    version++;
+  }
+  return migrated;
+}
+
+function sanitizePinnedLinks(links) {
+  const seen = new Set();
+  const result = [];
+  (Array.isArray(links) ? links : []).forEach((link, index) => {
+    if (!link || !isSafeUrl(link.url) || result.length >= MAX_PINNED_LINKS) return;
+    const url = link.url.trim();
+    const title = String(link.title || url).trim().slice(0, MAX_TITLE_LENGTH);
+    let id = typeof link.id === 'string' && link.id ? link.id : `pin-${index + 1}`;
+    while (seen.has(id)) id = `${id}-1`;
+    seen.add(id);
+    result.push({ id, title, url, icon: ICON_PATTERN.test(link.icon) ? link.icon : DEFAULT_PIN_ICON });
+  });
+  return result;
+}
+
+/**
+ * Makes preferences (at the current version) consistent with the widget registry.
+ * @param {object} preferences
+ * @param {Array<{ id: string, size?: string }>} widgets
+ * @returns {object} A new, valid preferences object.
+ */
+export function sanitizePreferences(preferences, widgets) {
+  const defaults = defaultPreferences(widgets);
+  const defaultsById = new Map(defaults.widgets.map(widget => [widget.id, widget]));
+  const placed = new Set();
+
+  const ordered = [];
+  (Array.isArray(preferences.widgets) ? preferences.widgets : []).forEach(widget => {
+    if (!widget || !defaultsById.has(widget.id) || placed.has(widget.id)) return;
+    const fallback = defaultsById.get(widget.id);
+    placed.add(widget.id);
+    ordered.push({
+      id: widget.id,
+      hidden: typeof widget.hidden === 'boolean' ? widget.hidden : fallback.hidden,
+      collapsed: typeof widget.collapsed === 'boolean' ? widget.collapsed : fallback.collapsed,
+      size: WIDGET_SIZES.includes(widget.size) ? widget.size : fallback.size,
+    });
+  });
+  // Widgets added to the dashboard after these preferences were saved
+  defaults.widgets.forEach(widget => {
+    if (!placed.has(widget.id)) ordered.push(widget);
+  });
+
+  return {
+    version: PREFERENCES_VERSION,
+    widgets: ordered,
+    pinnedLinks: sanitizePinnedLinks(preferences.pinnedLinks),
+    newsCategory: typeof preferences.newsCategory === 'string' && preferences.newsCategory.trim()
+      ? preferences.newsCategory.trim().toLowerCase()
+      : defaults.newsCategory,
+    locale: SUPPORTED_LOCALES.some(entry => entry.code === preferences.locale) ? preferences.locale : defaults.locale,
+    temperatureUnit: TEMPERATURE_UNITS.includes(preferences.temperatureUnit) ? preferences.temperatureUnit : defaults.temperatureUnit,
+  };
+}
+
+/**
+ * Moves a widget `offset` places up (negative) or down (positive) in the order.
+ * @param {object} preferences
+ * @param {string} widgetId
+ * @param {number} offset
+ * @returns {object} New preferences.
+ */
+export function moveWidget(preferences, widgetId, offset) {
+  const widgets = [...preferences.widgets];
+  const from = widgets.findIndex(widget => widget.id === widgetId);
+  const to = Math.min(Math.max(from + offset, 0), widgets.length - 1);
+  if (from === -1 || from === to) return preferences;
+  const [widget] = widgets.splice(from, 1);
+  widgets.splice(to, 0, widget);
+  return { ...preferences, widgets };
+}
+
+/**
+ * Changes one widget's options, e.g. updateWidget(prefs, 'news', { collapsed: true }).
+ * @param {object} preferences
+ * @param {string} widgetId
+ * @param {{ hidden?: boolean, collapsed?: boolean, size?: string }} changes
+ * @returns {object} New preferences.
+ */
+export function updateWidget(preferences, widgetId, changes) {
+  return {
+    ...preferences,
+    widgets: preferences.widgets.map(widget => (widget.id === widgetId ? { ...widget, ...changes } : widget)),
+  };
+}
+
+/**
+ * Pins a quick link. Links beyond MAX_PINNED_LINKS or with unsafe URLs are rejected.
+ * @param {object} preferences
+ * @param {{ title: string, url: string, icon?: string }} link
+ * @returns {object} New preferences.
+ * @throws {Error} If the link can't be pinned (message is shown to the user).
+ */
+export function addPinnedLink(preferences, link) {
+  if (!isSafeUrl(link.url)) {
+    throw new Error(t('preferences.unsafeUrl'));
+  }
+  if (preferences.pinnedLinks.length >= MAX_PINNED_LINKS) {
+    throw new Error(t('preferences.tooManyLinks', { count: MAX_PINNED_LINKS }));
+  }
+  const taken = new Set(preferences.pinnedLinks.map(pinned => pinned.id));
+  let number = preferences.pinnedLinks.length + 1;
+  while (taken.has(`pin-${number}`)) number++;
+  return { ...preferences, pinnedLinks: [...preferences.pinnedLinks, { ...link, id: `pin-${number}` }] };
+}
+
+/**
+ * @param {object} preferences
+ * @param {string} linkId
+ * @returns {object} New preferences without that pinned link.
+ */
+export function removePinnedLink(preferences, linkId) {
+  return { ...preferences, pinnedLinks: preferences.pinnedLinks.filter(link => link.id !== linkId) };
+}
+
+/**
+ * Creates a preferences store backed by localStorage.
+ * Changes made in other tabs are picked up through the `storage` event.
+ * @param {object} options
+ * @param {Array<{ id: string, size?: string }>} options.widgets - The dashboard widget registry.
+ * @param {Storage|null} [options.storage=localStorage] - Pass null to keep preferences in memory only.
+ * @param {string} [options.key='connecthub:preferences']
+ */
+export function createPreferencesStore({ widgets, storage = getLocalStorage(), key = DEFAULT_STORAGE_KEY }) {
+  const listeners = new Set();
+
+  function parse(text) {
+    return sanitizePreferences(migratePreferences(JSON.parse(text)), widgets);
+  }
+
+  function load() {
+    if (!storage) return defaultPreferences(widgets);
+    try {
+      const text = storage.getItem(key);
+      return text ? parse(text) : defaultPreferences(widgets);
+    } catch (error) {
+      log.warn('Stored preferences could not be read; using defaults.', error);
+      return defaultPreferences(widgets);
+    }
+  }
+
+  function save() {
+    if (!storage) return;
+    try {
+      storage.setItem(key, JSON.stringify(current));
+    } catch (error) {
+      // Quota exceeded or storage disabled: preferences last for this visit only.
+      log.warn('Preferences could not be saved.', error);
+    }
+  }
+
+  function commit(next) {
+    current = sanitizePreferences(next, widgets);
+    save();
+    listeners.forEach(listener => {
+      try {
+        listener(current);
+      } catch (error) {
+        log.error('Listener failed:', error);
+      }
+    });
+    return current;
+  }
+
+  let current = load();
+
+  // Language settings belong to the employee, not to the layout.
+  const personal = () => ({ locale: current.locale, temperatureUnit: current.temperatureUnit });
+
+  if (storage && typeof window !== 'undefined') {
+    window.addEventListener('storage', (e) => {
+      if (e.key !== key || e.storageArea !== storage) return;
+      current = load();
+      listeners.forEach(listener => listener(current));
+    });
+  }
+
+  return {
+    /** @returns {object} The current preferences. Treat as read-only; use update(). */
+    get: () => current,
+
+    /**
+     * Applies a change and persists it.
+     * @param {Function} updater - Receives the current preferences and returns new ones.
+     * @returns {object} The saved preferences.
+     */
+    update: (updater) => commit(updater(current)),
+
+    /** Restores the default layout. */
+    reset: () => commit({ ...defaultPreferences(widgets), ...personal() }),
+
+    /**
+     * @param {Function} listener - Called with the preferences after every change.
+     * @returns {Function} Unsubscribe function.
+     */
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    /** @returns {string} The preferences as JSON, to share as a preset. */
+    exportJson() {
+      const { locale, temperatureUnit, ...layout } = current;
+      return JSON.stringify({ ...layout, exportedAt: new Date().toISOString() }, null, 2);
+    },
+
+    /**
+     * Replaces the preferences with an exported (or hand-written) preset.
+     * @param {string} text - JSON.
+     * @returns {object} The imported preferences.
+     * @throws {Error} If the text isn't valid preferences JSON.
+     */
+    importJson(text) {
+      let raw;
+      try {
+        raw = JSON.parse(text);
+      } catch (error) {
+        throw new Error(t('preferences.invalidJson'));
+      }
+      return commit({ ...migratePreferences(raw), ...personal() });
+    },
+  };
+}
@@ -0,0 +1,72 @@
+// src/js/modules/publishing.js
+
+/**
+ * ConnectHub Intranet - Publishing
+ *
+ * News, events, quick links and spotlight entries go through a draft/publish
+ * workflow (see the admin console, views/adminContentView.js). Every item carries
+ *
+ *   "status": "draft" | "published" | "archived"
+ *   "publishAt": "2025-08-01"   // Optional: not shown before this day
+ *   "expireAt": "2025-08-15"    // Optional: taken down on this day
+ *
+ * An item is live when it is published and today falls in that window; only live
+ * items reach employees (the data service filters the rest out). Items written before
+ * the workflow existed have no status and count as published.
+ */
+
+import { todayIso } from './formSchema.js';
+
+export const PUBLISH_STATUSES = Object.freeze({
+  DRAFT: 'draft',
+  PUBLISHED: 'published',
+  ARCHIVED: 'archived',
+});
+
+/**
+ * Where an item stands, for the console: its status, with published items split
+ * by their dates.
+ */
+export const PUBLICATION_STATES = Object.freeze({
+  DRAFT: 'draft',
+  SCHEDULED: 'scheduled',
+  LIVE: 'live',
+  EXPIRED: 'expired',
+  ARCHIVED: 'archived',
+});
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const toDate = (value) => (typeof value === 'string' && ISO_DATE_PATTERN.test(value.slice(0, 10)) ? value.slice(0, 10) : null);
+
+/**
+ * The publishing fields of a raw item, cleaned up.
+ * @param {object} raw
+ * @returns {{ status: string, publishAt: string|null, expireAt: string|null }}
+ */
+export function normalizePublication(raw) {
+  const status = Object.values(PUBLISH_STATUSES).includes(raw.status) ? raw.status : PUBLISH_STATUSES.PUBLISHED;
+  return { status, publishAt: toDate(raw.publishAt), expireAt: toDate(raw.expireAt) };
+}
+
+/**
+ * @param {{ status: string, publishAt: string|null, expireAt: string|null }} item
+ * @param {string} [today=todayIso()] - 'YYYY-MM-DD'.
+ * @returns {string} One of PUBLICATION_STATES.
+ */
+export function publicationState(item, today = todayIso()) {
+  if (item.status === PUBLISH_STATUSES.DRAFT) return PUBLICATION_STATES.DRAFT;
+  if (item.status === PUBLISH_STATUSES.ARCHIVED) return PUBLICATION_STATES.ARCHIVED;
+  if (item.publishAt && item.publishAt > today) return PUBLICATION_STATES.SCHEDULED;
+  if (item.expireAt && item.expireAt <= today) return PUBLICATION_STATES.EXPIRED;
+  return PUBLICATION_STATES.LIVE;
+}
+
+/**
+ * Whether employees should see an item today.
+ * @param {object} item
+ * @param {string} [today=todayIso()]
+ * @returns {boolean}
+ */
+export function isLive(item, today = todayIso()) {
+  return publicationState(item, today) === PUBLICATION_STATES.LIVE;
+}
@@ -0,0 +1,334 @@
+// src/js/modules/realtime.js
+
+/**
+ * ConnectHub Intranet - Realtime Channel
+ *
+ * Keeps a connection to the server's push channel open and hands every change it
+ * announces to the subscribers for that resource. Changes are JSON messages:
+ *
+ *   { "type": "created" | "updated", "resource": "news", "item": { ...the whole record } }
+ *   { "type": "deleted", "resource": "news", "id": "news-7" }
+ *
+ * A channel tries its transports in order (normally a WebSocket, then Server-Sent
+ * Events for networks whose proxies block WebSockets) and keeps using the first one
+ * that opens. A dropped connection is retried with exponential backoff, and straight
+ * away when the browser comes back online. The backoff only starts over once a
+ * connection has delivered a message or stayed open for a while, so a server that
+ * accepts connections and drops them straight away isn't retried every second.
+ *
+ * A transport is { name, connect({ onOpen, onMessage, onClose }) } -> { close() }.
+ * It calls onClose(error) at most once, and not after close() has been called.
+ *
+ * Configure the channel in the page config (see createChannelFromConfig):
+ *   window.CONNECTHUB_CONFIG = { realtime: { url: 'wss://...', sseUrl: 'https://...' } };
+ *   window.CONNECTHUB_CONFIG = { realtime: 'mock' }; // Development, see realtimeMock.js
+ */
+
+import { backoffDelay } from './requestPolicy.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('Realtime');
+
+export const CHANGE_TYPES = Object.freeze({
+  CREATED: 'created',
+  UPDATED: 'updated',
+  DELETED: 'deleted',
+});
+
+export const CHANNEL_STATUSES = Object.freeze({
+  CONNECTING: 'connecting',
+  OPEN: 'open',
+  RECONNECTING: 'reconnecting',
+  CLOSED: 'closed',
+});
+
+export const DEFAULT_RECONNECT_POLICY = Object.freeze({ baseDelay: 1000, maxDelay: 60 * 1000 });
+
+/** How long a connection has to stay open, without a message, before the backoff starts over. */
+export const DEFAULT_STABLE_AFTER = 30 * 1000;
+
+/** Subscribe to this instead of a resource name to receive every change. */
+export const ALL_RESOURCES = '*';
+
+/**
+ * Parses a pushed message and checks that it describes a change.
+ * @param {string|object} data - The message, as text or already parsed.
+ * @returns {{ type: string, resource: string, id: string, item?: object }|null} null if it isn't a valid change.
+ */
+export function parseChange(data) {
+  let message = data;
+  if (typeof data === 'string') {
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      return null;
+    }
+  }
+  if (!message || typeof message !== 'object' || typeof message.resource !== 'string') return null;
+
+  const { type, resource, item } = message;
+  if (type === CHANGE_TYPES.DELETED) {
+    const id = message.id ?? (item && item.id);
+    return id === undefined || id === null ? null : { type, resource, id: String(id) };
+  }
+  if ((type === CHANGE_TYPES.CREATED || type === CHANGE_TYPES.UPDATED)
+    && item && typeof item === 'object' && item.id !== undefined && item.id !== null) {
+    return { type, resource, id: String(item.id), item };
+  }
+  return null;
+}
+
+/**
+ * A WebSocket transport.
+ * @param {string} url - e.g. 'wss://intranet.example.com/realtime'
+ */
+export function createWebSocketTransport(url) {
+  return {
+    name: 'websocket',
+    connect({ onOpen, onMessage, onClose }) {
+      const socket = new WebSocket(url);
+      let closed = false;
+      const finish = (error) => {
+        if (closed) return;
+        closed = true;
+        socket.close();
+        onClose(error);
+      };
+      socket.onopen = () => onOpen();
+      socket.onmessage = (event) => onMessage(event.data);
+      socket.onerror = () => finish(new Error(`[Realtime] WebSocket error on ${url}.`));
+      socket.onclose = (event) => finish(new Error(`[Realtime] WebSocket closed (${event.code}).`));
+      return {
+        close() {
+          closed = true;
+          socket.close();
+        },
+      };
+    },
+  };
+}
+
+/**
+ * A Server-Sent Events transport. EventSource reconnects on its own; here the
+ * stream is closed on the first error instead, so that the channel's backoff applies.
+ * @param {string} url - e.g. 'https://intranet.example.com/api/v1/stream'
+ */
+export function createEventSourceTransport(url) {
+  return {
+    name: 'sse',
+    connect({ onOpen, onMessage, onClose }) {
+      const source = new EventSource(url);
+      let closed = false;
+      source.onopen = () => onOpen();
+      source.onmessage = (event) => onMessage(event.data);
+      source.onerror = () => {
+        if (closed) return;
+        closed = true;
+        source.close();
+        onClose(new Error(`[Realtime] Lost the event stream at ${url}.`));
+      };
+      return {
+        close() {
+          closed = true;
+          source.close();
+        },
+      };
+    },
+  };
+}
+
+/**
+ * Creates a channel over the given transports. It stays closed until connect().
+ * @param {object[]} transports - Tried in order; see the module comment.
+ * @param {object} [options]
+ * @param {{ baseDelay: number, maxDelay: number }} [options.reconnect=DEFAULT_RECONNECT_POLICY]
+ * @param {number} [options.stableAfter=DEFAULT_STABLE_AFTER] - Milliseconds open before the backoff starts over.
+ * @returns {{ connect: Function, disconnect: Function, subscribe: Function, onStatusChange: Function, getStatus: Function }}
+ */
+export function createRealtimeChannel(transports, { reconnect = DEFAULT_RECONNECT_POLICY, stableAfter = DEFAULT_STABLE_AFTER } = {}) {
+  if (!Array.isArray(transports) || transports.length === 0) {
+    throw new TypeError('[Realtime] A channel needs at least one transport.');
+  }
+
+  const listeners = new Map(); // resource -> Set of listeners
+  const statusListeners = new Set();
+  let status = CHANNEL_STATUSES.CLOSED;
+  let running = false;
+  let connection = null;
+  let preferred = 0; // Index of the transport that opened last
+  let attempt = 0; // Failed rounds since a connection last proved stable
+  let hasOpened = false;
+  let retryTimer = null;
+  let stableTimer = null;
+
+  function setStatus(next, details = {}) {
+    status = next;
+    statusListeners.forEach(listener => {
+      try {
+        listener({ status, ...details });
+      } catch (error) {
+        log.error('Status listener failed:', error);
+      }
+    });
+  }
+
+  function dispatch(data) {
+    const change = parseChange(data);
+    if (!change) {
+      log.warn('Ignoring a message that is not a change:', data);
+      return;
+    }
+    [listeners.get(change.resource), listeners.get(ALL_RESOURCES)].forEach(set => {
+      if (!set) return;
+      set.forEach(listener => {
+        try {
+          listener(structuredClone(change));
+        } catch (error) {
+          log.error(`Listener for ${change.resource} failed:`, error);
+        }
+      });
+    });
+  }
+
+  function markStable() {
+    clearTimeout(stableTimer);
+    stableTimer = null;
+    attempt = 0;
+  }
+
+  function scheduleReconnect() {
+    attempt++;
+    setStatus(CHANNEL_STATUSES.RECONNECTING, { attempt });
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) return; // The 'online' event reconnects
+    const delay = backoffDelay(attempt, reconnect);
+    log.warn(`Disconnected; reconnecting in ${Math.round(delay)} ms (attempt ${attempt}).`);
+    retryTimer = setTimeout(() => {
+      retryTimer = null;
+      tryTransport(0);
+    }, delay);
+  }
+
+  // Tries the transports in order, starting with the one that worked last time.
+  // One that fails before opening hands over to the next; once all have failed, back off.
+  function tryTransport(offset) {
+    const index = (preferred + offset) % transports.length;
+    const transport = transports[index];
+    let opened = false;
+
+    const onClose = (error) => {
+      connection = null;
+      clearTimeout(stableTimer);
+      stableTimer = null;
+      if (!running) return;
+      if (!opened && offset + 1 < transports.length) {
+        log.warn(`${transport.name} failed (${error && error.message}); trying ${transports[(index + 1) % transports.length].name}.`);
+        tryTransport(offset + 1);
+        return;
+      }
+      scheduleReconnect();
+    };
+
+    try {
+      connection = transport.connect({
+        onOpen() {
+          opened = true;
+          preferred = index;
+          stableTimer = setTimeout(markStable, stableAfter);
+          const reconnected = hasOpened;
+          hasOpened = true;
+          log.info(`Connected over ${transport.name}.`);
+          setStatus(CHANNEL_STATUSES.OPEN, { transport: transport.name, reconnected });
+        },
+        onMessage(data) {
+          markStable();
+          dispatch(data);
+        },
+        onClose,
+      });
+    } catch (error) {
+      onClose(error); // e.g. the browser has no WebSocket, or the URL is invalid
+    }
+  }
+
+  function onOnline() {
+    if (!running || connection) return;
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    tryTransport(0);
+  }
+
+  return {
+    /** Opens the channel; it then stays open (reconnecting as needed) until disconnect(). */
+    connect() {
+      if (running) return;
+      running = true;
+      if (typeof window !== 'undefined') window.addEventListener('online', onOnline);
+      setStatus(CHANNEL_STATUSES.CONNECTING);
+      tryTransport(0);
+    },
+
+    disconnect() {
+      if (!running) return;
+      running = false;
+      clearTimeout(retryTimer);
+      retryTimer = null;
+      clearTimeout(stableTimer);
+      stableTimer = null;
+      if (connection) connection.close();
+      connection = null;
+      if (typeof window !== 'undefined') window.removeEventListener('online', onOnline);
+      setStatus(CHANNEL_STATUSES.CLOSED);
+    },
+
+    /**
+     * Subscribes to changes to one resource, or to ALL_RESOURCES.
+     * @param {string} resource
+     * @param {Function} listener - Called with the parsed change.
+     * @returns {Function} Unsubscribe function.
+     */
+    subscribe(resource, listener) {
+      if (!listeners.has(resource)) listeners.set(resource, new Set());
+      listeners.get(resource).add(listener);
+      return () => listeners.get(resource).delete(listener);
+    },
+
+    /**
+     * Subscribes to connection changes.
+     * @param {Function} listener - Called with { status, transport?, reconnected?, attempt? };
+     *   `reconnected` is true when the channel opens again after a drop, when changes may have been missed.
+     * @returns {Function} Unsubscribe function.
+     */
+    onStatusChange(listener) {
+      statusListeners.add(listener);
+      return () => statusListeners.delete(listener);
+    },
+
+    getStatus: () => status,
+  };
+}
+
+/**
+ * Builds the channel described by `CONNECTHUB_CONFIG.realtime`, or null when realtime
+ * updates aren't configured. The mock server is only loaded when asked for.
+ * @param {object} [config=window.CONNECTHUB_CONFIG]
+ * @returns {Promise<object|null>}
+ */
+export async function createChannelFromConfig(config = (typeof window !== 'undefined' && window.CONNECTHUB_CONFIG) || {}) {
+  const settings = config.realtime;
+  if (!settings) return null;
+
+  if (settings === 'mock') {
+    const { createMockRealtimeServer } = await import('./realtimeMock.js');
+    log.info('Using the mock realtime server.');
+    return createRealtimeChannel([createMockRealtimeServer()]);
+  }
+
+  const transports = [];
+  if (settings.url && typeof WebSocket !== 'undefined') transports.push(createWebSocketTransport(settings.url));
+  if (settings.sseUrl && typeof EventSource !== 'undefined') transports.push(createEventSourceTransport(settings.sseUrl));
+  if (transports.length === 0) {
+    log.warn('No usable transport configured; realtime updates are off.');
+    return null;
+  }
+  return createRealtimeChannel(transports, settings.reconnect ? { reconnect: { ...DEFAULT_RECONNECT_POLICY, ...settings.reconnect } } : {});
+}
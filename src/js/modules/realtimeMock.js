@@ -0,0 +1,121 @@
+// src/js/modules/realtimeMock.js
+
+/**
+ * ConnectHub Intranet - Mock Realtime Server
+ *
+ * Stands in for the push server while developing without a backend. It is a channel
+ * transport itself (see realtime.js), so nothing else changes when it is used:
+ *   window.CONNECTHUB_CONFIG = { realtime: 'mock' };
+ *
+ * Every `interval` ms it announces the next change from a short script (a news item,
+ * a shout-out, a new event, then a change to that event), and push() sends any other
+ * change. drop() cuts every connection, to try out reconnecting.
+ *
+ * Nothing is stored: the pushed items only live in the data service's cache, and are
+ * gone once the cache next reloads the JSON files.
+ */
+
+import { CHANGE_TYPES } from './realtime.js';
+import { RESOURCES } from './dataSources.js';
+
+export const DEFAULT_MOCK_INTERVAL = 30 * 1000;
+
+const MOCK_NEWS = [
+  { title: 'New Parking Passes Available at Reception', category: 'Facilities', previewText: 'Passes for the new **north lot** can be collected from reception from Monday.' },
+  { title: 'Quarterly Security Training Now Open', category: 'IT', previewText: 'The refreshed security course takes about 20 minutes. Please finish it by the end of the month.' },
+  { title: 'Wellness Week Schedule Announced', category: 'HR', previewText: 'Yoga, healthy lunches and a step challenge: see the full Wellness Week schedule.' },
+];
+
+const MOCK_SHOUT_OUTS = [
+  { author: 'IT Team', updateText: 'Thanks to everyone who tested the new VPN client this week! 🎉' },
+  { author: 'HR Team', updateText: 'A warm welcome to our three new starters in Customer Success.' },
+  { author: 'Facilities Team', updateText: 'The 3rd floor kitchen is open again. Thanks for your patience!' },
+];
+
+const MOCK_EVENTS = [
+  { title: 'Lunch & Learn: Accessibility Basics', category: 'Learning', time: '12:00 PM - 1:00 PM', location: 'Training Room 2', movedTo: 'Virtual (Microsoft Teams)' },
+  { title: 'Team Trivia Night', category: 'Social', time: '5:30 PM - 7:00 PM', location: 'Cafeteria', movedTo: 'Rooftop Terrace' },
+];
+
+const isoDate = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+const pick = (list, round) => list[round % list.length];
+
+/**
+ * The scripted change for a step: four kinds in turn, with fresh ids every round.
+ * @param {number} step - 0-based.
+ * @param {Date} now
+ * @returns {object} A change message.
+ */
+export function scriptedChange(step, now) {
+  const round = Math.floor(step / 4);
+  const id = round + 1;
+
+  switch (step % 4) {
+    case 0:
+      return { type: CHANGE_TYPES.CREATED, resource: RESOURCES.NEWS, item: { id: `mock-news-${id}`, date: isoDate(now), author: 'Internal Communications', ...pick(MOCK_NEWS, round) } };
+    case 1:
+      return { type: CHANGE_TYPES.CREATED, resource: RESOURCES.TEAM_UPDATES, item: { id: `mock-tu-${id}`, authorId: null, createdAt: now.toISOString(), reactions: [], comments: [], ...pick(MOCK_SHOUT_OUTS, round) } };
+    default: {
+      const { movedTo, ...event } = pick(MOCK_EVENTS, round);
+      const date = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 7);
+      const item = { id: `mock-event-${id}`, date: isoDate(date), description: 'Added by the mock realtime server.', ...event };
+      return step % 4 === 2
+        ? { type: CHANGE_TYPES.CREATED, resource: RESOURCES.EVENTS, item }
+        : { type: CHANGE_TYPES.UPDATED, resource: RESOURCES.EVENTS, item: { ...item, location: movedTo } };
+    }
+  }
+}
+
+/**
+ * Creates the mock server.
+ * @param {object} [options]
+ * @param {number} [options.interval=DEFAULT_MOCK_INTERVAL] - ms between scripted changes; 0 turns them off.
+ * @param {Function} [options.now] - Returns the current Date.
+ * @returns {{ name: string, connect: Function, push: Function, drop: Function }}
+ */
+export function createMockRealtimeServer({ interval = DEFAULT_MOCK_INTERVAL, now = () => new Date() } = {}) {
+  const clients = new Set();
+  let timer = null;
+  let step = 0;
+
+  function send(message) {
+    const data = JSON.stringify(message);
+    clients.forEach(client => client.onMessage(data));
+  }
+
+  function stopScript() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return {
+    name: 'mock',
+
+    connect(client) {
+      clients.add(client);
+      setTimeout(() => { // Opens asynchronously, like a real connection
+        if (clients.has(client)) client.onOpen();
+      }, 0);
+      if (!timer && interval > 0) timer = setInterval(() => send(scriptedChange(step++, now())), interval);
+      return {
+        close() {
+          clients.delete(client);
+          if (clients.size === 0) stopScript();
+        },
+      };
+    },
+
+    /** Sends a change to every connected client. */
+    push(message) {
+      send(message);
+    },
+
+    /** Cuts every connection, as if the network had dropped. */
+    drop() {
+      const dropped = [...clients];
+      clients.clear();
+      stopScript();
+      dropped.forEach(client => client.onClose(new Error('[MockRealtime] Connection dropped.')));
+    },
+  };
+}
@@ -0,0 +1,214 @@
+// src/js/modules/reporter.js
+
+/**
+ * ConnectHub Intranet - Error and Timing Reporter
+ *
+ * Sends error and timing entries from the logger (logger.js) to a collector endpoint,
+ * so failures in employees' browsers show up somewhere other than their console.
+ * Configure it in the page config:
+ *
+ *   window.CONNECTHUB_CONFIG = { logging: { collectorUrl: 'https://intranet.example.com/api/v1/client-logs' } };
+ *
+ * Events are batched: a batch is POSTed as JSON when it reaches `batchSize` events or
+ * `flushInterval` ms after the first one, and with navigator.sendBeacon when the page
+ * is hidden or closed. The body is { context: { url, userAgent, release }, events }.
+ * An event is one of
+ *
+ *   { type: 'error', time, namespace, message, error: { name, message, stack }, details }
+ *   { type: 'timing', time, namespace, name, duration, ...data }   // e.g. fetch, render
+ *
+ * Email addresses and phone numbers are scrubbed from everything sent (scrubPii()).
+ * Reporting is best effort: a batch that can't be delivered is dropped, and nothing
+ * here logs through the logger, which would feed the failure back into the reporter.
+ */
+
+import { addLogSink } from './logger.js';
+
+export const DEFAULT_REPORTER_OPTIONS = Object.freeze({ batchSize: 20, flushInterval: 10 * 1000, maxQueue: 200 });
+
+const EMAIL_PATTERN = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+// Digit runs with separators: '+1 (555) 010-2345', '020 7946 0958'; or dots between
+// groups of 2-4 digits ('555.010.2345'), which versions like '2.14.0' never have
+const PHONE_CANDIDATE = /\+?\(?\d[\d\s()-]{5,}\d|(?<![\d.])\+?\d{2,4}(?:\.\d{2,4}){2,}(?!\.?\d)/g;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const IP_ADDRESS = /^\d{1,3}(?:\.\d{1,3}){3}$/;
+const MAX_DEPTH = 6;
+
+function looksLikePhone(candidate) {
+  const digits = candidate.replace(/\D/g, '').length;
+  if (digits < 7 || digits > 15) return false;
+  const trimmed = candidate.trim();
+  if (trimmed.startsWith('+')) return true;
+  if (ISO_DATE.test(trimmed) || IP_ADDRESS.test(trimmed)) return false;
+  const separators = trimmed.replace(/\d/g, '');
+  // A bare number is an id or a timestamp, and a single dot a decimal
+  return separators !== '' && separators !== '.';
+}
+
+function scrubText(text) {
+  return text
+    .replace(EMAIL_PATTERN, '[email]')
+    .replace(PHONE_CANDIDATE, candidate => (looksLikePhone(candidate) ? '[phone]' : candidate));
+}
+
+/**
+ * Replaces email addresses and phone numbers with '[email]' and '[phone]' in a
+ * string, or in every string of an object or array (copied, not changed in place).
+ * @param {any} value
+ * @returns {any}
+ */
+export function scrubPii(value, depth = 0, ancestors = new WeakSet()) {
+  if (typeof value === 'string') return scrubText(value);
+  if (!value || typeof value !== 'object') return value;
+  if (ancestors.has(value)) return '[Circular]';
+  if (depth >= MAX_DEPTH) return '[Object]';
+  // Only the path down to here counts: an object referenced twice side by side is copied twice
+  ancestors.add(value);
+  const copy = Array.isArray(value)
+    ? value.map(item => scrubPii(item, depth + 1, ancestors))
+    : Object.fromEntries(Object.entries(value).map(([key, item]) => [key, scrubPii(item, depth + 1, ancestors)]));
+  ancestors.delete(value);
+  return copy;
+}
+
+/**
+ * The reporter event for a log entry, or null for entries that aren't reported.
+ * @param {object} entry - A logger entry.
+ * @returns {object|null}
+ */
+export function toReportEvent(entry) {
+  if (entry.timing) {
+    return { type: 'timing', time: entry.time, namespace: entry.namespace, ...entry.timing };
+  }
+  if (entry.level === 'error') {
+    return {
+      type: 'error',
+      time: entry.time,
+      namespace: entry.namespace,
+      message: entry.message,
+      ...(entry.error && { error: entry.error }),
+      ...(entry.details.length > 0 && { details: entry.details }),
+    };
+  }
+  return null;
+}
+
+// JSON.stringify that survives values it can't encode (a bad detail shouldn't lose the batch).
+function toJson(body) {
+  try {
+    return JSON.stringify(body);
+  } catch (error) {
+    return JSON.stringify({ ...body, events: body.events.map(event => ({ ...event, details: undefined })) });
+  }
+}
+
+function defaultContext() {
+  const config = window.CONNECTHUB_CONFIG || {};
+  return {
+    url: window.location.href,
+    userAgent: navigator.userAgent,
+    ...(config.release && { release: config.release }),
+  };
+}
+
+/**
+ * Creates a reporter that forwards the logger's error and timing entries.
+ * @param {object} options
+ * @param {string} options.endpoint - The collector URL.
+ * @param {number} [options.batchSize=20]
+ * @param {number} [options.flushInterval=10000] - In ms.
+ * @param {number} [options.maxQueue=200] - Older events are dropped past this many.
+ * @param {Function} [options.fetch=window.fetch]
+ * @param {Function} [options.sendBeacon=navigator.sendBeacon]
+ * @param {Function} [options.getContext] - Returns the batch context; defaults to the page URL, browser and release.
+ * @returns {{ report: Function, flush: Function, pending: Function, destroy: Function }}
+ */
+export function createReporter({
+  endpoint,
+  batchSize = DEFAULT_REPORTER_OPTIONS.batchSize,
+  flushInterval = DEFAULT_REPORTER_OPTIONS.flushInterval,
+  maxQueue = DEFAULT_REPORTER_OPTIONS.maxQueue,
+  fetch = (...args) => window.fetch(...args),
+  sendBeacon = typeof navigator !== 'undefined' && navigator.sendBeacon ? (...args) => navigator.sendBeacon(...args) : null,
+  getContext = defaultContext,
+} = {}) {
+  if (!endpoint) {
+    throw new TypeError('[Reporter] createReporter needs an endpoint.');
+  }
+  let queue = [];
+  let timer = null;
+
+  function flush({ beacon = false } = {}) {
+    clearTimeout(timer);
+    timer = null;
+    if (queue.length === 0) return Promise.resolve();
+    const body = toJson({ context: scrubPii(getContext()), events: queue });
+    queue = [];
+
+    if (beacon && sendBeacon) {
+      sendBeacon(endpoint, new Blob([body], { type: 'application/json' }));
+      return Promise.resolve();
+    }
+    return Promise.resolve()
+      .then(() => fetch(endpoint, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body, keepalive: true }))
+      .catch(() => { /* Best effort: the batch is dropped */ });
+  }
+
+  /**
+   * Queues an event (scrubbed of PII).
+   * @param {object} event
+   */
+  function report(event) {
+    queue.push(scrubPii(event));
+    if (queue.length > maxQueue) queue.splice(0, queue.length - maxQueue);
+    if (queue.length >= batchSize) {
+      flush();
+    } else if (!timer) {
+      timer = setTimeout(flush, flushInterval);
+    }
+  }
+
+  const removeSink = addLogSink(entry => {
+    const event = toReportEvent(entry);
+    if (event) report(event);
+  });
+
+  // The page may be gone before the timer fires
+  const onHide = () => {
+    if (document.visibilityState === 'hidden') flush({ beacon: true });
+  };
+  const onPageHide = () => flush({ beacon: true });
+  document.addEventListener('visibilitychange', onHide);
+  window.addEventListener('pagehide', onPageHide);
+
+  return {
+    report,
+    flush,
+
+    /** @returns {number} Events waiting to be sent. */
+    pending: () => queue.length,
+
+    destroy() {
+      removeSink();
+      clearTimeout(timer);
+      document.removeEventListener('visibilitychange', onHide);
+      window.removeEventListener('pagehide', onPageHide);
+    },
+  };
+}
+
+/**
+ * Starts the reporter described by `CONNECTHUB_CONFIG.logging`, or returns null when
+ * no collectorUrl is configured.
+ * @param {object} [config=window.CONNECTHUB_CONFIG]
+ * @returns {object|null} The reporter.
+ */
+export function createReporterFromConfig(config = window.CONNECTHUB_CONFIG || {}) {
+  const logging = config.logging || {};
+  if (!logging.collectorUrl) return null;
+  return createReporter({
+    endpoint: logging.collectorUrl,
+    ...(logging.batchSize && { batchSize: logging.batchSize }),
+    ...(logging.flushInterval && { flushInterval: logging.flushInterval }),
+  });
+}
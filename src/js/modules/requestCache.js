@@ -0,0 +1,286 @@
+// src/js/modules/requestCache.js
+
+/**
+ * ConnectHub Intranet - Request Cache Module
+ *
+ * A small two-level cache (memory + sessionStorage) for data service requests.
+ * Features:
+ * - Entries keyed by resource and parameters (see cacheKey()).
+ * - Per-call policies: `ttl` (how long an entry is fresh) and `maxStale` (how much longer
+ *   a stale entry may still be served while it is refreshed in the background).
+ * - In-flight deduplication: concurrent requests for the same key share one promise.
+ *   Each caller may pass its own AbortSignal; aborting rejects only that caller, and the
+ *   shared request itself is cancelled once every caller waiting on it has aborted.
+ * - Stale-while-revalidate: stale entries resolve immediately, and subscribers are told
+ *   when the background refresh brings in new data.
+ * - Explicit invalidation by key or resource, and in-place updates (update()).
+ *
+ * sessionStorage is optional: if it is unavailable or full, the cache silently
+ * falls back to memory only.
+ */
+
+import { createLogger } from './logger.js';
+
+const log = createLogger('RequestCache');
+
+const DEFAULT_POLICY = { ttl: 60 * 1000, maxStale: 5 * 60 * 1000 };
+
+function getSessionStorage() {
+  try {
+    return typeof window !== 'undefined' ? window.sessionStorage : null;
+  } catch (error) {
+    return null; // Access can throw when storage is disabled (e.g. strict privacy settings)
+  }
+}
+
+/**
+ * Builds a stable cache key from a resource name and its parameters.
+ * Parameter order doesn't matter; undefined values are ignored.
+ * e.g. cacheKey('news', { query: 'yoga', category: 'all' }) -> 'news?category=all&query=yoga'
+ * @param {string} resource
+ * @param {object} [params={}]
+ * @returns {string}
+ */
+export function cacheKey(resource, params = {}) {
+  const query = Object.keys(params)
+    .filter(key => params[key] !== undefined)
+    .sort()
+    .map(key => `${encodeURIComponent(key)}=${encodeURIComponent(params[key])}`)
+    .join('&');
+  return query ? `${resource}?${query}` : resource;
+}
+
+/**
+ * Returns the resource part of a cache key ('news?category=hr' -> 'news').
+ * @param {string} key
+ * @returns {string}
+ */
+export function resourceFromKey(key) {
+  return key.split('?')[0];
+}
+
+/**
+ * Creates a request cache.
+ * @param {object} [options]
+ * @param {Storage|null} [options.storage=sessionStorage] - Persistent layer; pass null for memory only.
+ * @param {string} [options.namespace='connecthub:cache'] - Prefix for storage keys.
+ */
+export function createRequestCache({ storage = getSessionStorage(), namespace = 'connecthub:cache' } = {}) {
+  const memory = new Map(); // key -> { data, storedAt }
+  const inFlight = new Map(); // key -> { promise, controller, waiters, pinned, invalidated }
+  const listeners = new Set();
+  const storageKey = (key) => `${namespace}:${key}`;
+
+  function read(key) {
+    if (memory.has(key)) {
+      return memory.get(key);
+    }
+    if (!storage) return null;
+
+    try {
+      const raw = storage.getItem(storageKey(key));
+      if (!raw) return null;
+      const entry = JSON.parse(raw);
+      memory.set(key, entry);
+      return entry;
+    } catch (error) {
+      return null; // Corrupt entries are treated as misses
+    }
+  }
+
+  function write(key, data, storedAt = Date.now()) {
+    const entry = { data, storedAt };
+    memory.set(key, entry);
+    if (!storage) return;
+
+    try {
+      storage.setItem(storageKey(key), JSON.stringify(entry));
+    } catch (error) {
+      // Quota exceeded or storage disabled: the memory layer is still populated.
+    }
+  }
+
+  function notify(key, data) {
+    listeners.forEach(listener => {
+      try {
+        listener(key, structuredClone(data));
+      } catch (error) {
+        log.error('Listener failed:', error);
+      }
+    });
+  }
+
+  // Runs the loader once per key at a time; later callers share the pending request.
+  function startFlight(key, loader) {
+    const flight = { controller: new AbortController(), waiters: 0, pinned: false, invalidated: false, promise: null };
+    flight.promise = Promise.resolve()
+      .then(() => loader(flight.controller.signal))
+      .then(data => {
+        // Invalidated while loading: the data may predate whatever made it stale.
+        if (!flight.invalidated) write(key, data);
+        return data;
+      })
+      .finally(() => {
+        if (inFlight.get(key) === flight) inFlight.delete(key);
+      });
+    inFlight.set(key, flight);
+    return flight;
+  }
+
+  // Hands a caller the flight's result, honouring the caller's own AbortSignal.
+  function join(key, flight, signal) {
+    if (!signal) {
+      flight.pinned = true; // Someone will wait regardless, so never cancel this flight
+      return flight.promise;
+    }
+    if (signal.aborted) {
+      return Promise.reject(signal.reason);
+    }
+
+    flight.waiters++;
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        flight.waiters--;
+        if (!flight.pinned && flight.waiters === 0) {
+          if (inFlight.get(key) === flight) inFlight.delete(key);
+          flight.controller.abort(signal.reason);
+        }
+        reject(signal.reason);
+      };
+      signal.addEventListener('abort', onAbort, { once: true });
+      flight.promise
+        .then(resolve, reject)
+        .finally(() => signal.removeEventListener('abort', onAbort));
+    });
+  }
+
+  function load(key, loader, signal) {
+    const flight = inFlight.get(key) || startFlight(key, loader);
+    return join(key, flight, signal);
+  }
+
+  function revalidate(key, loader) {
+    if (inFlight.has(key)) return;
+    const flight = startFlight(key, loader);
+    join(key, flight)
+      .then(data => {
+        if (!flight.invalidated) notify(key, data);
+      })
+      .catch(error => log.warn(`Background refresh failed for ${key}:`, error));
+  }
+
+  return {
+    /**
+     * Returns cached data for `key`, loading it with `loader` when needed.
+     * @param {string} key - Usually built with cacheKey().
+     * @param {Function} loader - Receives an AbortSignal and returns a promise for fresh data.
+     * @param {object} [policy] - { ttl, maxStale } in milliseconds.
+     * @param {object} [options]
+     * @param {boolean} [options.forceRefresh=false] - Skip the cache and load (deduplicated) fresh data.
+     * @param {AbortSignal} [options.signal] - Stops this caller waiting; rejects with the signal's reason.
+     * @returns {Promise<any>} A copy of the data, safe for the caller to mutate.
+     */
+    async get(key, loader, policy = DEFAULT_POLICY, { forceRefresh = false, signal } = {}) {
+      const { ttl, maxStale } = { ...DEFAULT_POLICY, ...policy };
+      const entry = forceRefresh ? null : read(key);
+
+      if (entry) {
+        const age = Date.now() - entry.storedAt;
+        if (age < ttl) {
+          return structuredClone(entry.data);
+        }
+        if (age < ttl + maxStale) {
+          revalidate(key, loader);
+          return structuredClone(entry.data);
+        }
+      }
+
+      const data = await load(key, loader, signal);
+      if (forceRefresh) {
+        notify(key, data);
+      }
+      return structuredClone(data);
+    },
+
+    /**
+     * Drops cached entries.
+     * - invalidate() clears everything.
+     * - invalidate('news') clears 'news' and every parameterized 'news?...' key.
+     * - invalidate('news?category=hr') clears that exact key.
+     * Requests already in flight are not cancelled; callers already waiting still get
+     * their result, but it is not stored, and later calls start a new request.
+     * @param {string} [keyOrResource]
+     */
+    invalidate(keyOrResource) {
+      const matches = (key) => keyOrResource === undefined
+        || key === keyOrResource
+        || (!keyOrResource.includes('?') && resourceFromKey(key) === keyOrResource);
+
+      Array.from(memory.keys()).filter(matches).forEach(key => memory.delete(key));
+      Array.from(inFlight.keys()).filter(matches).forEach(key => {
+        inFlight.get(key).invalidated = true;
+        inFlight.delete(key);
+      });
+      if (!storage) return;
+
+      try {
+        const prefix = `${namespace}:`;
+        const storedKeys = [];
+        for (let i = 0; i < storage.length; i++) {
+          const name = storage.key(i);
+          if (name && name.startsWith(prefix)) storedKeys.push(name);
+        }
+        storedKeys
+          .filter(name => matches(name.slice(prefix.length)))
+          .forEach(name => storage.removeItem(name));
+      } catch (error) {
+        // Storage unavailable: the memory layer has already been cleared.
+      }
+    },
+
+    /**
+     * Rewrites every cached entry for a resource, e.g. to apply a change the server
+     * pushed. Entries keep their age, so they are still refreshed on schedule.
+     * Subscribers are not notified; whoever makes the change announces it.
+     * @param {string} resource
+     * @param {Function} updater - (data, key) => new data, or undefined to leave the entry as it is.
+     *   Receives a copy, which it may change and return.
+     * @returns {string[]} The keys that changed.
+     */
+    update(resource, updater) {
+      const keys = new Set(Array.from(memory.keys()));
+      if (storage) {
+        try {
+          const prefix = `${namespace}:`;
+          for (let i = 0; i < storage.length; i++) {
+            const name = storage.key(i);
+            if (name && name.startsWith(prefix)) keys.add(name.slice(prefix.length));
+          }
+        } catch (error) {
+          // Storage unavailable: only the memory layer is updated.
+        }
+      }
+
+      return Array.from(keys)
+        .filter(key => resourceFromKey(key) === resource)
+        .filter(key => {
+          const entry = read(key);
+          if (!entry) return false;
+          const data = updater(structuredClone(entry.data), key);
+          if (data === undefined) return false;
+          write(key, data, entry.storedAt);
+          return true;
+        });
+    },
+
+    /**
+     * Subscribes to data refreshed in the background or by forceRefresh.
+     * @param {Function} listener - Called with (key, data).
+     * @returns {Function} Unsubscribe function.
+     */
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+}
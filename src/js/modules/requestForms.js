@@ -0,0 +1,192 @@
+// src/js/modules/requestForms.js
+
+/**
+ * ConnectHub Intranet - Request Forms
+ *
+ * Schemas (see formSchema.js) for the leave request and expense claim forms behind
+ * the Quick Links. The same schema renders the form and is checked again by the
+ * data service before a request is submitted. Their text lives in the message
+ * catalogs under requestForms.*.
+ */
+
+import { daysInRange, todayIso, formText } from './formSchema.js';
+import { t, formatDate, formatNumber } from './i18n.js';
+
+export const MAX_ATTACHMENT_SIZE = 5 * 1024 * 1024;
+const ATTACHMENT_TYPES = Object.freeze(['.pdf', 'image/*']);
+
+/** Sick leave longer than this needs a medical certificate. */
+export const SICK_LEAVE_CERTIFICATE_DAYS = 2;
+
+/** Expense claims from this amount need a receipt. */
+export const RECEIPT_REQUIRED_FROM = 500;
+
+/** Per-claim limits by expense category, in EXPENSE_CURRENCY. */
+export const EXPENSE_LIMITS = Object.freeze({
+  travel: 50000,
+  meals: 2500,
+  supplies: 20000,
+  training: 60000,
+  other: 10000,
+});
+export const EXPENSE_CURRENCY = 'PHP';
+
+/** How far back an expense may be claimed. */
+const EXPENSE_CLAIM_WINDOW_DAYS = 90;
+
+function daysAgo(days, now = new Date()) {
+  const date = new Date(now);
+  date.setDate(date.getDate() - days);
+  return todayIso(date);
+}
+
+const leaveDays = (values) => (values.startDate && values.endDate && values.endDate >= values.startDate
+  ? daysInRange(values.startDate, values.endDate)
+  : 0);
+
+export const LEAVE_REQUEST_SCHEMA = Object.freeze({
+  id: 'leave',
+  title: 'requestForms.leave.title',
+  fields: [
+    {
+      name: 'leaveType',
+      label: 'requestForms.leave.leaveType',
+      type: 'select',
+      required: true,
+      options: [
+        { value: 'vacation', label: 'requestForms.leave.vacation' },
+        { value: 'sick', label: 'requestForms.leave.sick' },
+        { value: 'personal', label: 'requestForms.leave.personal' },
+        { value: 'unpaid', label: 'requestForms.leave.unpaid' },
+      ],
+    },
+    {
+      name: 'startDate',
+      label: 'requestForms.leave.startDate',
+      type: 'date',
+      required: true,
+      min: (values) => (values.leaveType === 'sick' ? daysAgo(14) : 'today'), // Sick leave can be filed afterwards
+    },
+    {
+      name: 'endDate',
+      label: 'requestForms.leave.endDate',
+      type: 'date',
+      required: true,
+      onOrAfter: 'startDate',
+      afterLabel: 'requestForms.leave.afterStartDate',
+      maxRangeDays: 30,
+    },
+    {
+      name: 'reason',
+      label: 'requestForms.leave.reason',
+      type: 'textarea',
+      required: (values) => values.leaveType === 'unpaid',
+      maxLength: 500,
+      hint: 'requestForms.leave.reasonHint',
+    },
+    {
+      name: 'attachments',
+      label: 'requestForms.leave.certificate',
+      type: 'file',
+      showIf: (values) => values.leaveType === 'sick',
+      required: (values) => leaveDays(values) > SICK_LEAVE_CERTIFICATE_DAYS,
+      requiredMessage: ['requestForms.leave.certificateRequired', { count: SICK_LEAVE_CERTIFICATE_DAYS }],
+      accept: ATTACHMENT_TYPES,
+      maxFiles: 3,
+      maxFileSize: MAX_ATTACHMENT_SIZE,
+      hint: ['requestForms.leave.certificateHint', { count: SICK_LEAVE_CERTIFICATE_DAYS }],
+    },
+  ],
+});
+
+export const EXPENSE_SCHEMA = Object.freeze({
+  id: 'expense',
+  title: 'requestForms.expense.title',
+  fields: [
+    {
+      name: 'category',
+      label: 'requestForms.expense.category',
+      type: 'select',
+      required: true,
+      options: [
+        { value: 'travel', label: 'requestForms.expense.travel' },
+        { value: 'meals', label: 'requestForms.expense.meals' },
+        { value: 'supplies', label: 'requestForms.expense.supplies' },
+        { value: 'training', label: 'requestForms.expense.training' },
+        { value: 'other', label: 'requestForms.expense.other' },
+      ],
+    },
+    {
+      name: 'expenseDate',
+      label: 'requestForms.expense.expenseDate',
+      type: 'date',
+      required: true,
+      min: () => daysAgo(EXPENSE_CLAIM_WINDOW_DAYS),
+      max: 'today',
+      hint: ['requestForms.expense.expenseDateHint', { count: EXPENSE_CLAIM_WINDOW_DAYS }],
+    },
+    {
+      name: 'amount',
+      label: 'requestForms.expense.amount',
+      type: 'number',
+      currency: EXPENSE_CURRENCY,
+      required: true,
+      min: 0.01,
+      max: (values) => EXPENSE_LIMITS[values.category] ?? null,
+      step: 0.01,
+    },
+    {
+      name: 'description',
+      label: 'requestForms.expense.description',
+      type: 'text',
+      required: true,
+      maxLength: 200,
+      hint: 'requestForms.expense.descriptionHint',
+    },
+    {
+      name: 'attachments',
+      label: 'requestForms.expense.receipts',
+      type: 'file',
+      required: (values) => typeof values.amount === 'number' && values.amount >= RECEIPT_REQUIRED_FROM,
+      requiredMessage: 'requestForms.expense.receiptRequired',
+      accept: ATTACHMENT_TYPES,
+      maxFiles: 5,
+      maxFileSize: MAX_ATTACHMENT_SIZE,
+      hint: ['requestForms.expense.receiptsHint', { amount: RECEIPT_REQUIRED_FROM, currency: EXPENSE_CURRENCY }],
+    },
+  ],
+});
+
+/** Form schemas by request type. */
+export const REQUEST_FORMS = Object.freeze({
+  leave: LEAVE_REQUEST_SCHEMA,
+  expense: EXPENSE_SCHEMA,
+});
+
+const optionLabel = (schema, name, value) => {
+  const field = schema.fields.find(item => item.name === name);
+  const option = field && field.options && field.options.find(item => item.value === value);
+  return option ? formText(option.label) : value;
+};
+
+/**
+ * A one-line summary of a request, e.g. 'Vacation, Aug 4 – Aug 8 (5 days)'.
+ * @param {{ type: string, details: object }} request
+ * @returns {string}
+ */
+export function summarizeRequest({ type, details }) {
+  const shortDate = (iso) => formatDate(iso, { month: 'short', day: 'numeric' });
+
+  if (type === 'leave') {
+    const days = leaveDays(details);
+    const range = details.startDate === details.endDate
+      ? shortDate(details.startDate)
+      : `${shortDate(details.startDate)} – ${shortDate(details.endDate)}`;
+    return t('requests.leaveSummary', { type: optionLabel(LEAVE_REQUEST_SCHEMA, 'leaveType', details.leaveType), range, count: days });
+  }
+  if (type === 'expense') {
+    const amount = formatNumber(details.amount, { style: 'currency', currency: EXPENSE_CURRENCY });
+    return `${optionLabel(EXPENSE_SCHEMA, 'category', details.category)}, ${amount}: ${details.description}`;
+  }
+  return type;
+}
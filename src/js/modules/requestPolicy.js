@@ -0,0 +1,126 @@
+// src/js/modules/requestPolicy.js
+
+/**
+ * ConnectHub Intranet - Request Policy Module
+ *
+ * Runs an async operation with a per-attempt timeout, retries with exponential
+ * backoff and "full jitter" (a random delay between 0 and the backoff cap, so
+ * widgets retrying together don't hammer the server in lockstep), and
+ * cancellation through an AbortSignal.
+ * All failures come out as DataServiceError (see errors.js).
+ */
+
+import { DataServiceError, ERROR_TYPES, toDataServiceError } from './errors.js';
+
+export const DEFAULT_REQUEST_POLICY = Object.freeze({
+  retries: 2,         // Extra attempts after the first one
+  baseDelay: 300,     // Backoff cap for the first retry, in ms; doubles each retry
+  maxDelay: 4000,     // Upper bound for the backoff cap, in ms
+  timeout: 8000,      // Per-attempt timeout in ms; 0 disables it
+});
+
+const abortError = (signal) => new DataServiceError('Request was cancelled.', {
+  type: ERROR_TYPES.ABORT,
+  cause: signal.reason,
+});
+
+/**
+ * Resolves after `ms`, or rejects with an ABORT error as soon as `signal` aborts.
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ */
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(abortError(signal));
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError(signal));
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Computes the wait before retry number `attempt` (1-based).
+ * @param {number} attempt
+ * @param {object} policy - { baseDelay, maxDelay }
+ * @returns {number} Delay in ms.
+ */
+export function backoffDelay(attempt, { baseDelay, maxDelay }) {
+  const cap = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+  return Math.random() * cap;
+}
+
+/**
+ * Runs a single attempt, aborting it if it exceeds `timeout` or `signal` aborts.
+ * @param {Function} operation - Receives the attempt's AbortSignal.
+ * @param {number} timeout
+ * @param {AbortSignal} [signal]
+ */
+async function runAttempt(operation, timeout, signal) {
+  const controller = new AbortController();
+  let timedOut = false;
+  let timer = null;
+
+  const onAbort = () => controller.abort(signal.reason);
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  if (timeout > 0) {
+    timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeout);
+  }
+
+  try {
+    return await operation(controller.signal);
+  } catch (error) {
+    if (timedOut) {
+      throw new DataServiceError(`Request timed out after ${timeout} ms.`, { type: ERROR_TYPES.TIMEOUT, cause: error });
+    }
+    if (signal && signal.aborted) {
+      throw abortError(signal);
+    }
+    throw toDataServiceError(error);
+  } finally {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', onAbort);
+  }
+}
+
+/**
+ * Runs `operation` under the given policy.
+ * @param {Function} operation - (signal: AbortSignal) => Promise. Should pass the signal on to fetch().
+ * @param {object} [options] - Any DEFAULT_REQUEST_POLICY field, plus:
+ * @param {AbortSignal} [options.signal] - Cancels the current attempt and any pending retry.
+ * @param {Function} [options.onRetry] - Called with (error, attempt, delay) before each retry.
+ * @returns {Promise<any>} The operation's result.
+ * @throws {DataServiceError} The last error, with `attempts` set.
+ */
+export async function withRetry(operation, { signal, onRetry, ...overrides } = {}) {
+  const policy = { ...DEFAULT_REQUEST_POLICY, ...overrides };
+
+  for (let attempt = 1; ; attempt++) {
+    if (signal && signal.aborted) {
+      throw Object.assign(abortError(signal), { attempts: attempt - 1 });
+    }
+
+    try {
+      return await runAttempt(operation, policy.timeout, signal);
+    } catch (error) {
+      error.attempts = attempt;
+      if (!error.isRetryable || attempt > policy.retries) {
+        throw error;
+      }
+      const delay = backoffDelay(attempt, policy);
+      if (onRetry) onRetry(error, attempt, delay);
+      await sleep(delay, signal);
+    }
+  }
+}
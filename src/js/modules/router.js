@@ -0,0 +1,287 @@
+// src/js/modules/router.js
+
+/**
+ * ConnectHub Intranet - Router Module
+ *
+ * A small client-side router that maps URLs to view modules.
+ * Features:
+ * - Hash routes ('#/news/news-1') by default, or History API paths with `mode: 'history'`.
+ * - Route params ('/people/:id') and query strings ('#/search?q=yoga').
+ * - Lazily loaded views: a route's `view` may be a function returning import('...').
+ * - 404 handling through a `notFound` route.
+ * - Scroll restoration: back/forward returns to where you were, new pages start at the top.
+ * - Accessibility: document.title is updated and focus moves to the new view's heading,
+ *   so screen readers announce the page change.
+ * - refresh() renders the current view again in place, e.g. after the language changes.
+ *
+ * Only hashes starting with '#/' are routed; plain anchors ('#main-content') keep working.
+ *
+ * A view module exports `render(container, context)` where context is
+ * { params, query, path, route, router, signal }. It may return (or resolve to):
+ * - a string, used as the page title, and/or
+ * - an object { title, cleanup } — cleanup() runs before the next view renders.
+ * `signal` aborts when the user navigates away before the view finishes loading.
+ */
+
+import { createLogger } from './logger.js';
+import { t } from './i18n.js';
+
+const log = createLogger('Router');
+
+const ROUTE_CHANGE_EVENT = 'routechange';
+
+/**
+ * Compiles '/people/:id' into a matcher.
+ * @param {string} path
+ * @returns {{ regex: RegExp, keys: string[] }}
+ */
+function compilePath(path) {
+  const keys = [];
+  const pattern = path
+    .replace(/\/+$/, '')
+    .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/:(\w+)/g, (_, key) => {
+      keys.push(key);
+      return '([^/]+)';
+    });
+  return { regex: new RegExp(`^${pattern || ''}/?$`), keys };
+}
+
+/**
+ * Creates a router.
+ * @param {object} options
+ * @param {HTMLElement} options.outlet - Element views are rendered into.
+ * @param {Array<{ path: string, view: object|Function, titleKey?: string, title?: string, name?: string }>} options.routes
+ *   `view` is a view module or a function returning a promise for one (lazy loading).
+ *   `titleKey` is the message key of the page title; `title` is used as is.
+ * @param {object} [options.notFound] - Route used when nothing matches ({ view, titleKey }).
+ * @param {'hash'|'history'} [options.mode='hash']
+ * @param {string} [options.base=''] - Path prefix in history mode, e.g. '/intranet'.
+ * @param {string} [options.siteTitle='ConnectHub Intranet'] - Appended to every page title.
+ * @param {Function} [options.beforeRender] - Called with ({ route, params, query, path }) before each render,
+ *   e.g. to switch the page layout.
+ * @param {Function} [options.onRouteChange] - Called with ({ route, params, query, path }) after each render.
+ */
+export function createRouter({
+  outlet,
+  routes,
+  notFound = null,
+  mode = 'hash',
+  base = '',
+  siteTitle = 'ConnectHub Intranet',
+  beforeRender = null,
+  onRouteChange = null,
+}) {
+  if (!outlet) {
+    throw new Error('[Router] An outlet element is required.');
+  }
+
+  const compiled = routes.map(route => ({ ...route, ...compilePath(route.path) }));
+  const viewModules = new Map(); // route -> loaded module
+  const scrollPositions = new Map(); // url -> scrollY
+  let currentUrl = null;
+  let currentCleanup = null;
+  let navigationId = 0;
+  let navigationController = null;
+  let isPushNavigation = false; // True while handling a navigation we started (link/navigate())
+  let isFirstRender = true;
+
+  if ('scrollRestoration' in history) {
+    history.scrollRestoration = 'manual';
+  }
+
+  // The routed part of the current URL, e.g. '/news/news-1?ref=search'.
+  function currentLocation() {
+    if (mode === 'history') {
+      const path = window.location.pathname.slice(base.length) || '/';
+      return `${path}${window.location.search}`;
+    }
+    const hash = window.location.hash;
+    return hash.startsWith('#/') ? hash.slice(1) : (hash ? null : '/');
+  }
+
+  function match(url) {
+    const [rawPath, queryString = ''] = url.split('?');
+    const path = rawPath || '/';
+    const query = Object.fromEntries(new URLSearchParams(queryString));
+
+    for (const route of compiled) {
+      const result = route.regex.exec(path);
+      if (result) {
+        const params = {};
+        try {
+          route.keys.forEach((key, i) => { params[key] = decodeURIComponent(result[i + 1]); });
+        } catch (error) {
+          // A malformed escape ('#/people/%E0') names nothing: show the notFound route
+          log.warn(`Malformed URL ${url}:`, error.message);
+          break;
+        }
+        return { route, params, query, path };
+      }
+    }
+    return { route: notFound, params: {}, query, path };
+  }
+
+  async function loadView(route) {
+    if (viewModules.has(route)) return viewModules.get(route);
+    const module = typeof route.view === 'function' ? await route.view() : route.view;
+    viewModules.set(route, module);
+    return module;
+  }
+
+  const routeTitle = (route) => (route.titleKey ? t(route.titleKey) : route.title);
+
+  function setTitle(title) {
+    document.title = title ? `${title} - ${siteTitle}` : siteTitle;
+  }
+
+  // Moves focus to the new page's heading; if the outlet is hidden (e.g. on the
+  // dashboard), to the first heading of the main content instead.
+  function focusView() {
+    const scope = outlet.hidden ? (outlet.closest('main') || document.body) : outlet;
+    const target = scope.querySelector('h1, h2') || scope;
+    if (!target.hasAttribute('tabindex')) target.setAttribute('tabindex', '-1');
+    target.focus({ preventScroll: true });
+  }
+
+  // `refresh` renders the current URL again where it stands: no scrolling, no focus move.
+  async function render({ refresh = false } = {}) {
+    const url = currentLocation();
+    if (url === null) return; // A plain in-page anchor, not a route
+
+    const traversal = !isPushNavigation;
+    isPushNavigation = false;
+    if (currentUrl !== null) scrollPositions.set(currentUrl, window.scrollY);
+    currentUrl = url;
+
+    const id = ++navigationId;
+    if (navigationController) navigationController.abort();
+    navigationController = new AbortController();
+    const { signal } = navigationController;
+
+    if (currentCleanup) {
+      try {
+        currentCleanup();
+      } catch (error) {
+        log.error('View cleanup failed:', error);
+      }
+      currentCleanup = null;
+    }
+
+    const matched = match(url);
+    const { route, params, query, path } = matched;
+    if (!route) {
+      log.warn(`No route for ${url} and no notFound route configured.`);
+      return;
+    }
+
+    outlet.setAttribute('aria-busy', 'true');
+    try {
+      if (beforeRender) beforeRender(matched);
+      const module = await loadView(route);
+      if (id !== navigationId) return; // The user already navigated elsewhere
+
+      const result = await module.render(outlet, { params, query, path, route, router, signal });
+      if (id !== navigationId) return;
+
+      const resultTitle = typeof result === 'string' ? result : result && result.title;
+      currentCleanup = result && typeof result.cleanup === 'function' ? result.cleanup : null;
+      setTitle(resultTitle || routeTitle(route));
+    } catch (error) {
+      if (id !== navigationId || signal.aborted) return;
+      log.error(`Failed to render ${url}:`, error);
+      const message = document.createElement('p');
+      message.className = 'status-message error-message';
+      message.setAttribute('role', 'alert');
+      message.textContent = t('router.loadFailed');
+      outlet.replaceChildren(message);
+      setTitle(t('router.errorTitle'));
+    } finally {
+      if (id === navigationId) outlet.removeAttribute('aria-busy');
+    }
+
+    if (!refresh) {
+      window.scrollTo(0, traversal ? (scrollPositions.get(url) || 0) : 0);
+      if (!isFirstRender) focusView(); // Don't steal focus on page load
+    }
+    isFirstRender = false;
+    if (onRouteChange) onRouteChange(matched);
+    window.dispatchEvent(new CustomEvent(ROUTE_CHANGE_EVENT, { detail: matched }));
+  }
+
+  // In history mode, same-origin links into the app are handled without a page load.
+  function onLinkClick(e) {
+    if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+    const link = e.target.closest('a[href]');
+    if (!link || link.target || link.hasAttribute('download')) return;
+
+    const href = link.getAttribute('href');
+    if (mode === 'hash') {
+      if (href.startsWith('#/')) isPushNavigation = true;
+      return; // The browser updates the hash; hashchange renders
+    }
+    const url = new URL(link.href);
+    if (url.origin !== window.location.origin || !url.pathname.startsWith(base)) return;
+    e.preventDefault();
+    router.navigate(`${url.pathname.slice(base.length)}${url.search}`);
+  }
+
+  const onLocationChange = () => render();
+
+  const router = {
+    /**
+     * Navigates to a routed path, e.g. router.navigate('/people/emp-001').
+     * @param {string} path
+     * @param {object} [options]
+     * @param {boolean} [options.replace=false] - Replace the current history entry.
+     */
+    navigate(path, { replace = false } = {}) {
+      isPushNavigation = true;
+      if (mode === 'history') {
+        history[replace ? 'replaceState' : 'pushState'](null, '', `${base}${path}`);
+        render();
+      } else if (replace) {
+        history.replaceState(null, '', `#${path}`);
+        render();
+      } else if (window.location.hash === `#${path}`) {
+        render(); // Same hash: hashchange won't fire, so re-render explicitly
+      } else {
+        window.location.hash = path;
+      }
+    },
+
+    /**
+     * Builds an href for a routed path, suitable for <a> elements.
+     * @param {string} path
+     * @returns {string}
+     */
+    href(path) {
+      return mode === 'history' ? `${base}${path}` : `#${path}`;
+    },
+
+    /**
+     * Renders the current view again, keeping the scroll position and focus.
+     * @returns {Promise<void>}
+     */
+    refresh() {
+      isPushNavigation = true; // Not a traversal
+      return render({ refresh: true });
+    },
+
+    start() {
+      window.addEventListener(mode === 'history' ? 'popstate' : 'hashchange', onLocationChange);
+      document.addEventListener('click', onLinkClick);
+      isPushNavigation = true; // The first render is not a traversal
+      return render();
+    },
+
+    stop() {
+      window.removeEventListener(mode === 'history' ? 'popstate' : 'hashchange', onLocationChange);
+      document.removeEventListener('click', onLinkClick);
+    },
+  };
+
+  return router;
+}
+
+export { ROUTE_CHANGE_EVENT };
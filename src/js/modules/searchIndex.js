@@ -0,0 +1,174 @@
+// src/js/modules/searchIndex.js
+
+/**
+ * ConnectHub Intranet - Search Index Module
+ *
+ * A small in-memory full-text index for client-side search.
+ * Features:
+ * - Tokenization that works in any script, lowercases, strips accents and drops a few stop words.
+ * - Per-field weights (a hit in a title counts for more than a hit in a body).
+ * - Prefix matching, so "onboa" finds "onboarding" while the user is still typing.
+ * - Typo tolerance: one edit for words of 4+ letters, two for 8+ letters.
+ * - Relevance ranking; every query word has to match something (AND semantics).
+ *
+ * Documents look like:
+ *   { id: 'news:news-1', type: 'news', title, subtitle, url, fields: { title: '...', body: '...' } }
+ * Only `fields` are indexed; everything else is returned as-is with each result.
+ */
+
+const STOP_WORDS = new Set(['a', 'an', 'and', 'at', 'for', 'in', 'of', 'on', 'or', 'the', 'to', 'with']);
+
+// How much each kind of match is worth, before field weights are applied.
+const MATCH_SCORES = { exact: 1, prefix: 0.6, fuzzy: 0.35 };
+
+const DEFAULT_FIELD_WEIGHTS = { title: 3, tags: 2, body: 1 };
+
+/**
+ * Splits text into normalized search tokens.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  if (!text) return [];
+  return String(text)
+    .normalize('NFD')
+    .replace(/\p{Mn}/gu, '') // Strip accents and Arabic vowel marks: "Café" -> "cafe"
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}\p{M}]+/u) // Letters and digits of any script
+    .filter(token => token && !STOP_WORDS.has(token));
+}
+
+/**
+ * Levenshtein distance between two strings, giving up early once it exceeds `max`.
+ * @param {string} a
+ * @param {string} b
+ * @param {number} max
+ * @returns {number} The distance, or max + 1 if it is larger than max.
+ */
+export function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+const allowedTypos = (token) => (token.length >= 8 ? 2 : token.length >= 4 ? 1 : 0);
+
+/**
+ * Creates an empty search index.
+ * @param {object} [options]
+ * @param {Object<string, number>} [options.fieldWeights] - Weight per document field.
+ */
+export function createSearchIndex({ fieldWeights = DEFAULT_FIELD_WEIGHTS } = {}) {
+  const documents = new Map(); // id -> document
+  const postings = new Map(); // token -> Map(docId -> field weight sum)
+
+  function addPosting(token, docId, weight) {
+    if (!postings.has(token)) postings.set(token, new Map());
+    const docs = postings.get(token);
+    docs.set(docId, (docs.get(docId) || 0) + weight);
+  }
+
+  // Finds index tokens that match a query token, with the best match score for each.
+  function expand(queryToken) {
+    const matches = new Map(); // index token -> match score
+    const maxTypos = allowedTypos(queryToken);
+
+    postings.forEach((_, token) => {
+      if (token === queryToken) {
+        matches.set(token, MATCH_SCORES.exact);
+      } else if (token.startsWith(queryToken)) {
+        matches.set(token, MATCH_SCORES.prefix);
+      } else if (maxTypos > 0 && editDistance(queryToken, token, maxTypos) <= maxTypos) {
+        matches.set(token, MATCH_SCORES.fuzzy);
+      }
+    });
+    return matches;
+  }
+
+  return {
+    /**
+     * Adds (or replaces) documents.
+     * @param {object[]} docs
+     */
+    addAll(docs) {
+      docs.forEach(doc => {
+        if (documents.has(doc.id)) this.remove(doc.id);
+        documents.set(doc.id, doc);
+        Object.entries(doc.fields || {}).forEach(([field, text]) => {
+          const weight = fieldWeights[field] || 1;
+          tokenize(Array.isArray(text) ? text.join(' ') : text).forEach(token => addPosting(token, doc.id, weight));
+        });
+      });
+    },
+
+    /**
+     * Removes a document.
+     * @param {string} id
+     */
+    remove(id) {
+      if (!documents.delete(id)) return;
+      postings.forEach((docs, token) => {
+        docs.delete(id);
+        if (docs.size === 0) postings.delete(token);
+      });
+    },
+
+    clear() {
+      documents.clear();
+      postings.clear();
+    },
+
+    get size() {
+      return documents.size;
+    },
+
+    /**
+     * Searches the index.
+     * @param {string} query
+     * @param {object} [options]
+     * @param {number} [options.limit=Infinity] - Maximum number of results.
+     * @returns {Array<{ doc: object, score: number }>} Results, most relevant first.
+     */
+    search(query, { limit = Infinity } = {}) {
+      const queryTokens = [...new Set(tokenize(query))];
+      if (queryTokens.length === 0) return [];
+
+      let scores = null; // docId -> score, narrowed to docs matching every query token so far
+      for (const queryToken of queryTokens) {
+        const tokenScores = new Map();
+        expand(queryToken).forEach((matchScore, token) => {
+          postings.get(token).forEach((weight, docId) => {
+            tokenScores.set(docId, Math.max(tokenScores.get(docId) || 0, matchScore * weight));
+          });
+        });
+
+        if (scores === null) {
+          scores = tokenScores;
+        } else {
+          const narrowed = new Map();
+          scores.forEach((score, docId) => {
+            if (tokenScores.has(docId)) narrowed.set(docId, score + tokenScores.get(docId));
+          });
+          scores = narrowed;
+        }
+        if (scores.size === 0) return [];
+      }
+
+      return Array.from(scores, ([docId, score]) => ({ doc: documents.get(docId), score }))
+        .sort((a, b) => b.score - a.score || a.doc.title.localeCompare(b.doc.title))
+        .slice(0, limit);
+    },
+  };
+}
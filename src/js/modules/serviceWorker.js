@@ -0,0 +1,42 @@
+// src/js/modules/serviceWorker.js
+
+/**
+ * ConnectHub Intranet - Service Worker Registration
+ *
+ * Registers public/service-worker.js, which caches the app shell and the data
+ * responses so the homepage still opens (with the last saved content) offline.
+ * Set `window.CONNECTHUB_CONFIG.serviceWorker = false` to turn it off, e.g. while
+ * developing against a local server where cached files get in the way.
+ */
+
+import { createLogger } from './logger.js';
+
+const log = createLogger('ServiceWorker');
+
+const DEFAULT_SCRIPT_URL = './service-worker.js'; // Resolved against the page, i.e. the site root
+
+/**
+ * Registers the service worker once the page has finished loading, so that
+ * precaching doesn't compete with the page's own requests.
+ * @param {object} [options]
+ * @param {string} [options.url='./service-worker.js']
+ * @returns {Promise<ServiceWorkerRegistration|null>} null when unsupported, disabled or failed.
+ */
+export function registerServiceWorker({ url = DEFAULT_SCRIPT_URL } = {}) {
+  const config = window.CONNECTHUB_CONFIG || {};
+  if (!('serviceWorker' in navigator) || config.serviceWorker === false) {
+    return Promise.resolve(null);
+  }
+
+  const loaded = document.readyState === 'complete'
+    ? Promise.resolve()
+    : new Promise(resolve => window.addEventListener('load', resolve, { once: true }));
+
+  return loaded
+    .then(() => navigator.serviceWorker.register(url))
+    .catch((error) => {
+      // Not fatal: the intranet works as before, just without offline support.
+      log.warn('Registration failed; offline support is disabled.', error);
+      return null;
+    });
+}
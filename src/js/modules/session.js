@@ -0,0 +1,131 @@
+// src/js/modules/session.js
+
+/**
+ * ConnectHub Intranet - Session Module
+ *
+ * Knows who is using the intranet. The signed-in employee is read from
+ * `window.CONNECTHUB_CONFIG.currentUser` ({ id, name, roles, department, location }),
+ * which the server renders into the page. Without it (the static demo) the page acts
+ * as the demo employee below.
+ *
+ * Only the id is required. What the page doesn't say is completed from the employee's
+ * record in the directory (employees.json): department, office location and roles.
+ * The data service looks the record up (see loadUserProfile() in dataService.js) and
+ * hands it to applyDirectoryProfile(); until then an employee has the 'employee' role.
+ *
+ * The data service checks write permissions and audiences (audience.js) against this
+ * user. Those checks keep the UI honest; a real backend must enforce the same rules.
+ */
+
+export const ROLES = Object.freeze({
+  EMPLOYEE: 'employee',
+  ADMIN: 'admin',
+});
+
+const DEMO_USER = Object.freeze({ id: 'emp-001', name: 'Alice Johnson', department: 'Engineering' });
+
+const listeners = new Set();
+let declared = null; // What the page (or setCurrentUser) said about the user
+let profile = null; // The user's directory record, once loaded
+let currentUser = null;
+
+const toRoles = (roles) => (Array.isArray(roles) && roles.length ? roles.map(String) : null);
+
+function sanitizeUser(user) {
+  if (!user || typeof user !== 'object' || !user.id) return null;
+  return {
+    id: String(user.id),
+    name: user.name ? String(user.name) : null,
+    roles: toRoles(user.roles),
+    department: user.department ? String(user.department) : null,
+    location: user.location ? String(user.location) : null,
+  };
+}
+
+// What the page said wins; the directory fills in the rest.
+function combine() {
+  const fromDirectory = profile || {};
+  return Object.freeze({
+    id: declared.id,
+    name: declared.name || fromDirectory.fullName || declared.id,
+    roles: Object.freeze(declared.roles || toRoles(fromDirectory.roles) || [ROLES.EMPLOYEE]),
+    department: declared.department || fromDirectory.department || null,
+    location: declared.location || fromDirectory.location || null,
+  });
+}
+
+function notify() {
+  listeners.forEach(listener => listener(currentUser));
+}
+
+/**
+ * @returns {{ id: string, name: string, roles: string[], department: string|null, location: string|null }} The signed-in employee.
+ */
+export function getCurrentUser() {
+  if (!currentUser) {
+    const config = (typeof window !== 'undefined' && window.CONNECTHUB_CONFIG) || {};
+    declared = sanitizeUser(config.currentUser) || sanitizeUser(DEMO_USER);
+    currentUser = combine();
+  }
+  return currentUser;
+}
+
+/**
+ * Switches the signed-in employee (e.g. after sign-in, or in a demo). Their directory
+ * record is looked up again.
+ * @param {{ id: string, name?: string, roles?: string[], department?: string, location?: string }} user
+ */
+export function setCurrentUser(user) {
+  const next = sanitizeUser(user);
+  if (!next) {
+    throw new TypeError('[Session] setCurrentUser expects a user with an id.');
+  }
+  declared = next;
+  profile = null;
+  currentUser = combine();
+  notify();
+}
+
+/**
+ * Whether the page left out something the directory record would tell (and the record
+ * hasn't been applied yet).
+ * @returns {boolean}
+ */
+export function needsDirectoryProfile() {
+  getCurrentUser();
+  return !profile && (!declared.roles || !declared.department || !declared.location);
+}
+
+/**
+ * Completes the signed-in employee from their directory record. Records for anyone
+ * else are ignored.
+ * @param {{ id: string, fullName?: string, department?: string, location?: string, roles?: string[] }} record - A normalized employee.
+ */
+export function applyDirectoryProfile(record) {
+  const user = getCurrentUser();
+  if (!record || String(record.id) !== user.id) return;
+  profile = record;
+  currentUser = combine();
+  const changed = ['name', 'department', 'location'].some(field => currentUser[field] !== user[field])
+    || currentUser.roles.join() !== user.roles.join();
+  if (changed) notify();
+}
+
+/**
+ * @param {string} role - One of ROLES.
+ * @param {object} [user=getCurrentUser()]
+ * @returns {boolean}
+ */
+export function hasRole(role, user = getCurrentUser()) {
+  return Boolean(user) && user.roles.includes(role);
+}
+
+/**
+ * @param {Function} listener - Called with the new user after setCurrentUser(), and
+ *   when the directory record changes what is known about them.
+ * @returns {Function} Unsubscribe function.
+ */
+export function onUserChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
@@ -0,0 +1,111 @@
+// src/js/modules/spotlightRotation.js
+
+/**
+ * ConnectHub Intranet - Spotlight Rotation
+ *
+ * When no spotlight entry has been published in the content console, the Employee
+ * Spotlight rotates through the employee directory on its own: a new colleague
+ * every day or every week.
+ *
+ * The pick is deterministic: everyone opening the homepage on the same day (in the
+ * rotation's time zone) sees the same person, with nothing stored anywhere. The
+ * rotation runs in rounds. Each round is a shuffle of everyone eligible, so nobody
+ * comes back before everyone else has had a turn, and the start of a round is
+ * rearranged so nobody from the end of the previous round reappears within `window`
+ * periods. Employees who opted out ('spotlight' in their `optOuts`) are left out.
+ *
+ * Adding or removing people starts a different sequence; that is fine for a rotation
+ * nobody keeps a history of.
+ */
+
+import { zonedDateKey } from './eventTime.js';
+
+export const SPOTLIGHT_PERIODS = Object.freeze({ DAY: 'day', WEEK: 'week' });
+
+export const DEFAULT_SPOTLIGHT_ROTATION = Object.freeze({
+  period: SPOTLIGHT_PERIODS.WEEK,
+  window: 4, // Periods before anyone can be featured again, at most a third of the people eligible
+  timeZone: null, // When a period starts; null for the browser's zone
+  seed: 'connecthub', // Change it to reshuffle every round
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const THURSDAY_OFFSET = 3; // 1970-01-01 was a Thursday; weeks start on Monday
+
+/**
+ * Which period of the rotation a moment falls in: days, or Monday-to-Sunday weeks,
+ * counted from 1970-01-01.
+ * @param {Date} date
+ * @param {object} [options]
+ * @param {string} [options.period='week'] - One of SPOTLIGHT_PERIODS.
+ * @param {string|null} [options.timeZone=null]
+ * @returns {number}
+ */
+export function rotationSlot(date, { period = SPOTLIGHT_PERIODS.WEEK, timeZone = null } = {}) {
+  if (!Object.values(SPOTLIGHT_PERIODS).includes(period)) {
+    throw new TypeError(`[SpotlightRotation] Unknown period "${period}"; use one of ${Object.values(SPOTLIGHT_PERIODS).join(', ')}.`);
+  }
+  const day = Math.round(Date.parse(`${zonedDateKey(date, timeZone)}T00:00:00Z`) / DAY_MS);
+  return period === SPOTLIGHT_PERIODS.DAY ? day : Math.floor((day + THURSDAY_OFFSET) / 7);
+}
+
+// A small seeded generator (mulberry32), so every browser shuffles the same way.
+function createRandom(seedText) {
+  let state = 0;
+  for (const char of seedText) state = (Math.imul(state, 31) + char.charCodeAt(0)) | 0;
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let value = Math.imul(state ^ (state >>> 15), 1 | state);
+    value = (value + Math.imul(value ^ (value >>> 7), 61 | value)) ^ value;
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function shuffledRound(people, round, seed) {
+  const random = createRandom(`${seed}:${round}`);
+  const order = [...people];
+  for (let i = order.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+  return order;
+}
+
+// The round's order, with whoever closed the previous round kept out of its first
+// `gap` places. With gap at most a third of the people, the end of a round is never
+// touched by this, so the previous round's end can be taken from its plain shuffle.
+function roundOrder(people, round, seed, gap) {
+  const order = shuffledRound(people, round, seed);
+  if (gap === 0) return order;
+  const recent = new Set(shuffledRound(people, round - 1, seed).slice(-gap).map(person => person.id));
+  const opening = order.filter(person => !recent.has(person.id)).slice(0, gap);
+  return [...opening, ...order.filter(person => !opening.includes(person))];
+}
+
+/**
+ * Whether an employee takes part in the spotlight rotation.
+ * @param {{ optOuts: string[] }} employee - A normalized employee.
+ * @returns {boolean}
+ */
+export function isSpotlightEligible(employee) {
+  return Boolean(employee.id) && !employee.optOuts.includes('spotlight');
+}
+
+/**
+ * Picks the employee in the spotlight for a moment in time.
+ * @param {object[]} employees - Normalized employees (see normalizeEmployee()).
+ * @param {object} [options] - Any of DEFAULT_SPOTLIGHT_ROTATION, and `now`.
+ * @param {Date} [options.now=new Date()]
+ * @returns {{ employee: object, slot: number }|null} Null if nobody is eligible.
+ */
+export function pickSpotlightEmployee(employees, { now = new Date(), ...overrides } = {}) {
+  const { period, window, timeZone, seed } = { ...DEFAULT_SPOTLIGHT_ROTATION, ...overrides };
+  const people = employees.filter(isSpotlightEligible).sort((a, b) => (a.id < b.id ? -1 : Number(a.id > b.id)));
+  if (people.length === 0) return null;
+
+  const slot = rotationSlot(now, { period, timeZone });
+  const round = Math.floor(slot / people.length);
+  const gap = Math.max(0, Math.min(window, Math.floor(people.length / 3) + 1) - 1);
+  const position = slot - round * people.length;
+  return { employee: roundOrder(people, round, seed, gap)[position], slot };
+}
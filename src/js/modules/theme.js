@@ -0,0 +1,222 @@
+// src/js/modules/theme.js
+
+/**
+ * ConnectHub Intranet - Theme Module
+ *
+ * Picks the color theme and applies it to <html>:
+ * - data-theme: 'light', 'dark' or 'high-contrast', the theme actually shown.
+ *   The stylesheets swap their custom properties on it (src/scss/themes/).
+ * - data-brand: a department's brand colors (BRAND_THEMES), or absent.
+ *
+ * The employee's choice is { theme, brand }. theme 'system' (the default) follows
+ * the operating system: dark when it prefers a dark color scheme, high contrast when
+ * it asks for more contrast. brand 'auto' (the default) uses the brand of the
+ * employee's department, if it has one; 'none' keeps the company colors.
+ *
+ * The choice is kept in localStorage under its own key, so that the small inline
+ * script at the top of public/index.html can apply it before the stylesheet paints
+ * (no flash of the light theme on a dark page). That script mirrors readSettings()
+ * and resolveTheme() below; keep the two in step.
+ */
+
+import { getCurrentUser, onUserChange } from './session.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('Theme');
+
+export const THEMES = Object.freeze(['system', 'light', 'dark', 'high-contrast']);
+export const THEME_STORAGE_KEY = 'connecthub:theme';
+
+/** Departments with brand colors; `id` is the data-brand value and the key in $brand-themes. */
+export const BRAND_THEMES = Object.freeze([
+  { id: 'engineering', department: 'Engineering' },
+  { id: 'marketing', department: 'Marketing' },
+  { id: 'human-resources', department: 'Human Resources' },
+  { id: 'product', department: 'Product' },
+]);
+
+const DEFAULT_SETTINGS = Object.freeze({ theme: 'system', brand: 'auto' });
+const DARK_QUERY = '(prefers-color-scheme: dark)';
+const CONTRAST_QUERY = '(prefers-contrast: more)';
+
+const isBrand = (id) => BRAND_THEMES.some(brand => brand.id === id);
+
+function getLocalStorage() {
+  try {
+    return typeof window !== 'undefined' ? window.localStorage : null;
+  } catch (error) {
+    return null; // Storage disabled
+  }
+}
+
+function defaultMatchMedia(query) {
+  return typeof window !== 'undefined' && typeof window.matchMedia === 'function' ? window.matchMedia(query) : null;
+}
+
+/**
+ * Cleans up a stored or requested choice; unknown values fall back to the defaults.
+ * @param {object} [settings]
+ * @returns {{ theme: string, brand: string }}
+ */
+export function sanitizeThemeSettings(settings) {
+  const source = settings && typeof settings === 'object' ? settings : {};
+  return {
+    theme: THEMES.includes(source.theme) ? source.theme : DEFAULT_SETTINGS.theme,
+    brand: source.brand === 'none' || isBrand(source.brand) ? source.brand : DEFAULT_SETTINGS.brand,
+  };
+}
+
+/**
+ * @param {Storage|null} storage
+ * @param {string} [key=THEME_STORAGE_KEY]
+ * @returns {{ theme: string, brand: string }}
+ */
+export function readSettings(storage, key = THEME_STORAGE_KEY) {
+  try {
+    const text = storage && storage.getItem(key);
+    return sanitizeThemeSettings(text ? JSON.parse(text) : null);
+  } catch (error) {
+    return { ...DEFAULT_SETTINGS };
+  }
+}
+
+/**
+ * The theme to show for a choice.
+ * @param {string} theme - One of THEMES.
+ * @param {Function} [matchMedia=window.matchMedia]
+ * @returns {'light'|'dark'|'high-contrast'}
+ */
+export function resolveTheme(theme, matchMedia = defaultMatchMedia) {
+  if (theme !== 'system') return theme;
+  const matches = (query) => Boolean(matchMedia(query) && matchMedia(query).matches);
+  if (matches(CONTRAST_QUERY)) return 'high-contrast';
+  return matches(DARK_QUERY) ? 'dark' : 'light';
+}
+
+/**
+ * The brand to show for a choice.
+ * @param {string} brand - 'auto', 'none' or a BRAND_THEMES id.
+ * @param {object} [user=getCurrentUser()]
+ * @returns {string|null} A BRAND_THEMES id, or null for the company colors.
+ */
+export function resolveBrand(brand, user = getCurrentUser()) {
+  if (brand === 'none') return null;
+  if (brand !== 'auto') return isBrand(brand) ? brand : null;
+  const match = BRAND_THEMES.find(entry => user && entry.department === user.department);
+  return match ? match.id : null;
+}
+
+/**
+ * Creates the theme manager and applies the stored choice.
+ * @param {object} [options]
+ * @param {Storage|null} [options.storage=localStorage] - Pass null to keep the choice in memory only.
+ * @param {string} [options.key=THEME_STORAGE_KEY]
+ * @param {HTMLElement} [options.root=document.documentElement]
+ * @param {Function} [options.matchMedia=window.matchMedia]
+ * @returns {{ get: Function, getResolved: Function, setTheme: Function, setBrand: Function, subscribe: Function, destroy: Function }}
+ */
+export function createThemeManager({
+  storage = getLocalStorage(),
+  key = THEME_STORAGE_KEY,
+  root = document.documentElement,
+  matchMedia = defaultMatchMedia,
+} = {}) {
+  const listeners = new Set();
+  const cleanups = [];
+  let settings = readSettings(storage, key);
+  let resolved = null;
+
+  function apply() {
+    const next = { theme: resolveTheme(settings.theme, matchMedia), brand: resolveBrand(settings.brand) };
+    root.setAttribute('data-theme', next.theme);
+    if (next.brand) {
+      root.setAttribute('data-brand', next.brand);
+    } else {
+      root.removeAttribute('data-brand');
+    }
+    const changed = !resolved || resolved.theme !== next.theme || resolved.brand !== next.brand;
+    resolved = next;
+    return changed;
+  }
+
+  function notify() {
+    listeners.forEach(listener => {
+      try {
+        listener({ ...settings }, { ...resolved });
+      } catch (error) {
+        log.error('Listener failed:', error);
+      }
+    });
+  }
+
+  function update(changes) {
+    settings = sanitizeThemeSettings({ ...settings, ...changes });
+    if (storage) {
+      try {
+        storage.setItem(key, JSON.stringify(settings));
+      } catch (error) {
+        log.warn('Theme could not be saved.', error);
+      }
+    }
+    apply();
+    notify();
+  }
+
+  // 'system' follows the OS as it changes (e.g. dark mode at sunset)
+  [DARK_QUERY, CONTRAST_QUERY].forEach(query => {
+    const list = matchMedia(query);
+    if (!list || typeof list.addEventListener !== 'function') return;
+    const onChange = () => {
+      if (settings.theme === 'system' && apply()) notify();
+    };
+    list.addEventListener('change', onChange);
+    cleanups.push(() => list.removeEventListener('change', onChange));
+  });
+
+  // Another tab changed the theme
+  if (storage && typeof window !== 'undefined') {
+    const onStorage = (e) => {
+      if (e.key !== key || e.storageArea !== storage) return;
+      settings = readSettings(storage, key);
+      apply();
+      notify();
+    };
+    window.addEventListener('storage', onStorage);
+    cleanups.push(() => window.removeEventListener('storage', onStorage));
+  }
+
+  // A different employee signed in: their department may have another brand
+  cleanups.push(onUserChange(() => {
+    if (settings.brand === 'auto' && apply()) notify();
+  }));
+
+  apply();
+
+  return {
+    /** @returns {{ theme: string, brand: string }} The employee's choice. */
+    get: () => ({ ...settings }),
+
+    /** @returns {{ theme: string, brand: string|null }} What is shown. */
+    getResolved: () => ({ ...resolved }),
+
+    /** @param {string} theme - One of THEMES. */
+    setTheme: (theme) => update({ theme }),
+
+    /** @param {string} brand - 'auto', 'none' or a BRAND_THEMES id. */
+    setBrand: (brand) => update({ brand }),
+
+    /**
+     * @param {Function} listener - Called with (settings, resolved) after every change.
+     * @returns {Function} Unsubscribe function.
+     */
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    destroy() {
+      cleanups.forEach(cleanup => cleanup());
+      listeners.clear();
+    },
+  };
+}
@@ -0,0 +1,157 @@
+// src/js/modules/weather.js
+
+/**
+ * ConnectHub Intranet - Weather
+ *
+ * Where the weather tile's forecast is for, and what its conditions are called.
+ *
+ * The location is the employee's office: the `location` of their record in the
+ * employee directory, looked up in src/data/offices.json. Employees without a known
+ * office get the weather where their browser says they are (if geolocation is on
+ * and they allow it), and otherwise the first office's. A browser position close to
+ * an office counts as that office; others are rounded to about a kilometre, so
+ * forecasts can be cached per location without every small move starting a new one.
+ *
+ * Forecasts themselves come from a provider (see weatherProviders.js).
+ */
+
+export const WEATHER_CONDITIONS = Object.freeze({
+  CLEAR: 'clear',
+  PARTLY_CLOUDY: 'partly-cloudy',
+  CLOUDY: 'cloudy',
+  FOG: 'fog',
+  DRIZZLE: 'drizzle',
+  RAIN: 'rain',
+  THUNDERSTORM: 'thunderstorm',
+  SNOW: 'snow',
+});
+
+// Classes from the Weather Icons font loaded in public/index.html.
+const CONDITION_ICONS = {
+  [WEATHER_CONDITIONS.CLEAR]: 'wi-day-sunny',
+  [WEATHER_CONDITIONS.PARTLY_CLOUDY]: 'wi-day-cloudy',
+  [WEATHER_CONDITIONS.CLOUDY]: 'wi-cloudy',
+  [WEATHER_CONDITIONS.FOG]: 'wi-fog',
+  [WEATHER_CONDITIONS.DRIZZLE]: 'wi-sprinkle',
+  [WEATHER_CONDITIONS.RAIN]: 'wi-rain',
+  [WEATHER_CONDITIONS.THUNDERSTORM]: 'wi-thunderstorm',
+  [WEATHER_CONDITIONS.SNOW]: 'wi-snow',
+};
+
+/** Where a forecast's location came from. */
+export const LOCATION_SOURCES = Object.freeze({
+  OFFICE: 'office',
+  GEOLOCATION: 'geolocation',
+  DEFAULT: 'default',
+});
+
+export const DEFAULT_FORECAST_DAYS = 5;
+export const MAX_FORECAST_DAYS = 7;
+
+const EARTH_RADIUS_KM = 6371;
+const NEARBY_OFFICE_KM = 25;
+const GEOLOCATION_TIMEOUT = 10 * 1000;
+const GEOLOCATION_MAX_AGE = 30 * 60 * 1000;
+
+/**
+ * @param {string|null} condition - One of WEATHER_CONDITIONS.
+ * @returns {string} A Weather Icons class, 'wi-na' when unknown.
+ */
+export function weatherIcon(condition) {
+  return CONDITION_ICONS[condition] || 'wi-na';
+}
+
+/**
+ * Finds an office by id or name ('Bacolod City Office'), ignoring case.
+ * @param {object[]} offices - Normalized offices.
+ * @param {string|null} location
+ * @returns {object|null}
+ */
+export function findOffice(offices, location) {
+  const wanted = String(location || '').trim().toLowerCase();
+  if (!wanted) return null;
+  return offices.find(office => office.id.toLowerCase() === wanted || office.name.toLowerCase() === wanted) || null;
+}
+
+/**
+ * Great-circle distance between two points, in km.
+ * @param {{ latitude: number, longitude: number }} a
+ * @param {{ latitude: number, longitude: number }} b
+ * @returns {number}
+ */
+export function distanceKm(a, b) {
+  const toRadians = (degrees) => degrees * Math.PI / 180;
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLon = toRadians(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+}
+
+const officeLocation = (office, source) => ({
+  id: office.id,
+  name: office.city || office.name,
+  latitude: office.latitude,
+  longitude: office.longitude,
+  timeZone: office.timeZone,
+  source,
+});
+
+/**
+ * Works out where to show the weather for.
+ * @param {object} context
+ * @param {{ location: string|null }} context.user - The signed-in employee.
+ * @param {object[]} context.offices - Normalized offices, the default first.
+ * @param {Function|null} [context.locate] - () => Promise of { latitude, longitude } or null;
+ *   only called when the employee's office is unknown. Null to skip geolocation.
+ * @returns {Promise<{ id: string, name: string|null, latitude: number, longitude: number, timeZone: string|null, source: string }|null>}
+ *   `name` is null for a browser position. Null when there is nowhere to go by.
+ */
+export async function resolveWeatherLocation({ user, offices, locate = null }) {
+  const office = findOffice(offices, user.location);
+  if (office) return officeLocation(office, LOCATION_SOURCES.OFFICE);
+
+  const position = locate ? await locate() : null;
+  if (position) {
+    const nearby = offices.find(candidate => distanceKm(candidate, position) <= NEARBY_OFFICE_KM);
+    if (nearby) return officeLocation(nearby, LOCATION_SOURCES.GEOLOCATION);
+    const latitude = Math.round(position.latitude * 100) / 100;
+    const longitude = Math.round(position.longitude * 100) / 100;
+    return {
+      id: `geo:${latitude},${longitude}`,
+      name: null,
+      latitude,
+      longitude,
+      timeZone: null,
+      source: LOCATION_SOURCES.GEOLOCATION,
+    };
+  }
+  return offices.length ? officeLocation(offices[0], LOCATION_SOURCES.DEFAULT) : null;
+}
+
+/**
+ * Asks the browser where the employee is.
+ * @param {object} [options]
+ * @param {number} [options.timeout=10000] - ms to wait, including for the permission prompt's answer.
+ * @returns {Promise<{ latitude: number, longitude: number }|null>} Null when geolocation is
+ *   unsupported, refused, or too slow. Never rejects.
+ */
+export function getCurrentPosition({ timeout = GEOLOCATION_TIMEOUT } = {}) {
+  const geolocation = typeof navigator !== 'undefined' ? navigator.geolocation : null;
+  if (!geolocation) return Promise.resolve(null);
+  return new Promise(resolve => {
+    // Browsers may never answer while the permission prompt is ignored, so give up on our own too.
+    const timer = setTimeout(() => resolve(null), timeout + 1000);
+    geolocation.getCurrentPosition(
+      ({ coords }) => {
+        clearTimeout(timer);
+        resolve({ latitude: coords.latitude, longitude: coords.longitude });
+      },
+      () => {
+        clearTimeout(timer);
+        resolve(null);
+      },
+      { timeout, maximumAge: GEOLOCATION_MAX_AGE, enableHighAccuracy: false }
+    );
+  });
+}
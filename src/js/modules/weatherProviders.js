@@ -0,0 +1,129 @@
+// src/js/modules/weatherProviders.js
+
+/**
+ * ConnectHub Intranet - Weather Providers
+ *
+ * The weather tile gets its forecasts from a provider adapter, so a real weather
+ * service can be plugged in (see setWeatherProvider() in dataService.js) without
+ * touching the widget:
+ *
+ *   { name, getForecast({ location, days, signal }) } -> Promise<{
+ *       updatedAt,                  // When the provider last measured, ISO instant (optional)
+ *       current: { temperatureCelsius, condition, humidity, windKph },
+ *       daily: [{ date, highCelsius, lowCelsius, condition, precipitationChance }],
+ *     }>
+ *
+ * `location` is { id, name, latitude, longitude, timeZone } (see weather.js), and
+ * `daily` starts today, in the location's time zone. Temperatures are in °C and wind
+ * in km/h; the widget converts them to the employee's units. `condition` is one of
+ * WEATHER_CONDITIONS; anything else is shown as the provider sent it (`description`).
+ * A provider reports failures by rejecting; the data service retries and times out
+ * calls like any other request.
+ *
+ * The local stub (createLocalWeatherProvider) makes up plausible weather from the
+ * latitude, the season and the date, the same for everyone on the same day, so the
+ * tile can be developed and demoed without an API key.
+ */
+
+import { WEATHER_CONDITIONS, MAX_FORECAST_DAYS } from './weather.js';
+import { zonedDateKey } from './eventTime.js';
+import { sleep } from './requestPolicy.js';
+import { DataServiceError } from './errors.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TROPICS_LATITUDE = 23.5;
+
+// A repeatable number in [0, 1) for a piece of text (FNV-1a), so a given place and
+// day always get the same weather.
+function noise(text) {
+  let hash = 0x811c9dc5;
+  for (const char of text) {
+    hash ^= char.charCodeAt(0);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0) / 4294967296;
+}
+
+const round = (value, step = 1) => Math.round(value / step) * step;
+
+function localHour(now, timeZone) {
+  if (!timeZone) return now.getHours();
+  const hour = new Intl.DateTimeFormat('en-US', { timeZone, hour: 'numeric', hourCycle: 'h23' }).format(now);
+  return Number(hour);
+}
+
+// One day of made-up weather: warmer nearer the equator and in summer, wetter in the
+// tropical rainy season (June to November north of the equator).
+function stubDay(location, date) {
+  const latitude = Number(location.latitude) || 0;
+  const distance = Math.abs(latitude);
+  const tropical = distance < TROPICS_LATITUDE;
+  const month = Number(date.slice(5, 7));
+  const dayOfYear = Math.round((Date.parse(`${date}T00:00:00Z`) - Date.parse(`${date.slice(0, 4)}-01-01T00:00:00Z`)) / DAY_MS);
+
+  const mean = 27 - 0.45 * Math.max(0, distance - 15);
+  const amplitude = tropical ? 1 : Math.min(10, (distance - 15) * 0.3 + 1);
+  const summer = Math.cos(2 * Math.PI * (dayOfYear - 200) / 365) * (latitude < 0 ? -1 : 1);
+  const middle = mean + amplitude * summer + (noise(`${location.id}:${date}:temperature`) - 0.5) * 3;
+  const spread = tropical ? 4 : 5;
+
+  const rainySeason = tropical && (latitude >= 0 ? month >= 6 && month <= 11 : month <= 4 || month === 12);
+  const wetness = (rainySeason ? 0.55 : 0.25) + noise(`${location.id}:${date}:rain`) * 0.45;
+  const precipitationChance = Math.min(100, round(wetness * 100, 10));
+  const lowCelsius = round(middle - spread);
+  const freezing = lowCelsius <= 0;
+
+  let condition = WEATHER_CONDITIONS.CLEAR;
+  if (precipitationChance >= 80) {
+    condition = freezing ? WEATHER_CONDITIONS.SNOW : (tropical ? WEATHER_CONDITIONS.THUNDERSTORM : WEATHER_CONDITIONS.RAIN);
+  } else if (precipitationChance >= 60) {
+    condition = freezing ? WEATHER_CONDITIONS.SNOW : WEATHER_CONDITIONS.RAIN;
+  } else if (precipitationChance >= 50) {
+    condition = WEATHER_CONDITIONS.CLOUDY;
+  } else if (precipitationChance >= 30) {
+    condition = WEATHER_CONDITIONS.PARTLY_CLOUDY;
+  }
+
+  return { date, highCelsius: round(middle + spread), lowCelsius, condition, precipitationChance };
+}
+
+/**
+ * The local stub provider.
+ * @param {object} [options]
+ * @param {number} [options.delay=0] - Simulated latency in ms.
+ * @param {number} [options.failureRate=0] - Probability (0-1) of a simulated failure, to try out the tile's fallback.
+ * @param {Function} [options.now=() => new Date()]
+ * @returns {{ name: string, getForecast: Function }}
+ */
+export function createLocalWeatherProvider({ delay = 0, failureRate = 0, now = () => new Date() } = {}) {
+  return {
+    name: 'local-weather',
+    async getForecast({ location, days, signal } = {}) {
+      if (delay > 0) await sleep(delay, signal);
+      if (Math.random() < failureRate) {
+        throw new DataServiceError('[WeatherProvider:local] Simulated weather service outage.', { resource: 'weather' });
+      }
+
+      const moment = now();
+      const count = Math.min(Math.max(1, days), MAX_FORECAST_DAYS);
+      const first = Date.parse(`${zonedDateKey(moment, location.timeZone)}T00:00:00Z`);
+      const daily = Array.from({ length: count }, (_, i) => (
+        stubDay(location, new Date(first + i * DAY_MS).toISOString().slice(0, 10))
+      ));
+
+      // Coolest before dawn, warmest mid-afternoon.
+      const today = daily[0];
+      const phase = Math.sin(Math.PI * (localHour(moment, location.timeZone) - 9) / 12);
+      return {
+        updatedAt: moment.toISOString(),
+        current: {
+          temperatureCelsius: round((today.highCelsius + today.lowCelsius) / 2 + (today.highCelsius - today.lowCelsius) / 2 * phase),
+          condition: today.condition,
+          humidity: Math.min(100, round(50 + today.precipitationChance * 0.4)),
+          windKph: round(5 + noise(`${location.id}:${today.date}:wind`) * 20),
+        },
+        daily,
+      };
+    },
+  };
+}
@@ -0,0 +1,201 @@
+// src/js/pages/homePage.js
+
+/**
+ * ConnectHub Intranet - Homepage Entry Point
+ *
+ * Loaded as an ES module from public/index.html. Initializes the data-driven
+ * widgets on the homepage and the router that opens views (articles, people,
+ * events, search results...) in #app-view. Global behaviors (mobile menu etc.)
+ * stay in main.js, and the carousel/tabs components self-initialize (the homepage
+ * carousel is created here instead, to be fed with featured news).
+ * It also registers the service worker that keeps the page usable offline, and
+ * opens the realtime channel that pushes new posts and events when one is configured.
+ * The language is set up first, from the employee's preferences, so widgets render
+ * in it from the start. The color theme is already on <html> by then (an inline
+ * script in index.html applies it before the first paint); the theme manager takes
+ * over from there and backs the switcher in the header.
+ * Before any of that, uncaught errors start going to the logger, and from there to
+ * the collector when one is configured (CONNECTHUB_CONFIG.logging, see reporter.js).
+ * Links to '#/?shoutout=...' (e.g. "Send kudos" on a birthday) come back to the
+ * dashboard with the shout-out composer open and filled in.
+ */
+
+import { initNewsFeed } from '../widgets/newsFeed.js';
+import { initFeaturedNews } from '../widgets/featuredNews.js';
+import { initSearchBox } from '../widgets/searchBox.js';
+import { initUpcomingEvents } from '../widgets/eventsCalendar.js';
+import { initQuickLinks } from '../widgets/quickLinks.js';
+import { initTeamUpdates } from '../widgets/teamUpdates.js';
+import { initDashboardLayout, DASHBOARD_WIDGETS } from '../widgets/dashboardLayout.js';
+import { initOfflineBanner } from '../widgets/offlineBanner.js';
+import { initRequestStatus } from '../widgets/requestStatus.js';
+import { initThemeSwitcher } from '../widgets/themeSwitcher.js';
+import { initPersonalBriefing } from '../widgets/personalBriefing.js';
+import { initWeather } from '../widgets/weather.js';
+import { initEmployeeSpotlight } from '../widgets/employeeSpotlight.js';
+import { initCelebrations } from '../widgets/celebrations.js';
+import { createRouter, ROUTE_CHANGE_EVENT } from '../modules/router.js';
+import { createPreferencesStore } from '../modules/preferences.js';
+import { registerServiceWorker } from '../modules/serviceWorker.js';
+import { offlineQueue } from '../modules/offlineQueue.js';
+import { createChannelFromConfig } from '../modules/realtime.js';
+import { connectRealtime } from '../modules/dataService.js';
+import { initI18n, setLocale, setTemperatureUnit, onLocaleChange } from '../modules/i18n.js';
+import { createThemeManager } from '../modules/theme.js';
+import { createLogger, captureGlobalErrors } from '../modules/logger.js';
+import { createReporterFromConfig } from '../modules/reporter.js';
+
+const log = createLogger('HomePage');
+
+const comingSoon = () => import('../views/comingSoonView.js');
+const peopleView = () => import('../views/peopleView.js');
+const requestFormView = () => import('../views/requestFormView.js');
+
+/**
+ * Route table. Views are loaded on first visit.
+ * `nav` is the main navigation link to highlight while the route is shown.
+ * `form` picks the schema for the request form view (see modules/requestForms.js).
+ * `keepOnLanguageChange` routes aren't rendered again when the language changes, so
+ * nothing typed into them is lost; their labels follow the language by themselves.
+ */
+const ROUTES = [
+  { name: 'home', path: '/', titleKey: 'routes.home', nav: '/', view: () => import('../views/dashboardView.js') },
+  { name: 'search', path: '/search', titleKey: 'routes.search', view: () => import('../views/searchResultsView.js') },
+  { name: 'saved-news', path: '/saved', titleKey: 'routes.savedNews', view: () => import('../views/savedNewsView.js') },
+  { name: 'news-article', path: '/news/:id', titleKey: 'routes.news', view: () => import('../views/newsArticleView.js') },
+  { name: 'events', path: '/events', titleKey: 'routes.events', view: () => import('../views/eventsView.js') },
+  { name: 'event', path: '/events/:id', titleKey: 'routes.event', view: () => import('../views/eventDetailView.js') },
+  { name: 'people', path: '/people', titleKey: 'routes.people', nav: '/departments', view: peopleView },
+  { name: 'person', path: '/people/:id', titleKey: 'routes.people', nav: '/departments', view: peopleView },
+  { name: 'org-chart', path: '/people/:id/org', titleKey: 'routes.orgChart', nav: '/departments', view: peopleView },
+  { name: 'org-chart', path: '/org', titleKey: 'routes.orgChart', nav: '/departments', view: peopleView },
+  { name: 'departments', path: '/departments', titleKey: 'routes.departments', nav: '/departments', view: () => import('../views/departmentsView.js') },
+  { name: 'resources', path: '/resources', titleKey: 'routes.resources', nav: '/resources', view: () => import('../views/resourcesView.js') },
+  { name: 'leave-request', path: '/forms/leave', titleKey: 'routes.leaveRequest', nav: '/resources', form: 'leave', view: requestFormView },
+  { name: 'expense-forms', path: '/forms/expense', titleKey: 'routes.expenseForms', nav: '/resources', form: 'expense', view: requestFormView },
+  { name: 'requests', path: '/requests', titleKey: 'routes.requests', nav: '/resources', view: () => import('../views/requestsView.js') },
+  { name: 'admin-content', path: '/admin/content', titleKey: 'routes.adminContent', keepOnLanguageChange: true, view: () => import('../views/adminContentView.js') },
+  { name: 'reports', path: '/reports', titleKey: 'routes.reports', nav: '/resources', view: comingSoon },
+  { name: 'policies', path: '/policies', titleKey: 'routes.policies', nav: '/resources', view: comingSoon },
+  { name: 'helpdesk', path: '/helpdesk', titleKey: 'routes.helpdesk', nav: '/contact', view: comingSoon },
+  { name: 'about', path: '/about', titleKey: 'routes.about', nav: '/about', view: comingSoon },
+  { name: 'contact', path: '/contact', titleKey: 'routes.contact', nav: '/contact', view: comingSoon },
+];
+
+const NOT_FOUND_ROUTE = { name: 'not-found', titleKey: 'routes.notFound', view: () => import('../views/notFoundView.js') };
+
+function initRouter() {
+  const outlet = document.getElementById('app-view');
+  const main = document.querySelector('main');
+  if (!outlet || !main) {
+    log.warn('#app-view not found. Routed views are disabled.');
+    return null;
+  }
+
+  const navLinks = Array.from(document.querySelectorAll('.main-nav a'));
+
+  const router = createRouter({
+    outlet,
+    routes: ROUTES,
+    notFound: NOT_FOUND_ROUTE,
+    // The dashboard cards and routed views take turns in the main content area.
+    beforeRender({ route }) {
+      const isDashboard = route.name === 'home';
+      outlet.hidden = isDashboard;
+      main.classList.toggle('has-active-view', !isDashboard);
+    },
+    onRouteChange({ route }) {
+      const current = route.nav ? router.href(route.nav) : null;
+      navLinks.forEach(link => {
+        const isCurrent = link.getAttribute('href') === current;
+        link.classList.toggle('active', isCurrent);
+        if (isCurrent) {
+          link.setAttribute('aria-current', 'page');
+        } else {
+          link.removeAttribute('aria-current');
+        }
+      });
+    },
+  });
+  router.start();
+
+  // Routed views are rendered with t(), so a new language needs a new render.
+  let current = null;
+  window.addEventListener(ROUTE_CHANGE_EVENT, ({ detail: { route } }) => { current = route; });
+  onLocaleChange(() => {
+    if (current && !current.keepOnLanguageChange) router.refresh();
+  });
+  return router;
+}
+
+// Realtime updates are optional (see CONNECTHUB_CONFIG.realtime); without them widgets still refresh on their own.
+async function initRealtime() {
+  try {
+    const channel = await createChannelFromConfig();
+    if (!channel) return;
+    connectRealtime(channel);
+    channel.connect();
+  } catch (error) {
+    log.error('Realtime updates could not be started:', error);
+  }
+}
+
+// '#/?shoutout=<text>' opens the shout-out composer with the text; the query is then
+// dropped so reloading or going back doesn't open it again.
+function initShoutOutLinks(router, teamUpdates) {
+  if (!router || !teamUpdates) return;
+  window.addEventListener(ROUTE_CHANGE_EVENT, ({ detail: { route, query } }) => {
+    if (route.name !== 'home' || !query.shoutout) return;
+    teamUpdates.compose(query.shoutout);
+    router.navigate('/', { replace: true });
+  });
+}
+
+// The language and temperature unit follow the preferences, including changes made in other tabs.
+function initLanguage(preferences) {
+  const { locale, temperatureUnit } = preferences.get();
+  initI18n({ locale, temperatureUnit });
+  preferences.subscribe(prefs => {
+    setLocale(prefs.locale);
+    setTemperatureUnit(prefs.temperatureUnit);
+  });
+}
+
+function initHomePage() {
+  const preferences = createPreferencesStore({ widgets: DASHBOARD_WIDGETS });
+  initLanguage(preferences);
+  initThemeSwitcher(document.querySelector('.theme-switcher'), createThemeManager());
+  registerServiceWorker();
+  initOfflineBanner(document.querySelector('.main-header'), offlineQueue);
+  const router = initRouter();
+  initSearchBox(document.querySelector('#global-search-input'), document.querySelector('#global-search-button'), {
+    onSubmit: (query) => {
+      if (router) router.navigate(`/search?q=${encodeURIComponent(query)}`);
+    },
+  });
+  initFeaturedNews(document.querySelector('.carousel'));
+  const newsFeed = initNewsFeed(document.querySelector('.news-announcements'), { category: preferences.get().newsCategory });
+  initDashboardLayout(document.querySelector('main'), preferences, {
+    onNewsCategoryChange: (category) => newsFeed && newsFeed.setCategory(category),
+  });
+  initQuickLinks(document.querySelector('.quick-links'), preferences);
+  initUpcomingEvents(document.querySelector('.upcoming-events'));
+  const teamUpdates = initTeamUpdates(document.querySelector('.team-updates'));
+  initShoutOutLinks(router, teamUpdates);
+  initEmployeeSpotlight(document.querySelector('.employee-spotlight'));
+  initCelebrations(document.querySelector('.celebrations'));
+  initPersonalBriefing(document.querySelector('.personalized-briefing'));
+  initWeather(document.querySelector('.personalized-briefing'));
+  initRequestStatus(document.querySelector('.personalized-briefing'));
+  initRealtime();
+}
+
+captureGlobalErrors();
+createReporterFromConfig();
+
+// Module scripts are deferred, but guard anyway in case this is loaded differently.
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', initHomePage);
+} else {
+  initHomePage();
+}
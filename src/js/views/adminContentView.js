@@ -0,0 +1,292 @@
+// src/js/views/adminContentView.js
+
+/**
+ * ConnectHub Intranet - Content Console View
+ *
+ * Route: #/admin/content?type=news (or events, spotlight, quick-links)
+ *
+ * Where admins write the homepage's news, events, spotlight entries and quick links.
+ * New items start as drafts and go out when they are published, on their publish
+ * date if they have one; they come down on their take-down date or when archived.
+ * The editor previews the item as it will look while it is being written. Forms and
+ * checks come from modules/contentSchemas.js; everyone else gets a polite refusal.
+ *
+ * The view isn't rendered again when the language changes (an open editor would lose
+ * what was typed), so its fixed labels are marked with their message keys instead.
+ */
+
+import {
+  fetchContentItems,
+  saveContent,
+  setContentStatus,
+  RESOURCES,
+  ERROR_TYPES,
+} from '../modules/dataService.js';
+import { CONTENT_SCHEMAS } from '../modules/contentSchemas.js';
+import { PUBLISH_STATUSES, PUBLICATION_STATES, publicationState } from '../modules/publishing.js';
+import { coerceValues } from '../modules/formSchema.js';
+import { normalize } from '../modules/normalizers.js';
+import { hasRole, ROLES } from '../modules/session.js';
+import { t } from '../modules/i18n.js';
+import { createSchemaForm } from '../widgets/schemaForm.js';
+import { createElement, renderStatus, errorMessage, saveErrorMessage, formatDate, renderAudienceBadge } from '../widgets/widgetUtils.js';
+import { setRichText, setRichHtml } from '../widgets/richText.js';
+
+// `messages` prefixes the type's own messages (tab label, "New article", empty list...).
+const CONTENT_TYPES = [
+  { type: 'news', resource: RESOURCES.NEWS, messages: 'console.news' },
+  { type: 'events', resource: RESOURCES.EVENTS, messages: 'console.events' },
+  { type: 'spotlight', resource: RESOURCES.EMPLOYEE_SPOTLIGHT, messages: 'console.spotlight' },
+  { type: 'quick-links', resource: RESOURCES.QUICK_LINKS, messages: 'console.quickLinks' },
+];
+
+// Message keys
+const STATE_LABELS = {
+  [PUBLICATION_STATES.DRAFT]: 'console.state.draft',
+  [PUBLICATION_STATES.SCHEDULED]: 'console.state.scheduled',
+  [PUBLICATION_STATES.LIVE]: 'console.state.live',
+  [PUBLICATION_STATES.EXPIRED]: 'console.state.expired',
+  [PUBLICATION_STATES.ARCHIVED]: 'console.state.archived',
+};
+const STATE_ORDER = Object.keys(STATE_LABELS);
+
+// What can be done with an item in each state: [label key, action key for errors, status to move it to].
+const PUBLISH = ['console.publish', 'actions.publishItem', PUBLISH_STATUSES.PUBLISHED];
+const UNPUBLISH = ['console.unpublish', 'actions.unpublishItem', PUBLISH_STATUSES.DRAFT];
+const ARCHIVE = ['console.archive', 'actions.archiveItem', PUBLISH_STATUSES.ARCHIVED];
+const RESTORE = ['console.restore', 'actions.restoreItem', PUBLISH_STATUSES.DRAFT];
+const STATUS_ACTIONS = {
+  [PUBLICATION_STATES.DRAFT]: [PUBLISH, ARCHIVE],
+  [PUBLICATION_STATES.SCHEDULED]: [UNPUBLISH, ARCHIVE],
+  [PUBLICATION_STATES.LIVE]: [UNPUBLISH, ARCHIVE],
+  [PUBLICATION_STATES.EXPIRED]: [ARCHIVE],
+  [PUBLICATION_STATES.ARCHIVED]: [RESTORE],
+};
+
+const itemTitle = (item) => item.title || item.name || t('console.untitled');
+
+// As a message: [key, params]
+function describeSchedule(item) {
+  const from = item.publishAt && formatDate(item.publishAt);
+  const until = item.expireAt && formatDate(item.expireAt);
+  if (from && until) return ['console.schedule.range', { from, until }];
+  if (from) return ['console.schedule.from', { date: from }];
+  if (until) return ['console.schedule.until', { date: until }];
+  return ['console.schedule.none'];
+}
+
+// --- Previews: the item roughly as the homepage shows it ---
+
+function previewNews(item) {
+  const card = createElement('article', { className: 'news-article' });
+  if (item.imageUrl) card.appendChild(createElement('img', { attrs: { src: item.imageUrl, alt: '' } }));
+  card.append(
+    createElement('h3', { text: item.title }),
+    createElement('p', { className: 'article-meta', text: [formatDate(item.date), item.author, item.category].filter(Boolean).join(' · ') }),
+    setRichText(createElement('div', { className: 'content-preview-summary' }), item.previewText)
+  );
+  if (item.fullContent) card.appendChild(setRichHtml(createElement('div', { className: 'article-body' }), item.fullContent));
+  return card;
+}
+
+function previewEvent(item) {
+  const card = createElement('article', { className: 'event-item' });
+  card.append(
+    createElement('h3', { text: item.title }),
+    createElement('p', { className: 'article-meta', text: [formatDate(item.date), item.time, item.location].filter(Boolean).join(' · ') })
+  );
+  if (item.description) card.appendChild(createElement('p', { text: item.description }));
+  return card;
+}
+
+function previewSpotlight(item) {
+  const card = createElement('div', { className: 'spotlight-card' });
+  if (item.imageUrl) card.appendChild(createElement('img', { attrs: { src: item.imageUrl, alt: '' } }));
+  card.append(
+    createElement('h3', { text: item.name }),
+    createElement('p', { className: 'article-meta', text: item.position || '' }),
+    createElement('p', { text: item.bio })
+  );
+  return card;
+}
+
+function previewQuickLink(item) {
+  const link = createElement('span', { className: 'quick-link-item' });
+  link.append(createElement('i', { className: item.icon, attrs: { 'aria-hidden': 'true' } }), createElement('span', { text: item.title }));
+  return link;
+}
+
+const PREVIEWS = {
+  [RESOURCES.NEWS]: previewNews,
+  [RESOURCES.EVENTS]: previewEvent,
+  [RESOURCES.EMPLOYEE_SPOTLIGHT]: previewSpotlight,
+  [RESOURCES.QUICK_LINKS]: previewQuickLink,
+};
+
+function renderPreview(target, contentType, schema, rawValues) {
+  let item = null;
+  try {
+    [item] = normalize(contentType.resource, [schema.toRecord(coerceValues(schema, rawValues))]);
+  } catch (error) {
+    // Shown as not started yet
+  }
+  target.replaceChildren(item && (item.title || item.name)
+    ? PREVIEWS[contentType.resource](item)
+    : createElement('p', { className: 'empty-message', message: 'console.previewEmpty' }));
+}
+
+// --- List ---
+
+function renderItem(item, { onEdit, onStatus }) {
+  const state = publicationState(item);
+  const row = createElement('li', { className: 'content-item', attrs: { 'data-content-id': item.id } });
+  const header = createElement('div', { className: 'content-item-header' });
+  header.append(
+    createElement('h4', { text: itemTitle(item) }),
+    createElement('span', { className: `content-state content-state-${state}`, message: STATE_LABELS[state] })
+  );
+  row.append(header, createElement('p', { className: 'content-item-meta', message: describeSchedule(item) }));
+  const audience = renderAudienceBadge(item);
+  if (audience) row.appendChild(audience);
+
+  const error = createElement('p', { className: 'form-field-error', attrs: { role: 'alert' } });
+  error.hidden = true;
+  const actions = createElement('div', { className: 'content-item-actions' });
+  const edit = createElement('button', {
+    className: 'btn btn-sm btn-secondary',
+    message: 'console.edit',
+    attrs: { type: 'button' },
+    attrMessages: { 'aria-label': ['console.editLabel', { title: itemTitle(item) }] },
+  });
+  edit.addEventListener('click', () => onEdit(item));
+  actions.appendChild(edit);
+
+  STATUS_ACTIONS[state].forEach(([label, action, status]) => {
+    const button = createElement('button', {
+      className: `btn btn-sm ${status === PUBLISH_STATUSES.PUBLISHED ? 'btn-primary' : 'btn-secondary'}`,
+      message: label,
+      attrs: { type: 'button' },
+      attrMessages: { 'aria-label': [`${label}Label`, { title: itemTitle(item) }] },
+    });
+    button.addEventListener('click', async () => {
+      actions.querySelectorAll('button').forEach(control => { control.disabled = true; });
+      error.hidden = true;
+      try {
+        await onStatus(item, status);
+      } catch (failure) {
+        actions.querySelectorAll('button').forEach(control => { control.disabled = false; });
+        error.textContent = failure.type === ERROR_TYPES.VALIDATION
+          ? t('console.fixBeforePublishing', { message: failure.message })
+          : saveErrorMessage(failure, t(action));
+        error.hidden = false;
+      }
+    });
+    actions.appendChild(button);
+  });
+
+  row.append(error, actions);
+  return row;
+}
+
+export async function render(container, { query, router, signal }) {
+  const contentType = CONTENT_TYPES.find(entry => entry.type === query.type) || CONTENT_TYPES[0];
+  const schema = CONTENT_SCHEMAS[contentType.resource];
+  const title = t('routes.adminContent');
+  const message = (name, params) => t(`${contentType.messages}.${name}`, params);
+  const back = createElement('a', { className: 'back-link', message: 'common.backToHomepage', attrs: { href: router.href('/') } });
+
+  if (!hasRole(ROLES.ADMIN)) {
+    container.replaceChildren(
+      back,
+      createElement('h2', { message: 'routes.adminContent' }),
+      createElement('p', { message: 'console.adminsOnly' })
+    );
+    return { title };
+  }
+
+  const view = createElement('div', { className: 'content-console' });
+  const tabs = createElement('nav', { className: 'content-types', attrMessages: { 'aria-label': 'console.types' } });
+  CONTENT_TYPES.forEach(entry => {
+    const link = createElement('a', { message: `${entry.messages}.label`, attrs: { href: router.href(`/admin/content?type=${entry.type}`) } });
+    if (entry === contentType) link.setAttribute('aria-current', 'page');
+    tabs.appendChild(link);
+  });
+  const status = createElement('p', { className: 'content-status', attrs: { role: 'status' } });
+  const body = createElement('div');
+  view.append(createElement('h2', { message: 'routes.adminContent' }), tabs, status, body);
+  container.replaceChildren(back, view);
+
+  async function showList(notice = '') {
+    status.textContent = notice;
+    renderStatus(body, message('loading'));
+    let items;
+    try {
+      items = await fetchContentItems(contentType.resource, { signal });
+    } catch (error) {
+      if (error.type === ERROR_TYPES.ABORT) return;
+      renderStatus(body, errorMessage(error, message('subject')), { isError: true });
+      return;
+    }
+
+    const create = createElement('button', { className: 'btn btn-primary', message: `${contentType.messages}.new`, attrs: { type: 'button' } });
+    create.addEventListener('click', () => showEditor(null));
+    if (items.length === 0) {
+      body.replaceChildren(create, createElement('p', { className: 'empty-message', message: `${contentType.messages}.empty` }));
+      return;
+    }
+
+    const byState = (a, b) => STATE_ORDER.indexOf(publicationState(a)) - STATE_ORDER.indexOf(publicationState(b));
+    const list = createElement('ul', { className: 'content-list' });
+    [...items].sort(byState).forEach(item => list.appendChild(renderItem(item, {
+      onEdit: showEditor,
+      async onStatus(target, nextStatus) {
+        const updated = await setContentStatus(contentType.resource, target.id, nextStatus);
+        await showList(t('console.statusChanged', { title: itemTitle(updated), state: t(STATE_LABELS[publicationState(updated)]).toLocaleLowerCase() }));
+      },
+    })));
+    body.replaceChildren(create, list);
+  }
+
+  function showEditor(item) {
+    status.textContent = '';
+    const preview = createElement('div', { className: 'content-preview-body' });
+    const form = createSchemaForm(schema, {
+      initialValues: item ? schema.toFormValues(item) : { featured: 'no' },
+      submitLabel: t(item ? 'console.saveChanges' : 'console.saveDraft'),
+      onChange: (values) => renderPreview(preview, contentType, schema, values),
+      async onSubmit(values) {
+        form.setBusy(true);
+        try {
+          const saved = await saveContent(contentType.resource, values, { id: item ? item.id : null });
+          await showList(t(item ? 'console.changesSaved' : 'console.draftSaved', { title: itemTitle(saved) }));
+        } catch (error) {
+          form.setBusy(false);
+          if (error.type === ERROR_TYPES.VALIDATION && error.fieldErrors) {
+            form.setErrors(error.fieldErrors);
+          } else {
+            form.setFormError(saveErrorMessage(error, message('save')));
+          }
+        }
+      },
+    });
+
+    const cancel = createElement('button', { className: 'btn btn-secondary', message: 'console.cancel', attrs: { type: 'button' } });
+    cancel.addEventListener('click', () => showList());
+    form.element.querySelector('.form-actions').appendChild(cancel);
+
+    const aside = createElement('aside', { className: 'content-preview', attrMessages: { 'aria-label': 'console.preview' } });
+    aside.append(createElement('h3', { message: 'console.preview' }), preview);
+    renderPreview(preview, contentType, schema, form.getValues());
+
+    const editor = createElement('div', { className: 'content-editor' });
+    editor.append(form.element, aside);
+    body.replaceChildren(
+      createElement('h3', { message: item ? [`${contentType.messages}.edit`, { title: itemTitle(item) }] : `${contentType.messages}.new` }),
+      editor
+    );
+    form.element.querySelector('.form-control')?.focus();
+  }
+
+  await showList();
+  return { title };
+}
@@ -0,0 +1,22 @@
+// src/js/views/comingSoonView.js
+
+/**
+ * ConnectHub Intranet - Coming Soon View
+ *
+ * Stand-in for sections that have a route (so links from the navigation and quick
+ * links resolve) but no content yet. The heading comes from the route's title.
+ */
+
+import { t } from '../modules/i18n.js';
+import { createElement } from '../widgets/widgetUtils.js';
+
+export function render(container, { route, router }) {
+  const title = t(route.titleKey);
+  container.replaceChildren(
+    createElement('h2', { text: title }),
+    createElement('p', { text: t('comingSoon.moving', { section: title }) }),
+    createElement('p', { text: t('comingSoon.helpdesk') }),
+    createElement('a', { className: 'btn btn-secondary', text: t('common.backHome'), attrs: { href: router.href('/') } })
+  );
+  return { title };
+}
@@ -0,0 +1,12 @@
+// src/js/views/dashboardView.js
+
+/**
+ * ConnectHub Intranet - Dashboard View
+ *
+ * The homepage route ('#/'). The dashboard cards live in index.html, so this view
+ * only empties the router outlet; homePage.js shows the cards again for this route.
+ */
+
+export function render(container) {
+  container.replaceChildren(); // The route's own title is used
+}
@@ -0,0 +1,50 @@
+// src/js/views/departmentsView.js
+
+/**
+ * ConnectHub Intranet - Departments View
+ *
+ * Route: #/departments
+ * Lists departments with their headcount and leaders, each linking into the
+ * directory filtered to that department.
+ */
+
+import { fetchEmployees } from '../modules/dataService.js';
+import { getFacets, buildOrgChart } from '../modules/employeeDirectory.js';
+import { t } from '../modules/i18n.js';
+import { createElement, renderStatus, errorMessage } from '../widgets/widgetUtils.js';
+
+export async function render(container, { router, signal }) {
+  renderStatus(container, t('departments.loading'));
+
+  let employees;
+  try {
+    employees = await fetchEmployees({ signal });
+  } catch (error) {
+    renderStatus(container, errorMessage(error, t('subjects.departments')), { isError: true });
+    return { title: t('routes.departments') };
+  }
+
+  const { roots } = buildOrgChart(employees);
+  const list = createElement('ul', { className: 'departments-list' });
+  getFacets(employees).departments.forEach(department => {
+    const members = employees.filter(employee => employee.department === department);
+    const leaders = roots.filter(employee => employee.department === department);
+
+    const item = createElement('li', { className: 'department-item' });
+    item.appendChild(createElement('a', {
+      className: 'department-name',
+      text: department,
+      attrs: { href: router.href(`/people?department=${encodeURIComponent(department)}`) },
+    }));
+    item.appendChild(createElement('span', {
+      className: 'department-meta',
+      text: [t('departments.headcount', { count: members.length }), leaders.length && t('departments.ledBy', { names: leaders.map(leader => leader.fullName).join(', ') })]
+        .filter(Boolean)
+        .join(' · '),
+    }));
+    list.appendChild(item);
+  });
+
+  container.replaceChildren(createElement('h2', { text: t('routes.departments') }), list);
+  return { title: t('routes.departments') };
+}
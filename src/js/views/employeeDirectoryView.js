@@ -0,0 +1,351 @@
+// src/js/views/employeeDirectoryView.js
+
+/**
+ * ConnectHub Intranet - Employee Directory View
+ *
+ * Renders the employee directory into a container:
+ * - List view: filter by department, location and skill, search, sort and page.
+ * - Profile view: contact details, manager and direct reports.
+ * - Org chart view: the chain of managers above a person, the person, and their
+ *   direct reports; every name is a link to walk further up or down.
+ * Data problems in the reporting lines (dangling managerIds, cycles) are listed
+ * in a notice above the org chart instead of breaking it.
+ */
+
+import { fetchEmployees } from '../modules/dataService.js';
+import {
+  SORT_OPTIONS,
+  getFacets,
+  filterEmployees,
+  sortEmployees,
+  paginate,
+  buildOrgChart,
+  describeOrgIssue,
+} from '../modules/employeeDirectory.js';
+import { createElement, renderStatus, errorMessage, debounce } from '../widgets/widgetUtils.js';
+import { createLogger } from '../modules/logger.js';
+import { t } from '../modules/i18n.js';
+
+const log = createLogger('EmployeeDirectory');
+
+const PAGE_SIZE = 6;
+
+function createSelect(label, name, values, selected, { emptyLabel } = {}) {
+  const wrapper = createElement('label', { className: 'directory-field' });
+  wrapper.appendChild(createElement('span', { text: label }));
+  const select = createElement('select', { attrs: { name } });
+  if (emptyLabel) select.appendChild(createElement('option', { text: emptyLabel, attrs: { value: '' } }));
+  values.forEach(({ value, text }) => select.appendChild(createElement('option', { text, attrs: { value } })));
+  select.value = selected;
+  wrapper.appendChild(select);
+  return wrapper;
+}
+
+const asOptions = (values) => values.map(value => ({ value, text: value }));
+
+/**
+ * Mounts the directory into `container`.
+ * @param {HTMLElement} container
+ * @param {object} [options]
+ * @param {string} [options.employeeId] - Open this person's profile straight away.
+ * @param {'list'|'profile'|'org'} [options.view='list']
+ * @param {object} [options.filters] - Initial list filters ({ department, location, skill, query }).
+ * @returns {Promise<{ showList: Function, showProfile: Function, showOrgChart: Function }>}
+ */
+export async function mountEmployeeDirectory(container, { employeeId = null, view = 'list', filters = {} } = {}) {
+  const state = {
+    view,
+    selectedId: employeeId,
+    filters: { department: '', location: '', skill: '', query: '', ...filters },
+    sortKey: 'name',
+    direction: 'asc',
+    page: 1,
+  };
+
+  renderStatus(container, t('directory.loading'));
+  let employees;
+  try {
+    employees = await fetchEmployees();
+  } catch (error) {
+    renderStatus(container, errorMessage(error, t('subjects.directory')), { isError: true });
+    return null;
+  }
+
+  const facets = getFacets(employees);
+  const orgChart = buildOrgChart(employees);
+  if (orgChart.issues.length) {
+    log.warn('Reporting line issues found:', orgChart.issues);
+  }
+
+  const body = createElement('div', { className: 'directory-body' });
+
+  // A name that opens a profile (or, in the org chart, re-centres the chart on that person).
+  function personLink(employee, targetView = 'profile') {
+    const button = createElement('button', { className: 'link-button', text: employee.fullName, attrs: { type: 'button' } });
+    button.addEventListener('click', () => (targetView === 'org' ? showOrgChart(employee.id) : showProfile(employee.id)));
+    return button;
+  }
+
+  function renderToolbar() {
+    const toolbar = createElement('form', { className: 'directory-toolbar', attrs: { role: 'search' } });
+    toolbar.addEventListener('submit', (e) => e.preventDefault());
+
+    const search = createElement('input', {
+      attrs: { type: 'search', name: 'query', placeholder: t('directory.searchPlaceholder'), 'aria-label': t('directory.searchLabel') },
+    });
+    search.value = state.filters.query;
+    search.addEventListener('input', debounce(() => {
+      state.filters.query = search.value;
+      state.page = 1;
+      renderList();
+    }, 200));
+
+    const department = createSelect(t('directory.department'), 'department', asOptions(facets.departments), state.filters.department, { emptyLabel: t('directory.allDepartments') });
+    const location = createSelect(t('directory.location'), 'location', asOptions(facets.locations), state.filters.location, { emptyLabel: t('directory.allLocations') });
+    const skill = createSelect(t('directory.skill'), 'skill', asOptions(facets.skills), state.filters.skill, { emptyLabel: t('directory.anySkill') });
+    const sort = createSelect(t('directory.sortBy'), 'sort',
+      Object.entries(SORT_OPTIONS).flatMap(([key, option]) => [
+        { value: `${key}:asc`, text: t('directory.ascending', { label: t(option.labelKey) }) },
+        { value: `${key}:desc`, text: t('directory.descending', { label: t(option.labelKey) }) },
+      ]),
+      `${state.sortKey}:${state.direction}`);
+
+    toolbar.addEventListener('change', (e) => {
+      const { name, value } = e.target;
+      if (name === 'sort') {
+        [state.sortKey, state.direction] = value.split(':');
+      } else if (name in state.filters && name !== 'query') {
+        state.filters[name] = value;
+        state.page = 1;
+      } else {
+        return;
+      }
+      renderList();
+    });
+
+    const orgButton = createElement('button', { className: 'btn btn-secondary', text: t('directory.orgChart'), attrs: { type: 'button' } });
+    orgButton.addEventListener('click', () => showOrgChart());
+
+    toolbar.append(search, department, location, skill, sort, orgButton);
+    return toolbar;
+  }
+
+  function renderEmployeeCard(employee) {
+    const card = createElement('li', { className: 'directory-card' });
+    if (employee.profilePicture) {
+      card.appendChild(createElement('img', { attrs: { src: employee.profilePicture, alt: '', loading: 'lazy' } }));
+    }
+    const info = createElement('div', { className: 'directory-card-info' });
+    const name = createElement('h3');
+    name.appendChild(personLink(employee));
+    info.appendChild(name);
+    info.appendChild(createElement('p', { className: 'position', text: [employee.position, employee.department].filter(Boolean).join(' · ') }));
+    info.appendChild(createElement('p', { className: 'contact', text: [employee.location, employee.extension && t('directory.ext', { extension: employee.extension })].filter(Boolean).join(' · ') }));
+    card.appendChild(info);
+    return card;
+  }
+
+  function renderList() {
+    state.view = 'list';
+    const matches = sortEmployees(filterEmployees(employees, state.filters), state.sortKey, state.direction);
+    const { items, page, pageCount, total } = paginate(matches, state.page, PAGE_SIZE);
+    state.page = page;
+
+    const results = createElement('div', { className: 'directory-results', attrs: { 'aria-live': 'polite' } });
+    results.appendChild(createElement('p', { className: 'directory-count', text: t('departments.headcount', { count: total }) }));
+
+    if (total === 0) {
+      results.appendChild(createElement('p', { className: 'status-message', text: t('directory.noMatches') }));
+    } else {
+      const list = createElement('ul', { className: 'directory-list' });
+      items.forEach(employee => list.appendChild(renderEmployeeCard(employee)));
+      results.appendChild(list);
+    }
+
+    if (pageCount > 1) {
+      const pager = createElement('nav', { className: 'directory-pager', attrs: { 'aria-label': t('directory.pages') } });
+      const prev = createElement('button', { className: 'btn btn-secondary', text: t('directory.previous'), attrs: { type: 'button' } });
+      const next = createElement('button', { className: 'btn btn-secondary', text: t('directory.next'), attrs: { type: 'button' } });
+      prev.disabled = page <= 1;
+      next.disabled = page >= pageCount;
+      prev.addEventListener('click', () => { state.page--; renderList(); });
+      next.addEventListener('click', () => { state.page++; renderList(); });
+      pager.append(prev, createElement('span', { text: t('directory.page', { page, pageCount }) }), next);
+      results.appendChild(pager);
+    }
+
+    // Keep the toolbar (and the focused search box) in place while typing.
+    if (!body.querySelector('.directory-toolbar')) {
+      body.replaceChildren(renderToolbar(), results);
+    } else {
+      body.querySelector('.directory-results').replaceWith(results);
+    }
+  }
+
+  function renderNotFound(id) {
+    body.replaceChildren(
+      createElement('p', { className: 'status-message error-message', text: t('directory.notFound', { id }), attrs: { role: 'alert' } }),
+      backToListButton()
+    );
+  }
+
+  function backToListButton() {
+    const back = createElement('button', { className: 'btn btn-secondary', text: t('directory.back'), attrs: { type: 'button' } });
+    back.addEventListener('click', () => {
+      body.replaceChildren();
+      renderList();
+    });
+    return back;
+  }
+
+  function showProfile(id) {
+    const employee = orgChart.byId.get(id);
+    state.view = 'profile';
+    state.selectedId = id;
+    if (!employee) {
+      renderNotFound(id);
+      return;
+    }
+
+    const profile = createElement('article', { className: 'directory-profile', attrs: { 'aria-labelledby': 'directory-profile-name' } });
+    if (employee.profilePicture) {
+      profile.appendChild(createElement('img', { attrs: { src: employee.profilePicture, alt: t('directory.photo', { name: employee.fullName }) } }));
+    }
+    profile.appendChild(createElement('h3', { text: employee.fullName, attrs: { id: 'directory-profile-name', tabindex: '-1' } }));
+    profile.appendChild(createElement('p', { className: 'position', text: [employee.position, employee.department].filter(Boolean).join(' · ') }));
+    if (employee.bioPreview) profile.appendChild(createElement('p', { className: 'bio', text: employee.bioPreview }));
+
+    const details = createElement('dl', { className: 'directory-details' });
+    const addDetail = (term, value) => {
+      if (!value) return;
+      details.appendChild(createElement('dt', { text: term }));
+      const dd = createElement('dd');
+      if (value instanceof Node) dd.appendChild(value); else dd.textContent = value;
+      details.appendChild(dd);
+    };
+    addDetail(t('directory.email'), employee.email && createElement('a', { text: employee.email, attrs: { href: `mailto:${employee.email}` } }));
+    addDetail(t('directory.phone'), employee.phone && createElement('a', { text: employee.phone, attrs: { href: `tel:${employee.phone.replace(/[^\d+]/g, '')}` } }));
+    addDetail(t('directory.extension'), employee.extension);
+    addDetail(t('directory.location'), employee.location);
+    addDetail(t('directory.skills'), employee.skills.join(', '));
+    addDetail('LinkedIn', employee.linkedin && createElement('a', { text: t('directory.linkedInProfile'), attrs: { href: employee.linkedin, target: '_blank', rel: 'noopener noreferrer' } }));
+
+    const manager = orgChart.managerOf(id);
+    addDetail(t('directory.manager'), manager && personLink(manager));
+    const reports = orgChart.reportsOf(id);
+    if (reports.length) {
+      const list = createElement('ul', { className: 'inline-list' });
+      reports.forEach(report => {
+        const item = createElement('li');
+        item.appendChild(personLink(report));
+        list.appendChild(item);
+      });
+      addDetail(t('directory.directReports'), list);
+    }
+    profile.appendChild(details);
+
+    const actions = createElement('div', { className: 'directory-actions' });
+    const orgButton = createElement('button', { className: 'btn btn-primary', text: t('directory.viewInOrgChart'), attrs: { type: 'button' } });
+    orgButton.addEventListener('click', () => showOrgChart(id));
+    actions.append(orgButton, backToListButton());
+    profile.appendChild(actions);
+
+    body.replaceChildren(profile);
+    profile.querySelector('#directory-profile-name').focus();
+  }
+
+  function renderOrgIssues() {
+    if (orgChart.issues.length === 0) return null;
+    const notice = createElement('div', { className: 'directory-issues', attrs: { role: 'note' } });
+    notice.appendChild(createElement('p', { text: t('directory.issues.title') }));
+    const list = createElement('ul');
+    orgChart.issues.forEach(issue => list.appendChild(createElement('li', { text: describeOrgIssue(issue, orgChart.byId) })));
+    notice.appendChild(list);
+    return notice;
+  }
+
+  function showOrgChart(id = null) {
+    state.view = 'org';
+    state.selectedId = id;
+    const chart = createElement('div', { className: 'org-chart' });
+    const issues = renderOrgIssues();
+    if (issues) chart.appendChild(issues);
+
+    const focus = id && orgChart.byId.get(id);
+    if (id && !focus) {
+      renderNotFound(id);
+      return;
+    }
+
+    if (!focus) {
+      // No one selected: show everyone at the top of a reporting line.
+      chart.appendChild(createElement('h3', { text: t('directory.leaders'), attrs: { tabindex: '-1' } }));
+      const list = createElement('ul', { className: 'org-level' });
+      orgChart.roots.forEach(root => {
+        const item = createElement('li', { className: 'org-node' });
+        item.appendChild(personLink(root, 'org'));
+        item.appendChild(createElement('span', { className: 'org-meta', text: `${root.position || ''} · ${t('directory.reportCount', { count: orgChart.reportsOf(root.id).length })}` }));
+        list.appendChild(item);
+      });
+      chart.appendChild(list);
+    } else {
+      const chain = orgChart.chainOf(id).reverse(); // Top of the organization first
+      const breadcrumb = createElement('ol', { className: 'org-chain', attrs: { 'aria-label': t('directory.reportingLine') } });
+      const top = createElement('li');
+      const allLeaders = createElement('button', { className: 'link-button', text: t('directory.allLeaders'), attrs: { type: 'button' } });
+      allLeaders.addEventListener('click', () => showOrgChart());
+      top.appendChild(allLeaders);
+      breadcrumb.appendChild(top);
+      chain.forEach(manager => {
+        const item = createElement('li');
+        item.appendChild(personLink(manager, 'org'));
+        breadcrumb.appendChild(item);
+      });
+      breadcrumb.appendChild(createElement('li', { text: focus.fullName, attrs: { 'aria-current': 'true' } }));
+      chart.appendChild(breadcrumb);
+
+      const card = createElement('div', { className: 'org-focus' });
+      card.appendChild(createElement('h3', { text: focus.fullName, attrs: { tabindex: '-1' } }));
+      card.appendChild(createElement('p', { className: 'position', text: focus.position || '' }));
+      const profileButton = createElement('button', { className: 'link-button', text: t('spotlight.viewProfile'), attrs: { type: 'button' } });
+      profileButton.addEventListener('click', () => showProfile(focus.id));
+      card.appendChild(profileButton);
+      chart.appendChild(card);
+
+      const reports = orgChart.reportsOf(id);
+      chart.appendChild(createElement('h4', { text: t('directory.directReportsHeading', { count: reports.length }) }));
+      if (reports.length) {
+        const list = createElement('ul', { className: 'org-level' });
+        reports.forEach(report => {
+          const item = createElement('li', { className: 'org-node' });
+          item.appendChild(personLink(report, 'org'));
+          item.appendChild(createElement('span', { className: 'org-meta', text: report.position || '' }));
+          list.appendChild(item);
+        });
+        chart.appendChild(list);
+      }
+    }
+
+    const actions = createElement('div', { className: 'directory-actions' });
+    actions.appendChild(backToListButton());
+    chart.appendChild(actions);
+    body.replaceChildren(chart);
+    chart.querySelector('h3').focus();
+  }
+
+  function showList() {
+    body.replaceChildren();
+    renderList();
+  }
+
+  container.replaceChildren(body);
+  if (state.view === 'org') {
+    showOrgChart(state.selectedId);
+  } else if (state.view === 'profile' && state.selectedId) {
+    showProfile(state.selectedId);
+  } else {
+    renderList();
+  }
+
+  return { showList, showProfile, showOrgChart };
+}
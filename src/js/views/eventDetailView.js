@@ -0,0 +1,72 @@
+// src/js/views/eventDetailView.js
+
+/**
+ * ConnectHub Intranet - Event Detail View
+ *
+ * Route: #/events/:id
+ */
+
+import { loadEventsWithConflicts, describeConflict, downloadEvent } from '../widgets/eventsCalendar.js';
+import { t } from '../modules/i18n.js';
+import { createElement, renderStatus, errorMessage, formatDate, formatEventTime, renderAudienceBadge } from '../widgets/widgetUtils.js';
+
+export async function render(container, { params, router, signal }) {
+  renderStatus(container, t('eventDetail.loading'));
+
+  let events;
+  let conflicts;
+  try {
+    ({ events, conflicts } = await loadEventsWithConflicts(signal));
+  } catch (error) {
+    renderStatus(container, errorMessage(error, t('subjects.event')), { isError: true });
+    return { title: t('routes.event') };
+  }
+
+  const event = events.find(item => item.id === params.id);
+  const back = createElement('a', { className: 'back-link', text: t('eventDetail.back'), attrs: { href: router.href('/events') } });
+  if (!event) {
+    container.replaceChildren(
+      createElement('h2', { text: t('eventDetail.notFound') }),
+      createElement('p', { text: t('eventDetail.notFoundHint') }),
+      back
+    );
+    return { title: t('eventDetail.notFound') };
+  }
+
+  const view = createElement('article', { className: 'event-detail' });
+  view.appendChild(createElement('h2', { text: event.title }));
+  const details = createElement('dl', { className: 'event-details' });
+  [
+    ['eventDetail.date', formatDate(event.date)],
+    ['eventDetail.time', formatEventTime(event)],
+    ['eventDetail.location', event.location],
+    ['eventDetail.category', event.category],
+  ].forEach(([term, value]) => {
+    if (!value) return;
+    details.appendChild(createElement('dt', { text: t(term) }));
+    details.appendChild(createElement('dd', { text: value }));
+  });
+  view.appendChild(details);
+  const audience = renderAudienceBadge(event);
+  if (audience) view.appendChild(audience);
+  if (conflicts.has(event.id)) {
+    view.appendChild(createElement('p', { className: 'event-conflict', text: describeConflict(conflicts.get(event.id)), attrs: { role: 'note' } }));
+  }
+  if (event.description) {
+    view.appendChild(createElement('p', { text: event.description }));
+  }
+  const actions = createElement('div', { className: 'event-actions' });
+  if (event.link) {
+    actions.appendChild(createElement('a', {
+      className: 'btn btn-primary',
+      text: t('eventDetail.join'),
+      attrs: { href: event.link, target: '_blank', rel: 'noopener noreferrer' },
+    }));
+  }
+  const addButton = createElement('button', { className: 'btn btn-secondary', text: t('eventDetail.addToCalendar'), attrs: { type: 'button' } });
+  addButton.addEventListener('click', () => downloadEvent(event));
+  actions.appendChild(addButton);
+  view.appendChild(actions);
+  container.replaceChildren(back, view);
+  return { title: event.title };
+}
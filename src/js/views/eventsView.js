@@ -0,0 +1,30 @@
+// src/js/views/eventsView.js
+
+/**
+ * ConnectHub Intranet - Events Calendar View
+ *
+ * Route: #/events
+ * Query: ?view=month|week|agenda, ?category=Training, ?date=2025-08-01
+ */
+
+import { mountEventsCalendar } from '../widgets/eventsCalendar.js';
+import { t } from '../modules/i18n.js';
+import { createElement } from '../widgets/widgetUtils.js';
+
+function parseDate(value) {
+  const [year, month, day] = (value || '').split('-').map(Number);
+  return year && month ? new Date(year, month - 1, day || 1) : new Date();
+}
+
+export async function render(container, { query, signal }) {
+  const calendarContainer = createElement('div', { className: 'events-calendar' });
+  container.replaceChildren(createElement('h2', { text: t('routes.events') }), calendarContainer);
+
+  const calendar = await mountEventsCalendar(calendarContainer, {
+    view: query.view,
+    category: query.category || '',
+    date: parseDate(query.date),
+    signal,
+  });
+  return { title: t('routes.events'), cleanup: calendar.destroy };
+}
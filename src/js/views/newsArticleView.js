@@ -0,0 +1,64 @@
+// src/js/views/newsArticleView.js
+
+/**
+ * ConnectHub Intranet - News Article View
+ *
+ * Route: #/news/:id
+ *
+ * The whole article (its fullContent, falling back to the preview). Opening it marks
+ * the article as read for the employee, and it can be saved for later from here too.
+ */
+
+import { fetchNewsArticle } from '../modules/dataService.js';
+import { newsTracker } from '../modules/newsTracker.js';
+import { t } from '../modules/i18n.js';
+import { createElement, renderStatus, errorMessage, formatDate, renderAudienceBadge } from '../widgets/widgetUtils.js';
+import { loadMentionResolver, setRichText, setRichHtml } from '../widgets/richText.js';
+import { createBookmarkButton } from '../widgets/newsFeed.js';
+
+export async function render(container, { params, router, signal }) {
+  renderStatus(container, t('newsArticle.loading'));
+
+  let article;
+  let resolveMention;
+  try {
+    [article, resolveMention] = await Promise.all([fetchNewsArticle(params.id, { signal }), loadMentionResolver({ signal })]);
+  } catch (error) {
+    renderStatus(container, errorMessage(error, t('subjects.article')), { isError: true });
+    return { title: t('routes.news') };
+  }
+
+  const back = createElement('a', { className: 'back-link', text: t('common.backToHomepage'), attrs: { href: router.href('/') } });
+  if (!article) {
+    container.replaceChildren(
+      createElement('h2', { text: t('newsArticle.notFound') }),
+      createElement('p', { text: t('newsArticle.notFoundHint') }),
+      back
+    );
+    return { title: t('newsArticle.notFound') };
+  }
+
+  const view = createElement('article', { className: 'news-article' });
+  const header = createElement('div', { className: 'news-article-header' });
+  header.append(createElement('h2', { text: article.title }), createBookmarkButton(article.id));
+  view.appendChild(header);
+  view.appendChild(createElement('p', {
+    className: 'article-meta',
+    text: [formatDate(article.date), article.author, article.category].filter(Boolean).join(' · '),
+  }));
+  const audience = renderAudienceBadge(article);
+  if (audience) view.appendChild(audience);
+  if (article.imageUrl) {
+    view.appendChild(createElement('img', { attrs: { src: article.imageUrl, alt: '' } }));
+  }
+  const body = createElement('div', { className: 'article-body' });
+  if (article.fullContent) {
+    setRichHtml(body, article.fullContent);
+  } else {
+    setRichText(body, article.previewText, { resolveMention });
+  }
+  view.appendChild(body);
+  container.replaceChildren(back, view);
+  newsTracker.markRead(article.id);
+  return { title: article.title };
+}
@@ -0,0 +1,20 @@
+// src/js/views/notFoundView.js
+
+/**
+ * ConnectHub Intranet - Not Found View
+ *
+ * Rendered by the router when no route matches the URL.
+ */
+
+import { t } from '../modules/i18n.js';
+import { createElement } from '../widgets/widgetUtils.js';
+
+export function render(container, { path, router }) {
+  const home = createElement('a', { className: 'btn btn-primary', text: t('common.backHome'), attrs: { href: router.href('/') } });
+  container.replaceChildren(
+    createElement('h2', { text: t('notFound.title') }),
+    createElement('p', { text: t('notFound.message', { path }) }),
+    home
+  );
+  return { title: t('notFound.title') };
+}
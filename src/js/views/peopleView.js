@@ -0,0 +1,33 @@
+// src/js/views/peopleView.js
+
+/**
+ * ConnectHub Intranet - People View
+ *
+ * Routes:
+ * - #/people                      Directory list (accepts ?department=, ?location=, ?skill=, ?q=)
+ * - #/people/:id                  Profile
+ * - #/people/:id/org, #/org       Org chart, centred on a person or showing all leaders
+ */
+
+import { t } from '../modules/i18n.js';
+import { createElement } from '../widgets/widgetUtils.js';
+import { mountEmployeeDirectory } from './employeeDirectoryView.js';
+
+export async function render(container, { params, query, route }) {
+  const heading = createElement('h2', { text: t('routes.people') });
+  const content = createElement('div');
+  container.replaceChildren(heading, content);
+
+  const view = route.name === 'org-chart' ? 'org' : (params.id ? 'profile' : 'list');
+  await mountEmployeeDirectory(content, {
+    employeeId: params.id || null,
+    view,
+    filters: {
+      department: query.department || '',
+      location: query.location || '',
+      skill: query.skill || '',
+      query: query.q || '',
+    },
+  });
+  return { title: t(view === 'org' ? 'routes.orgChart' : 'routes.people') };
+}
@@ -0,0 +1,120 @@
+// src/js/views/requestFormView.js
+
+/**
+ * ConnectHub Intranet - Request Form View
+ *
+ * Routes: #/forms/leave and #/forms/expense (the route's `form` names the schema in
+ * modules/requestForms.js).
+ *
+ * The form is saved as a draft while the employee types and restored when they come
+ * back; attachments have to be picked again. A submitted request goes to their
+ * manager for approval and is tracked under #/requests.
+ */
+
+import { fetchEmployees, submitRequest, ERROR_TYPES } from '../modules/dataService.js';
+import { REQUEST_FORMS } from '../modules/requestForms.js';
+import { managerChain } from '../modules/approvals.js';
+import { createDraftStore } from '../modules/formDrafts.js';
+import { formText } from '../modules/formSchema.js';
+import { t, formatDate } from '../modules/i18n.js';
+import { getCurrentUser } from '../modules/session.js';
+import { createSchemaForm } from '../widgets/schemaForm.js';
+import { createElement, saveErrorMessage, debounce } from '../widgets/widgetUtils.js';
+
+const DRAFT_SAVE_DELAY = 500;
+
+function formatSavedAt(iso) {
+  return formatDate(iso, { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+}
+
+export function render(container, { route, router, signal }) {
+  const schema = REQUEST_FORMS[route.form];
+  const user = getCurrentUser();
+  const drafts = createDraftStore(schema.id, { userId: user.id });
+  const draft = drafts.load();
+  let pendingValues = null; // Typed but not yet saved as a draft
+  let submitted = false;
+
+  const view = createElement('article', { className: 'request-form-view' });
+  const approver = createElement('p', { className: 'request-approver' });
+  const draftStatus = createElement('p', { className: 'draft-status', attrs: { role: 'status' } });
+  const discard = createElement('button', { className: 'btn btn-sm btn-secondary', text: t('requests.form.discardDraft'), attrs: { type: 'button' } });
+  const draftBar = createElement('div', { className: 'draft-bar' });
+  draftBar.append(draftStatus, discard);
+  draftBar.hidden = !draft;
+  if (draft) draftStatus.textContent = t('requests.form.draftRestored', { date: formatSavedAt(draft.savedAt) });
+
+  const saveDraft = () => {
+    if (!pendingValues || submitted) return;
+    const saved = drafts.save(pendingValues);
+    pendingValues = null;
+    draftBar.hidden = false;
+    draftStatus.textContent = saved ? t('requests.form.draftSaved', { date: formatSavedAt(saved.savedAt) }) : t('requests.form.draftNotSaved');
+  };
+  const saveDraftSoon = debounce(saveDraft, DRAFT_SAVE_DELAY);
+
+  const form = createSchemaForm(schema, {
+    initialValues: draft ? draft.values : {},
+    submitLabel: t('requests.form.submit'),
+    onChange(values) {
+      pendingValues = values;
+      saveDraftSoon();
+    },
+    async onSubmit(values) {
+      form.setBusy(true);
+      try {
+        const request = await submitRequest(schema.id, values);
+        submitted = true;
+        drafts.clear();
+        showConfirmation(request);
+      } catch (error) {
+        form.setBusy(false);
+        if (error.type === ERROR_TYPES.VALIDATION && error.fieldErrors) {
+          form.setErrors(error.fieldErrors);
+        } else {
+          form.setFormError(saveErrorMessage(error, t('actions.submitRequest')));
+        }
+      }
+    },
+  });
+
+  discard.addEventListener('click', () => {
+    pendingValues = null;
+    drafts.clear();
+    form.reset();
+    draftBar.hidden = true;
+  });
+
+  function showConfirmation(request) {
+    const [first] = request.steps;
+    const confirmation = createElement('div', { className: 'request-confirmation', attrs: { role: 'status', tabindex: '-1' } });
+    confirmation.append(
+      createElement('h3', { text: t('requests.form.submitted') }),
+      createElement('p', { text: t('requests.form.submittedTo', { name: first.approverName }) }),
+      createElement('a', { className: 'btn btn-primary', text: t('requests.form.viewRequests'), attrs: { href: router.href('/requests') } })
+    );
+    view.replaceChildren(createElement('h2', { text: formText(schema.title) }), confirmation);
+    confirmation.focus();
+  }
+
+  view.append(createElement('h2', { text: formText(schema.title) }), approver, draftBar, form.element);
+  container.replaceChildren(
+    createElement('a', { className: 'back-link', text: t('requests.form.back'), attrs: { href: router.href('/resources') } }),
+    view
+  );
+
+  // Say who will approve it; the form works without this.
+  fetchEmployees({ signal })
+    .then(employees => {
+      const [manager] = managerChain(employees, user.id, 1);
+      approver.textContent = manager
+        ? t('requests.form.approver', { name: manager.name })
+        : t('requests.form.noApprover');
+    })
+    .catch(() => { /* Not essential */ });
+
+  return {
+    title: formText(schema.title),
+    cleanup: saveDraft, // Keep what was typed in the last moment before leaving
+  };
+}
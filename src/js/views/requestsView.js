@@ -0,0 +1,181 @@
+// src/js/views/requestsView.js
+
+/**
+ * ConnectHub Intranet - Requests View
+ *
+ * Route: #/requests
+ *
+ * Managers see the requests waiting for their decision and approve or reject them
+ * (a rejection needs a comment). Everyone sees the requests they submitted, with
+ * each approver's decision.
+ */
+
+import { fetchMyRequests, fetchPendingApprovals, decideRequest, ERROR_TYPES } from '../modules/dataService.js';
+import { REQUEST_STATUSES, STEP_STATUSES, describeStatus } from '../modules/approvals.js';
+import { summarizeRequest } from '../modules/requestForms.js';
+import { t, formatDate } from '../modules/i18n.js';
+import { createElement, renderStatus, errorMessage, saveErrorMessage } from '../widgets/widgetUtils.js';
+
+// Message keys
+const TYPE_LABELS = { leave: 'requests.type.leave', expense: 'requests.type.expense' };
+
+const STEP_LABELS = {
+  [STEP_STATUSES.PENDING]: 'requests.step.pending',
+  [STEP_STATUSES.WAITING]: 'requests.step.waiting',
+  [STEP_STATUSES.APPROVED]: 'requests.status.approved',
+  [STEP_STATUSES.REJECTED]: 'requests.status.rejected',
+};
+
+const typeLabel = (request) => (TYPE_LABELS[request.type] ? t(TYPE_LABELS[request.type]) : request.type);
+
+function formatInstant(iso) {
+  return formatDate(iso, { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+function statusBadge(request) {
+  return createElement('span', {
+    className: `request-status request-status-${request.status}`,
+    text: describeStatus(request),
+  });
+}
+
+function renderTrail(request) {
+  const trail = createElement('ol', { className: 'approval-trail', attrs: { 'aria-label': t('requests.approvals') } });
+  request.steps.forEach(step => {
+    const item = createElement('li', { className: `approval-step approval-step-${step.status}` });
+    const decision = STEP_LABELS[step.status] ? t(STEP_LABELS[step.status]) : step.status;
+    item.appendChild(createElement('span', {
+      text: step.decidedAt
+        ? t('requests.step.decidedOn', { name: step.approverName, decision, date: formatInstant(step.decidedAt) })
+        : t('requests.step.decision', { name: step.approverName, decision }),
+    }));
+    if (step.comment) item.appendChild(createElement('q', { className: 'approval-comment', text: step.comment }));
+    trail.appendChild(item);
+  });
+  return trail;
+}
+
+function renderDetails(request) {
+  const { details } = request;
+  const notes = createElement('div', { className: 'request-notes' });
+  if (details.reason) notes.appendChild(createElement('p', { text: details.reason }));
+  if (Array.isArray(details.attachments) && details.attachments.length) {
+    notes.appendChild(createElement('p', {
+      className: 'request-attachments',
+      text: t('requests.attached', { files: details.attachments.map(file => file.name).join(', ') }),
+    }));
+  }
+  return notes;
+}
+
+function renderMyRequest(request) {
+  const item = createElement('li', { className: 'request-item' });
+  const header = createElement('div', { className: 'request-header' });
+  header.append(
+    createElement('h4', { text: typeLabel(request) }),
+    statusBadge(request)
+  );
+  item.append(
+    header,
+    createElement('p', { className: 'request-summary', text: summarizeRequest(request) }),
+    createElement('p', { className: 'request-meta', text: t('requests.submittedOn', { date: formatInstant(request.submittedAt) }) }),
+    renderTrail(request)
+  );
+  return item;
+}
+
+function renderApproval(request, onDecide) {
+  const item = createElement('li', { className: 'request-item request-approval' });
+  const commentId = `decision-comment-${request.id}`;
+  const comment = createElement('textarea', {
+    className: 'form-control',
+    attrs: { id: commentId, rows: 2, maxlength: 500 },
+  });
+  const error = createElement('p', { className: 'form-field-error', attrs: { role: 'alert' } });
+  error.hidden = true;
+  const actions = createElement('div', { className: 'request-actions' });
+  const approve = createElement('button', { className: 'btn btn-sm btn-primary', text: t('requests.approve'), attrs: { type: 'button' } });
+  const reject = createElement('button', { className: 'btn btn-sm btn-secondary', text: t('requests.reject'), attrs: { type: 'button' } });
+  actions.append(approve, reject);
+
+  const decide = async (decision) => {
+    approve.disabled = true;
+    reject.disabled = true;
+    error.hidden = true;
+    try {
+      await decideRequest(request.id, { decision, comment: comment.value });
+      onDecide();
+    } catch (failure) {
+      approve.disabled = false;
+      reject.disabled = false;
+      error.textContent = failure.type === ERROR_TYPES.VALIDATION
+        ? failure.message
+        : saveErrorMessage(failure, t(decision === REQUEST_STATUSES.APPROVED ? 'actions.approveRequest' : 'actions.rejectRequest'));
+      error.hidden = false;
+      if (failure.fieldErrors && failure.fieldErrors.comment) comment.focus();
+    }
+  };
+  approve.addEventListener('click', () => decide(REQUEST_STATUSES.APPROVED));
+  reject.addEventListener('click', () => decide(REQUEST_STATUSES.REJECTED));
+
+  item.append(
+    createElement('h4', { text: t('requests.from', { type: typeLabel(request), name: request.submitterName }) }),
+    createElement('p', { className: 'request-summary', text: summarizeRequest(request) }),
+    createElement('p', { className: 'request-meta', text: t('requests.submittedOn', { date: formatInstant(request.submittedAt) }) }),
+    renderDetails(request),
+    renderTrail(request),
+    createElement('label', { className: 'form-label', text: t('requests.comment'), attrs: { for: commentId } }),
+    comment,
+    error,
+    actions
+  );
+  return item;
+}
+
+export async function render(container, { router, signal }) {
+  renderStatus(container, t('requests.loading'));
+
+  async function load() {
+    let mine;
+    let approvals;
+    try {
+      [mine, approvals] = await Promise.all([fetchMyRequests({ signal }), fetchPendingApprovals({ signal })]);
+    } catch (error) {
+      if (error.type === ERROR_TYPES.ABORT) return;
+      renderStatus(container, errorMessage(error, t('subjects.requests')), { isError: true });
+      return;
+    }
+
+    const view = createElement('div', { className: 'requests-view' });
+    view.appendChild(createElement('h2', { text: t('requests.title') }));
+    const newRequest = createElement('div', { className: 'request-actions' });
+    newRequest.append(
+      createElement('a', { className: 'btn btn-primary', text: t('requests.requestLeave'), attrs: { href: router.href('/forms/leave') } }),
+      createElement('a', { className: 'btn btn-secondary', text: t('requests.claimExpense'), attrs: { href: router.href('/forms/expense') } })
+    );
+    view.appendChild(newRequest);
+
+    if (approvals.length) {
+      const section = createElement('section', { className: 'requests-section', attrs: { 'aria-labelledby': 'approvals-heading' } });
+      const list = createElement('ul', { className: 'request-list' });
+      approvals.forEach(request => list.appendChild(renderApproval(request, load)));
+      section.append(createElement('h3', { text: t('requests.awaitingHeading', { count: approvals.length }), attrs: { id: 'approvals-heading' } }), list);
+      view.appendChild(section);
+    }
+
+    const section = createElement('section', { className: 'requests-section', attrs: { 'aria-labelledby': 'my-requests-heading' } });
+    section.appendChild(createElement('h3', { text: t('requests.yours'), attrs: { id: 'my-requests-heading' } }));
+    if (mine.length) {
+      const list = createElement('ul', { className: 'request-list' });
+      mine.forEach(request => list.appendChild(renderMyRequest(request)));
+      section.appendChild(list);
+    } else {
+      section.appendChild(createElement('p', { className: 'empty-message', text: t('requests.noneSubmitted') }));
+    }
+    view.appendChild(section);
+    container.replaceChildren(view);
+  }
+
+  await load();
+  return { title: t('requests.title') };
+}
@@ -0,0 +1,40 @@
+// src/js/views/resourcesView.js
+
+/**
+ * ConnectHub Intranet - Resources View
+ *
+ * Route: #/resources
+ * The full catalog of quick links.
+ */
+
+import { fetchQuickLinks } from '../modules/dataService.js';
+import { t } from '../modules/i18n.js';
+import { createElement, renderStatus, errorMessage, renderAudienceBadge } from '../widgets/widgetUtils.js';
+
+export async function render(container, { signal }) {
+  renderStatus(container, t('resources.loading'));
+
+  let links;
+  try {
+    links = await fetchQuickLinks({ signal });
+  } catch (error) {
+    renderStatus(container, errorMessage(error, t('subjects.resources')), { isError: true });
+    return { title: t('routes.resources') };
+  }
+
+  const grid = createElement('div', { className: 'links-grid' });
+  links.forEach(link => {
+    const item = createElement('a', { className: 'link-item', attrs: { href: link.url } });
+    item.appendChild(createElement('i', { className: link.icon, attrs: { 'aria-hidden': 'true' } }));
+    item.appendChild(createElement('span', { text: link.title }));
+    const audience = renderAudienceBadge(link);
+    if (audience) item.appendChild(audience);
+    grid.appendChild(item);
+  });
+
+  // Reuses the homepage Quick Links styling
+  const section = createElement('div', { className: 'quick-links' });
+  section.appendChild(grid);
+  container.replaceChildren(createElement('h2', { text: t('routes.resources') }), section);
+  return { title: t('routes.resources') };
+}
@@ -0,0 +1,68 @@
+// src/js/views/savedNewsView.js
+
+/**
+ * ConnectHub Intranet - Saved Articles View
+ *
+ * Route: #/saved
+ *
+ * The news articles the employee saved for later (modules/newsTracker.js), most
+ * recently saved first. Saved articles that were removed since, or are no longer
+ * meant for them, are left out.
+ */
+
+import { fetchNewsFeed } from '../modules/dataService.js';
+import { newsTracker } from '../modules/newsTracker.js';
+import { t } from '../modules/i18n.js';
+import { createElement, renderStatus, errorMessage, formatDate } from '../widgets/widgetUtils.js';
+
+function renderEmpty(container, back) {
+  container.replaceChildren(
+    createElement('h2', { text: t('routes.savedNews') }),
+    createElement('p', { text: t('savedNews.empty') }),
+    back
+  );
+}
+
+function renderItem(article, router, onRemove) {
+  const item = createElement('li', { className: 'saved-article', attrs: { 'data-news-id': article.id } });
+  if (!newsTracker.isRead(article.id)) item.classList.add('is-unread');
+  const details = createElement('div');
+  details.append(
+    createElement('a', { className: 'saved-article-title', text: article.title, attrs: { href: router.href(`/news/${encodeURIComponent(article.id)}`) } }),
+    createElement('p', { className: 'article-meta', text: [formatDate(article.date), article.category].filter(Boolean).join(' · ') })
+  );
+  const remove = createElement('button', { className: 'btn btn-secondary', text: t('savedNews.remove'), attrs: { type: 'button', 'aria-label': t('savedNews.removeLabel', { title: article.title }) } });
+  remove.addEventListener('click', () => onRemove(article, item));
+  item.append(details, remove);
+  return item;
+}
+
+export async function render(container, { router, signal }) {
+  renderStatus(container, t('savedNews.loading'));
+
+  let articles;
+  try {
+    articles = await fetchNewsFeed('all', '', { signal });
+  } catch (error) {
+    renderStatus(container, errorMessage(error, t('subjects.savedNews')), { isError: true });
+    return { title: t('routes.savedNews') };
+  }
+
+  const back = createElement('a', { className: 'back-link', text: t('common.backToHomepage'), attrs: { href: router.href('/') } });
+  const byId = new Map(articles.map(article => [article.id, article]));
+  const saved = newsTracker.getBookmarks().map(bookmark => byId.get(bookmark.id)).filter(Boolean);
+  if (saved.length === 0) {
+    renderEmpty(container, back);
+    return { title: t('routes.savedNews') };
+  }
+
+  const list = createElement('ul', { className: 'saved-articles' });
+  const onRemove = (article, item) => {
+    if (newsTracker.isBookmarked(article.id)) newsTracker.toggleBookmark(article.id);
+    item.remove();
+    if (!list.children.length) renderEmpty(container, back);
+  };
+  list.append(...saved.map(article => renderItem(article, router, onRemove)));
+  container.replaceChildren(back, createElement('h2', { text: t('routes.savedNews') }), list);
+  return { title: t('routes.savedNews') };
+}
@@ -0,0 +1,56 @@
+// src/js/views/searchResultsView.js
+
+/**
+ * ConnectHub Intranet - Search Results View
+ *
+ * Route: #/search?q=...
+ * The "see all results" page for the header search box, grouped by result type.
+ */
+
+import { searchEverything } from '../modules/globalSearch.js';
+import { t } from '../modules/i18n.js';
+import { createElement, renderStatus, errorMessage } from '../widgets/widgetUtils.js';
+
+export async function render(container, { query }) {
+  const searchQuery = (query.q || '').trim();
+  const heading = createElement('h2', { text: searchQuery ? t('searchResults.heading', { query: searchQuery }) : t('searchResults.title') });
+
+  if (!searchQuery) {
+    container.replaceChildren(heading, createElement('p', { text: t('searchBox.emptyQuery') }));
+    return { title: t('searchResults.title') };
+  }
+
+  const body = createElement('div', { className: 'search-results-view', attrs: { 'aria-live': 'polite' } });
+  container.replaceChildren(heading, body);
+  renderStatus(body, t('searchResults.searching'));
+
+  try {
+    const { total, groups } = await searchEverything(searchQuery);
+    const summary = createElement('p', {
+      className: 'search-results-summary',
+      text: total === 0 ? t('searchResults.noResults') : t('searchResults.count', { count: total }),
+    });
+    const sections = groups.map(group => {
+      const section = createElement('section', { className: 'search-results-group' });
+      section.appendChild(createElement('h3', { text: t('searchResults.group', { label: t(group.labelKey), count: group.results.length }) }));
+      const list = createElement('ul');
+      group.results.forEach(result => {
+        const item = createElement('li');
+        const link = createElement('a', { className: 'search-result', attrs: { href: result.url } });
+        link.appendChild(createElement('span', { className: 'search-result-title', text: result.title }));
+        if (result.subtitle) {
+          link.appendChild(createElement('span', { className: 'search-result-subtitle', text: result.subtitle }));
+        }
+        item.appendChild(link);
+        list.appendChild(item);
+      });
+      section.appendChild(list);
+      return section;
+    });
+    body.replaceChildren(summary, ...sections);
+  } catch (error) {
+    renderStatus(body, errorMessage(error, t('subjects.searchResults')), { isError: true });
+  }
+
+  return { title: t('searchResults.pageTitle', { query: searchQuery }) };
+}
@@ -0,0 +1,110 @@
+// src/js/widgets/celebrations.js
+
+/**
+ * ConnectHub Intranet - Celebrations Widget
+ *
+ * Renders the Celebrations card: birthdays and work anniversaries in the next two
+ * weeks, from fetchCelebrations() (see modules/celebrations.js). Each one links to
+ * a ready-made shout-out in Team Updates, with the colleague @mentioned.
+ *
+ * Expected markup (see public/index.html):
+ * <section class="celebrations">
+ *   <ul class="celebrations-list"></ul>
+ * </section>
+ */
+
+import { fetchCelebrations, onDataRefresh, RESOURCES } from '../modules/dataService.js';
+import { CELEBRATION_TYPES } from '../modules/celebrations.js';
+import { mentionHandle } from '../modules/employeeDirectory.js';
+import { createElement, renderStatus, errorMessage } from './widgetUtils.js';
+import { shoutOutHref } from './teamUpdates.js';
+import { t, onLocaleChange, formatDate } from '../modules/i18n.js';
+import { createLogger } from '../modules/logger.js';
+
+const log = createLogger('Celebrations');
+
+function dayLabel({ date, daysAway }) {
+  if (daysAway === 0) return t('celebrations.today');
+  if (daysAway === 1) return t('celebrations.tomorrow');
+  return formatDate(date, { weekday: 'short', month: 'short', day: 'numeric' });
+}
+
+function renderCelebration(celebration) {
+  const { type, employee, years, daysAway } = celebration;
+  const isBirthday = type === CELEBRATION_TYPES.BIRTHDAY;
+  const item = createElement('li', { className: `celebration celebration-${type}${daysAway === 0 ? ' is-today' : ''}` });
+
+  item.appendChild(createElement('i', {
+    className: isBirthday ? 'fas fa-birthday-cake' : 'fas fa-award',
+    attrs: { 'aria-hidden': 'true' },
+  }));
+
+  const details = createElement('div', { className: 'celebration-details' });
+  details.appendChild(createElement('a', {
+    className: 'celebration-name',
+    text: employee.fullName,
+    attrs: { href: `#/people/${encodeURIComponent(employee.id)}` },
+  }));
+  details.appendChild(createElement('span', {
+    className: 'celebration-occasion',
+    text: isBirthday ? t('celebrations.birthday') : t('celebrations.anniversary', { count: years }),
+  }));
+  details.appendChild(createElement('span', { className: 'celebration-date', text: dayLabel(celebration) }));
+  item.appendChild(details);
+
+  const kudos = isBirthday
+    ? t('celebrations.kudos.birthday', { handle: mentionHandle(employee) })
+    : t('celebrations.kudos.anniversary', { handle: mentionHandle(employee), count: years });
+  item.appendChild(createElement('a', {
+    className: 'btn btn-secondary send-kudos',
+    text: t('celebrations.sendKudos'),
+    attrs: {
+      href: shoutOutHref(kudos),
+      'aria-label': t('celebrations.sendKudosLabel', { name: employee.fullName }),
+    },
+  }));
+  return item;
+}
+
+/**
+ * Initializes the celebrations widget.
+ * @param {HTMLElement} section - The .celebrations card.
+ * @returns {{ reload: Function }|null}
+ */
+export function initCelebrations(section) {
+  const list = section && section.querySelector('.celebrations-list');
+  if (!list) {
+    log.warn('Missing .celebrations-list. Skipping initialization.');
+    return null;
+  }
+
+  let celebrations = null; // null until the first load
+  let loadError = null;
+
+  function render() {
+    if (loadError) {
+      renderStatus(list, errorMessage(loadError, t('subjects.celebrations')), { isError: true });
+    } else if (!celebrations) {
+      renderStatus(list, t('celebrations.loading'));
+    } else if (!celebrations.length) {
+      renderStatus(list, t('celebrations.empty'));
+    } else {
+      list.replaceChildren(...celebrations.map(renderCelebration));
+    }
+  }
+
+  async function load() {
+    try {
+      celebrations = await fetchCelebrations();
+      loadError = null;
+    } catch (error) {
+      loadError = error;
+    }
+    render();
+  }
+
+  onDataRefresh(RESOURCES.EMPLOYEES, load);
+  onLocaleChange(render);
+  load();
+  return { reload: load };
+}
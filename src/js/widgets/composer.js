@@ -0,0 +1,288 @@
+// src/js/widgets/composer.js
+
+/**
+ * ConnectHub Intranet - Composer Widget
+ *
+ * A Markdown text box for writing shout-outs and comments, with:
+ * - @mention autocomplete against the employee directory: typing "@ali" lists matching
+ *   colleagues; Up/Down pick one, Enter or Tab inserts their handle, Escape closes the list.
+ * - A Preview toggle that renders the text as it will be posted (see modules/markdown.js).
+ * - A character counter, and Ctrl/Cmd+Enter to submit.
+ *
+ * The composer doesn't save anything itself: it hands the text to `onSubmit`, and the
+ * owner reports failures back with setError() (and restores the draft with setText()).
+ */
+
+import { suggestMentions } from '../modules/employeeDirectory.js';
+import { createElement } from './widgetUtils.js';
+import { t, localize, localizeAttribute } from '../modules/i18n.js';
+import { setRichText } from './richText.js';
+
+const MENTION_PATTERN = /(^|[\s(])@([\w.-]*)$/; // An @handle being typed just before the caret
+const MAX_SUGGESTIONS = 6;
+
+let composerCount = 0;
+
+/**
+ * Creates a composer. Labels are message keys, or [key, params] (see modules/i18n.js),
+ * so that a composer left open is relabelled when the language changes.
+ * @param {object} options
+ * @param {string|Array} options.label - Accessible name of the text box, e.g. 'teamUpdates.composerLabel'.
+ * @param {Function} options.onSubmit - Called with the trimmed text.
+ * @param {Function} [options.onCancel] - When given, a Cancel button is shown.
+ * @param {Function} [options.onInput] - Called with the text as it is typed, e.g. to keep a draft.
+ * @param {string|Array} [options.submitLabel='composer.post']
+ * @param {string|Array} [options.placeholder]
+ * @param {string} [options.initialText='']
+ * @param {number} [options.maxLength] - Shows a counter and blocks longer posts.
+ * @param {number} [options.rows=3]
+ * @param {object[]|Promise<object[]>} [options.employees=[]] - For @mention suggestions.
+ * @param {Function} [options.resolveMention] - For the preview (see richText.loadMentionResolver).
+ * @returns {{ element: HTMLFormElement, input: HTMLTextAreaElement, focus: Function, setText: Function, setError: Function, reset: Function }}
+ */
+export function createComposer({
+  label,
+  onSubmit,
+  onCancel = null,
+  onInput = null,
+  submitLabel = 'composer.post',
+  placeholder = null,
+  initialText = '',
+  maxLength,
+  rows = 3,
+  employees = [],
+  resolveMention,
+}) {
+  const id = `composer-${++composerCount}`;
+  let directory = Array.isArray(employees) ? employees : [];
+  if (!Array.isArray(employees)) {
+    Promise.resolve(employees).then(list => { directory = list || []; }).catch(() => { /* No suggestions */ });
+  }
+
+  const form = createElement('form', { className: 'composer', attrs: { novalidate: '' } });
+  const input = createElement('textarea', {
+    className: 'composer-input',
+    attrs: {
+      id: `${id}-input`,
+      rows,
+      'aria-autocomplete': 'list',
+      'aria-controls': `${id}-suggestions`,
+      'aria-expanded': 'false',
+      'aria-describedby': `${id}-help`,
+    },
+  });
+  localizeAttribute(input, 'aria-label', ...[].concat(label));
+  if (placeholder) localizeAttribute(input, 'placeholder', ...[].concat(placeholder));
+  input.value = initialText;
+
+  const suggestions = createElement('ul', {
+    className: 'mention-suggestions',
+    attrs: { id: `${id}-suggestions`, role: 'listbox' },
+    attrMessages: { 'aria-label': 'composer.mentionsLabel' },
+  });
+  suggestions.hidden = true;
+
+  const preview = createElement('div', { className: 'composer-preview', attrs: { 'aria-live': 'polite' } });
+  preview.hidden = true;
+
+  const help = createElement('p', {
+    className: 'composer-help',
+    message: 'composer.help',
+    attrs: { id: `${id}-help` },
+  });
+  const error = createElement('p', { className: 'composer-error error-message', attrs: { role: 'alert' } });
+  error.hidden = true;
+
+  const counter = createElement('span', { className: 'composer-count', attrs: { 'aria-live': 'polite' } });
+  const previewToggle = createElement('button', {
+    className: 'btn btn-sm btn-outline-primary composer-preview-toggle',
+    message: 'composer.preview',
+    attrs: { type: 'button', 'aria-pressed': 'false' },
+  });
+  const submit = createElement('button', { className: 'btn btn-sm btn-primary', message: submitLabel, attrs: { type: 'submit' } });
+  const footer = createElement('div', { className: 'composer-footer' });
+  footer.append(counter, previewToggle);
+  if (onCancel) {
+    const cancel = createElement('button', { className: 'btn btn-sm btn-secondary', message: 'composer.cancel', attrs: { type: 'button' } });
+    cancel.addEventListener('click', () => onCancel());
+    footer.appendChild(cancel);
+  }
+  footer.appendChild(submit);
+  form.append(input, suggestions, preview, help, error, footer);
+
+  // --- Character count ---
+  function updateCount() {
+    if (!maxLength) return;
+    const length = input.value.trim().length;
+    counter.textContent = length > maxLength * 0.8 ? t('composer.count', { length, maxLength }) : '';
+    counter.classList.toggle('is-over', length > maxLength);
+  }
+
+  // --- @mention autocomplete ---
+  let matches = [];
+  let activeIndex = -1;
+  let mentionStart = -1;
+
+  function closeSuggestions() {
+    matches = [];
+    activeIndex = -1;
+    suggestions.hidden = true;
+    suggestions.replaceChildren();
+    input.setAttribute('aria-expanded', 'false');
+    input.removeAttribute('aria-activedescendant');
+  }
+
+  function highlight(index) {
+    activeIndex = index;
+    Array.from(suggestions.children).forEach((option, i) => option.setAttribute('aria-selected', String(i === index)));
+    if (index >= 0) {
+      input.setAttribute('aria-activedescendant', `${id}-option-${index}`);
+      suggestions.children[index].scrollIntoView?.({ block: 'nearest' });
+    }
+  }
+
+  function updateSuggestions() {
+    const beforeCaret = input.value.slice(0, input.selectionStart);
+    const match = input.selectionStart === input.selectionEnd && MENTION_PATTERN.exec(beforeCaret);
+    matches = match ? suggestMentions(directory, match[2], MAX_SUGGESTIONS) : [];
+    if (matches.length === 0) {
+      closeSuggestions();
+      return;
+    }
+    mentionStart = beforeCaret.length - match[2].length - 1; // Position of the @
+    suggestions.replaceChildren(...matches.map((person, index) => {
+      const option = createElement('li', {
+        className: 'mention-option',
+        attrs: { id: `${id}-option-${index}`, role: 'option', 'aria-selected': 'false' },
+      });
+      option.append(
+        createElement('span', { className: 'mention-name', text: person.name }),
+        createElement('span', { className: 'mention-meta', text: [`@${person.handle}`, person.position].filter(Boolean).join(' · ') })
+      );
+      option.addEventListener('mousedown', (e) => e.preventDefault()); // Keep focus in the text box
+      option.addEventListener('click', () => insertMention(index));
+      return option;
+    }));
+    suggestions.hidden = false;
+    input.setAttribute('aria-expanded', 'true');
+    highlight(0);
+  }
+
+  function insertMention(index) {
+    const person = matches[index];
+    if (!person) return;
+    const before = input.value.slice(0, mentionStart);
+    const after = input.value.slice(input.selectionStart).replace(/^[\w.-]*/, ''); // Drop the rest of a half-typed handle
+    const inserted = `@${person.handle} `;
+    input.value = `${before}${inserted}${after}`;
+    const caret = before.length + inserted.length;
+    input.setSelectionRange(caret, caret);
+    closeSuggestions();
+    updateCount();
+    if (onInput) onInput(input.value);
+    input.focus();
+  }
+
+  input.addEventListener('input', () => {
+    updateSuggestions();
+    updateCount();
+    error.hidden = true;
+    if (onInput) onInput(input.value);
+  });
+  input.addEventListener('click', updateSuggestions);
+  input.addEventListener('blur', closeSuggestions);
+  input.addEventListener('keydown', (e) => {
+    if ((e.ctrlKey || e.metaKey) && e.key === 'Enter') {
+      e.preventDefault();
+      form.requestSubmit();
+      return;
+    }
+    if (matches.length === 0) return;
+    switch (e.key) {
+      case 'ArrowDown':
+        highlight((activeIndex + 1) % matches.length);
+        break;
+      case 'ArrowUp':
+        highlight((activeIndex - 1 + matches.length) % matches.length);
+        break;
+      case 'Enter':
+      case 'Tab':
+        insertMention(activeIndex);
+        break;
+      case 'Escape':
+        closeSuggestions();
+        break;
+      default:
+        return;
+    }
+    e.preventDefault();
+    e.stopPropagation(); // Escape shouldn't also cancel an edit
+  });
+
+  // --- Preview ---
+  function showPreview(show) {
+    previewToggle.setAttribute('aria-pressed', String(show));
+    localize(previewToggle, show ? 'composer.edit' : 'composer.preview');
+    preview.hidden = !show;
+    input.hidden = show;
+    if (show) {
+      closeSuggestions();
+      if (input.value.trim()) {
+        setRichText(preview, input.value, { resolveMention });
+      } else {
+        preview.replaceChildren(createElement('p', { className: 'composer-empty', text: t('composer.emptyPreview') }));
+      }
+    }
+  }
+  previewToggle.addEventListener('click', () => showPreview(input.hidden === false));
+
+  // --- Submit ---
+  function setError(message) {
+    error.textContent = message || '';
+    error.hidden = !message;
+  }
+
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const text = input.value.trim();
+    if (!text) {
+      setError(t('composer.empty'));
+      showPreview(false);
+      input.focus();
+      return;
+    }
+    if (maxLength && text.length > maxLength) {
+      setError(t('composer.tooLong', { count: text.length - maxLength }));
+      return;
+    }
+    setError('');
+    onSubmit(text);
+  });
+
+  form.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && onCancel) onCancel();
+  });
+
+  updateCount();
+
+  return {
+    element: form,
+    input,
+    focus: () => {
+      showPreview(false);
+      input.focus();
+    },
+    setText(text) {
+      input.value = text;
+      updateCount();
+    },
+    setError,
+    reset() {
+      input.value = '';
+      setError('');
+      showPreview(false);
+      closeSuggestions();
+      updateCount();
+    },
+  };
+}
@@ -0,0 +1,264 @@
+// src/js/widgets/dashboardCustomizer.js
+
+/**
+ * ConnectHub Intranet - Dashboard Customizer
+ *
+ * The "Customize dashboard" panel: reorder, show/hide and resize widgets, pin quick
+ * links, pick the default news category, choose a language and temperature unit, and
+ * export/import the whole layout as JSON so a team lead can share a preset. Every change is saved immediately through the
+ * preferences store; the dashboard re-applies it via its subscription.
+ *
+ * Dependencies:
+ * - Corresponding CSS in src/scss/components/_dashboard.scss
+ */
+
+import { fetchNewsFeed } from '../modules/dataService.js';
+import {
+  moveWidget, updateWidget, addPinnedLink, removePinnedLink, WIDGET_SIZES,
+} from '../modules/preferences.js';
+import { createElement, downloadFile } from './widgetUtils.js';
+import { t, onLocaleChange, SUPPORTED_LOCALES, TEMPERATURE_UNITS } from '../modules/i18n.js';
+import { createLogger } from '../modules/logger.js';
+
+const log = createLogger('DashboardCustomizer');
+
+const EXPORT_FILE_NAME = 'connecthub-dashboard-layout.json';
+
+function fieldset(legendKey) {
+  const element = createElement('fieldset', { className: 'customizer-group' });
+  element.appendChild(createElement('legend', { message: legendKey }));
+  return element;
+}
+
+/**
+ * Creates the customizer panel (initially hidden).
+ * @param {object} preferences - Store from createPreferencesStore().
+ * @param {object} options
+ * @param {Array<{ id: string, titleKey: string }>} options.widgets - Widgets present on the page.
+ * @param {Function} [options.onClose] - Called when the panel is closed from inside.
+ * @returns {{ element: HTMLElement, open: Function, close: Function }}
+ */
+export function createDashboardCustomizer(preferences, { widgets, onClose = () => {} }) {
+  const titles = new Map(widgets.map(widget => [widget.id, widget.titleKey]));
+
+  const panel = createElement('section', { className: 'dashboard-customizer card', attrs: { 'aria-labelledby': 'dashboard-customizer-heading' } });
+  panel.hidden = true;
+  panel.appendChild(createElement('h2', { message: 'customizer.heading', attrs: { id: 'dashboard-customizer-heading', tabindex: '-1' } }));
+
+  // --- Widgets: order, visibility, size ---
+  const widgetGroup = fieldset('customizer.widgets');
+  const widgetList = createElement('ol', { className: 'customizer-widgets' });
+  widgetGroup.appendChild(widgetList);
+
+  function renderWidgetRows(prefs) {
+    // Rows are rebuilt on every change; keep focus on the same control.
+    const focused = document.activeElement && widgetList.contains(document.activeElement)
+      ? document.activeElement.dataset.control
+      : null;
+
+    const rows = prefs.widgets.filter(widget => titles.has(widget.id));
+    widgetList.replaceChildren(...rows.map((widget, index) => {
+      const title = t(titles.get(widget.id));
+      const row = createElement('li', { className: 'customizer-widget' });
+      row.appendChild(createElement('span', { className: 'customizer-widget-title', text: title }));
+
+      const up = createElement('button', { className: 'btn btn-secondary', text: '↑', attrs: { type: 'button', 'aria-label': t('customizer.moveUp', { title }), 'data-control': `${widget.id}:up` } });
+      const down = createElement('button', { className: 'btn btn-secondary', text: '↓', attrs: { type: 'button', 'aria-label': t('customizer.moveDown', { title }), 'data-control': `${widget.id}:down` } });
+      up.disabled = index === 0;
+      down.disabled = index === rows.length - 1;
+      up.addEventListener('click', () => preferences.update(current => moveWidget(current, widget.id, -1)));
+      down.addEventListener('click', () => preferences.update(current => moveWidget(current, widget.id, 1)));
+
+      const visibleLabel = createElement('label', { className: 'customizer-checkbox' });
+      const visible = createElement('input', { attrs: { type: 'checkbox', 'data-control': `${widget.id}:visible` } });
+      visible.checked = !widget.hidden;
+      visible.addEventListener('change', () => preferences.update(current => updateWidget(current, widget.id, { hidden: !visible.checked })));
+      visibleLabel.append(visible, ` ${t('customizer.show')}`);
+
+      const size = createElement('select', { attrs: { 'aria-label': t('customizer.widthLabel', { title }), 'data-control': `${widget.id}:size` } });
+      WIDGET_SIZES.forEach(value => size.appendChild(createElement('option', { text: t(`customizer.sizes.${value}`), attrs: { value } })));
+      size.value = widget.size;
+      size.addEventListener('change', () => preferences.update(current => updateWidget(current, widget.id, { size: size.value })));
+
+      row.append(up, down, visibleLabel, size);
+      return row;
+    }));
+
+    if (focused) {
+      const target = widgetList.querySelector(`[data-control="${focused}"]`);
+      // A move button that became disabled (top/bottom reached) can't hold focus; use its sibling.
+      const fallback = target && target.disabled ? target.parentElement.querySelector('button:not(:disabled)') : null;
+      (fallback || target)?.focus();
+    }
+  }
+
+  // --- Default news category ---
+  const newsGroup = fieldset('customizer.news');
+  const categoryLabel = createElement('label', { message: 'customizer.defaultCategory', attrs: { for: 'customizer-news-category' } });
+  const categorySelect = createElement('select', { attrs: { id: 'customizer-news-category' } });
+  categorySelect.appendChild(createElement('option', { message: 'newsFeed.allCategories', attrs: { value: 'all' } }));
+  categorySelect.addEventListener('change', () => {
+    preferences.update(current => ({ ...current, newsCategory: categorySelect.value }));
+  });
+  newsGroup.append(categoryLabel, ' ', categorySelect);
+
+  async function loadCategories() {
+    try {
+      const articles = await fetchNewsFeed();
+      [...new Set(articles.map(article => article.category))].sort().forEach(category => {
+        categorySelect.appendChild(createElement('option', { text: category, attrs: { value: category.toLowerCase() } }));
+      });
+    } catch (error) {
+      log.warn('News categories unavailable.', error);
+    }
+    categorySelect.value = preferences.get().newsCategory;
+    if (!categorySelect.value) categorySelect.value = 'all';
+  }
+
+  // --- Language and region ---
+  const languageGroup = fieldset('customizer.language');
+  const localeLabel = createElement('label', { message: 'customizer.languageLabel', attrs: { for: 'customizer-locale' } });
+  const localeSelect = createElement('select', { attrs: { id: 'customizer-locale' } });
+  localeSelect.appendChild(createElement('option', { message: 'customizer.languageAuto', attrs: { value: '' } }));
+  SUPPORTED_LOCALES.forEach(({ code, name }) => {
+    localeSelect.appendChild(createElement('option', { text: name, attrs: { value: code, lang: code } })); // Each language names itself
+  });
+  const unitLabel = createElement('label', { message: 'customizer.temperatureLabel', attrs: { for: 'customizer-temperature' } });
+  const unitSelect = createElement('select', { attrs: { id: 'customizer-temperature' } });
+  TEMPERATURE_UNITS.forEach(unit => {
+    unitSelect.appendChild(createElement('option', { message: `customizer.temperature.${unit}`, attrs: { value: unit } }));
+  });
+  localeSelect.addEventListener('change', () => {
+    preferences.update(current => ({ ...current, locale: localeSelect.value || null }));
+  });
+  unitSelect.addEventListener('change', () => {
+    preferences.update(current => ({ ...current, temperatureUnit: unitSelect.value }));
+  });
+  languageGroup.append(localeLabel, ' ', localeSelect, unitLabel, ' ', unitSelect);
+
+  // --- Pinned quick links ---
+  const linksGroup = fieldset('customizer.pinnedLinks');
+  const pinnedList = createElement('ul', { className: 'customizer-pinned' });
+  const linkForm = createElement('form', { className: 'customizer-link-form' });
+  const linkTitle = createElement('input', {
+    attrs: { type: 'text', maxlength: '60', required: '' },
+    attrMessages: { placeholder: 'customizer.linkTitlePlaceholder', 'aria-label': 'customizer.linkTitleLabel' },
+  });
+  const linkUrl = createElement('input', {
+    attrs: { type: 'text', required: '' },
+    attrMessages: { placeholder: 'customizer.linkUrlPlaceholder', 'aria-label': 'customizer.linkUrlLabel' },
+  });
+  const linkError = createElement('p', { className: 'status-message error-message', attrs: { role: 'alert' } });
+  linkError.hidden = true;
+  linkForm.append(linkTitle, linkUrl, createElement('button', { className: 'btn btn-primary', message: 'customizer.pinLink', attrs: { type: 'submit' } }));
+  linksGroup.append(pinnedList, linkForm, linkError);
+
+  linkForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    try {
+      preferences.update(current => addPinnedLink(current, { title: linkTitle.value.trim(), url: linkUrl.value.trim() }));
+      linkForm.reset();
+      linkError.hidden = true;
+      linkTitle.focus();
+    } catch (error) {
+      linkError.textContent = error.message;
+      linkError.hidden = false;
+    }
+  });
+
+  function renderPinnedLinks(prefs) {
+    if (!prefs.pinnedLinks.length) {
+      pinnedList.replaceChildren(createElement('li', { className: 'customizer-empty', text: t('customizer.noPinnedLinks') }));
+      return;
+    }
+    pinnedList.replaceChildren(...prefs.pinnedLinks.map(link => {
+      const item = createElement('li');
+      item.appendChild(createElement('span', { text: link.title }));
+      item.appendChild(createElement('span', { className: 'customizer-url', text: link.url }));
+      const remove = createElement('button', { className: 'link-button', text: t('customizer.remove'), attrs: { type: 'button', 'aria-label': t('customizer.unpinLabel', { title: link.title }) } });
+      remove.addEventListener('click', () => {
+        preferences.update(current => removePinnedLink(current, link.id));
+        linkTitle.focus();
+      });
+      item.appendChild(remove);
+      return item;
+    }));
+  }
+
+  // --- Share: export / import / reset ---
+  const shareGroup = fieldset('customizer.share');
+  const exportButton = createElement('button', { className: 'btn btn-secondary', message: 'customizer.export', attrs: { type: 'button' } });
+  const importInput = createElement('input', { attrs: { type: 'file', accept: 'application/json,.json', id: 'customizer-import' } });
+  const importLabel = createElement('label', { className: 'btn btn-secondary', message: 'customizer.import', attrs: { for: 'customizer-import' } });
+  const resetButton = createElement('button', { className: 'btn btn-secondary', message: 'customizer.reset', attrs: { type: 'button' } });
+  const shareStatus = createElement('p', { className: 'status-message', attrs: { role: 'status' } });
+  shareGroup.append(exportButton, importInput, importLabel, resetButton, shareStatus);
+
+  exportButton.addEventListener('click', () => {
+    downloadFile(preferences.exportJson(), EXPORT_FILE_NAME, 'application/json');
+    shareStatus.textContent = t('customizer.exported', { fileName: EXPORT_FILE_NAME });
+  });
+
+  importInput.addEventListener('change', async () => {
+    const [file] = importInput.files;
+    importInput.value = ''; // Allow importing the same file again
+    if (!file) return;
+    try {
+      preferences.importJson(await file.text());
+      shareStatus.classList.remove('error-message');
+      shareStatus.textContent = t('customizer.imported', { fileName: file.name });
+    } catch (error) {
+      shareStatus.classList.add('error-message');
+      shareStatus.textContent = t('customizer.importFailed', { fileName: file.name, reason: error.message });
+    }
+  });
+
+  resetButton.addEventListener('click', () => {
+    if (!window.confirm(t('customizer.confirmReset'))) return;
+    preferences.reset();
+    shareStatus.classList.remove('error-message');
+    shareStatus.textContent = t('customizer.resetDone');
+  });
+
+  const doneButton = createElement('button', { className: 'btn btn-primary customizer-done', message: 'customizer.done', attrs: { type: 'button' } });
+  panel.append(widgetGroup, newsGroup, languageGroup, linksGroup, shareGroup, doneButton);
+
+  function render(prefs) {
+    renderWidgetRows(prefs);
+    renderPinnedLinks(prefs);
+    if (Array.from(categorySelect.options).some(option => option.value === prefs.newsCategory)) {
+      categorySelect.value = prefs.newsCategory;
+    }
+    localeSelect.value = prefs.locale || '';
+    unitSelect.value = prefs.temperatureUnit;
+  }
+
+  function close() {
+    panel.hidden = true;
+  }
+
+  doneButton.addEventListener('click', () => {
+    close();
+    onClose();
+  });
+  panel.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      close();
+      onClose();
+    }
+  });
+
+  preferences.subscribe(render);
+  onLocaleChange(() => render(preferences.get()));
+  render(preferences.get());
+  loadCategories();
+
+  return {
+    element: panel,
+    open() {
+      panel.hidden = false;
+      panel.querySelector('h2').focus();
+    },
+    close,
+  };
+}
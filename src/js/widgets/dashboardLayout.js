@@ -0,0 +1,159 @@
+// src/js/widgets/dashboardLayout.js
+
+/**
+ * ConnectHub Intranet - Dashboard Layout Widget
+ *
+ * Applies the employee's layout preferences (see modules/preferences.js) to the
+ * homepage cards: order, visibility, collapsed state and width. Each card gets
+ * collapse/hide buttons in its corner, and the "Customize dashboard" button opens
+ * the full editor (widgets/dashboardCustomizer.js).
+ *
+ * Dependencies:
+ * - Corresponding CSS in src/scss/components/_dashboard.scss
+ */
+
+import { updateWidget } from '../modules/preferences.js';
+import { createDashboardCustomizer } from './dashboardCustomizer.js';
+import { createElement } from './widgetUtils.js';
+import { t, onLocaleChange } from '../modules/i18n.js';
+import { createLogger } from '../modules/logger.js';
+
+const log = createLogger('DashboardLayout');
+
+/**
+ * The customizable homepage cards, in default order.
+ * `titleKey` is the card's name in the message catalogs.
+ * `size` is the default width: 'full' spans both grid columns.
+ */
+export const DASHBOARD_WIDGETS = Object.freeze([
+  { id: 'briefing', selector: '.personalized-briefing', titleKey: 'widgets.briefing', size: 'full' },
+  { id: 'news', selector: '.news-announcements', titleKey: 'widgets.news', size: 'full' },
+  { id: 'quick-links', selector: '.quick-links', titleKey: 'widgets.quickLinks', size: 'half' },
+  { id: 'events', selector: '.upcoming-events', titleKey: 'widgets.events', size: 'half' },
+  { id: 'spotlight', selector: '.employee-spotlight', titleKey: 'widgets.spotlight', size: 'half' },
+  { id: 'celebrations', selector: '.celebrations', titleKey: 'widgets.celebrations', size: 'half' },
+  { id: 'team-updates', selector: '.team-updates', titleKey: 'widgets.teamUpdates', size: 'half' },
+]);
+
+function createIconButton(icon, className) {
+  const button = createElement('button', { className: `widget-control ${className}`, attrs: { type: 'button' } });
+  button.appendChild(createElement('i', { className: icon, attrs: { 'aria-hidden': 'true' } }));
+  return button;
+}
+
+function setLabel(button, label) {
+  button.setAttribute('aria-label', label);
+  button.title = label;
+}
+
+/**
+ * Initializes the customizable dashboard.
+ * @param {HTMLElement} main - The .main-content element holding the cards.
+ * @param {object} preferences - Store from createPreferencesStore({ widgets: DASHBOARD_WIDGETS }).
+ * @param {object} [options]
+ * @param {Function} [options.onNewsCategoryChange] - Called when the default news category changes.
+ * @returns {{ apply: Function }|null}
+ */
+export function initDashboardLayout(main, preferences, { onNewsCategoryChange = () => {} } = {}) {
+  if (!main) {
+    log.warn('No main content element. Skipping initialization.');
+    return null;
+  }
+
+  const cards = new Map();
+  DASHBOARD_WIDGETS.forEach(widget => {
+    const section = main.querySelector(widget.selector);
+    if (!section) return;
+
+    section.dataset.widgetId = widget.id;
+    const collapseButton = createIconButton('fas fa-chevron-up', 'widget-collapse');
+    const hideButton = createIconButton('fas fa-times', 'widget-hide');
+    collapseButton.addEventListener('click', () => {
+      const collapsed = section.classList.contains('is-collapsed');
+      preferences.update(prefs => updateWidget(prefs, widget.id, { collapsed: !collapsed }));
+    });
+    hideButton.addEventListener('click', () => {
+      preferences.update(prefs => updateWidget(prefs, widget.id, { hidden: true }));
+      customizeButton.focus(); // The card (and the focused button) is gone
+    });
+
+    const controls = createElement('div', { className: 'widget-controls' });
+    controls.append(collapseButton, hideButton);
+    const heading = section.querySelector('h2');
+    if (heading) {
+      heading.after(controls);
+    } else {
+      section.prepend(controls);
+    }
+    cards.set(widget.id, { section, collapseButton, hideButton, titleKey: widget.titleKey });
+  });
+
+  // Toolbar and editor panel, above the cards
+  const toolbar = createElement('div', { className: 'dashboard-toolbar' });
+  const hiddenNote = createElement('span', { className: 'dashboard-hidden-note' });
+  const customizeButton = createElement('button', {
+    className: 'btn btn-secondary',
+    attrs: { type: 'button', 'aria-expanded': 'false', 'aria-controls': 'dashboard-customizer' },
+  });
+  customizeButton.appendChild(createElement('i', { className: 'fas fa-sliders-h', attrs: { 'aria-hidden': 'true' } }));
+  customizeButton.append(' ', createElement('span', { message: 'dashboard.customize' }));
+  toolbar.append(hiddenNote, customizeButton);
+
+  const customizer = createDashboardCustomizer(preferences, {
+    widgets: DASHBOARD_WIDGETS.filter(widget => cards.has(widget.id)),
+    onClose: () => {
+      customizeButton.setAttribute('aria-expanded', 'false');
+      customizeButton.focus();
+    },
+  });
+  customizer.element.id = 'dashboard-customizer';
+
+  const appView = main.querySelector('#app-view');
+  if (appView) {
+    appView.after(toolbar, customizer.element);
+  } else {
+    main.prepend(toolbar, customizer.element);
+  }
+
+  customizeButton.addEventListener('click', () => {
+    const open = customizeButton.getAttribute('aria-expanded') !== 'true';
+    customizeButton.setAttribute('aria-expanded', String(open));
+    if (open) {
+      customizer.open();
+    } else {
+      customizer.close();
+    }
+  });
+
+  let newsCategory = preferences.get().newsCategory;
+
+  function apply(prefs) {
+    main.classList.add('has-custom-layout');
+    prefs.widgets.forEach((widget, index) => {
+      const card = cards.get(widget.id);
+      if (!card) return;
+      card.section.style.order = String(index);
+      card.section.hidden = widget.hidden;
+      card.section.classList.toggle('is-collapsed', widget.collapsed);
+      card.section.classList.toggle('widget-size-full', widget.size === 'full');
+      card.section.classList.toggle('widget-size-half', widget.size !== 'full');
+      const title = t(card.titleKey);
+      card.collapseButton.setAttribute('aria-expanded', String(!widget.collapsed));
+      setLabel(card.collapseButton, t(widget.collapsed ? 'dashboard.expand' : 'dashboard.collapse', { title }));
+      setLabel(card.hideButton, t('dashboard.hide', { title }));
+    });
+
+    const hiddenCount = prefs.widgets.filter(widget => widget.hidden && cards.has(widget.id)).length;
+    hiddenNote.textContent = hiddenCount ? t('dashboard.hiddenCount', { count: hiddenCount }) : '';
+
+    if (prefs.newsCategory !== newsCategory) {
+      newsCategory = prefs.newsCategory;
+      onNewsCategoryChange(newsCategory);
+    }
+  }
+
+  apply(preferences.get());
+  preferences.subscribe(apply);
+  onLocaleChange(() => apply(preferences.get()));
+  return { apply };
+}
@@ -0,0 +1,99 @@
+// src/js/widgets/employeeSpotlight.js
+
+/**
+ * ConnectHub Intranet - Employee Spotlight Widget
+ *
+ * Renders the Employee Spotlight card from fetchEmployeeSpotlight(): the entry
+ * published in the content console, or else this week's pick of the rotation
+ * through the employee directory (see modules/spotlightRotation.js). Colleagues
+ * can open the profile or send a shout-out to the person in the spotlight.
+ *
+ * Expected markup (see public/index.html):
+ * <section class="employee-spotlight">
+ *   <div class="spotlight-card"></div>
+ * </section>
+ */
+
+import { fetchEmployeeSpotlight, fetchEmployees, onDataRefresh, RESOURCES } from '../modules/dataService.js';
+import { mentionHandle } from '../modules/employeeDirectory.js';
+import { createElement, renderStatus, errorMessage } from './widgetUtils.js';
+import { shoutOutHref } from './teamUpdates.js';
+import { t, onLocaleChange } from '../modules/i18n.js';
+import { createLogger } from '../modules/logger.js';
+
+const log = createLogger('EmployeeSpotlight');
+
+/**
+ * Initializes the employee spotlight widget.
+ * @param {HTMLElement} section - The .employee-spotlight card.
+ * @returns {{ reload: Function }|null}
+ */
+export function initEmployeeSpotlight(section) {
+  const card = section && section.querySelector('.spotlight-card');
+  if (!card) {
+    log.warn('Missing .spotlight-card. Skipping initialization.');
+    return null;
+  }
+
+  let spotlight;
+  let handle = null; // For the shout-out, when the entry is linked to a directory record
+  let loadError = null;
+
+  function render() {
+    if (loadError) {
+      renderStatus(card, errorMessage(loadError, t('subjects.spotlight')), { isError: true });
+      return;
+    }
+    if (spotlight === undefined) {
+      renderStatus(card, t('spotlight.loading'));
+      return;
+    }
+    if (!spotlight) {
+      renderStatus(card, t('spotlight.empty'));
+      return;
+    }
+
+    const content = [];
+    if (spotlight.imageUrl) content.push(createElement('img', { attrs: { src: spotlight.imageUrl, alt: '', loading: 'lazy' } }));
+    content.push(createElement('h3', { text: spotlight.name }));
+    if (spotlight.position) content.push(createElement('p', { className: 'position', text: spotlight.position }));
+    if (spotlight.bio) content.push(createElement('p', { className: 'bio', text: spotlight.bio }));
+
+    const actions = createElement('p', { className: 'spotlight-actions' });
+    if (spotlight.profileUrl) {
+      actions.appendChild(createElement('a', {
+        className: 'view-profile',
+        text: t('spotlight.viewProfile'),
+        attrs: { href: spotlight.profileUrl },
+      }));
+    }
+    actions.appendChild(createElement('a', {
+      className: 'send-kudos',
+      text: t('spotlight.kudos'),
+      attrs: { href: shoutOutHref(t('spotlight.kudosText', { name: handle ? `@${handle}` : spotlight.name })) },
+    }));
+    content.push(actions);
+    card.replaceChildren(...content);
+  }
+
+  async function load() {
+    try {
+      spotlight = await fetchEmployeeSpotlight();
+      const employee = spotlight && spotlight.employeeId
+        ? (await fetchEmployees().catch(() => [])).find(person => person.id === spotlight.employeeId)
+        : null;
+      handle = employee ? mentionHandle(employee) : null;
+      loadError = null;
+    } catch (error) {
+      loadError = error;
+    }
+    render();
+  }
+
+  // The rotation draws on the directory, so changes to either can change who is shown.
+  onDataRefresh(RESOURCES.EMPLOYEE_SPOTLIGHT, load);
+  onDataRefresh(RESOURCES.EMPLOYEES, load);
+  onLocaleChange(render);
+  load();
+  return { reload: load };
+}
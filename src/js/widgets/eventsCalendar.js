@@ -0,0 +1,390 @@
+// src/js/widgets/eventsCalendar.js
+
+/**
+ * ConnectHub Intranet - Events Calendar Widget
+ *
+ * - initUpcomingEvents(section): the homepage "Upcoming Events" card.
+ * - mountEventsCalendar(container): the full calendar (#/events) with month, week
+ *   and agenda views, category filtering and an .ics export of what's shown.
+ * Times are shown in the viewer's time zone. Events that overlap a meeting from
+ * the personal briefing are flagged so people can spot double bookings. Both
+ * re-render when the server pushes a new or changed event, and when the language changes.
+ *
+ * Dependencies:
+ * - Corresponding CSS in src/scss/components/_calendar.scss
+ */
+
+import { fetchUpcomingEvents, fetchPersonalBriefingData, onDataRefresh, onRealtimeChange, RESOURCES } from '../modules/dataService.js';
+import {
+  addDays, weekDays, monthGrid, groupEventsByDay, upcomingEvents, findMeetingConflicts,
+} from '../modules/eventCalendar.js';
+import { localDateKey } from '../modules/eventTime.js';
+import { buildICalendar, icsFileName } from '../modules/icalendar.js';
+import { createElement, renderStatus, errorMessage, formatEventTime, downloadFile, renderAudienceBadge } from './widgetUtils.js';
+import { t, localizeAttribute, onLocaleChange, formatDate, formatTime } from '../modules/i18n.js';
+import { createLogger } from '../modules/logger.js';
+
+const log = createLogger('EventsCalendar');
+
+const ICS_TYPE = 'text/calendar;charset=utf-8';
+
+// View -> message key for its button
+export const CALENDAR_VIEWS = Object.freeze({
+  month: 'calendar.views.month',
+  week: 'calendar.views.week',
+  agenda: 'calendar.views.agenda',
+});
+
+const HOMEPAGE_EVENT_LIMIT = 4;
+
+/**
+ * Downloads a single event as an .ics file.
+ * @param {object} event - A normalized event.
+ */
+export function downloadEvent(event) {
+  downloadFile(buildICalendar([event], { calendarName: event.title }), icsFileName(event.title), ICS_TYPE);
+}
+
+/**
+ * Loads events together with the briefing meetings they overlap. The briefing is
+ * optional: if it can't be loaded, events are shown without conflict hints.
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<{ events: object[], conflicts: Map<string, object[]> }>}
+ */
+export async function loadEventsWithConflicts(signal) {
+  const [events, briefing] = await Promise.all([
+    fetchUpcomingEvents({ signal }),
+    fetchPersonalBriefingData({ signal }).catch(error => {
+      if (signal && signal.aborted) throw error;
+      log.warn('Briefing unavailable, meeting conflicts are not shown.', error);
+      return null;
+    }),
+  ]);
+  const conflicts = briefing ? findMeetingConflicts(events, briefing.upcomingMeetings) : new Map();
+  return { events, conflicts };
+}
+
+/**
+ * @param {object[]} meetings - Briefing meetings that overlap an event.
+ * @returns {string} e.g. 'Overlaps your meeting: Project Alpha Sync (10:00 AM)'
+ */
+export function describeConflict(meetings) {
+  const list = meetings.map(meeting => (meeting.time ? `${meeting.title} (${meeting.time})` : meeting.title)).join(', ');
+  return t('events.conflict', { count: meetings.length, meetings: list });
+}
+
+/**
+ * Renders one event as a list entry with date badge, time, location,
+ * conflict hint and an "Add to calendar" button.
+ * @param {object} event
+ * @param {object[]} [conflictingMeetings]
+ * @returns {HTMLElement}
+ */
+export function renderEventItem(event, conflictingMeetings = []) {
+  const item = createElement('li', { className: 'event-item-card' });
+  if (conflictingMeetings.length) item.classList.add('has-conflict');
+
+  const day = event.start ? new Date(event.start) : new Date(`${event.date}T00:00:00`);
+  const badge = createElement('div', { className: 'event-date-display', attrs: { 'aria-hidden': 'true' } });
+  badge.appendChild(createElement('span', { className: 'month', text: formatDate(day, { month: 'short' }) }));
+  badge.appendChild(createElement('span', { className: 'day', text: String(day.getDate()) }));
+  item.appendChild(badge);
+
+  const info = createElement('div', { className: 'event-info' });
+  const heading = createElement('h4');
+  heading.appendChild(createElement('a', { className: 'event-title', text: event.title, attrs: { href: `#/events/${encodeURIComponent(event.id)}` } }));
+  info.appendChild(heading);
+
+  const when = `${formatDate(day, { weekday: 'short', month: 'short', day: 'numeric' })}, ${formatEventTime(event)}`;
+  const meta = createElement('p', { className: 'time-location' });
+  meta.appendChild(createElement('i', { className: 'fas fa-clock', attrs: { 'aria-hidden': 'true' } }));
+  meta.appendChild(document.createTextNode(when));
+  if (event.location) {
+    meta.appendChild(createElement('br'));
+    meta.appendChild(createElement('i', { className: 'fas fa-map-marker-alt', attrs: { 'aria-hidden': 'true' } }));
+    meta.appendChild(document.createTextNode(event.location));
+  }
+  info.appendChild(meta);
+  info.appendChild(createElement('span', { className: 'event-category', text: event.category }));
+  const audience = renderAudienceBadge(event);
+  if (audience) info.appendChild(audience);
+
+  if (conflictingMeetings.length) {
+    const warning = createElement('p', { className: 'event-conflict' });
+    warning.appendChild(createElement('i', { className: 'fas fa-exclamation-triangle', attrs: { 'aria-hidden': 'true' } }));
+    warning.appendChild(document.createTextNode(describeConflict(conflictingMeetings)));
+    info.appendChild(warning);
+  }
+
+  const addButton = createElement('button', {
+    className: 'link-button event-link',
+    text: t('events.addToCalendar'),
+    attrs: { type: 'button', 'aria-label': t('events.addToCalendarLabel', { title: event.title }) },
+  });
+  addButton.addEventListener('click', () => downloadEvent(event));
+  info.appendChild(addButton);
+
+  item.appendChild(info);
+  return item;
+}
+
+/**
+ * Initializes the homepage "Upcoming Events" card.
+ * @param {HTMLElement} section - The .upcoming-events section.
+ */
+export function initUpcomingEvents(section) {
+  const list = section && section.querySelector('.events-list');
+  if (!list) {
+    log.warn('.upcoming-events section not found. Skipping initialization.');
+    return;
+  }
+
+  async function render() {
+    try {
+      const { events, conflicts } = await loadEventsWithConflicts();
+      const upcoming = upcomingEvents(events).slice(0, HOMEPAGE_EVENT_LIMIT);
+      if (!upcoming.length) {
+        renderStatus(list, t('events.empty'));
+        return;
+      }
+      const endRender = log.time('render');
+      const items = createElement('ul', { className: 'events-list-items' });
+      upcoming.forEach(event => items.appendChild(renderEventItem(event, conflicts.get(event.id))));
+      list.replaceChildren(items);
+      endRender({ items: upcoming.length });
+    } catch (error) {
+      renderStatus(list, errorMessage(error, t('subjects.upcomingEvents')), { isError: true });
+    }
+  }
+
+  render();
+  onDataRefresh(RESOURCES.EVENTS, render);
+  onRealtimeChange(RESOURCES.EVENTS, render); // New and moved events show straight away
+  onLocaleChange(render);
+}
+
+function dayHeading(date, format = { weekday: 'long', month: 'long', day: 'numeric' }) {
+  return formatDate(date, format);
+}
+
+/**
+ * Mounts the full events calendar.
+ * @param {HTMLElement} container
+ * @param {object} [options]
+ * @param {'month'|'week'|'agenda'} [options.view='month']
+ * @param {Date} [options.date=new Date()] - A day in the period shown first.
+ * @param {string} [options.category=''] - Initial category filter.
+ * @param {Function} [options.onChange] - Called with { view, date, category } after each change.
+ * @param {AbortSignal} [options.signal] - Aborts the initial load.
+ * @returns {Promise<{ setView: Function, destroy: Function }>}
+ */
+export async function mountEventsCalendar(container, {
+  view: initialView = 'month',
+  date = new Date(),
+  category: initialCategory = '',
+  onChange = () => {},
+  signal,
+} = {}) {
+  const state = {
+    view: CALENDAR_VIEWS[initialView] ? initialView : 'month',
+    cursor: new Date(date.getFullYear(), date.getMonth(), date.getDate()),
+    category: initialCategory,
+  };
+  let events = [];
+  let conflicts = new Map();
+
+  renderStatus(container, t('calendar.loading'));
+  try {
+    ({ events, conflicts } = await loadEventsWithConflicts(signal));
+  } catch (error) {
+    if (signal && signal.aborted) throw error;
+    renderStatus(container, errorMessage(error, t('subjects.events')), { isError: true });
+    return { setView() {}, destroy() {} };
+  }
+
+  // Toolbar
+  const toolbar = createElement('div', { className: 'calendar-toolbar' });
+
+  const viewSwitch = createElement('div', { className: 'calendar-view-switch', attrs: { role: 'group' }, attrMessages: { 'aria-label': 'calendar.viewLabel' } });
+  const viewButtons = Object.entries(CALENDAR_VIEWS).map(([key, label]) => {
+    const button = createElement('button', { className: 'btn btn-secondary', message: label, attrs: { type: 'button', 'data-view': key } });
+    button.addEventListener('click', () => setView(key));
+    viewSwitch.appendChild(button);
+    return button;
+  });
+
+  const navigation = createElement('div', { className: 'calendar-navigation' });
+  const previousButton = createElement('button', { className: 'btn btn-secondary', text: '‹', attrs: { type: 'button' } });
+  const todayButton = createElement('button', { className: 'btn btn-secondary', message: 'calendar.today', attrs: { type: 'button' } });
+  const nextButton = createElement('button', { className: 'btn btn-secondary', text: '›', attrs: { type: 'button' } });
+  const title = createElement('h3', { className: 'calendar-title', attrs: { 'aria-live': 'polite' } });
+  navigation.append(previousButton, todayButton, nextButton, title);
+
+  const categorySelect = createElement('select', { attrMessages: { 'aria-label': 'calendar.categoryLabel' } });
+  categorySelect.appendChild(createElement('option', { message: 'calendar.allCategories', attrs: { value: '' } }));
+  [...new Set(events.map(event => event.category))].sort().forEach(category => {
+    categorySelect.appendChild(createElement('option', { text: category, attrs: { value: category } }));
+  });
+  categorySelect.value = state.category;
+  if (categorySelect.value !== state.category) state.category = '';
+
+  const exportButton = createElement('button', { className: 'btn btn-primary', attrs: { type: 'button' } });
+  exportButton.appendChild(createElement('i', { className: 'fas fa-calendar-plus', attrs: { 'aria-hidden': 'true' } }));
+  exportButton.append(' ', createElement('span', { message: 'calendar.export' }));
+
+  toolbar.append(viewSwitch, navigation, categorySelect, exportButton);
+
+  const body = createElement('div', { className: 'calendar-body' });
+  container.replaceChildren(toolbar, body);
+
+  const visibleEvents = () => events.filter(event => !state.category || event.category === state.category);
+
+  function period() {
+    if (state.view === 'week') {
+      const days = weekDays(state.cursor);
+      return { days, label: `${dayHeading(days[0], { month: 'short', day: 'numeric' })} – ${dayHeading(days[6], { month: 'short', day: 'numeric', year: 'numeric' })}` };
+    }
+    const weeks = monthGrid(state.cursor.getFullYear(), state.cursor.getMonth());
+    return { weeks, label: formatDate(state.cursor, { month: 'long', year: 'numeric' }) };
+  }
+
+  function eventChip(event) {
+    const chip = createElement('a', {
+      className: 'calendar-event',
+      attrs: { href: `#/events/${encodeURIComponent(event.id)}`, 'data-category': event.category },
+    });
+    if (conflicts.has(event.id)) {
+      chip.classList.add('has-conflict');
+      chip.setAttribute('title', describeConflict(conflicts.get(event.id)));
+    }
+    if (!event.allDay) {
+      chip.appendChild(createElement('span', { className: 'calendar-event-time', text: formatTime(event.start) }));
+    }
+    chip.appendChild(createElement('span', { text: event.title }));
+    return chip;
+  }
+
+  function renderMonth(weeks, byDay) {
+    const table = createElement('table', { className: 'calendar-month' });
+    const headRow = createElement('tr');
+    weeks[0].forEach(day => {
+      headRow.appendChild(createElement('th', { text: dayHeading(day, { weekday: 'short' }), attrs: { scope: 'col', abbr: dayHeading(day, { weekday: 'long' }) } }));
+    });
+    table.appendChild(createElement('thead')).appendChild(headRow);
+
+    const todayKey = localDateKey(new Date());
+    const tbody = table.appendChild(createElement('tbody'));
+    weeks.forEach(week => {
+      const row = createElement('tr');
+      week.forEach(day => {
+        const key = localDateKey(day);
+        const cell = createElement('td');
+        if (day.getMonth() !== state.cursor.getMonth()) cell.classList.add('is-outside-month');
+        if (key === todayKey) cell.classList.add('is-today');
+        cell.appendChild(createElement('span', { className: 'calendar-day-number', text: String(day.getDate()), attrs: { 'aria-label': dayHeading(day) } }));
+        (byDay.get(key) || []).forEach(event => cell.appendChild(eventChip(event)));
+        row.appendChild(cell);
+      });
+      tbody.appendChild(row);
+    });
+    return table;
+  }
+
+  function renderWeek(days, byDay) {
+    const list = createElement('ol', { className: 'calendar-week' });
+    const todayKey = localDateKey(new Date());
+    days.forEach(day => {
+      const key = localDateKey(day);
+      const item = createElement('li', { className: `calendar-week-day${key === todayKey ? ' is-today' : ''}` });
+      item.appendChild(createElement('h4', { text: dayHeading(day, { weekday: 'short', month: 'short', day: 'numeric' }) }));
+      const dayEvents = byDay.get(key) || [];
+      if (dayEvents.length) {
+        dayEvents.forEach(event => item.appendChild(eventChip(event)));
+      } else {
+        item.appendChild(createElement('p', { className: 'calendar-empty', text: t('calendar.noEventsDay') }));
+      }
+      list.appendChild(item);
+    });
+    return list;
+  }
+
+  function renderAgenda(weeks, byDay) {
+    const month = state.cursor.getMonth();
+    const days = weeks.flat().filter(day => day.getMonth() === month && byDay.has(localDateKey(day)));
+    if (!days.length) {
+      return createElement('p', { className: 'calendar-empty', text: t('calendar.noEventsMonth') });
+    }
+    const agenda = createElement('div', { className: 'calendar-agenda' });
+    days.forEach(day => {
+      agenda.appendChild(createElement('h4', { text: dayHeading(day) }));
+      const list = createElement('ul', { className: 'events-list-items' });
+      byDay.get(localDateKey(day)).forEach(event => list.appendChild(renderEventItem(event, conflicts.get(event.id))));
+      agenda.appendChild(list);
+    });
+    return agenda;
+  }
+
+  function render() {
+    const byDay = groupEventsByDay(visibleEvents());
+    const { weeks, days, label } = period();
+    title.textContent = label;
+    viewButtons.forEach(button => button.setAttribute('aria-pressed', String(button.dataset.view === state.view)));
+    localizeAttribute(previousButton, 'aria-label', state.view === 'week' ? 'calendar.previousWeek' : 'calendar.previousMonth');
+    localizeAttribute(nextButton, 'aria-label', state.view === 'week' ? 'calendar.nextWeek' : 'calendar.nextMonth');
+
+    if (state.view === 'week') {
+      body.replaceChildren(renderWeek(days, byDay));
+    } else if (state.view === 'agenda') {
+      body.replaceChildren(renderAgenda(weeks, byDay));
+    } else {
+      body.replaceChildren(renderMonth(weeks, byDay));
+    }
+    onChange({ view: state.view, date: state.cursor, category: state.category });
+  }
+
+  function move(direction) {
+    state.cursor = state.view === 'week'
+      ? addDays(state.cursor, 7 * direction)
+      : new Date(state.cursor.getFullYear(), state.cursor.getMonth() + direction, 1);
+    render();
+  }
+
+  function setView(view) {
+    if (!CALENDAR_VIEWS[view]) return;
+    state.view = view;
+    render();
+  }
+
+  previousButton.addEventListener('click', () => move(-1));
+  nextButton.addEventListener('click', () => move(1));
+  todayButton.addEventListener('click', () => {
+    const today = new Date();
+    state.cursor = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+    render();
+  });
+  categorySelect.addEventListener('change', () => {
+    state.category = categorySelect.value;
+    render();
+  });
+  exportButton.addEventListener('click', () => {
+    const name = state.category ? t('calendar.exportCategoryName', { category: state.category }) : t('calendar.exportName');
+    downloadFile(buildICalendar(visibleEvents(), { calendarName: name }), icsFileName(name), ICS_TYPE);
+  });
+
+  async function reload() {
+    try {
+      ({ events, conflicts } = await loadEventsWithConflicts());
+      render();
+    } catch (error) {
+      log.warn('Refreshed events could not be loaded; keeping the current ones.', error);
+    }
+  }
+  const unsubscribers = [
+    onDataRefresh(RESOURCES.EVENTS, reload),
+    onRealtimeChange(RESOURCES.EVENTS, reload),
+    onLocaleChange(render), // Dates and times in the grid
+  ];
+
+  render();
+  return { setView, destroy: () => unsubscribers.forEach(unsubscribe => unsubscribe()) };
+}
@@ -0,0 +1,92 @@
+// src/js/widgets/featuredNews.js
+
+/**
+ * ConnectHub Intranet - Featured News Widget
+ *
+ * Fills the homepage carousel with featured articles from fetchNewsFeed(): articles
+ * flagged `featured`, or the latest ones if none are. Each slide links to the
+ * article's page. Until the news loads (or if it can't), the carousel keeps the
+ * static slides from index.html.
+ *
+ * Uses the Carousel component (src/js/components/carousel.js, a classic script
+ * loaded before the modules) through window.Carousel.
+ */
+
+import { fetchNewsFeed, onDataRefresh, RESOURCES } from '../modules/dataService.js';
+import { createElement } from './widgetUtils.js';
+import { t, localizeAttribute, onLocaleChange } from '../modules/i18n.js';
+import { loadMentionResolver, setRichText } from './richText.js';
+import { createLogger } from '../modules/logger.js';
+
+const log = createLogger('FeaturedNews');
+
+export const FEATURED_NEWS_LIMIT = 5;
+
+/**
+ * Picks the articles to feature.
+ * @param {object[]} articles - Newest first, as returned by fetchNewsFeed().
+ * @param {number} [limit=FEATURED_NEWS_LIMIT]
+ * @returns {object[]}
+ */
+export function selectFeaturedNews(articles, limit = FEATURED_NEWS_LIMIT) {
+  const flagged = articles.filter(article => article.featured);
+  return (flagged.length ? flagged : articles).slice(0, limit);
+}
+
+function renderSlide(article, resolveMention) {
+  const slide = createElement('div', { className: 'carousel-slide', attrs: { 'data-news-id': article.id } });
+  if (article.imageUrl) {
+    slide.appendChild(createElement('img', { attrs: { src: article.imageUrl, alt: '', loading: 'lazy', draggable: 'false' } }));
+  } else {
+    slide.classList.add('has-no-image');
+  }
+
+  const content = createElement('div', { className: 'slide-content' });
+  content.appendChild(createElement('h2', { text: article.title }));
+  content.appendChild(setRichText(createElement('p'), article.previewText, { resolveMention, inline: true }));
+  content.appendChild(createElement('a', {
+    className: 'btn btn-primary',
+    text: t('featuredNews.readMore'),
+    attrs: { href: `#/news/${encodeURIComponent(article.id)}`, 'aria-label': t('featuredNews.readMoreLabel', { title: article.title }) },
+  }));
+  slide.appendChild(content);
+  return slide;
+}
+
+/**
+ * Initializes the featured news carousel.
+ * @param {HTMLElement} section - The .carousel element.
+ * @returns {{ carousel: object, reload: Function }|null}
+ */
+export function initFeaturedNews(section) {
+  const { Carousel } = window;
+  if (!section || !Carousel) {
+    log.warn('Carousel element or component missing. Skipping initialization.');
+    return null;
+  }
+  // Labelled here rather than through the carousel's `label` option, so that the label follows the language
+  const carousel = Carousel.get(section) || new Carousel(localizeAttribute(section, 'aria-label', 'featuredNews.label'));
+  const mentions = loadMentionResolver();
+
+  async function reload() {
+    try {
+      const [articles, resolveMention] = await Promise.all([fetchNewsFeed(), mentions]);
+      const featured = selectFeaturedNews(articles);
+      if (!featured.length) return; // Keep whatever the carousel shows now
+
+      // Stay on the same article when a refresh reorders the slides
+      const shown = carousel.slides[carousel.currentIndex];
+      const index = featured.findIndex(article => shown && article.id === shown.dataset.newsId);
+      const endRender = log.time('render');
+      carousel.setSlides(featured.map(article => renderSlide(article, resolveMention)), { index: Math.max(index, 0) });
+      endRender({ items: featured.length });
+    } catch (error) {
+      log.warn('Could not load featured news; keeping the default slides.', error);
+    }
+  }
+
+  onDataRefresh(RESOURCES.NEWS, reload);
+  onLocaleChange(reload);
+  reload();
+  return { carousel, reload };
+}
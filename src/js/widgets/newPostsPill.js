@@ -0,0 +1,50 @@
+// src/js/widgets/newPostsPill.js
+
+/**
+ * ConnectHub Intranet - New Posts Pill
+ *
+ * The "3 new posts" button a feed shows when items arrive while someone is reading
+ * it. The new items stay out of the list until the button is clicked, so nothing
+ * moves under the reader; clicking shows them (the feed's onReveal) and scrolls back
+ * to the top of the feed.
+ */
+
+import { createElement } from './widgetUtils.js';
+import { t, onLocaleChange } from '../modules/i18n.js';
+
+/**
+ * Creates the pill. Insert `element` above the feed's list.
+ * @param {object} options
+ * @param {Function} options.onReveal - Shows the new items.
+ * @param {HTMLElement} [options.scrollTarget] - Scrolled into view and focused after revealing, usually the feed's list.
+ * @returns {{ element: HTMLElement, setCount: Function }}
+ */
+export function createNewPostsPill({ onReveal, scrollTarget = null }) {
+  const element = createElement('div', { className: 'new-posts', attrs: { role: 'status' } });
+  const button = createElement('button', { className: 'new-posts-pill', attrs: { type: 'button' } });
+  const label = createElement('span');
+  button.append(createElement('i', { className: 'fas fa-arrow-up', attrs: { 'aria-hidden': 'true' } }), ' ', label);
+  element.appendChild(button);
+
+  let current = 0;
+
+  function setCount(count) {
+    current = count;
+    button.hidden = count === 0;
+    label.textContent = count === 0 ? '' : t('newPosts.count', { count });
+  }
+
+  button.addEventListener('click', () => {
+    setCount(0);
+    onReveal();
+    if (!scrollTarget) return;
+    // The button is gone now, so keep keyboard focus at the top of the feed
+    if (!scrollTarget.hasAttribute('tabindex')) scrollTarget.setAttribute('tabindex', '-1');
+    scrollTarget.focus({ preventScroll: true });
+    if (typeof scrollTarget.scrollIntoView === 'function') scrollTarget.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  });
+
+  onLocaleChange(() => setCount(current));
+  setCount(0);
+  return { element, setCount };
+}
@@ -0,0 +1,346 @@
+// src/js/widgets/newsFeed.js
+
+/**
+ * ConnectHub Intranet - News Feed Widget
+ *
+ * Renders the News & Announcements card and wires its category filter, search box and
+ * sort order. Every new query aborts the request for the previous one, so a slow
+ * response to an older query can never overwrite the results of a newer one.
+ *
+ * The feed is paged (see fetchNewsPage() in dataService.js): "Load More News" appends
+ * the page after the last article shown, and reloads keep as many articles on screen
+ * as were there before.
+ *
+ * Articles the employee hasn't opened are marked, and counted in the "3 unread" badge
+ * above the list; each card can be saved for later (see modules/newsTracker.js, and
+ * the #/saved view for the saved articles).
+ *
+ * News pushed by the server while the feed is open (see modules/realtime.js) waits
+ * behind a "3 new posts" pill rather than pushing the articles being read down the page.
+ *
+ * Expected markup (see public/index.html):
+ * <section class="news-announcements">
+ *   <select id="news-category-filter">...</select>
+ *   <select id="news-sort">...</select>
+ *   <input id="news-search">
+ *   <div class="news-feed-list"></div>
+ *   <button class="load-more-news">...</button>
+ * </section>
+ */
+
+import {
+  fetchNewsFeed,
+  fetchNewsPage,
+  newsMatches,
+  onDataRefresh,
+  onRealtimeChange,
+  NEWS_PAGE_SIZE,
+  NEWS_SORTS,
+  RESOURCES,
+  ERROR_TYPES,
+} from '../modules/dataService.js';
+import { CHANGE_TYPES } from '../modules/realtime.js';
+import { newsTracker } from '../modules/newsTracker.js';
+import { t, onLocaleChange } from '../modules/i18n.js';
+import { createElement, renderStatus, errorMessage, formatDate, debounce, renderAudienceBadge } from './widgetUtils.js';
+import { loadMentionResolver, setRichText } from './richText.js';
+import { createNewPostsPill } from './newPostsPill.js';
+import { createLogger } from '../modules/logger.js';
+
+const log = createLogger('NewsFeed');
+
+const SEARCH_DEBOUNCE_MS = 250;
+
+/**
+ * The save-for-later button of a news article (the feed's cards and the article view).
+ * @param {string} id - The article id.
+ * @returns {HTMLButtonElement} Call syncBookmarkButton() on it when the article is saved elsewhere.
+ */
+export function createBookmarkButton(id) {
+  const button = createElement('button', {
+    className: 'btn btn-icon icon-only bookmark-toggle',
+    attrs: { type: 'button', 'data-news-id': id },
+    attrMessages: { 'aria-label': 'newsFeed.bookmark', title: 'newsFeed.bookmark' },
+  });
+  button.appendChild(createElement('i', { attrs: { 'aria-hidden': 'true' } }));
+  button.addEventListener('click', () => {
+    newsTracker.toggleBookmark(id);
+    syncBookmarkButton(button);
+  });
+  return syncBookmarkButton(button);
+}
+
+/**
+ * @param {HTMLButtonElement} button - From createBookmarkButton().
+ * @returns {HTMLButtonElement}
+ */
+export function syncBookmarkButton(button) {
+  const saved = newsTracker.isBookmarked(button.dataset.newsId);
+  button.setAttribute('aria-pressed', String(saved));
+  button.querySelector('i').className = `${saved ? 'fas' : 'far'} fa-bookmark`;
+  return button;
+}
+
+function renderArticle(article, resolveMention) {
+  const card = createElement('article', { className: 'news-article-card', attrs: { 'data-news-id': article.id } });
+
+  if (article.imageUrl) {
+    card.appendChild(createElement('img', { attrs: { src: article.imageUrl, alt: '', loading: 'lazy' } }));
+  }
+  card.appendChild(createElement('span', { className: 'news-unread-marker', message: 'newsFeed.unreadMarker' }));
+  card.appendChild(createElement('h3', { text: article.title }));
+  card.appendChild(createElement('p', {
+    className: 'date',
+    text: [formatDate(article.date), article.category].filter(Boolean).join(' · '),
+  }));
+  const audience = renderAudienceBadge(article);
+  if (audience) card.appendChild(audience);
+  card.appendChild(setRichText(createElement('p', { className: 'preview' }), article.previewText, { resolveMention, inline: true }));
+
+  const actions = createElement('div', { className: 'news-article-actions' });
+  actions.append(
+    createElement('a', {
+      className: 'read-more',
+      text: t('newsFeed.readMore'),
+      attrs: { href: `#/news/${encodeURIComponent(article.id)}`, 'aria-label': t('newsFeed.readMoreLabel', { title: article.title }) },
+    }),
+    createBookmarkButton(article.id)
+  );
+  card.appendChild(actions);
+  return syncCard(card);
+}
+
+// Read and saved state come from the tracker, so they are updated in place when it changes.
+function syncCard(card) {
+  const unread = !newsTracker.isRead(card.dataset.newsId);
+  card.classList.toggle('is-unread', unread);
+  card.querySelector('.news-unread-marker').hidden = !unread;
+  syncBookmarkButton(card.querySelector('.bookmark-toggle'));
+  return card;
+}
+
+// Replaces the hard-coded <option>s with the categories actually present in the feed.
+function populateCategories(select, articles) {
+  const categories = [...new Set(articles.map(article => article.category))].sort();
+  const current = select.value;
+
+  select.replaceChildren(createElement('option', { message: 'newsFeed.allCategories', attrs: { value: 'all' } }));
+  categories.forEach(category => {
+    select.appendChild(createElement('option', { text: category, attrs: { value: category.toLowerCase() } }));
+  });
+  select.value = categories.some(category => category.toLowerCase() === current) ? current : 'all';
+}
+
+/**
+ * Initializes the news feed widget.
+ * @param {HTMLElement} section - The .news-announcements card.
+ * @param {object} [options]
+ * @param {string} [options.category='all'] - Category selected initially (lowercase, as in the filter's values).
+ * @returns {{ reload: Function, loadMore: Function, setCategory: Function }|null} Controls for the widget, or null if the markup is missing.
+ */
+export function initNewsFeed(section, { category: initialCategory = 'all' } = {}) {
+  const list = section && section.querySelector('.news-feed-list');
+  if (!list) {
+    log.warn('Missing .news-feed-list. Skipping initialization.');
+    return null;
+  }
+  const categoryFilter = section.querySelector('#news-category-filter');
+  const sortSelect = section.querySelector('#news-sort');
+  const searchInput = section.querySelector('#news-search');
+  const loadMoreButton = section.querySelector('.load-more-news');
+  let activeRequest = null;
+  let nextCursor = null;
+  let shownCount = 0; // Articles on screen; a reload fetches at least as many
+  let visibleArticles = []; // Every article the employee can see, for the unread count
+  const mentions = loadMentionResolver(); // Shared by every reload
+  const pendingIds = new Set(); // Pushed articles not shown until the pill is clicked
+  const pill = createNewPostsPill({
+    onReveal: () => {
+      pendingIds.clear();
+      reload();
+    },
+    scrollTarget: list,
+  });
+
+  const unreadBadge = createElement('span', { className: 'news-unread-badge' });
+  const markAllReadButton = createElement('button', {
+    className: 'news-mark-read',
+    message: 'newsFeed.markAllRead',
+    attrs: { type: 'button' },
+  });
+  const savedLink = createElement('a', { className: 'news-saved-link', attrs: { href: '#/saved' } });
+  const toolbar = createElement('div', { className: 'news-feed-toolbar' });
+  toolbar.append(unreadBadge, markAllReadButton, savedLink);
+  const loadError = createElement('p', { className: 'status-message error-message', attrs: { role: 'alert' } });
+  loadError.hidden = true;
+
+  list.before(toolbar, pill.element);
+  if (loadMoreButton) {
+    loadMoreButton.type = 'button';
+    loadMoreButton.before(loadError);
+    loadMoreButton.hidden = true; // Until a page says there is more
+  }
+
+  const currentFilter = () => ({
+    category: categoryFilter ? categoryFilter.value : 'all',
+    query: searchInput ? searchInput.value.trim() : '',
+    sort: sortSelect ? sortSelect.value : NEWS_SORTS.DATE,
+  });
+
+  function syncReadState() {
+    list.querySelectorAll('.news-article-card').forEach(syncCard);
+    const unread = newsTracker.countUnread(visibleArticles);
+    unreadBadge.hidden = unread === 0;
+    unreadBadge.textContent = unread === 0 ? '' : t('newsFeed.unread', { count: unread });
+    markAllReadButton.hidden = unread === 0;
+    const saved = newsTracker.getBookmarks().filter(bookmark => visibleArticles.some(article => article.id === bookmark.id)).length;
+    savedLink.textContent = t('newsFeed.saved', { count: saved });
+  }
+
+  /**
+   * Loads the first page again (as many articles as are shown), or with `append`,
+   * the next page.
+   */
+  async function load({ append = false } = {}) {
+    if (append && (!nextCursor || activeRequest)) return; // Nothing more, or a reload will replace the list anyway
+    if (activeRequest) activeRequest.abort(); // Supersede the previous query
+    const controller = new AbortController();
+    activeRequest = controller;
+
+    const { category, query, sort } = currentFilter();
+    list.setAttribute('aria-busy', 'true');
+    loadError.hidden = true;
+    if (loadMoreButton) loadMoreButton.disabled = true;
+
+    try {
+      const [page, allArticles, resolveMention] = await Promise.all([
+        fetchNewsPage({
+          category,
+          query,
+          sort,
+          cursor: append ? nextCursor : null,
+          limit: append ? NEWS_PAGE_SIZE : Math.max(NEWS_PAGE_SIZE, shownCount),
+        }, { signal: controller.signal }),
+        fetchNewsFeed('all', '', { signal: controller.signal }),
+        mentions,
+      ]);
+      visibleArticles = allArticles;
+      pendingIds.forEach(id => {
+        if (!allArticles.some(article => article.id === id)) pendingIds.delete(id); // Removed since
+      });
+      pill.setCount(pendingIds.size);
+      nextCursor = page.nextCursor;
+
+      const articles = page.items.filter(article => !pendingIds.has(article.id));
+      const endRender = log.time('render');
+      const cards = articles.map(article => renderArticle(article, resolveMention));
+      if (append) {
+        list.append(...cards);
+        shownCount += cards.length;
+        if (cards.length) cards[0].querySelector('.read-more').focus(); // The button may be gone now
+      } else if (cards.length === 0) {
+        shownCount = 0;
+        renderStatus(list, query ? t('newsFeed.noMatches', { query }) : t('newsFeed.empty'));
+      } else {
+        list.replaceChildren(...cards);
+        shownCount = cards.length;
+      }
+      endRender({ items: cards.length, append });
+      syncReadState();
+    } catch (error) {
+      if (error.type === ERROR_TYPES.ABORT) return; // A newer query owns the list now
+      if (append) {
+        loadError.textContent = errorMessage(error, t('subjects.news'));
+        loadError.hidden = false; // The articles already shown stay
+      } else {
+        renderStatus(list, errorMessage(error, t('subjects.news')), { isError: true });
+        nextCursor = null;
+        shownCount = 0;
+      }
+    } finally {
+      if (activeRequest === controller) {
+        activeRequest = null;
+        list.removeAttribute('aria-busy');
+        if (loadMoreButton) {
+          loadMoreButton.hidden = !nextCursor;
+          loadMoreButton.disabled = false;
+        }
+      }
+    }
+  }
+
+  const reload = () => load();
+  const loadMore = () => load({ append: true });
+
+  // A new category, search or sort shows everything that matches from the top, pushed articles included.
+  function requery() {
+    pendingIds.clear();
+    pill.setCount(0);
+    shownCount = 0;
+    reload();
+  }
+
+  // Selects a category, adding it to the filter if the categories haven't loaded yet.
+  function selectCategory(category) {
+    if (!Array.from(categoryFilter.options).some(option => option.value === category)) {
+      categoryFilter.appendChild(createElement('option', { text: category, attrs: { value: category } }));
+    }
+    categoryFilter.value = category;
+  }
+
+  function setCategory(category) {
+    if (!categoryFilter) return;
+    selectCategory(category);
+    requery();
+  }
+
+  if (categoryFilter) {
+    selectCategory(initialCategory);
+    categoryFilter.addEventListener('change', requery);
+    fetchNewsFeed()
+      .then(articles => {
+        const selected = categoryFilter.value;
+        populateCategories(categoryFilter, articles);
+        if (categoryFilter.value !== selected) requery(); // The selected category no longer exists
+      })
+      .catch(() => { /* Keep the static options; the list shows the error */ });
+  }
+  if (sortSelect) {
+    sortSelect.addEventListener('change', requery);
+  }
+  if (searchInput) {
+    searchInput.addEventListener('input', debounce(requery, SEARCH_DEBOUNCE_MS));
+  }
+  if (loadMoreButton) {
+    loadMoreButton.addEventListener('click', loadMore);
+  }
+  markAllReadButton.addEventListener('click', () => {
+    newsTracker.markRead(...visibleArticles.map(article => article.id));
+  });
+
+  newsTracker.subscribe(syncReadState);
+
+  // Stale-while-revalidate: re-render when a background refresh brings in newer news.
+  onDataRefresh(RESOURCES.NEWS, () => reload());
+  onLocaleChange(() => reload()); // Dates and messages
+
+  onRealtimeChange(RESOURCES.NEWS, ({ type, id, item }) => {
+    // Compared, not put in a selector: the id comes from the server and may hold any character
+    const shown = Array.from(list.querySelectorAll('.news-article-card')).some(card => card.dataset.newsId === id);
+    if (type === CHANGE_TYPES.DELETED) {
+      pendingIds.delete(id);
+      pill.setCount(pendingIds.size);
+      if (shown) reload();
+    } else if (shown) {
+      reload(); // An edit to an article on screen: re-rendered in place
+    } else if (!pendingIds.has(id)) {
+      const { category, query } = currentFilter();
+      if (!newsMatches(item, category, query)) return;
+      pendingIds.add(id);
+      pill.setCount(pendingIds.size);
+    }
+  });
+
+  reload();
+  return { reload, loadMore, setCategory };
+}
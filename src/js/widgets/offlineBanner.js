@@ -0,0 +1,76 @@
+// src/js/widgets/offlineBanner.js
+
+/**
+ * ConnectHub Intranet - Offline Banner Widget
+ *
+ * Shows a banner under the site header while the browser is offline, saying that the
+ * page shows saved content and how many changes are waiting to be sent (see
+ * modules/offlineQueue.js). When the connection comes back it reports the replay,
+ * including changes that could not be sent, then hides itself.
+ */
+
+import { createElement } from './widgetUtils.js';
+import { localize } from '../modules/i18n.js';
+import { createLogger } from '../modules/logger.js';
+
+const log = createLogger('OfflineBanner');
+
+const BACK_ONLINE_MESSAGE_MS = 4000;
+
+/**
+ * Initializes the offline banner.
+ * @param {HTMLElement} header - The .main-header; the banner is inserted after it.
+ * @param {object} queue - An offline queue (createOfflineQueue()).
+ * @returns {HTMLElement|null} The banner, or null if the header is missing.
+ */
+export function initOfflineBanner(header, queue) {
+  if (!header) {
+    log.warn('Missing .main-header. Skipping initialization.');
+    return null;
+  }
+
+  const banner = createElement('div', { className: 'offline-banner', attrs: { role: 'status' } });
+  const message = createElement('p', { className: 'offline-message' });
+  const failures = createElement('ul', { className: 'offline-failures' });
+  const dismiss = createElement('button', { className: 'btn btn-secondary offline-dismiss', message: 'offline.dismiss', attrs: { type: 'button' } });
+  banner.append(message, failures, dismiss);
+  banner.hidden = true;
+  header.after(banner);
+
+  let wasOffline = false;
+  let hideTimer = null;
+
+  function render({ pending, failed, replaying, online }) {
+    clearTimeout(hideTimer);
+    banner.classList.toggle('is-offline', !online);
+
+    failures.replaceChildren(...failed.map(({ action }) => createElement('li', {
+      message: ['offline.discarded', { type: action.type }],
+    })));
+    failures.hidden = failed.length === 0;
+    dismiss.hidden = failed.length === 0;
+
+    if (!online) {
+      wasOffline = true;
+      localize(message, pending.length > 0 ? 'offline.pending' : 'offline.offline', { count: pending.length });
+      banner.hidden = false;
+    } else if (replaying || pending.length > 0) {
+      localize(message, 'offline.sending', { count: pending.length });
+      banner.hidden = false;
+    } else if (wasOffline) {
+      wasOffline = false;
+      localize(message, 'offline.online');
+      banner.hidden = false;
+      if (failed.length === 0) hideTimer = setTimeout(() => { banner.hidden = true; }, BACK_ONLINE_MESSAGE_MS);
+    } else {
+      banner.hidden = failed.length === 0;
+      if (failed.length > 0) localize(message, 'offline.failed');
+    }
+  }
+
+  dismiss.addEventListener('click', () => queue.clearFailed());
+
+  queue.subscribe(render);
+  render({ pending: queue.pending(), failed: [], replaying: false, online: navigator.onLine !== false });
+  return banner;
+}
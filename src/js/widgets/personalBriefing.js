@@ -0,0 +1,242 @@
+// src/js/widgets/personalBriefing.js
+
+/**
+ * ConnectHub Intranet - Personal Briefing Widget
+ *
+ * Fills the Your Briefing card from fetchPersonalBriefingData(): open tasks, unread
+ * emails and the next meetings (the weather tile is widgets/weather.js). The meetings tile counts down to the
+ * next meeting ("Next meeting in 12 min"), ticking every half minute without going
+ * back to the server.
+ *
+ * The briefing reloads on an interval and whenever the tab becomes visible again,
+ * and pauses while the tab is hidden. Desktop reminders for meetings come from
+ * modules/meetingReminders.js; the lead time is picked in the meetings tile.
+ *
+ * Defaults can be set in the page config:
+ *   window.CONNECTHUB_CONFIG = { briefingRefreshInterval: 300000, meetingReminderMinutes: 10 };
+ */
+
+import { fetchPersonalBriefingData, onDataRefresh, RESOURCES } from '../modules/dataService.js';
+import {
+  createMeetingReminders,
+  notificationsSupported,
+  requestPermission,
+  REMINDER_OPTIONS,
+  DEFAULT_REMINDER_MINUTES,
+} from '../modules/meetingReminders.js';
+import { createElement, errorMessage } from './widgetUtils.js';
+import { t, onLocaleChange, formatTime } from '../modules/i18n.js';
+import { createLogger } from '../modules/logger.js';
+
+const log = createLogger('PersonalBriefing');
+
+export const DEFAULT_REFRESH_INTERVAL = 5 * 60 * 1000;
+const COUNTDOWN_TICK = 30 * 1000;
+const MIN_REFRESH_GAP = 60 * 1000; // Returning to the tab within a minute doesn't refetch
+const MEETINGS_SHOWN = 3;
+
+function formatDuration(ms) {
+  const minutes = Math.max(1, Math.ceil(ms / 60000));
+  if (minutes < 60) return t('briefing.duration.minutes', { count: minutes });
+  const hours = Math.floor(minutes / 60);
+  return minutes % 60
+    ? t('briefing.duration.hoursMinutes', { hours, minutes: minutes % 60 })
+    : t('briefing.duration.hours', { count: hours });
+}
+
+/**
+ * Describes the next meeting relative to now, e.g. 'Next meeting in 12 min',
+ * 'Now: Project Alpha Sync (ends in 20 min)' or 'Next meeting tomorrow at 9:30 AM'.
+ * @param {object[]} meetings - Briefing meetings, soonest first.
+ * @param {Date} [now=new Date()]
+ * @returns {string}
+ */
+export function describeNextMeeting(meetings, now = new Date()) {
+  const current = meetings.find(meeting => new Date(meeting.start) <= now && new Date(meeting.end) > now);
+  if (current) return t('briefing.current', { title: current.title, duration: formatDuration(new Date(current.end) - now) });
+
+  const next = meetings.find(meeting => new Date(meeting.start) > now);
+  if (!next) return t('briefing.noMoreMeetings');
+  const start = new Date(next.start);
+  if (start.toDateString() !== now.toDateString()) {
+    return t('briefing.nextTomorrow', { time: formatTime(start) });
+  }
+  return t('briefing.nextIn', { duration: formatDuration(start - now) });
+}
+
+/**
+ * Initializes the personal briefing.
+ * @param {HTMLElement} section - The .personalized-briefing card.
+ * @param {object} [options]
+ * @param {number} [options.refreshInterval] - ms between reloads; 0 turns them off.
+ * @param {object} [options.reminders] - A createMeetingReminders() instance.
+ * @returns {{ refresh: Function, destroy: Function }|null}
+ */
+export function initPersonalBriefing(section, options = {}) {
+  const tasksCount = section && section.querySelector('#tasks-count');
+  const emailsCount = section && section.querySelector('#emails-count');
+  const meetingsList = section && section.querySelector('#upcoming-meetings-list');
+  if (!tasksCount || !emailsCount || !meetingsList) {
+    log.warn('Briefing elements not found. Skipping initialization.');
+    return null;
+  }
+
+  const config = window.CONNECTHUB_CONFIG || {};
+  const refreshInterval = options.refreshInterval ?? config.briefingRefreshInterval ?? DEFAULT_REFRESH_INTERVAL;
+  const reminders = options.reminders || createMeetingReminders({
+    defaultMinutes: config.meetingReminderMinutes ?? DEFAULT_REMINDER_MINUTES,
+  });
+
+  const countdown = createElement('p', { className: 'meeting-countdown', attrs: { 'aria-live': 'polite' } });
+  meetingsList.after(countdown);
+  const reminderSetting = renderReminderSetting();
+  if (reminderSetting) countdown.after(reminderSetting);
+
+  let meetings = [];
+  let calendarError = null;
+  let lastLoaded = 0;
+  let loading = null;
+  let refreshTimer = null;
+  let tickTimer = null;
+
+  function renderCount(element, count) {
+    element.textContent = count === null ? '--' : String(count);
+  }
+
+  function renderMeetings(now = new Date()) {
+    if (calendarError) {
+      meetingsList.replaceChildren(createElement('li', { className: 'error-message', text: errorMessage(calendarError, t('subjects.meetings')) }));
+      countdown.textContent = '';
+      return;
+    }
+    const upcoming = meetings.filter(meeting => new Date(meeting.end) > now);
+    if (upcoming.length === 0) {
+      meetingsList.replaceChildren(createElement('li', { className: 'empty-message', text: t('briefing.noMeetings') }));
+    } else {
+      const today = now.toDateString();
+      meetingsList.replaceChildren(...upcoming.slice(0, MEETINGS_SHOWN).map(meeting => {
+        const start = new Date(meeting.start);
+        const isNow = start <= now;
+        const item = createElement('li', { className: isNow ? 'meeting-item is-now' : 'meeting-item' });
+        let when = formatTime(start);
+        if (isNow) {
+          when = t('briefing.now');
+        } else if (start.toDateString() !== today) {
+          when = t('briefing.tomorrowAt', { time: when });
+        }
+        item.append(
+          createElement('time', { className: 'meeting-time', text: when, attrs: { datetime: meeting.start } }),
+          ' ',
+          createElement('span', { className: 'meeting-title', text: meeting.title })
+        );
+        if (meeting.location) item.appendChild(createElement('span', { className: 'meeting-location', text: meeting.location }));
+        return item;
+      }));
+    }
+    countdown.textContent = describeNextMeeting(upcoming, now);
+  }
+
+  function renderReminderSetting() {
+    if (!notificationsSupported()) return null;
+    const id = 'meeting-reminder-minutes';
+    const wrapper = createElement('div', { className: 'reminder-setting' });
+    const select = createElement('select', { attrs: { id } });
+    REMINDER_OPTIONS.forEach(minutes => {
+      select.appendChild(createElement('option', { message: minutes === 0 ? 'reminders.off' : ['reminders.before', { count: minutes }], attrs: { value: minutes } }));
+    });
+    select.value = String(reminders.getMinutesBefore());
+    const note = createElement('p', { className: 'reminder-note', attrs: { role: 'status' } });
+    const enable = createElement('button', { className: 'link-button', message: 'reminders.allow', attrs: { type: 'button' } });
+    wrapper.append(createElement('label', { message: 'reminders.label', attrs: { for: id } }), ' ', select, note, enable);
+
+    // Reminders only show once the browser allows notifications; asking needs a click.
+    const showPermission = (permission = window.Notification.permission) => {
+      const wanted = Number(select.value) > 0;
+      enable.hidden = !wanted || permission !== 'default';
+      note.textContent = wanted && permission === 'denied'
+        ? t('reminders.blocked')
+        : '';
+    };
+    select.addEventListener('change', async () => {
+      const minutes = Number(select.value);
+      reminders.setMinutesBefore(minutes);
+      showPermission(minutes > 0 ? await requestPermission() : undefined);
+    });
+    enable.addEventListener('click', async () => showPermission(await requestPermission()));
+    onLocaleChange(() => showPermission());
+    showPermission();
+    return wrapper;
+  }
+
+  async function load({ forceRefresh = false } = {}) {
+    if (loading) return loading;
+    loading = (async () => {
+      try {
+        const briefing = await fetchPersonalBriefingData({ forceRefresh });
+        lastLoaded = Date.now();
+        renderCount(tasksCount, briefing.tasksCount);
+        renderCount(emailsCount, briefing.unreadEmailsCount);
+        meetings = briefing.upcomingMeetings;
+        calendarError = briefing.errors.calendar || null;
+        renderMeetings();
+        reminders.schedule(meetings);
+      } catch (error) {
+        log.error('Could not load the briefing.', error);
+        meetingsList.replaceChildren(createElement('li', { className: 'error-message', text: errorMessage(error, t('subjects.briefing')) }));
+      } finally {
+        loading = null;
+      }
+    })();
+    return loading;
+  }
+
+  function startTimers() {
+    stopTimers();
+    tickTimer = setInterval(() => renderMeetings(), COUNTDOWN_TICK);
+    if (refreshInterval > 0) refreshTimer = setInterval(() => load({ forceRefresh: true }), refreshInterval);
+  }
+
+  function stopTimers() {
+    clearInterval(tickTimer);
+    clearInterval(refreshTimer);
+    tickTimer = null;
+    refreshTimer = null;
+  }
+
+  function onVisibilityChange() {
+    if (document.hidden) {
+      stopTimers();
+      return;
+    }
+    if (Date.now() - lastLoaded >= MIN_REFRESH_GAP) {
+      load({ forceRefresh: true });
+    } else {
+      renderMeetings(); // The countdown is stale after a while in the background
+    }
+    startTimers();
+  }
+
+  function onLanguageChange() {
+    if (!lastLoaded) return; // Still loading, or showing a load error
+    renderMeetings();
+  }
+
+  document.addEventListener('visibilitychange', onVisibilityChange);
+  const stopLocale = onLocaleChange(onLanguageChange);
+  const unsubscribe = onDataRefresh(RESOURCES.PERSONAL_BRIEFING, () => {
+    if (!loading) load(); // A background refresh of the underlying data
+  });
+  load();
+  if (!document.hidden) startTimers();
+
+  return {
+    refresh: () => load({ forceRefresh: true }),
+    destroy() {
+      stopTimers();
+      reminders.stop();
+      unsubscribe();
+      stopLocale();
+      document.removeEventListener('visibilitychange', onVisibilityChange);
+    },
+  };
+}
@@ -0,0 +1,86 @@
+// src/js/widgets/quickLinks.js
+
+/**
+ * ConnectHub Intranet - Quick Links Widget
+ *
+ * Renders the Quick Links card: the employee's pinned links first, then the
+ * company defaults from fetchQuickLinks(). Defaults that point at the same URL as
+ * a pinned link are not repeated.
+ *
+ * Expected markup (see public/index.html):
+ * <section class="quick-links">
+ *   <div class="links-grid"></div>
+ * </section>
+ */
+
+import { fetchQuickLinks, onDataRefresh, RESOURCES } from '../modules/dataService.js';
+import { createElement, renderStatus, errorMessage, renderAudienceBadge } from './widgetUtils.js';
+import { t, onLocaleChange } from '../modules/i18n.js';
+import { createLogger } from '../modules/logger.js';
+
+const log = createLogger('QuickLinks');
+
+function renderLink(link, { pinned = false } = {}) {
+  const attrs = { href: link.url };
+  if (/^https?:\/\//i.test(link.url)) Object.assign(attrs, { target: '_blank', rel: 'noopener noreferrer' });
+  if (pinned) attrs['aria-label'] = t('quickLinks.pinnedLabel', { title: link.title });
+
+  const item = createElement('a', { className: `link-item${pinned ? ' is-pinned' : ''}`, attrs });
+  item.appendChild(createElement('i', { className: link.icon, attrs: { 'aria-hidden': 'true' } }));
+  item.appendChild(createElement('span', { text: link.title }));
+  const audience = !pinned && renderAudienceBadge(link); // Pinned links are the employee's own
+  if (audience) item.appendChild(audience);
+  return item;
+}
+
+/**
+ * Initializes the quick links widget.
+ * @param {HTMLElement} section - The .quick-links card.
+ * @param {object} preferences - Store from createPreferencesStore(); supplies pinned links.
+ * @returns {{ render: Function }|null}
+ */
+export function initQuickLinks(section, preferences) {
+  const grid = section && section.querySelector('.links-grid');
+  if (!grid) {
+    log.warn('Missing .links-grid. Skipping initialization.');
+    return null;
+  }
+
+  let defaults = [];
+  let loadError = null;
+
+  function render() {
+    const endRender = log.time('render');
+    const pinned = preferences.get().pinnedLinks;
+    const pinnedUrls = new Set(pinned.map(link => link.url));
+    const links = [
+      ...pinned.map(link => renderLink(link, { pinned: true })),
+      ...defaults.filter(link => !pinnedUrls.has(link.url)).map(link => renderLink(link)),
+    ];
+
+    if (loadError && !pinned.length) {
+      renderStatus(grid, errorMessage(loadError, t('subjects.quickLinks')), { isError: true });
+    } else if (!links.length) {
+      renderStatus(grid, t('quickLinks.empty'));
+    } else {
+      grid.replaceChildren(...links);
+      endRender({ items: links.length });
+    }
+  }
+
+  async function load() {
+    try {
+      defaults = await fetchQuickLinks();
+      loadError = null;
+    } catch (error) {
+      loadError = error;
+    }
+    render();
+  }
+
+  preferences.subscribe(render);
+  onDataRefresh(RESOURCES.QUICK_LINKS, load);
+  onLocaleChange(render);
+  load();
+  return { render };
+}
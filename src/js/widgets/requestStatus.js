@@ -0,0 +1,85 @@
+// src/js/widgets/requestStatus.js
+
+/**
+ * ConnectHub Intranet - Request Status Widget
+ *
+ * Adds a "My Requests" tile to the personal briefing: the employee's latest leave
+ * requests and expense claims with where each one stands, and, for managers, how
+ * many requests are waiting for their approval. Updates whenever requests change
+ * (see announceRequestChange in dataService.js) and when the signed-in user changes.
+ */
+
+import { fetchMyRequests, fetchPendingApprovals, onDataRefresh, RESOURCES } from '../modules/dataService.js';
+import { describeStatus } from '../modules/approvals.js';
+import { summarizeRequest } from '../modules/requestForms.js';
+import { onUserChange } from '../modules/session.js';
+import { createElement, errorMessage } from './widgetUtils.js';
+import { t, onLocaleChange } from '../modules/i18n.js';
+import { createLogger } from '../modules/logger.js';
+
+const log = createLogger('RequestStatus');
+
+export const BRIEFING_REQUEST_LIMIT = 3;
+
+/**
+ * Adds the My Requests tile to the briefing.
+ * @param {HTMLElement} section - The .personalized-briefing card.
+ * @returns {{ element: HTMLElement, reload: Function }|null}
+ */
+export function initRequestStatus(section) {
+  const grid = section && section.querySelector('.briefing-grid');
+  if (!grid) {
+    log.warn('.briefing-grid not found. Skipping initialization.');
+    return null;
+  }
+
+  const item = createElement('div', { className: 'briefing-item briefing-requests' });
+  const approvals = createElement('p', { className: 'briefing-approvals' });
+  approvals.hidden = true;
+  const list = createElement('ul', { className: 'briefing-request-list', attrs: { 'aria-live': 'polite' } });
+  list.appendChild(createElement('li', { text: t('common.loading') }));
+  item.append(
+    createElement('i', { className: 'fas fa-clipboard-check', attrs: { 'aria-hidden': 'true' } }),
+    createElement('h3', { message: 'requests.title' }),
+    approvals,
+    list,
+    createElement('a', { message: 'common.viewAll', attrs: { href: '#/requests' } })
+  );
+  grid.appendChild(item);
+
+  async function reload() {
+    let mine;
+    let waiting;
+    try {
+      [mine, waiting] = await Promise.all([fetchMyRequests(), fetchPendingApprovals()]);
+    } catch (error) {
+      list.replaceChildren(createElement('li', { className: 'error-message', text: errorMessage(error, t('subjects.requests')) }));
+      return;
+    }
+
+    approvals.hidden = waiting.length === 0;
+    approvals.replaceChildren(createElement('a', {
+      text: t('requests.awaitingApproval', { count: waiting.length }),
+      attrs: { href: '#/requests' },
+    }));
+
+    if (mine.length === 0) {
+      list.replaceChildren(createElement('li', { className: 'empty-message', text: t('requests.empty') }));
+      return;
+    }
+    list.replaceChildren(...mine.slice(0, BRIEFING_REQUEST_LIMIT).map(request => {
+      const entry = createElement('li', { className: 'briefing-request' });
+      entry.append(
+        createElement('span', { className: 'briefing-request-summary', text: summarizeRequest(request) }),
+        createElement('span', { className: `request-status request-status-${request.status}`, text: describeStatus(request) })
+      );
+      return entry;
+    }));
+  }
+
+  onDataRefresh(RESOURCES.REQUESTS, () => reload());
+  onUserChange(() => reload());
+  onLocaleChange(() => reload());
+  reload();
+  return { element: item, reload };
+}
@@ -0,0 +1,57 @@
+// src/js/widgets/richText.js
+
+/**
+ * ConnectHub Intranet - Rich Text Helpers
+ *
+ * Connects the Markdown renderer (modules/markdown.js) to the employee directory, so
+ * widgets and views can show user-authored text with @mentions linked to profiles.
+ * If the directory can't be loaded, text still renders; mentions just stay plain.
+ */
+
+import { fetchEmployees } from '../modules/dataService.js';
+import { createMentionResolver } from '../modules/employeeDirectory.js';
+import { renderMarkdown, renderInlineMarkdown, renderHtml } from '../modules/markdown.js';
+import { createLogger } from '../modules/logger.js';
+
+const log = createLogger('RichText');
+
+/**
+ * Loads the employee directory and returns an @mention resolver for it.
+ * @param {object} [options] - { signal, timeout, retries }, see dataService.fetchData.
+ * @returns {Promise<Function>} handle => { id, name } | null
+ */
+export async function loadMentionResolver(options = {}) {
+  try {
+    return createMentionResolver(await fetchEmployees(options));
+  } catch (error) {
+    log.warn('Employee directory unavailable; @mentions will not be linked.', error);
+    return () => null;
+  }
+}
+
+/**
+ * Replaces an element's content with rendered Markdown.
+ * @param {HTMLElement} target
+ * @param {string} text - Markdown source.
+ * @param {object} [options]
+ * @param {Function} [options.resolveMention] - From loadMentionResolver().
+ * @param {boolean} [options.inline=false] - Render a single line into `target` (e.g. a <p>)
+ *   instead of paragraphs and lists.
+ * @returns {HTMLElement} The target.
+ */
+export function setRichText(target, text, { resolveMention, inline = false } = {}) {
+  target.replaceChildren(inline ? renderInlineMarkdown(text, { resolveMention }) : renderMarkdown(text, { resolveMention }));
+  return target;
+}
+
+/**
+ * Replaces an element's content with sanitized HTML (see renderHtml()), for text
+ * stored as HTML such as a news article's fullContent.
+ * @param {HTMLElement} target
+ * @param {string} html
+ * @returns {HTMLElement} The target.
+ */
+export function setRichHtml(target, html) {
+  target.replaceChildren(renderHtml(html));
+  return target;
+}
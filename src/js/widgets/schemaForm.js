@@ -0,0 +1,300 @@
+// src/js/widgets/schemaForm.js
+
+/**
+ * ConnectHub Intranet - Schema Form Widget
+ *
+ * Renders a form from a schema (see modules/formSchema.js) and validates it as the
+ * employee goes:
+ * - A field is checked when it loses focus, and again on every change once it has
+ *   shown an error, so messages clear as soon as the value is fixed.
+ * - On submit every field is checked. If any is invalid, an error summary at the top
+ *   links to each problem and receives focus, and the fields are marked with
+ *   aria-invalid and point to their message with aria-describedby.
+ * - Fields with `showIf` appear and disappear as the values they depend on change.
+ *
+ * The form doesn't submit anything itself: it hands the values to `onSubmit`, and the
+ * owner reports server-side problems back with setErrors() or setFormError().
+ * Labels, hints and options are marked with their message keys, so they follow
+ * language changes; error messages are in the language they were shown in.
+ */
+
+import { coerceValues, formText, isFieldVisible, todayIso, validateField, validateForm } from '../modules/formSchema.js';
+import { createElement } from './widgetUtils.js';
+import { t } from '../modules/i18n.js';
+
+let formCount = 0;
+
+const resolveRule = (rule, values) => (typeof rule === 'function' ? rule(values) : rule);
+
+function formatFileSize(bytes) {
+  return bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`;
+}
+
+function createControl(field, id) {
+  switch (field.type) {
+    case 'textarea':
+      return createElement('textarea', { className: 'form-control', attrs: { id, name: field.name, rows: field.rows || 4 } });
+    case 'select': {
+      const select = createElement('select', { className: 'form-control', attrs: { id, name: field.name } });
+      select.appendChild(createElement('option', { message: 'schemaForm.choose', attrs: { value: '' } }));
+      field.options.forEach(option => select.appendChild(createElement('option', { message: option.label, attrs: { value: option.value } })));
+      return select;
+    }
+    case 'number':
+      return createElement('input', {
+        className: 'form-control',
+        attrs: { id, name: field.name, type: 'number', inputmode: 'decimal', step: field.step || 'any' },
+      });
+    case 'file':
+      return createElement('input', {
+        className: 'form-control',
+        attrs: {
+          id,
+          name: field.name,
+          type: 'file',
+          accept: field.accept ? field.accept.join(',') : null,
+          multiple: field.maxFiles === 1 ? null : '',
+        },
+      });
+    default:
+      return createElement('input', { className: 'form-control', attrs: { id, name: field.name, type: field.type === 'date' ? 'date' : 'text' } });
+  }
+}
+
+/**
+ * Creates a form for a schema.
+ * @param {object} schema
+ * @param {object} options
+ * @param {Function} options.onSubmit - Called with the coerced values (files as File arrays) once the form is valid.
+ * @param {Function} [options.onChange] - Called with the raw values (files left out) whenever a value changes, e.g. to save a draft.
+ * @param {object} [options.initialValues={}] - Raw values to start from, e.g. a restored draft.
+ * @param {string} [options.submitLabel] - Defaults to 'Submit' in the current language.
+ * @returns {{ element: HTMLFormElement, getValues: Function, setErrors: Function, setFormError: Function, setBusy: Function, reset: Function }}
+ */
+export function createSchemaForm(schema, { onSubmit, onChange = null, initialValues = {}, submitLabel = t('schemaForm.submit') }) {
+  const id = `schema-form-${++formCount}`;
+  const form = createElement('form', { className: 'schema-form', attrs: { novalidate: '' }, attrMessages: { 'aria-label': schema.title } });
+
+  const summary = createElement('div', {
+    className: 'form-error-summary',
+    attrs: { role: 'alert', tabindex: '-1', 'aria-labelledby': `${id}-summary-title` },
+  });
+  summary.hidden = true;
+  const formError = createElement('p', { className: 'form-error error-message', attrs: { role: 'alert' } });
+  formError.hidden = true;
+  form.append(summary, formError);
+
+  const rows = new Map(); // field name -> { field, row, control, error, fileList }
+  const shownErrors = new Set(); // Fields currently showing an error
+
+  schema.fields.forEach(field => {
+    const controlId = `${id}-${field.name}`;
+    const row = createElement('div', { className: `form-field form-field-${field.type}`, attrs: { 'data-field': field.name } });
+    const label = createElement('label', { className: 'form-label', attrs: { for: controlId } });
+    label.append(createElement('span', { message: field.label }), createElement('span', { className: 'form-required', text: ' *', attrs: { 'aria-hidden': 'true' } }));
+    const control = createControl(field, controlId);
+    const describedBy = [];
+    row.appendChild(label);
+
+    if (field.hint) {
+      row.appendChild(createElement('p', { className: 'form-hint', message: field.hint, attrs: { id: `${controlId}-hint` } }));
+      describedBy.push(`${controlId}-hint`);
+    }
+    if (field.currency) {
+      const group = createElement('div', { className: 'form-input-group' });
+      group.append(createElement('span', { className: 'form-input-prefix', text: field.currency, attrs: { 'aria-hidden': 'true' } }), control);
+      row.appendChild(group);
+      control.setAttribute('aria-label', t('schemaForm.amountLabel', { label: formText(field.label), currency: field.currency }));
+    } else {
+      row.appendChild(control);
+    }
+
+    let fileList = null;
+    if (field.type === 'file') {
+      fileList = createElement('ul', { className: 'form-file-list', attrs: { 'aria-live': 'polite' } });
+      row.appendChild(fileList);
+    }
+    const error = createElement('p', { className: 'form-field-error', attrs: { id: `${controlId}-error` } });
+    error.hidden = true;
+    row.appendChild(error);
+    control.dataset.describedBy = describedBy.join(' ');
+    if (describedBy.length) control.setAttribute('aria-describedby', describedBy.join(' '));
+
+    if (field.type !== 'file' && initialValues[field.name] !== undefined && initialValues[field.name] !== null) {
+      control.value = String(initialValues[field.name]);
+    }
+    rows.set(field.name, { field, row, control, error, fileList });
+    form.appendChild(row);
+  });
+
+  const actions = createElement('div', { className: 'form-actions' });
+  const submit = createElement('button', { className: 'btn btn-primary', text: submitLabel, attrs: { type: 'submit' } });
+  actions.appendChild(submit);
+  form.appendChild(actions);
+
+  // --- Values ---
+  function getRawValues({ includeFiles = true } = {}) {
+    const raw = {};
+    rows.forEach(({ field, control }) => {
+      if (field.type === 'file') {
+        if (includeFiles) raw[field.name] = Array.from(control.files || []);
+      } else {
+        raw[field.name] = control.value;
+      }
+    });
+    return raw;
+  }
+
+  const getValues = () => coerceValues(schema, getRawValues());
+
+  // Keeps visibility, required markers and date limits in step with the values.
+  function syncFields(values) {
+    const today = todayIso();
+    rows.forEach(({ field, row, control, fileList }) => {
+      const visible = isFieldVisible(field, values);
+      row.hidden = !visible;
+      control.disabled = !visible;
+      const required = Boolean(resolveRule(field.required, values));
+      row.classList.toggle('is-required', required);
+      control.setAttribute('aria-required', String(required));
+
+      if (field.type === 'date' || field.type === 'number') {
+        ['min', 'max'].forEach(name => {
+          let limit = resolveRule(field[name], values);
+          if (limit === 'today') limit = today;
+          if (limit === undefined || limit === null) {
+            control.removeAttribute(name);
+          } else {
+            control.setAttribute(name, limit);
+          }
+        });
+        const other = field.type === 'date' && (field.after || field.onOrAfter);
+        if (other && values[other] && !resolveRule(field.min, values)) control.setAttribute('min', values[other]);
+      }
+      if (fileList) {
+        fileList.replaceChildren(...values[field.name].map(file => createElement('li', {
+          text: `${file.name} (${formatFileSize(file.size)})`,
+        })));
+      }
+    });
+  }
+
+  // --- Errors ---
+  function showFieldError(name, message) {
+    const { control, error } = rows.get(name);
+    error.textContent = message || '';
+    error.hidden = !message;
+    const describedBy = [control.dataset.describedBy, message ? error.id : ''].filter(Boolean).join(' ');
+    if (describedBy) {
+      control.setAttribute('aria-describedby', describedBy);
+    } else {
+      control.removeAttribute('aria-describedby');
+    }
+    if (message) {
+      control.setAttribute('aria-invalid', 'true');
+      shownErrors.add(name);
+    } else {
+      control.removeAttribute('aria-invalid');
+      shownErrors.delete(name);
+    }
+  }
+
+  function showSummary(errors) {
+    const entries = Object.entries(errors).filter(([name]) => rows.has(name));
+    summary.hidden = entries.length === 0;
+    if (entries.length === 0) {
+      summary.replaceChildren();
+      return;
+    }
+    const list = createElement('ul');
+    entries.forEach(([name, message]) => {
+      const item = createElement('li');
+      const link = createElement('a', { text: message, attrs: { href: `#${rows.get(name).control.id}` } });
+      link.addEventListener('click', (e) => {
+        e.preventDefault(); // Hash links would be picked up by the router
+        rows.get(name).control.focus();
+      });
+      item.appendChild(link);
+      list.appendChild(item);
+    });
+    summary.replaceChildren(
+      createElement('h3', {
+        text: t('schemaForm.problems', { count: entries.length }),
+        attrs: { id: `${id}-summary-title` },
+      }),
+      list
+    );
+  }
+
+  /**
+   * Shows errors (e.g. DataServiceError.fieldErrors from the server) and moves focus to the summary.
+   * @param {Object<string, string>} errors - Messages by field name.
+   */
+  function setErrors(errors) {
+    rows.forEach((entry, name) => showFieldError(name, errors[name] || null));
+    showSummary(errors);
+    if (!summary.hidden) summary.focus();
+  }
+
+  function setFormError(message) {
+    formError.textContent = message || '';
+    formError.hidden = !message;
+  }
+
+  function setBusy(busy) {
+    submit.disabled = busy;
+    form.setAttribute('aria-busy', String(busy));
+  }
+
+  // --- Events ---
+  function handleChange(e) {
+    const name = e.target.name;
+    if (!rows.has(name)) return;
+    const values = getValues();
+    syncFields(values);
+    setFormError('');
+    // Re-check fields that show an error, and date ranges whose other end just moved
+    rows.forEach(({ field }, fieldName) => {
+      const dependsOnChange = field.after === name || field.onOrAfter === name;
+      if (shownErrors.has(fieldName) || (dependsOnChange && values[fieldName])) {
+        showFieldError(fieldName, validateField(field, values));
+      }
+    });
+    if (!summary.hidden) showSummary(Object.fromEntries([...shownErrors].map(fieldName => [fieldName, rows.get(fieldName).error.textContent])));
+    if (onChange) onChange(getRawValues({ includeFiles: false }));
+  }
+
+  form.addEventListener('input', handleChange);
+  form.addEventListener('change', (e) => {
+    if (e.target.type === 'file') handleChange(e); // Other controls already fired 'input'
+  });
+  form.addEventListener('focusout', (e) => {
+    const entry = rows.get(e.target.name);
+    if (entry && e.target.value !== '') showFieldError(entry.field.name, validateField(entry.field, getValues()));
+  });
+
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const values = getValues();
+    const { valid, errors } = validateForm(schema, values);
+    setFormError('');
+    setErrors(errors);
+    if (valid) onSubmit(values);
+  });
+
+  syncFields(getValues());
+
+  return {
+    element: form,
+    getValues,
+    setErrors,
+    setFormError,
+    setBusy,
+    reset() {
+      form.reset();
+      setErrors({});
+      setFormError('');
+      syncFields(getValues());
+    },
+  };
+}
@@ -0,0 +1,223 @@
+// src/js/widgets/searchBox.js
+
+/**
+ * ConnectHub Intranet - Header Search Box
+ *
+ * Turns #global-search-input into a WAI-ARIA combobox with a grouped dropdown of
+ * results (quick links, people, news, events) and a "see all results" view.
+ * Features:
+ * - Results as you type (debounced), only the latest query's results are shown.
+ * - Keyboard: Up/Down to move through results, Enter to open one (or to see all
+ *   results when none is highlighted), Escape to close the dropdown or clear the box.
+ * - "See all results" hands the query to `onSubmit` (the homepage routes it to #/search).
+ *
+ * Dependencies:
+ * - Corresponding CSS in src/scss/components/_search.scss
+ */
+
+import { searchEverything } from '../modules/globalSearch.js';
+import { createElement, errorMessage, debounce } from './widgetUtils.js';
+import { t, localizeAttribute } from '../modules/i18n.js';
+import { createLogger } from '../modules/logger.js';
+
+const log = createLogger('SearchBox');
+
+const MIN_QUERY_LENGTH = 2;
+const RESULTS_PER_GROUP = 3;
+const INPUT_DEBOUNCE_MS = 150;
+
+const DROPDOWN_ID = 'global-search-results';
+
+function renderResultLink(result, { id, className }) {
+  const link = createElement('a', { className, attrs: { href: result.url, id } });
+  link.appendChild(createElement('span', { className: 'search-result-title', text: result.title }));
+  if (result.subtitle) {
+    link.appendChild(createElement('span', { className: 'search-result-subtitle', text: result.subtitle }));
+  }
+  return link;
+}
+
+/**
+ * Initializes the header search box.
+ * @param {HTMLInputElement} input - #global-search-input
+ * @param {HTMLButtonElement} [button] - #global-search-button
+ * @param {object} [options]
+ * @param {Function} [options.onSubmit] - Called with the query for "see all results".
+ * @returns {{ close: Function }|null}
+ */
+export function initSearchBox(input, button, { onSubmit = () => {} } = {}) {
+  if (!input) {
+    log.warn('No search input provided. Skipping initialization.');
+    return null;
+  }
+
+  const container = input.parentElement;
+  const dropdown = createElement('div', { className: 'search-dropdown', attrs: { id: DROPDOWN_ID, role: 'listbox' } });
+  localizeAttribute(dropdown, 'aria-label', 'searchBox.label');
+  dropdown.hidden = true;
+  container.classList.add('has-search-dropdown');
+  container.appendChild(dropdown);
+
+  input.setAttribute('role', 'combobox');
+  input.setAttribute('aria-autocomplete', 'list');
+  input.setAttribute('aria-expanded', 'false');
+  input.setAttribute('aria-controls', DROPDOWN_ID);
+  input.setAttribute('autocomplete', 'off');
+
+  let options = [];
+  let activeIndex = -1;
+  let latestRequest = 0;
+
+  function setActive(index) {
+    options.forEach((option, i) => {
+      option.classList.toggle('is-active', i === index);
+      option.setAttribute('aria-selected', String(i === index));
+    });
+    activeIndex = index;
+    if (index >= 0) {
+      input.setAttribute('aria-activedescendant', options[index].id);
+      options[index].scrollIntoView({ block: 'nearest' });
+    } else {
+      input.removeAttribute('aria-activedescendant');
+    }
+  }
+
+  function open() {
+    dropdown.hidden = false;
+    input.setAttribute('aria-expanded', 'true');
+  }
+
+  function close() {
+    latestRequest++; // Drop results still on their way
+    dropdown.hidden = true;
+    input.setAttribute('aria-expanded', 'false');
+    setActive(-1);
+  }
+
+  function renderMessage(text, { isError = false } = {}) {
+    options = [];
+    setActive(-1);
+    dropdown.replaceChildren(createElement('p', {
+      className: `search-dropdown-message${isError ? ' error-message' : ''}`,
+      text,
+      attrs: { role: 'status' },
+    }));
+    open();
+  }
+
+  function renderDropdown(query, { total, groups }) {
+    if (total === 0) {
+      renderMessage(t('searchBox.noResults', { query }));
+      return;
+    }
+
+    let optionCount = 0;
+    const nextOptionId = () => `${DROPDOWN_ID}-option-${optionCount++}`;
+    const children = groups.map(group => {
+      const labelId = `${DROPDOWN_ID}-group-${group.type}`;
+      const groupElement = createElement('div', { className: 'search-group', attrs: { role: 'group', 'aria-labelledby': labelId } });
+      groupElement.appendChild(createElement('div', { className: 'search-group-label', text: t(group.labelKey), attrs: { id: labelId, role: 'presentation' } }));
+      group.results.forEach(result => {
+        const option = renderResultLink(result, { className: 'search-option', id: nextOptionId() });
+        option.setAttribute('role', 'option');
+        option.setAttribute('tabindex', '-1');
+        groupElement.appendChild(option);
+      });
+      return groupElement;
+    });
+
+    const seeAll = createElement('button', {
+      className: 'search-option search-see-all',
+      text: t('searchBox.seeAll', { count: total, query }),
+      attrs: { type: 'button', role: 'option', tabindex: '-1', id: nextOptionId() },
+    });
+    seeAll.addEventListener('click', () => submit());
+
+    dropdown.replaceChildren(...children, seeAll);
+    options = Array.from(dropdown.querySelectorAll('[role="option"]'));
+    setActive(-1);
+    open();
+  }
+
+  async function suggest() {
+    const query = input.value.trim();
+    const requestId = ++latestRequest;
+    if (query.length < MIN_QUERY_LENGTH) {
+      close();
+      return;
+    }
+
+    try {
+      const results = await searchEverything(query, { perGroup: RESULTS_PER_GROUP });
+      if (requestId === latestRequest) renderDropdown(query, results);
+    } catch (error) {
+      if (requestId === latestRequest) renderMessage(errorMessage(error, t('subjects.searchResults')), { isError: true });
+    }
+  }
+
+  function submit() {
+    const query = input.value.trim();
+    if (!query) {
+      renderMessage(t('searchBox.emptyQuery'));
+      return;
+    }
+    close();
+    onSubmit(query);
+  }
+
+  input.addEventListener('input', debounce(suggest, INPUT_DEBOUNCE_MS));
+
+  input.addEventListener('keydown', (e) => {
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        if (dropdown.hidden) {
+          suggest();
+        } else if (options.length) {
+          setActive((activeIndex + 1) % options.length);
+        }
+        break;
+      case 'ArrowUp':
+        e.preventDefault();
+        if (options.length) {
+          setActive((activeIndex - 1 + options.length) % options.length);
+        }
+        break;
+      case 'Enter':
+        e.preventDefault();
+        if (!dropdown.hidden && activeIndex >= 0) {
+          options[activeIndex].click();
+        } else {
+          submit();
+        }
+        break;
+      case 'Escape':
+        if (!dropdown.hidden) {
+          close();
+        } else {
+          input.value = '';
+        }
+        break;
+    }
+  });
+
+  // Following a result link closes the dropdown
+  dropdown.addEventListener('click', (e) => {
+    if (e.target.closest('a.search-option')) close();
+  });
+  // Keep focus in the input while clicking inside the dropdown
+  dropdown.addEventListener('mousedown', (e) => e.preventDefault());
+
+  document.addEventListener('click', (e) => {
+    if (!container.contains(e.target)) close();
+  });
+
+  if (button) {
+    button.addEventListener('click', (e) => {
+      e.preventDefault(); // Prevent form submission if it's inside a form
+      submit();
+    });
+  }
+
+  return { close };
+}
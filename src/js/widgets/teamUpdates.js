@@ -0,0 +1,540 @@
+// src/js/widgets/teamUpdates.js
+
+/**
+ * ConnectHub Intranet - Team Updates Widget
+ *
+ * Renders the Team Updates / shout-outs card. Update text is Markdown (see
+ * modules/markdown.js): **bold**, links, lists and @mentions of colleagues.
+ *
+ * Employees can post shout-outs ("Submit a Shout-out" opens the composer), react
+ * with emoji, comment, and edit or delete their own posts (admins can edit any).
+ * Changes show up immediately and are rolled back, with an error on the update, if
+ * saving fails. New posts go through the offline queue (modules/offlineQueue.js):
+ * written offline, they are listed as waiting and posted on reconnect. Shout-outs
+ * that colleagues post while the card is open arrive over the realtime channel and
+ * wait behind a "2 new posts" pill; edits and deletions show straight away.
+ * Who may change what is decided by the data service; this widget only hides
+ * controls the user can't use. Other cards can start a shout-out for the employee
+ * with a link from shoutOutHref(), which opens the composer with the text filled in.
+ *
+ * Expected markup (see public/index.html):
+ * <section class="team-updates">
+ *   <ul class="updates-list"></ul>
+ *   <button class="btn btn-secondary shoutout-toggle">Submit a Shout-out</button>
+ * </section>
+ */
+
+import {
+  fetchTeamUpdates,
+  fetchEmployees,
+  createTeamUpdate,
+  updateTeamUpdate,
+  deleteTeamUpdate,
+  toggleTeamUpdateReaction,
+  addTeamUpdateComment,
+  deleteTeamUpdateComment,
+  canEditTeamUpdate,
+  onDataRefresh,
+  onRealtimeChange,
+  RESOURCES,
+  TEAM_UPDATE_REACTIONS,
+  MAX_TEAM_UPDATE_LENGTH,
+  MAX_COMMENT_LENGTH,
+} from '../modules/dataService.js';
+import { getCurrentUser, onUserChange } from '../modules/session.js';
+import { offlineQueue } from '../modules/offlineQueue.js';
+import { CHANGE_TYPES } from '../modules/realtime.js';
+import { createElement, renderStatus, errorMessage, saveErrorMessage, formatDate } from './widgetUtils.js';
+import { loadMentionResolver, setRichText } from './richText.js';
+import { createComposer } from './composer.js';
+import { createNewPostsPill } from './newPostsPill.js';
+import { t, onLocaleChange } from '../modules/i18n.js';
+import { createLogger } from '../modules/logger.js';
+
+const log = createLogger('TeamUpdates');
+
+const CREATE_ACTION = 'team-update:create';
+
+/**
+ * A link that opens the shout-out composer on the homepage with `text` filled in
+ * (the homepage passes it to compose(), see pages/homePage.js).
+ * @param {string} text
+ * @returns {string}
+ */
+export function shoutOutHref(text) {
+  return `#/?shoutout=${encodeURIComponent(text)}`;
+}
+
+/**
+ * Initializes the team updates widget.
+ * @param {HTMLElement} section - The .team-updates card.
+ * @param {object} [options]
+ * @param {object} [options.queue=offlineQueue] - Queue for posts made offline.
+ * @returns {{ reload: Function, compose: Function }|null} compose(text) opens the
+ *   composer with a draft.
+ */
+export function initTeamUpdates(section, { queue = offlineQueue } = {}) {
+  const list = section && section.querySelector('.updates-list');
+  if (!list) {
+    log.warn('Missing .updates-list. Skipping initialization.');
+    return null;
+  }
+
+  let updates = null; // null until the first load succeeds
+  let resolveMention = () => null;
+  const mentions = loadMentionResolver().then(resolver => { resolveMention = resolver; return resolver; });
+  const employees = fetchEmployees().catch(() => []); // Only needed for @mention suggestions
+  const openThreads = new Set(); // Updates whose comments are shown
+  const itemErrors = new Map(); // Update id -> message from a failed change
+  const drafts = new Map(); // 'comment:<id>' / 'edit:<id>' -> unsent text, kept across re-renders
+  let editingId = null;
+
+  // --- Posting ---
+  const toggle = section.querySelector('.shoutout-toggle');
+  const composer = createComposer({
+    label: 'teamUpdates.composerLabel',
+    placeholder: 'teamUpdates.composerPlaceholder',
+    maxLength: MAX_TEAM_UPDATE_LENGTH,
+    employees,
+    resolveMention: (handle) => resolveMention(handle),
+    onSubmit: post,
+    onCancel: () => showComposer(false),
+  });
+  composer.element.classList.add('shoutout-composer');
+  composer.element.id = 'shoutout-composer';
+  composer.element.hidden = true;
+  list.before(composer.element);
+
+  const pendingIds = new Set(); // Pushed shout-outs not shown until the pill is clicked
+  const pill = createNewPostsPill({
+    onReveal: () => {
+      pendingIds.clear();
+      renderList();
+    },
+    scrollTarget: list,
+  });
+  list.before(pill.element);
+
+  function showComposer(show) {
+    composer.element.hidden = !show;
+    if (toggle) toggle.setAttribute('aria-expanded', String(show));
+    if (show) {
+      composer.focus();
+    } else if (toggle) {
+      toggle.focus();
+    }
+  }
+
+  if (toggle) {
+    toggle.setAttribute('aria-controls', composer.element.id);
+    toggle.setAttribute('aria-expanded', 'false');
+    toggle.addEventListener('click', () => showComposer(composer.element.hidden));
+  }
+
+  queue.register(CREATE_ACTION, async (payload, { id }) => {
+    const created = await createTeamUpdate(payload, { idempotencyKey: id });
+    if (updates) {
+      updates = [created, ...updates.filter(update => update.id !== created.id)];
+      renderList();
+    }
+    return created;
+  });
+  queue.subscribe(() => renderList());
+
+  async function post(text) {
+    const user = getCurrentUser();
+    const draft = {
+      id: `draft-${Date.now()}`,
+      authorId: user.id,
+      author: user.name,
+      updateText: text,
+      date: null,
+      createdAt: new Date().toISOString(),
+      editedAt: null,
+      reactions: [],
+      comments: [],
+      status: 'posting', // Key under teamUpdates.status
+    };
+    updates = [draft, ...(updates || [])];
+    composer.reset();
+    showComposer(false);
+    renderList();
+
+    try {
+      const { queued, result } = await queue.submit(CREATE_ACTION, { text });
+      updates = updates.filter(update => update.id !== draft.id); // A queued post is listed from the queue
+      if (!queued && !updates.some(update => update.id === result.id)) updates = [result, ...updates];
+    } catch (error) {
+      updates = updates.filter(update => update.id !== draft.id);
+      showComposer(true);
+      composer.setText(text);
+      composer.setError(saveErrorMessage(error, t('actions.postShoutOut')));
+    }
+    renderList();
+  }
+
+  // --- Optimistic changes ---
+
+  /**
+   * Applies a change to one update right away and saves it in the background.
+   * If saving fails, only this change is undone, on the update as it is by then:
+   * later changes to it (a comment that saved, a colleague's edit) stay.
+   * @param {string} id
+   * @param {Function} change - update => new update, or null to remove it.
+   * @param {Function|null} undo - update => the update without this change; null for removals, which put the update back.
+   * @param {Function} save - Saves the change; may resolve with the saved update.
+   * @param {string} action - Message key for the error message, e.g. 'actions.deleteUpdate'.
+   */
+  async function applyChange(id, change, undo, save, action) {
+    const index = updates.findIndex(update => update.id === id);
+    if (index === -1) return;
+    const previous = updates[index];
+    const next = change(previous);
+    updates = next ? updates.map(update => (update.id === id ? next : update)) : updates.filter(update => update.id !== id);
+    itemErrors.delete(id);
+    renderItem(id, next ? null : index);
+
+    try {
+      const saved = await save();
+      if (saved && saved.id === id) {
+        updates = updates.map(update => (update.id === id ? { ...saved, comments: update.comments, reactions: update.reactions } : update));
+        renderItem(id);
+      }
+    } catch (error) {
+      if (next) {
+        updates = updates.map(update => (update.id === id ? undo(update) : update));
+      } else if (!updates.some(update => update.id === id)) {
+        const current = [...updates];
+        current.splice(Math.min(index, current.length), 0, previous);
+        updates = current;
+      }
+      itemErrors.set(id, saveErrorMessage(error, t(action)));
+      renderItem(id);
+    }
+  }
+
+  function toggleReaction(update, emoji) {
+    const { id: userId } = getCurrentUser();
+    const isMine = reaction => reaction.emoji === emoji && reaction.userId === userId;
+    let removed = null; // The user's reaction, when this takes it away
+    applyChange(update.id, (item) => {
+      removed = item.reactions.find(isMine) || null;
+      return {
+        ...item,
+        reactions: removed
+          ? item.reactions.filter(reaction => !isMine(reaction))
+          : [...item.reactions, { id: `${userId}:${emoji}`, emoji, userId }],
+      };
+    }, (item) => {
+      if (!removed) return { ...item, reactions: item.reactions.filter(reaction => !isMine(reaction)) };
+      return item.reactions.some(isMine) ? item : { ...item, reactions: [...item.reactions, removed] };
+    }, () => toggleTeamUpdateReaction(update.id, emoji), 'actions.reactToUpdate');
+  }
+
+  function saveEdit(update, text) {
+    editingId = null;
+    drafts.delete(`edit:${update.id}`);
+    let before = null;
+    applyChange(update.id, (item) => {
+      before = item;
+      return { ...item, updateText: text, editedAt: new Date().toISOString() };
+    }, item => (item.updateText === text // Unless it has been edited again since
+      ? { ...item, updateText: before.updateText, editedAt: before.editedAt }
+      : item), () => updateTeamUpdate(update.id, { text }), 'actions.editUpdate');
+  }
+
+  function remove(update) {
+    if (!window.confirm(t('teamUpdates.confirmDelete'))) return;
+    applyChange(update.id, () => null, null, () => deleteTeamUpdate(update.id), 'actions.deleteUpdate');
+  }
+
+  function addComment(update, text) {
+    drafts.delete(`comment:${update.id}`);
+    const user = getCurrentUser();
+    const draft = { id: `draft-${Date.now()}`, authorId: user.id, author: user.name, text, createdAt: new Date().toISOString(), pending: true };
+    applyChange(update.id, item => ({ ...item, comments: [...item.comments, draft] }),
+      item => ({ ...item, comments: item.comments.filter(comment => comment.id !== draft.id) }), async () => {
+        const saved = await addTeamUpdateComment(update.id, { text });
+        updates = updates.map(item => (item.id === update.id
+          ? { ...item, comments: item.comments.map(comment => (comment.id === draft.id ? saved : comment)) }
+          : item));
+        renderItem(update.id);
+      }, 'actions.postComment');
+  }
+
+  function removeComment(update, comment) {
+    let position = -1;
+    applyChange(update.id, (item) => {
+      position = item.comments.findIndex(other => other.id === comment.id);
+      return { ...item, comments: item.comments.filter(other => other.id !== comment.id) };
+    }, (item) => {
+      if (position === -1 || item.comments.some(other => other.id === comment.id)) return item;
+      const comments = [...item.comments];
+      comments.splice(Math.min(position, comments.length), 0, comment);
+      return { ...item, comments };
+    }, () => deleteTeamUpdateComment(update.id, comment.id), 'actions.deleteComment');
+  }
+
+  // --- Rendering ---
+
+  function renderReactions(update) {
+    const { id: userId } = getCurrentUser();
+    const bar = createElement('div', { className: 'update-reactions', attrs: { role: 'group', 'aria-label': t('teamUpdates.reactionsLabel') } });
+    TEAM_UPDATE_REACTIONS.forEach(emoji => {
+      const reactions = update.reactions.filter(reaction => reaction.emoji === emoji);
+      const mine = reactions.some(reaction => reaction.userId === userId);
+      const button = createElement('button', {
+        className: `reaction-button${reactions.length ? ' has-reactions' : ''}`,
+        attrs: {
+          type: 'button',
+          'data-action': `react-${emoji}`,
+          'aria-pressed': String(mine),
+          'aria-label': t(mine ? 'teamUpdates.reactionsMine' : 'teamUpdates.reactions', { emoji, count: reactions.length }),
+        },
+      });
+      button.append(createElement('span', { text: emoji, attrs: { 'aria-hidden': 'true' } }));
+      if (reactions.length) button.append(createElement('span', { className: 'reaction-count', text: String(reactions.length), attrs: { 'aria-hidden': 'true' } }));
+      button.addEventListener('click', () => toggleReaction(update, emoji));
+      bar.appendChild(button);
+    });
+    return bar;
+  }
+
+  function renderComments(update) {
+    const thread = createElement('div', { className: 'update-comments', attrs: { id: `comments-${update.id}` } });
+    thread.hidden = !openThreads.has(update.id);
+    const comments = createElement('ul', { className: 'comment-list' });
+    update.comments.forEach(comment => {
+      const item = createElement('li', { className: `comment-item${comment.pending ? ' is-pending' : ''}` });
+      item.appendChild(setRichText(createElement('p', { className: 'comment-text' }), comment.text, { resolveMention, inline: true }));
+      const meta = createElement('span', {
+        className: 'comment-meta',
+        text: [comment.author, comment.pending ? t('teamUpdates.status.posting') : formatDate(comment.createdAt && comment.createdAt.slice(0, 10))].filter(Boolean).join(' · '),
+      });
+      item.appendChild(meta);
+      if (!comment.pending && canEditTeamUpdate(comment)) {
+        const del = createElement('button', {
+          className: 'link-button',
+          text: t('teamUpdates.delete'),
+          attrs: { type: 'button', 'data-action': `delete-comment-${comment.id}`, 'aria-label': t('teamUpdates.deleteCommentLabel', { author: comment.author }) },
+        });
+        del.addEventListener('click', () => removeComment(update, comment));
+        item.appendChild(del);
+      }
+      comments.appendChild(item);
+    });
+    thread.appendChild(comments);
+
+    const reply = createComposer({
+      label: ['teamUpdates.commentLabel', { author: update.author }],
+      placeholder: 'teamUpdates.commentPlaceholder',
+      submitLabel: 'teamUpdates.comment',
+      initialText: drafts.get(`comment:${update.id}`) || '',
+      maxLength: MAX_COMMENT_LENGTH,
+      rows: 2,
+      employees,
+      resolveMention: (handle) => resolveMention(handle),
+      onInput: (text) => drafts.set(`comment:${update.id}`, text),
+      onSubmit: (text) => addComment(update, text),
+    });
+    reply.element.classList.add('comment-composer');
+    reply.input.dataset.action = 'comment-input';
+    thread.appendChild(reply.element);
+    return thread;
+  }
+
+  function renderActions(update) {
+    const actions = createElement('div', { className: 'update-actions' });
+    const commentsToggle = createElement('button', {
+      className: 'link-button',
+      text: t('teamUpdates.comments', { count: update.comments.length }),
+      attrs: {
+        type: 'button',
+        'data-action': 'comments',
+        'aria-expanded': String(openThreads.has(update.id)),
+        'aria-controls': `comments-${update.id}`,
+      },
+    });
+    commentsToggle.addEventListener('click', () => {
+      if (openThreads.has(update.id)) {
+        openThreads.delete(update.id);
+      } else {
+        openThreads.add(update.id);
+      }
+      renderItem(update.id);
+    });
+    actions.appendChild(commentsToggle);
+
+    if (canEditTeamUpdate(update)) {
+      const edit = createElement('button', { className: 'link-button', text: t('teamUpdates.edit'), attrs: { type: 'button', 'data-action': 'edit' } });
+      edit.addEventListener('click', () => {
+        editingId = update.id;
+        renderItem(update.id);
+        const input = list.querySelector(`[data-update-id="${update.id}"] .composer-input`);
+        if (input) input.focus();
+      });
+      const del = createElement('button', { className: 'link-button', text: t('teamUpdates.delete'), attrs: { type: 'button', 'data-action': 'delete' } });
+      del.addEventListener('click', () => remove(update));
+      actions.append(edit, del);
+    }
+    return actions;
+  }
+
+  function renderUpdate(update) {
+    const item = createElement('li', { className: 'update-item', attrs: { 'data-update-id': update.id } });
+
+    if (editingId === update.id) {
+      const editor = createComposer({
+        label: 'teamUpdates.editLabel',
+        submitLabel: 'teamUpdates.save',
+        initialText: drafts.get(`edit:${update.id}`) ?? update.updateText,
+        maxLength: MAX_TEAM_UPDATE_LENGTH,
+        employees,
+        resolveMention: (handle) => resolveMention(handle),
+        onInput: (text) => drafts.set(`edit:${update.id}`, text),
+        onSubmit: (text) => saveEdit(update, text),
+        onCancel: () => {
+          editingId = null;
+          drafts.delete(`edit:${update.id}`);
+          renderItem(update.id);
+          const button = list.querySelector(`[data-update-id="${update.id}"] [data-action="edit"]`);
+          if (button) button.focus();
+        },
+      });
+      editor.input.dataset.action = 'edit-input';
+      item.appendChild(editor.element);
+      return item;
+    }
+
+    item.appendChild(setRichText(createElement('div', { className: 'update-text' }), update.updateText, { resolveMention }));
+    item.appendChild(createElement('span', {
+      className: 'update-date',
+      text: [update.author, formatDate(update.date), update.editedAt ? t('teamUpdates.edited') : ''].filter(Boolean).join(' · '),
+    }));
+
+    if (update.status) {
+      item.classList.add('is-pending');
+      item.appendChild(createElement('span', { className: 'update-status', text: t(`teamUpdates.status.${update.status}`) }));
+      return item; // Not saved yet: nothing to react to
+    }
+
+    const error = itemErrors.get(update.id);
+    if (error) item.appendChild(createElement('p', { className: 'update-error error-message', text: error, attrs: { role: 'alert' } }));
+    item.append(renderReactions(update), renderActions(update), renderComments(update));
+    return item;
+  }
+
+  // Shout-outs written offline, not posted yet.
+  function queuedUpdates() {
+    const user = getCurrentUser();
+    return queue.pending()
+      .filter(action => action.type === CREATE_ACTION)
+      .map(action => ({
+        id: action.id,
+        author: user.name,
+        updateText: action.payload.text,
+        date: null,
+        editedAt: null,
+        status: 'queued',
+      }));
+  }
+
+  function renderList() {
+    if (!updates) return;
+    const all = [...queuedUpdates().reverse(), ...updates.filter(update => !pendingIds.has(update.id))];
+    if (!all.length) {
+      list.replaceChildren(createElement('li', { className: 'update-item', text: t('teamUpdates.empty') }));
+      return;
+    }
+    const endRender = log.time('render');
+    list.replaceChildren(...all.map(renderUpdate));
+    endRender({ items: all.length });
+  }
+
+  /**
+   * Re-renders one update, keeping keyboard focus on the same control.
+   * @param {string} id
+   * @param {number|null} [removedIndex] - Where the update was, if it has just been removed.
+   */
+  function renderItem(id, removedIndex = null) {
+    // Realtime ids come from the server, so they are compared rather than put in a selector
+    const existing = Array.from(list.children).find(element => element.dataset.updateId === id);
+    const focused = existing && existing.contains(document.activeElement) ? document.activeElement.getAttribute('data-action') : null;
+    const update = updates.find(item => item.id === id);
+
+    if (!update || !existing) {
+      renderList();
+      if (removedIndex !== null) {
+        // Move focus to the next update rather than losing it to <body>
+        const next = list.querySelectorAll('.update-item')[Math.min(removedIndex, list.children.length - 1)];
+        const target = next && next.querySelector('button');
+        if (target) target.focus();
+      }
+      return;
+    }
+    const replacement = renderUpdate(update);
+    existing.replaceWith(replacement);
+    const target = focused && replacement.querySelector(`[data-action="${focused}"]`);
+    if (target) target.focus();
+  }
+
+  // --- Loading ---
+
+  async function reload() {
+    try {
+      const [loaded] = await Promise.all([fetchTeamUpdates(), mentions]);
+      updates = loaded;
+      pendingIds.forEach(id => {
+        if (!loaded.some(update => update.id === id)) pendingIds.delete(id);
+      });
+      pill.setCount(pendingIds.size);
+      renderList();
+    } catch (error) {
+      if (updates) return; // Keep showing what we have
+      const item = createElement('li');
+      renderStatus(item, errorMessage(error, t('subjects.teamUpdates')), { isError: true });
+      list.replaceChildren(item);
+    }
+  }
+
+  // --- Realtime ---
+
+  function applyPushedChange({ type, id, item }) {
+    if (!updates) return; // The first load will include it
+    const known = updates.some(update => update.id === id);
+
+    if (type === CHANGE_TYPES.DELETED) {
+      if (!known) return;
+      const existing = Array.from(list.children).find(element => element.dataset.updateId === id);
+      const hadFocus = existing && existing.contains(document.activeElement);
+      updates = updates.filter(update => update.id !== id);
+      pendingIds.delete(id);
+      pill.setCount(pendingIds.size);
+      renderItem(id, hadFocus ? Array.from(list.children).indexOf(existing) : null);
+    } else if (known) {
+      updates = updates.map(update => (update.id === id ? item : update));
+      if (!pendingIds.has(id)) renderItem(id);
+    } else {
+      updates = [item, ...updates];
+      if (item.authorId && item.authorId === getCurrentUser().id) {
+        renderList(); // Our own post (e.g. from another tab) needs no announcing
+        return;
+      }
+      pendingIds.add(id);
+      pill.setCount(pendingIds.size);
+    }
+  }
+
+  onDataRefresh(RESOURCES.TEAM_UPDATES, reload);
+  onRealtimeChange(RESOURCES.TEAM_UPDATES, applyPushedChange);
+  onUserChange(() => renderList()); // Edit/delete controls depend on who is signed in
+  onLocaleChange(() => renderList());
+  reload();
+  return {
+    reload,
+    compose(text) {
+      composer.setText(text);
+      showComposer(true); // Focusing it brings the card into view
+    },
+  };
+}
@@ -0,0 +1,116 @@
+// src/js/widgets/themeSwitcher.js
+
+/**
+ * ConnectHub Intranet - Theme Switcher Widget
+ *
+ * The palette button in the site header. It opens a small panel to choose the theme
+ * (system, light, dark, high contrast) and the department colors; changes apply at
+ * once and are remembered by the theme manager (modules/theme.js).
+ */
+
+import { createElement } from './widgetUtils.js';
+import { t, onLocaleChange } from '../modules/i18n.js';
+import { THEMES, BRAND_THEMES, resolveBrand } from '../modules/theme.js';
+import { onUserChange } from '../modules/session.js';
+import { createLogger } from '../modules/logger.js';
+
+const log = createLogger('ThemeSwitcher');
+
+const PANEL_ID = 'theme-switcher-panel';
+const THEME_ICONS = { system: 'fas fa-adjust', light: 'fas fa-sun', dark: 'fas fa-moon', 'high-contrast': 'fas fa-low-vision' };
+
+/**
+ * Initializes the theme switcher.
+ * @param {HTMLElement} container - The .theme-switcher element in the header.
+ * @param {object} themes - A theme manager (createThemeManager()).
+ * @returns {{ close: Function }|null} Null if the container is missing.
+ */
+export function initThemeSwitcher(container, themes) {
+  if (!container) {
+    log.warn('Missing .theme-switcher container. Skipping initialization.');
+    return null;
+  }
+
+  const icon = createElement('i', { attrs: { 'aria-hidden': 'true' } });
+  const toggle = createElement('button', {
+    className: 'btn btn-icon icon-only theme-toggle',
+    attrs: { type: 'button', 'aria-expanded': 'false', 'aria-controls': PANEL_ID },
+    attrMessages: { 'aria-label': 'theme.toggle', title: 'theme.toggle' },
+  });
+  toggle.appendChild(icon);
+
+  const panel = createElement('div', { className: 'theme-panel', attrs: { id: PANEL_ID } });
+  panel.hidden = true;
+
+  const themeGroup = createElement('fieldset', { className: 'theme-options' });
+  themeGroup.appendChild(createElement('legend', { message: 'theme.legend' }));
+  const radios = THEMES.map(theme => {
+    const radio = createElement('input', { attrs: { type: 'radio', name: 'connecthub-theme', value: theme } });
+    const label = createElement('label', { className: 'theme-option' });
+    label.append(radio, ' ', createElement('span', { message: `theme.themes.${theme}` }));
+    themeGroup.appendChild(label);
+    radio.addEventListener('change', () => {
+      if (radio.checked) themes.setTheme(theme);
+    });
+    return radio;
+  });
+
+  const brandLabel = createElement('label', { className: 'theme-brand-label', message: 'theme.brandLabel', attrs: { for: 'theme-brand' } });
+  const brandSelect = createElement('select', { attrs: { id: 'theme-brand' } });
+  brandSelect.addEventListener('change', () => themes.setBrand(brandSelect.value));
+
+  panel.append(themeGroup, brandLabel, brandSelect);
+  container.append(toggle, panel);
+
+  // Rebuilt on language changes: 'My department' names the employee's department.
+  function renderBrandOptions() {
+    const ownBrand = resolveBrand('auto');
+    const own = BRAND_THEMES.find(brand => brand.id === ownBrand);
+    brandSelect.replaceChildren(
+      createElement('option', { text: own ? t('theme.brandAutoNamed', { department: own.department }) : t('theme.brandAuto'), attrs: { value: 'auto' } }),
+      createElement('option', { text: t('theme.brandNone'), attrs: { value: 'none' } }),
+      ...BRAND_THEMES.map(brand => createElement('option', { text: brand.department, attrs: { value: brand.id } })),
+    );
+    brandSelect.value = themes.get().brand;
+  }
+
+  function sync(settings) {
+    radios.forEach(radio => {
+      radio.checked = radio.value === settings.theme;
+    });
+    brandSelect.value = settings.brand;
+    icon.className = THEME_ICONS[settings.theme];
+  }
+
+  function setOpen(open, { restoreFocus = false } = {}) {
+    panel.hidden = !open;
+    toggle.setAttribute('aria-expanded', String(open));
+    if (open) {
+      (radios.find(radio => radio.checked) || radios[0]).focus();
+    } else if (restoreFocus) {
+      toggle.focus();
+    }
+  }
+
+  toggle.addEventListener('click', () => setOpen(panel.hidden));
+  panel.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      setOpen(false, { restoreFocus: true });
+    }
+  });
+  document.addEventListener('click', (e) => {
+    if (!panel.hidden && !container.contains(e.target)) setOpen(false);
+  });
+  container.addEventListener('focusout', (e) => {
+    if (!panel.hidden && e.relatedTarget && !container.contains(e.relatedTarget)) setOpen(false);
+  });
+
+  themes.subscribe(settings => sync(settings));
+  onLocaleChange(renderBrandOptions);
+  onUserChange(renderBrandOptions);
+  renderBrandOptions();
+  sync(themes.get());
+
+  return { close: () => setOpen(false) };
+}
@@ -0,0 +1,188 @@
+// src/js/widgets/weather.js
+
+/**
+ * ConnectHub Intranet - Weather Widget
+ *
+ * Fills the weather tile of the personal briefing from fetchWeather(): the current
+ * temperature and conditions where the employee works, and a forecast for the next
+ * few days behind the "5-Day Forecast" toggle. Temperatures and wind speeds follow
+ * the employee's unit preference (see formatTemperature() in modules/i18n.js).
+ *
+ * When the weather provider fails, the tile keeps showing the last forecast it had,
+ * with the time it is from, or says the weather is unavailable with a retry button.
+ * A forecast more than an hour old also shows its time, since the data service keeps
+ * serving the cached one while it cannot get a new one.
+ * The rest of the briefing is not affected either way.
+ *
+ * Expected markup (see public/index.html):
+ * <div class="briefing-item weather-tile">
+ *   <i class="wi wi-day-sunny"></i> <h3>Weather</h3>
+ *   <div id="weather-display"></div>
+ *   <ol id="weather-forecast" hidden></ol>
+ *   <button class="weather-forecast-toggle">5-Day Forecast</button>
+ * </div>
+ *
+ * The number of days can be set in the page config:
+ *   window.CONNECTHUB_CONFIG = { weather: { days: 5 } };
+ */
+
+import { fetchWeather, onDataRefresh, WEATHER_RESOURCE } from '../modules/dataService.js';
+import { weatherIcon, DEFAULT_FORECAST_DAYS } from '../modules/weather.js';
+import { onUserChange } from '../modules/session.js';
+import { createElement } from './widgetUtils.js';
+import { t, localize, onLocaleChange, formatDate, formatTime, formatTemperature, formatWindSpeed, formatNumber } from '../modules/i18n.js';
+import { createLogger } from '../modules/logger.js';
+
+const log = createLogger('Weather');
+
+const REFRESH_INTERVAL = 30 * 60 * 1000;
+// Older forecasts say when they are from: the cache keeps serving them while the provider is down.
+const STALE_AFTER = 2 * REFRESH_INTERVAL;
+
+function conditionLabel(day) {
+  return day.condition ? t(`weather.conditions.${day.condition}`) : day.description || '';
+}
+
+function renderForecastDay(day, index) {
+  const item = createElement('li', { className: 'forecast-day' });
+  item.append(
+    createElement('span', {
+      className: 'forecast-name',
+      text: index === 0 ? t('weather.today') : formatDate(day.date, { weekday: 'short' }),
+      attrs: { title: formatDate(day.date) },
+    }),
+    createElement('i', { className: `wi ${weatherIcon(day.condition)}`, attrs: { 'aria-hidden': 'true' } }),
+    createElement('span', { className: 'forecast-condition', text: conditionLabel(day) }),
+    createElement('span', {
+      className: 'forecast-range',
+      text: t('weather.range', { high: formatTemperature(day.highCelsius), low: formatTemperature(day.lowCelsius) }),
+    })
+  );
+  if (day.precipitationChance !== null) {
+    item.appendChild(createElement('span', {
+      className: 'forecast-rain',
+      text: t('weather.rainChance', { chance: formatNumber(day.precipitationChance / 100, { style: 'percent' }) }),
+    }));
+  }
+  return item;
+}
+
+/**
+ * Initializes the weather tile.
+ * @param {HTMLElement} section - The .personalized-briefing card.
+ * @param {object} [options]
+ * @param {number} [options.days] - Days of forecast; defaults to the page config, then DEFAULT_FORECAST_DAYS.
+ * @returns {{ reload: Function, destroy: Function }|null}
+ */
+export function initWeather(section, options = {}) {
+  const display = section && section.querySelector('#weather-display');
+  if (!display) {
+    log.warn('#weather-display not found. Skipping initialization.');
+    return null;
+  }
+  const tile = display.closest('.briefing-item') || display.parentElement;
+  const icon = tile.querySelector('.wi');
+  const forecastList = tile.querySelector('#weather-forecast');
+  const toggle = tile.querySelector('.weather-forecast-toggle');
+  const config = (window.CONNECTHUB_CONFIG && window.CONNECTHUB_CONFIG.weather) || {};
+  const days = options.days ?? config.days ?? DEFAULT_FORECAST_DAYS;
+
+  let weather = null; // The last forecast that loaded
+  let loadError = null;
+  let loading = null;
+
+  function renderIcon() {
+    if (icon) icon.className = `wi ${weatherIcon(weather && weather.current ? weather.current.condition : null)}`;
+  }
+
+  function renderDisplay() {
+    if (!weather || !weather.current) {
+      const content = [createElement('span', { className: 'weather-unavailable', text: t(loadError || weather ? 'briefing.weatherUnavailable' : 'common.loading') })];
+      if (loadError) {
+        const retry = createElement('button', { className: 'link-button weather-retry', text: t('weather.retry'), attrs: { type: 'button' } });
+        retry.addEventListener('click', () => load({ forceRefresh: true }));
+        content.push(' ', retry);
+      }
+      display.replaceChildren(...content);
+      return;
+    }
+
+    const { current, location } = weather;
+    const today = weather.daily[0];
+    const content = [
+      createElement('span', { className: 'weather-temperature', text: formatTemperature(current.temperatureCelsius) }),
+      ' ',
+      createElement('span', { className: 'weather-condition', text: conditionLabel(current) }),
+      createElement('span', { className: 'weather-location', text: location.name || t('weather.nearYou') }),
+    ];
+    const details = [
+      today && t('weather.range', { high: formatTemperature(today.highCelsius), low: formatTemperature(today.lowCelsius) }),
+      current.windKph !== null && t('weather.wind', { speed: formatWindSpeed(current.windKph) }),
+    ].filter(Boolean);
+    if (details.length) content.push(createElement('span', { className: 'weather-details', text: details.join(' · ') }));
+    if (weather.updatedAt && (loadError || Date.now() - Date.parse(weather.updatedAt) > STALE_AFTER)) {
+      content.push(createElement('span', { className: 'weather-stale', text: t('weather.stale', { time: formatTime(weather.updatedAt) }) }));
+    }
+    display.replaceChildren(...content);
+  }
+
+  function renderForecast() {
+    if (!forecastList) return;
+    const forecast = weather ? weather.daily.slice(0, days) : [];
+    forecastList.replaceChildren(...forecast.map(renderForecastDay));
+    if (toggle) {
+      toggle.hidden = forecast.length === 0;
+      localize(toggle, forecastList.hidden ? 'weather.showForecast' : 'weather.hideForecast', { count: forecast.length });
+    }
+  }
+
+  function render() {
+    renderIcon();
+    renderDisplay();
+    renderForecast();
+  }
+
+  async function load({ forceRefresh = false } = {}) {
+    if (loading) return loading;
+    loading = (async () => {
+      try {
+        weather = await fetchWeather({ days }, { forceRefresh });
+        loadError = null;
+      } catch (error) {
+        loadError = error; // Whatever loaded before stays up
+      } finally {
+        loading = null;
+      }
+      render();
+    })();
+    return loading;
+  }
+
+  if (toggle && forecastList) {
+    toggle.setAttribute('aria-controls', forecastList.id);
+    toggle.setAttribute('aria-expanded', 'false');
+    toggle.addEventListener('click', () => {
+      forecastList.hidden = !forecastList.hidden;
+      toggle.setAttribute('aria-expanded', String(!forecastList.hidden));
+      renderForecast();
+    });
+  }
+
+  const timer = setInterval(() => {
+    if (!document.hidden) load();
+  }, REFRESH_INTERVAL);
+  const unsubscribe = onDataRefresh(WEATHER_RESOURCE, () => load());
+  const stopUser = onUserChange(() => load()); // Another employee may work elsewhere
+  const stopLocale = onLocaleChange(render); // Also fires when the temperature unit changes
+  load();
+
+  return {
+    reload: () => load({ forceRefresh: true }),
+    destroy() {
+      clearInterval(timer);
+      unsubscribe();
+      stopUser();
+      stopLocale();
+    },
+  };
+}
@@ -0,0 +1,176 @@
+// src/js/widgets/widgetUtils.js
+
+/**
+ * ConnectHub Intranet - Widget Utilities
+ *
+ * Small DOM and formatting helpers shared by the homepage widgets.
+ * Widgets build their markup with these helpers (textContent, never innerHTML with
+ * data), so content coming from the data service can't inject markup.
+ *
+ * Text shown to users comes from the message catalogs (see modules/i18n.js).
+ * createElement's `message` option is for labels that stay on the page (they are
+ * translated again when the language changes); text rebuilt on every render uses t().
+ */
+
+import { ERROR_TYPES } from '../modules/errors.js';
+import { t, localize, localizeAttribute, formatDate as formatLocalDate, formatTime } from '../modules/i18n.js';
+import { describeAudience } from '../modules/audience.js';
+import { hasRole, ROLES } from '../modules/session.js';
+
+/**
+ * Creates an element with optional class names, attributes and text.
+ * @param {string} tagName
+ * @param {object} [options]
+ * @param {string} [options.className]
+ * @param {string} [options.text] - Set via textContent.
+ * @param {string|Array} [options.message] - A message key, or [key, params], for the text; see localize().
+ * @param {Object<string, string>} [options.attrs] - Attributes to set; null/undefined values are skipped.
+ * @param {Object<string, string|Array>} [options.attrMessages] - Attributes set from message keys (or [key, params]).
+ * @returns {HTMLElement}
+ */
+export function createElement(tagName, { className, text, message, attrs = {}, attrMessages = {} } = {}) {
+  const element = document.createElement(tagName);
+  if (className) element.className = className;
+  if (text !== undefined && text !== null) element.textContent = text;
+  if (message) localize(element, ...[].concat(message));
+  Object.entries(attrs).forEach(([name, value]) => {
+    if (value !== undefined && value !== null) element.setAttribute(name, value);
+  });
+  Object.entries(attrMessages).forEach(([name, key]) => localizeAttribute(element, name, ...[].concat(key)));
+  return element;
+}
+
+/**
+ * Replaces a container's content with a single status message
+ * (e.g. "Loading news..." or an error).
+ * @param {HTMLElement} container
+ * @param {string} message
+ * @param {object} [options]
+ * @param {boolean} [options.isError=false] - Styles the message as an error and announces it.
+ */
+export function renderStatus(container, message, { isError = false } = {}) {
+  const status = createElement('p', {
+    className: isError ? 'status-message error-message' : 'status-message loading-message',
+    text: message,
+    attrs: { role: isError ? 'alert' : 'status' },
+  });
+  container.replaceChildren(status);
+}
+
+/**
+ * The "Only for Engineering" label on a targeted news item, event or quick link.
+ * Only admins get one: everyone else only ever sees items meant for them.
+ * @param {{ audience: object|null }} item
+ * @returns {HTMLElement|null} Null for items without an audience, and for non-admins.
+ */
+export function renderAudienceBadge(item) {
+  if (!item.audience || !hasRole(ROLES.ADMIN)) return null;
+  const badge = createElement('span', { className: 'audience-badge' });
+  badge.appendChild(createElement('i', { className: 'fas fa-user-lock', attrs: { 'aria-hidden': 'true' } }));
+  badge.appendChild(document.createTextNode(t('audience.badge', { audience: describeAudience(item.audience) })));
+  return badge;
+}
+
+/**
+ * Picks a user-facing message for a failed data service request.
+ * @param {Error} error - Usually a DataServiceError.
+ * @param {string} subject - What was being loaded, already translated, e.g. t('subjects.news').
+ * @returns {string}
+ */
+export function errorMessage(error, subject) {
+  switch (error && error.type) {
+    case ERROR_TYPES.TIMEOUT:
+      return t('errors.load.timeout', { subject });
+    case ERROR_TYPES.DATA:
+      return t('errors.load.data', { subject });
+    case ERROR_TYPES.FORBIDDEN:
+      return t('errors.load.forbidden', { subject });
+    case ERROR_TYPES.NETWORK:
+    default:
+      if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+        return t('errors.load.offline', { subject });
+      }
+      return t('errors.load.network', { subject });
+  }
+}
+
+/**
+ * Picks a user-facing message for a failed write (posting, editing, deleting...).
+ * Validation errors from the data service are already worded for users and are shown as is.
+ * @param {Error} error - Usually a DataServiceError.
+ * @param {string} action - What was being done, already translated, e.g. t('actions.postShoutOut').
+ * @returns {string}
+ */
+export function saveErrorMessage(error, action) {
+  switch (error && error.type) {
+    case ERROR_TYPES.VALIDATION:
+      return error.message;
+    case ERROR_TYPES.FORBIDDEN:
+      return t('errors.save.forbidden', { action });
+    case ERROR_TYPES.TIMEOUT:
+      return t('errors.save.timeout', { action });
+    default:
+      if (error && error.status === 404) {
+        return t('errors.save.removed', { action });
+      }
+      return t('errors.save.network', { action });
+  }
+}
+
+/**
+ * Formats an ISO 'YYYY-MM-DD' date for the viewer's locale, e.g. 'July 24, 2025'.
+ * The date is read as a calendar day, so it doesn't shift across time zones.
+ * @param {string|null} isoDate
+ * @returns {string}
+ */
+export function formatDate(isoDate) {
+  return formatLocalDate(isoDate);
+}
+
+/**
+ * Formats a normalized event's time in the viewer's time zone and locale,
+ * e.g. '10:00 AM – 11:00 AM PDT', or 'All day'.
+ * @param {{ start: string|null, end: string|null, allDay: boolean }} event
+ * @returns {string}
+ */
+export function formatEventTime(event) {
+  if (event.allDay || !event.start) return t('events.allDay');
+  const start = new Date(event.start);
+  const end = new Date(event.end || event.start);
+  const zoned = { timeZoneName: 'short' };
+  if (end.getTime() === start.getTime()) return formatTime(start, zoned);
+  // Events running past midnight show the end date too
+  const endDay = end.toDateString() === start.toDateString() ? '' : `${formatLocalDate(end, { month: 'short', day: 'numeric' })}, `;
+  return `${formatTime(start)} – ${endDay}${formatTime(end, zoned)}`;
+}
+
+/**
+ * Offers generated content (an .ics calendar, a JSON export...) as a file download.
+ * @param {string} content
+ * @param {string} fileName
+ * @param {string} type - MIME type, e.g. 'text/calendar;charset=utf-8'.
+ */
+export function downloadFile(content, fileName, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Delays calls to `fn` until `wait` ms have passed without another call.
+ * @param {Function} fn
+ * @param {number} wait
+ * @returns {Function}
+ */
+export function debounce(fn, wait) {
+  let timer = null;
+  return (...args) => {
+    clearTimeout(timer);
+    timer = setTimeout(() => fn(...args), wait);
+  };
+}